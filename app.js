@@ -16,6 +16,7 @@ import withdrawRouter from './routes/withdraw.route.js';
 import copytradePurchaseRouter from './routes/copytrade-purchase.route.js';
 import stockPurchaseRouter from './routes/stock-purchase.route.js';
 import adminAuthRouter from './routes/admin-auth.route.js';
+import adminRouter from './routes/admin.route.js';
 import notificationRouter from './routes/notification.route.js';
 import auditLogRouter from './routes/audit-log.route.js';
 import oauthRouter from './routes/oauth.route.js';
@@ -26,6 +27,11 @@ import { requireAdminAuth } from './middlewares/auth.middleware.js';
 import { createAuditLog } from './utils/auditHelper.js';
 import { invalidateAuditCache } from './controllers/audit-log.controller.js';
 import portfolioRouter from './routes/portfolio.route.js';
+import dataExportRouter from './routes/data-export.route.js';
+import reconciliationRouter from './routes/reconciliation.route.js';
+import feeRouter from './routes/fee.route.js';
+import transferRouter from './routes/transfer.route.js';
+import conversionRouter from './routes/conversion.route.js';
 import cleanupRouter from './routes/cleanup.route.js';
 
 import StockUpdater from './jobs/stock-updater.jobs.js'; // DISABLED FOR NOW
@@ -98,10 +104,16 @@ app.use('/api/v1/withdraws', withdrawRouter);
 app.use('/api/v1/copytrade-purchases', copytradePurchaseRouter);
 app.use('/api/v1/stock-purchases', stockPurchaseRouter);
 app.use('/api/v1/admin/auth', adminAuthRouter);
+app.use('/api/v1/admin/admins', adminRouter);
 app.use('/api/v1/notifications', notificationRouter);
 app.use('/api/v1/audit-logs', auditLogRouter);
 app.use('/api/v1/cleanup', cleanupRouter);
 app.use('/api/v1/portfolio', portfolioRouter);
+app.use('/api/v1/data-exports', dataExportRouter);
+app.use('/api/v1/reconciliation', reconciliationRouter);
+app.use('/api/v1/fees', feeRouter);
+app.use('/api/v1/transfers', transferRouter);
+app.use('/api/v1/conversions', conversionRouter);
 
 // Manual stock update endpoint (for debugging/admin) - DISABLED FOR NOW
 
@@ -0,0 +1,13 @@
+// config/api-scopes.js
+// Scopes that can be granted to personal API keys.
+// Routes opt in to API-key access with allowApiKey('<scope>'); every other user route rejects API keys.
+
+export const API_KEY_SCOPES = {
+  'read:portfolio': 'View portfolio balances, holdings and financial summary',
+  'read:stocks': 'View stock purchases',
+  'trade:stocks': 'Buy stocks and request liquidations',
+  'read:copytrades': 'View copytrade purchases',
+  'trade:copytrades': 'Start copytrades'
+};
+
+export const isValidApiKeyScope = (scope) => Object.hasOwn(API_KEY_SCOPES, scope);
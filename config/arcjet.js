@@ -1,4 +1,4 @@
-import arcjet, { shield, detectBot, tokenBucket } from "@arcjet/node";
+import arcjet, { shield, detectBot, tokenBucket, slidingWindow } from "@arcjet/node";
 import { ARCJET_API_KEY } from "../config/env.js";
 
 const aj = arcjet({
@@ -25,4 +25,15 @@ const aj = arcjet({
   ],
 });
 
+// Conversion quotes are limited per user on top of the IP rules: each one fetches two
+// prices and stores a document (expired quotes are removed by a TTL index)
+export const conversionQuoteLimiter = aj.withRule(
+  slidingWindow({
+    mode: "LIVE",
+    characteristics: ["userId"],
+    interval: 60, // 60 second window
+    max: 20, // Quotes per user per window
+  })
+);
+
 export default aj;
@@ -0,0 +1,97 @@
+// config/roles.js
+// Admin roles and the permissions each one grants.
+// Permissions are '<resource>:<action>' strings checked by requirePermission().
+
+export const PERMISSIONS = [
+  'admins:manage',
+  'users:read',
+  'users:write',
+  'users:impersonate',
+  'kyc:read',
+  'kyc:review',
+  'kyc:delete',
+  'deposits:read',
+  'deposits:create',
+  'deposits:approve',
+  'deposits:delete',
+  'withdrawals:read',
+  'withdrawals:create',
+  'withdrawals:approve',
+  'withdrawals:delete',
+  'portfolio:read',
+  'portfolio:write',
+  'copytrades:read',
+  'copytrades:manage',
+  'stocks:read',
+  'stocks:manage',
+  'fees:read',
+  'fees:manage',
+  'transfers:read',
+  'transfers:reverse',
+  'support:read',
+  'support:manage'
+];
+
+const READ_ONLY = [
+  'users:read',
+  'kyc:read',
+  'deposits:read',
+  'withdrawals:read',
+  'portfolio:read',
+  'copytrades:read',
+  'stocks:read',
+  'fees:read',
+  'transfers:read',
+  'support:read'
+];
+
+export const ROLES = {
+  // Full access, including admin account and role management
+  super_admin: [...PERMISSIONS],
+
+  // Money movement: deposits, withdrawals, balances, trades
+  finance: [
+    ...READ_ONLY,
+    'deposits:create',
+    'deposits:approve',
+    'deposits:delete',
+    'withdrawals:create',
+    'withdrawals:approve',
+    'withdrawals:delete',
+    'portfolio:write',
+    'copytrades:manage',
+    'stocks:manage',
+    'fees:manage',
+    'transfers:reverse'
+  ],
+
+  // Identity verification and account review
+  compliance: [
+    ...READ_ONLY,
+    'users:write',
+    'users:impersonate',
+    'kyc:review',
+    'kyc:delete'
+  ],
+
+  // Customer support tickets, read-only elsewhere
+  support: [
+    ...READ_ONLY,
+    'users:impersonate',
+    'support:manage'
+  ]
+};
+
+export const ADMIN_ROLES = Object.keys(ROLES);
+
+/**
+ * Check whether a role grants a permission
+ * @param {String} role - Admin role name
+ * @param {String} permission - Permission string, e.g. 'withdrawals:approve'
+ * @returns {Boolean}
+ */
+export const roleHasPermission = (role, permission) => {
+  return Boolean(ROLES[role]?.includes(permission));
+};
+
+export default ROLES;
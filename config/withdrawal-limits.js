@@ -0,0 +1,16 @@
+// config/withdrawal-limits.js
+// Rolling USD withdrawal limits by KYC tier and account age.
+// A user gets the tier row for their KYC tier with the highest minAccountAgeDays they have reached.
+// Admins can override either limit per user (User.withdrawalLimits).
+
+export const WITHDRAWAL_LIMIT_WINDOWS = {
+  daily: 24 * 60 * 60 * 1000,
+  monthly: 30 * 24 * 60 * 60 * 1000
+};
+
+export const WITHDRAWAL_LIMIT_TIERS = [
+  { kycTier: 'unverified', minAccountAgeDays: 0, dailyUsd: 1000, monthlyUsd: 5000 },
+  { kycTier: 'verified', minAccountAgeDays: 0, dailyUsd: 10000, monthlyUsd: 50000 },
+  { kycTier: 'verified', minAccountAgeDays: 30, dailyUsd: 25000, monthlyUsd: 100000 },
+  { kycTier: 'verified', minAccountAgeDays: 180, dailyUsd: 50000, monthlyUsd: 250000 }
+];
@@ -1,9 +1,24 @@
 import bcrypt from 'bcryptjs';
-import { generateAdminToken } from '../middlewares/auth.middleware.js';
+import Admin from '../model/admin.model.js';
+import { ROLES } from '../config/roles.js';
+import {
+  generateAdminToken,
+  generateAdminChallengeToken,
+  verifyAdminChallengeToken
+} from '../middlewares/auth.middleware.js';
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  generateBackupCodes,
+  hashBackupCode
+} from '../utils/totp.js';
 import redisClient from '../config/redis.js';
 import { createAuditLog } from '../utils/auditHelper.js';
 import { invalidateAuditCache } from './audit-log.controller.js';
 import logger from '../utils/logger.js';
+import LoginGuardService from '../services/login-guard.service.js';
+import { notifyAdminAccountLocked } from '../utils/emailService.js';
 
 // Helper function to add token to blacklist using Redis
 const blacklistToken = async (token) => {
@@ -22,6 +37,136 @@ export const isTokenBlacklisted = async (token) => {
   return await redisClient.isTokenBlacklisted(cleanToken);
 };
 
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// Count wrong codes per challenge token so a 6-digit code cannot be brute-forced
+const getChallengeAttempts = async (jti) => {
+  return parseInt(await redisClient.get(`admin_2fa_attempts:${jti}`), 10) || 0;
+};
+
+const recordFailedChallengeAttempt = async (jti) => {
+  const attempts = (await getChallengeAttempts(jti)) + 1;
+  await redisClient.set(`admin_2fa_attempts:${jti}`, String(attempts), CHALLENGE_TTL_SECONDS);
+  return attempts;
+};
+
+// Resolve the admin behind a challenge token (secrets included)
+const loadChallengeAdmin = async (challengeToken) => {
+  const decoded = challengeToken ? verifyAdminChallengeToken(challengeToken) : null;
+  if (!decoded || await isTokenBlacklisted(challengeToken)) return { decoded: null, admin: null };
+
+  const admin = await Admin.findById(decoded.id).select(
+    '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep'
+  );
+  if (!admin || !admin.isActive) return { decoded, admin: null };
+
+  return { decoded, admin };
+};
+
+const toAdminInfo = (admin) => ({
+  id: admin._id.toString(),
+  username: admin.username,
+  email: admin.email,
+  role: admin.role
+});
+
+const lockedResponse = (res, lock) => {
+  res.set('Retry-After', String(lock.retryAfter));
+  return res.status(429).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: `Too many failed login attempts. Please try again in ${Math.ceil(lock.retryAfter / 60)} minute(s).`,
+    retryAfter: lock.retryAfter
+  });
+};
+
+// Count a failed admin login; emails the admin and writes an audit entry when it triggers a lock
+const registerFailedLogin = async (req, res, username, admin) => {
+  const result = await LoginGuardService.recordFailure('admin', username, req.ip);
+
+  if (result.accountLocked) {
+    if (admin) {
+      await notifyAdminAccountLocked(admin, result.lockedUntil);
+    }
+    await createAuditLog(req, res, {
+      action: 'login_lockout',
+      resourceType: 'admin',
+      resourceId: admin?._id?.toString(),
+      resourceName: username,
+      actor: { id: 'system', username: 'login-guard' },
+      description: `Admin login for ${username} locked until ${result.lockedUntil.toISOString()} after repeated failed attempts (level ${result.lockLevel})`
+    });
+  }
+
+  if (result.ipLocked) {
+    await createAuditLog(req, res, {
+      action: 'login_lockout',
+      resourceType: 'auth',
+      resourceName: req.ip,
+      actor: { id: 'system', username: 'login-guard' },
+      description: `Logins from IP ${req.ip} locked after repeated failed attempts`
+    });
+  }
+
+  if (result.accountLocked || result.ipLocked) {
+    await invalidateAuditCache();
+  }
+
+  return result;
+};
+
+// Issue the full admin token once both factors have been verified
+const issueAdminSession = async (req, res, admin, { method, backupCodes } = {}) => {
+  const adminInfo = toAdminInfo(admin);
+
+  // Record last login
+  admin.lastLogin = new Date();
+  await admin.save();
+
+  // Generate JWT token
+  const token = generateAdminToken(adminInfo);
+
+  // Set cookie (optional, for browser clients)
+  res.cookie('admin_token', token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: 24 * 60 * 60 * 1000 // 24 hours
+  });
+
+  // Set admin info in request for audit logging
+  req.admin = adminInfo;
+
+  // Create audit log for admin login
+  await createAuditLog(req, res, {
+    action: 'admin_login',
+    resourceType: 'auth',
+    description: `Admin ${admin.username} logged in successfully (${method})`
+  });
+
+  // Invalidate audit cache
+  await invalidateAuditCache();
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      token,
+      admin: {
+        ...adminInfo,
+        fullName: admin.fullName,
+        lastLogin: admin.lastLogin,
+        role: admin.role,
+        permissions: ROLES[admin.role] || []
+      },
+      expiresIn: '24h',
+      // Only present right after enrollment; shown once and never again
+      ...(backupCodes && { backupCodes })
+    }
+  });
+};
+
 class AdminAuthController {
   // Admin login endpoint
   static async adminLogin(req, res) {
@@ -42,17 +187,31 @@ class AdminAuthController {
         });
       }
 
-      // Hardcoded admin credentials (you can move this to database later)
-      const ADMIN_CREDENTIALS = {
-        username: 'admin',
-        password: '$2b$12$SwtbnfAzFSP.AkXbDrJLH.KHC6tmYdwjYZOOxlnsHcGYV6.sdHW16', // bcrypt hash of 'admin123'
-        email: 'admin@ctm.com',
-        id: 'admin_001'
-      };
+      const normalizedUsername = String(username).toLowerCase().trim();
+
+      // Refuse attempts while the account or IP is locked out
+      const lock = await LoginGuardService.checkLock('admin', normalizedUsername, req.ip);
+      if (lock.locked) {
+        logger.warn('🔒 Admin login blocked - locked out', {
+          username: normalizedUsername,
+          reason: lock.reason,
+          retryAfter: lock.retryAfter,
+          ipAddress: req.ip
+        });
+        return lockedResponse(res, lock);
+      }
 
-      // Check username
-      if (username !== ADMIN_CREDENTIALS.username) {
+      // Look up the admin account (password is excluded by default)
+      const admin = await Admin.findOne({
+        username: normalizedUsername
+      }).select('+password');
+
+      if (!admin) {
         logger.warn('⚠️ Admin login failed - invalid username');
+        const failure = await registerFailedLogin(req, res, normalizedUsername, null);
+        if (failure.accountLocked || failure.ipLocked) {
+          return lockedResponse(res, await LoginGuardService.checkLock('admin', normalizedUsername, req.ip));
+        }
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials'
@@ -60,76 +219,319 @@ class AdminAuthController {
       }
 
       // Verify password
-      const isValidPassword = await bcrypt.compare(password, ADMIN_CREDENTIALS.password);
+      const isValidPassword = await bcrypt.compare(password, admin.password);
       if (!isValidPassword) {
-        logger.warn('⚠️ Admin login failed - invalid password');
+        logger.warn('⚠️ Admin login failed - invalid password', {
+          adminId: admin._id
+        });
+        const failure = await registerFailedLogin(req, res, normalizedUsername, admin);
+        if (failure.accountLocked || failure.ipLocked) {
+          return lockedResponse(res, await LoginGuardService.checkLock('admin', normalizedUsername, req.ip));
+        }
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials'
         });
       }
 
-      // Generate JWT token
-      const token = generateAdminToken({
-        id: ADMIN_CREDENTIALS.id,
-        username: ADMIN_CREDENTIALS.username,
-        email: ADMIN_CREDENTIALS.email
+      // Disabled accounts cannot sign in
+      if (!admin.isActive) {
+        logger.warn('⚠️ Admin login failed - account disabled', {
+          adminId: admin._id
+        });
+        return res.status(403).json({
+          success: false,
+          message: 'Admin account is disabled'
+        });
+      }
+
+      // Password is only the first factor: hand out a challenge token and
+      // issue the real admin token once a TOTP/backup code is verified
+      const challengeToken = generateAdminChallengeToken(admin);
+
+      if (admin.twoFactor?.enabled) {
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication required',
+          data: {
+            twoFactorRequired: true,
+            challengeToken,
+            expiresIn: '5m'
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication must be set up before you can sign in',
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken,
+          expiresIn: '5m'
+        }
       });
+    } catch (error) {
+      logger.error('❌ Admin login error', {
+        error: error.message,
+        username: req.body?.username
+      });
+      console.error('Admin login error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Login failed',
+        error: error.message
+      });
+    }
+  }
+
+  // Start 2FA enrollment: create a secret for the authenticator app
+  static async setupTwoFactor(req, res) {
+    try {
+      const { challengeToken } = req.body;
+
+      const { admin } = await loadChallengeAdmin(challengeToken);
+      if (!admin) {
+        return res.status(401).json({
+          success: false,
+          message: 'Login challenge is invalid or has expired. Please login again.'
+        });
+      }
+
+      if (admin.twoFactor?.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled for this account'
+        });
+      }
 
-      // Set cookie (optional, for browser clients)
-      res.cookie('admin_token', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict',
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
+      const secret = generateTotpSecret();
+      admin.twoFactor.pendingSecret = secret;
+      await admin.save();
+
+      logger.info('🔐 Admin 2FA enrollment started', { adminId: admin._id });
+
+      res.json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then verify a code to finish signing in',
+        data: {
+          secret,
+          otpauthUri: buildOtpauthUri({
+            secret,
+            accountName: admin.email,
+            issuer: 'CTM Admin'
+          })
+        }
+      });
+    } catch (error) {
+      logger.error('❌ Admin 2FA setup error', { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start two-factor setup',
+        error: error.message
       });
+    }
+  }
+
+  // Second login step: verify a TOTP code (or backup code) and issue the admin token
+  static async verifyTwoFactor(req, res) {
+    try {
+      const { challengeToken, code, backupCode } = req.body;
+
+      if (!code && !backupCode) {
+        return res.status(400).json({
+          success: false,
+          message: 'A verification code or backup code is required'
+        });
+      }
+
+      const { decoded, admin } = await loadChallengeAdmin(challengeToken);
+      if (!admin) {
+        return res.status(401).json({
+          success: false,
+          message: 'Login challenge is invalid or has expired. Please login again.'
+        });
+      }
+
+      // The password step does not clear the lockout counter, so a lock still applies here
+      const lock = await LoginGuardService.checkLock('admin', admin.username, req.ip);
+      if (lock.locked) {
+        return lockedResponse(res, lock);
+      }
+
+      if (await getChallengeAttempts(decoded.jti) >= MAX_CHALLENGE_ATTEMPTS) {
+        return res.status(429).json({
+          success: false,
+          message: 'Too many invalid codes. Please login again.'
+        });
+      }
 
       // Set admin info in request for audit logging
-      req.admin = {
-        id: ADMIN_CREDENTIALS.id,
-        username: ADMIN_CREDENTIALS.username,
-        email: ADMIN_CREDENTIALS.email
-      };
+      req.admin = toAdminInfo(admin);
+      const enrolling = !admin.twoFactor?.enabled;
+
+      let verified = false;
+      let method = 'totp';
+
+      if (enrolling) {
+        // Enrollment is only confirmed with a code from the new secret
+        const step = admin.twoFactor?.pendingSecret
+          ? verifyTotp(admin.twoFactor.pendingSecret, code)
+          : null;
+        if (step !== null) {
+          verified = true;
+          admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+          admin.twoFactor.pendingSecret = undefined;
+          admin.twoFactor.lastUsedStep = step;
+        }
+      } else if (code) {
+        const step = verifyTotp(admin.twoFactor.secret, code, {
+          lastUsedStep: admin.twoFactor.lastUsedStep
+        });
+        if (step !== null) {
+          verified = true;
+          admin.twoFactor.lastUsedStep = step;
+        }
+      } else {
+        const hash = hashBackupCode(backupCode);
+        const remaining = (admin.twoFactor.backupCodes || []).filter((stored) => stored !== hash);
+        if (remaining.length < (admin.twoFactor.backupCodes || []).length) {
+          verified = true;
+          method = 'backup code';
+          admin.twoFactor.backupCodes = remaining;
+        }
+      }
+
+      if (!verified) {
+        const attempts = await recordFailedChallengeAttempt(decoded.jti);
+        const failure = await registerFailedLogin(req, res, admin.username, admin);
+
+        await createAuditLog(req, res, {
+          action: 'admin_2fa_verification_failed',
+          resourceType: 'auth',
+          resourceId: admin._id.toString(),
+          resourceName: admin.username,
+          description: `Admin ${admin.username} entered an invalid ${backupCode && !code ? 'backup code' : 'verification code'}${enrolling ? ' during 2FA setup' : ''} (attempt ${attempts}/${MAX_CHALLENGE_ATTEMPTS})`
+        });
+        await invalidateAuditCache();
+
+        logger.warn('⚠️ Admin 2FA verification failed', {
+          adminId: admin._id,
+          attempts,
+          enrolling
+        });
+
+        if (failure.accountLocked || failure.ipLocked) {
+          await redisClient.blacklistToken(challengeToken, CHALLENGE_TTL_SECONDS);
+          return lockedResponse(res, await LoginGuardService.checkLock('admin', admin.username, req.ip));
+        }
+
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid verification code'
+        });
+      }
+
+      // One challenge, one session
+      await redisClient.blacklistToken(challengeToken, CHALLENGE_TTL_SECONDS);
+      await LoginGuardService.recordSuccess('admin', admin.username);
+
+      let backupCodes;
+      if (enrolling) {
+        const generated = generateBackupCodes();
+        backupCodes = generated.codes;
+        admin.twoFactor.backupCodes = generated.hashes;
+        admin.twoFactor.enabled = true;
+        admin.twoFactor.enabledAt = new Date();
+
+        await createAuditLog(req, res, {
+          action: 'admin_2fa_enrolled',
+          resourceType: 'auth',
+          resourceId: admin._id.toString(),
+          resourceName: admin.username,
+          description: `Admin ${admin.username} enabled two-factor authentication`
+        });
+      } else if (method === 'backup code') {
+        await createAuditLog(req, res, {
+          action: 'admin_2fa_backup_code_used',
+          resourceType: 'auth',
+          resourceId: admin._id.toString(),
+          resourceName: admin.username,
+          description: `Admin ${admin.username} signed in with a backup code (${admin.twoFactor.backupCodes.length} remaining)`
+        });
+      }
+
+      await issueAdminSession(req, res, admin, { method, backupCodes });
+    } catch (error) {
+      logger.error('❌ Admin 2FA verification error', { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: 'Two-factor verification failed',
+        error: error.message
+      });
+    }
+  }
+
+  // Replace all backup codes (requires a current TOTP code)
+  static async regenerateBackupCodes(req, res) {
+    try {
+      const { code } = req.body;
+
+      const admin = await Admin.findById(req.admin.id).select('+twoFactor.secret +twoFactor.lastUsedStep');
+      if (!admin?.twoFactor?.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled for this account'
+        });
+      }
+
+      const step = verifyTotp(admin.twoFactor.secret, code, {
+        lastUsedStep: admin.twoFactor.lastUsedStep
+      });
+      if (step === null) {
+        await createAuditLog(req, res, {
+          action: 'admin_2fa_verification_failed',
+          resourceType: 'auth',
+          resourceId: admin._id.toString(),
+          resourceName: admin.username,
+          description: `Admin ${admin.username} entered an invalid verification code while regenerating backup codes`
+        });
+        await invalidateAuditCache();
+
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid verification code'
+        });
+      }
+
+      const { codes, hashes } = generateBackupCodes();
+      admin.twoFactor.backupCodes = hashes;
+      admin.twoFactor.lastUsedStep = step;
+      await admin.save();
 
-      // Create audit log for admin login
       await createAuditLog(req, res, {
-        action: 'admin_login',
+        action: 'admin_2fa_backup_codes_regenerated',
         resourceType: 'auth',
-        description: `Admin ${ADMIN_CREDENTIALS.username} logged in successfully`
+        resourceId: admin._id.toString(),
+        resourceName: admin.username,
+        description: `Admin ${admin.username} regenerated their 2FA backup codes`
       });
-
-      // Invalidate audit cache
       await invalidateAuditCache();
 
-      // logger.info('✅ Admin login successful', {
-      //   adminId: ADMIN_CREDENTIALS.id,
-      //   adminUsername: ADMIN_CREDENTIALS.username,
-      //   ipAddress: req.ip
-      // });
-
       res.json({
         success: true,
-        message: 'Login successful',
+        message: 'New backup codes generated. Previous codes no longer work.',
         data: {
-          token,
-          admin: {
-            id: ADMIN_CREDENTIALS.id,
-            username: ADMIN_CREDENTIALS.username,
-            email: ADMIN_CREDENTIALS.email,
-            role: 'admin'
-          },
-          expiresIn: '24h'
+          backupCodes: codes
         }
       });
     } catch (error) {
-      logger.error('❌ Admin login error', {
+      logger.error('❌ Backup code regeneration error', {
         error: error.message,
-        username: req.body?.username
+        adminId: req.admin?.id
       });
-      console.error('Admin login error:', error);
       res.status(500).json({
         success: false,
-        message: 'Login failed',
+        message: 'Failed to regenerate backup codes',
         error: error.message
       });
     }
@@ -250,7 +652,8 @@ class AdminAuthController {
         success: true,
         message: 'Session valid',
         data: {
-          admin: req.admin
+          admin: req.admin,
+          permissions: ROLES[req.admin?.role] || []
         }
       });
     } catch (error) {
@@ -0,0 +1,535 @@
+// controllers/admin.controller.js
+// Admin account management (create, disable/enable, reset password/2FA, roles)
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+import Admin from '../model/admin.model.js';
+import { ROLES, ADMIN_ROLES } from '../config/roles.js';
+import { validatePassword } from './user-auth.controller.js';
+import { createAuditLog } from '../utils/auditHelper.js';
+import { invalidateAuditCache } from './audit-log.controller.js';
+import logger from '../utils/logger.js';
+import LoginGuardService from '../services/login-guard.service.js';
+
+const SALT_ROUNDS = 12;
+
+// Guard against locking everyone out of admin management
+const isLastActiveSuperAdmin = async (admin) => {
+  if (admin.role !== 'super_admin' || !admin.isActive) return false;
+  const activeSuperAdmins = await Admin.countDocuments({ role: 'super_admin', isActive: true });
+  return activeSuperAdmins <= 1;
+};
+
+class AdminController {
+  /**
+   * List all admin accounts
+   * GET /api/v1/admin/admins
+   */
+  static async getAllAdmins(req, res) {
+    try {
+      const admins = await Admin.find().sort({ createdAt: -1 });
+
+      await createAuditLog(req, res, {
+        action: 'admins_view_all',
+        resourceType: 'admin',
+        description: `Admin ${req.admin?.username || 'unknown'} viewed all admin accounts (${admins.length} admins)`
+      });
+      await invalidateAuditCache();
+
+      res.json({
+        success: true,
+        data: admins,
+        count: admins.length
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching admin accounts', {
+        error: error.message,
+        adminId: req.admin?.id
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch admin accounts',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a new admin account
+   * POST /api/v1/admin/admins
+   */
+  static async createAdmin(req, res) {
+    try {
+      const { username, email, password, fullName, role = 'support' } = req.body;
+
+      if (!username || !email || !password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Required fields: username, email, password'
+        });
+      }
+
+      if (!ADMIN_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}`
+        });
+      }
+
+      const passwordValidation = validatePassword(password);
+      if (!passwordValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password does not meet requirements',
+          errors: passwordValidation.errors
+        });
+      }
+
+      const normalizedUsername = String(username).toLowerCase().trim();
+      const normalizedEmail = String(email).toLowerCase().trim();
+
+      const existing = await Admin.findOne({
+        $or: [{ username: normalizedUsername }, { email: normalizedEmail }]
+      });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'An admin with this username or email already exists'
+        });
+      }
+
+      const admin = await Admin.create({
+        username: normalizedUsername,
+        email: normalizedEmail,
+        password: await bcrypt.hash(password, SALT_ROUNDS),
+        fullName: fullName?.trim(),
+        role,
+        createdBy: {
+          id: req.admin?.id,
+          username: req.admin?.username
+        }
+      });
+
+      await createAuditLog(req, res, {
+        action: 'admin_created',
+        resourceType: 'admin',
+        resourceId: admin._id.toString(),
+        resourceName: admin.username,
+        description: `Admin ${req.admin?.username} created ${admin.role} admin account ${admin.username}`
+      });
+      await invalidateAuditCache();
+
+      logger.info('✅ Admin account created', {
+        adminId: admin._id,
+        username: admin.username,
+        createdBy: req.admin?.username
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Admin account created successfully',
+        data: admin
+      });
+    } catch (error) {
+      logger.error('❌ Error creating admin account', {
+        error: error.message,
+        adminId: req.admin?.id
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create admin account',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Disable an admin account (existing tokens stop working immediately)
+   * PUT /api/v1/admin/admins/:id/disable
+   */
+  static async disableAdmin(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ success: false, message: 'Invalid admin id' });
+      }
+
+      if (String(id) === String(req.admin?.id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot disable your own account'
+        });
+      }
+
+      const admin = await Admin.findById(id);
+      if (!admin) {
+        return res.status(404).json({ success: false, message: 'Admin not found' });
+      }
+
+      if (!admin.isActive) {
+        return res.status(400).json({ success: false, message: 'Admin account is already disabled' });
+      }
+
+      if (await isLastActiveSuperAdmin(admin)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot disable the last active super admin'
+        });
+      }
+
+      admin.isActive = false;
+      admin.disabledAt = new Date();
+      admin.disabledBy = { id: req.admin?.id, username: req.admin?.username };
+      await admin.save();
+
+      await createAuditLog(req, res, {
+        action: 'admin_disabled',
+        resourceType: 'admin',
+        resourceId: admin._id.toString(),
+        resourceName: admin.username,
+        changes: { before: { isActive: true }, after: { isActive: false } },
+        description: `Admin ${req.admin?.username} disabled admin account ${admin.username}`
+      });
+      await invalidateAuditCache();
+
+      res.json({
+        success: true,
+        message: 'Admin account disabled successfully',
+        data: admin
+      });
+    } catch (error) {
+      logger.error('❌ Error disabling admin account', {
+        error: error.message,
+        targetAdminId: req.params.id,
+        adminId: req.admin?.id
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to disable admin account',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Re-enable a disabled admin account
+   * PUT /api/v1/admin/admins/:id/enable
+   */
+  static async enableAdmin(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ success: false, message: 'Invalid admin id' });
+      }
+
+      const admin = await Admin.findById(id);
+      if (!admin) {
+        return res.status(404).json({ success: false, message: 'Admin not found' });
+      }
+
+      if (admin.isActive) {
+        return res.status(400).json({ success: false, message: 'Admin account is already active' });
+      }
+
+      admin.isActive = true;
+      admin.disabledAt = undefined;
+      admin.disabledBy = undefined;
+      await admin.save();
+
+      await createAuditLog(req, res, {
+        action: 'admin_enabled',
+        resourceType: 'admin',
+        resourceId: admin._id.toString(),
+        resourceName: admin.username,
+        changes: { before: { isActive: false }, after: { isActive: true } },
+        description: `Admin ${req.admin?.username} enabled admin account ${admin.username}`
+      });
+      await invalidateAuditCache();
+
+      res.json({
+        success: true,
+        message: 'Admin account enabled successfully',
+        data: admin
+      });
+    } catch (error) {
+      logger.error('❌ Error enabling admin account', {
+        error: error.message,
+        targetAdminId: req.params.id,
+        adminId: req.admin?.id
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to enable admin account',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List roles and the permissions they grant
+   * GET /api/v1/admin/admins/roles
+   */
+  static async getRoles(req, res) {
+    res.json({
+      success: true,
+      data: ROLES
+    });
+  }
+
+  /**
+   * Change an admin's role
+   * PUT /api/v1/admin/admins/:id/role
+   */
+  static async updateAdminRole(req, res) {
+    try {
+      const { id } = req.params;
+      const { role } = req.body;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ success: false, message: 'Invalid admin id' });
+      }
+
+      if (!ADMIN_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}`
+        });
+      }
+
+      if (String(id) === String(req.admin?.id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot change your own role'
+        });
+      }
+
+      const admin = await Admin.findById(id);
+      if (!admin) {
+        return res.status(404).json({ success: false, message: 'Admin not found' });
+      }
+
+      const previousRole = admin.role;
+      if (previousRole === role) {
+        return res.status(400).json({ success: false, message: `Admin already has role ${role}` });
+      }
+
+      if (await isLastActiveSuperAdmin(admin)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot change the role of the last active super admin'
+        });
+      }
+
+      admin.role = role;
+      await admin.save();
+
+      await createAuditLog(req, res, {
+        action: 'admin_role_updated',
+        resourceType: 'admin',
+        resourceId: admin._id.toString(),
+        resourceName: admin.username,
+        changes: { before: { role: previousRole }, after: { role } },
+        description: `Admin ${req.admin?.username} changed role of ${admin.username} from ${previousRole} to ${role}`
+      });
+      await invalidateAuditCache();
+
+      logger.info('🛡️ Admin role updated', {
+        targetAdminId: admin._id,
+        previousRole,
+        newRole: role,
+        updatedBy: req.admin?.username
+      });
+
+      res.json({
+        success: true,
+        message: 'Admin role updated successfully',
+        data: admin
+      });
+    } catch (error) {
+      logger.error('❌ Error updating admin role', {
+        error: error.message,
+        targetAdminId: req.params.id,
+        adminId: req.admin?.id
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update admin role',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Reset an admin's password (invalidates their existing tokens)
+   * PUT /api/v1/admin/admins/:id/reset-password
+   */
+  static async resetAdminPassword(req, res) {
+    try {
+      const { id } = req.params;
+      const { newPassword } = req.body;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ success: false, message: 'Invalid admin id' });
+      }
+
+      if (!newPassword) {
+        return res.status(400).json({ success: false, message: 'newPassword is required' });
+      }
+
+      const passwordValidation = validatePassword(newPassword);
+      if (!passwordValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'New password does not meet requirements',
+          errors: passwordValidation.errors
+        });
+      }
+
+      const admin = await Admin.findById(id);
+      if (!admin) {
+        return res.status(404).json({ success: false, message: 'Admin not found' });
+      }
+
+      admin.password = await bcrypt.hash(newPassword, SALT_ROUNDS);
+      admin.passwordChangedAt = new Date();
+      await admin.save();
+
+      await createAuditLog(req, res, {
+        action: 'admin_password_reset',
+        resourceType: 'admin',
+        resourceId: admin._id.toString(),
+        resourceName: admin.username,
+        description: `Admin ${req.admin?.username} reset the password for admin account ${admin.username}`
+      });
+      await invalidateAuditCache();
+
+      logger.info('🔒 Admin password reset', {
+        targetAdminId: admin._id,
+        resetBy: req.admin?.username
+      });
+
+      res.json({
+        success: true,
+        message: 'Admin password reset successfully. Existing sessions have been invalidated.'
+      });
+    } catch (error) {
+      logger.error('❌ Error resetting admin password', {
+        error: error.message,
+        targetAdminId: req.params.id,
+        adminId: req.admin?.id
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reset admin password',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Reset an admin's two-factor authentication (e.g. lost device and backup codes).
+   * The admin must enroll a new authenticator at their next login.
+   * PUT /api/v1/admin/admins/:id/reset-2fa
+   */
+  static async resetAdminTwoFactor(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ success: false, message: 'Invalid admin id' });
+      }
+
+      const admin = await Admin.findById(id);
+      if (!admin) {
+        return res.status(404).json({ success: false, message: 'Admin not found' });
+      }
+
+      const wasEnabled = Boolean(admin.twoFactor?.enabled);
+      admin.twoFactor = { enabled: false };
+      await admin.save();
+
+      await createAuditLog(req, res, {
+        action: 'admin_2fa_reset',
+        resourceType: 'admin',
+        resourceId: admin._id.toString(),
+        resourceName: admin.username,
+        changes: { before: { twoFactorEnabled: wasEnabled }, after: { twoFactorEnabled: false } },
+        description: `Admin ${req.admin?.username} reset two-factor authentication for admin account ${admin.username}`
+      });
+      await invalidateAuditCache();
+
+      logger.info('🔐 Admin 2FA reset', {
+        targetAdminId: admin._id,
+        resetBy: req.admin?.username
+      });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication reset. The admin will set it up again at next login.'
+      });
+    } catch (error) {
+      logger.error('❌ Error resetting admin 2FA', {
+        error: error.message,
+        targetAdminId: req.params.id,
+        adminId: req.admin?.id
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reset two-factor authentication',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Clear a login lockout for an admin (optionally also an IP lockout)
+   * PUT /api/v1/admin/admins/:id/unlock
+   */
+  static async unlockAdmin(req, res) {
+    try {
+      const { id } = req.params;
+      const { ip } = req.body || {};
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ success: false, message: 'Invalid admin id' });
+      }
+
+      const admin = await Admin.findById(id);
+      if (!admin) {
+        return res.status(404).json({ success: false, message: 'Admin not found' });
+      }
+
+      const accountWasLocked = await LoginGuardService.unlock('admin', admin.username);
+      const ipWasLocked = ip ? await LoginGuardService.unlockIp(ip) : false;
+
+      await createAuditLog(req, res, {
+        action: 'login_lockout_cleared',
+        resourceType: 'admin',
+        resourceId: admin._id.toString(),
+        resourceName: admin.username,
+        description: `Admin ${req.admin?.username} cleared the login lockout for admin account ${admin.username}${ip ? ` and IP ${ip}` : ''}`
+      });
+      await invalidateAuditCache();
+
+      res.json({
+        success: true,
+        message: accountWasLocked || ipWasLocked ? 'Lockout cleared' : 'Account was not locked',
+        data: { accountWasLocked, ipWasLocked }
+      });
+    } catch (error) {
+      logger.error('❌ Error clearing admin lockout', {
+        error: error.message,
+        targetAdminId: req.params.id,
+        adminId: req.admin?.id
+      });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to clear lockout',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default AdminController;
@@ -0,0 +1,169 @@
+// controllers/conversion.controller.js
+// Token conversion quotes and execution for users; conversion history for users and admins
+import ConversionService, { CONVERSION_SETTINGS } from '../services/conversion.service.js';
+import logger from '../utils/logger.js';
+
+const CONVERSION_ERRORS = {
+  INVALID_CONVERSION: { status: 400, message: 'Invalid conversion' },
+  USER_NOT_FOUND: { status: 404, message: 'User not found' },
+  ACCOUNT_INACTIVE: { status: 403, message: 'Account is inactive' },
+  KYC_REQUIRED: { status: 403, message: 'Complete identity verification before converting tokens' },
+  TOKEN_NOT_IN_PORTFOLIO: { status: 400, message: 'You do not hold this token' },
+  INSUFFICIENT_TOKEN_BALANCE: { status: 400, message: 'Insufficient token balance' },
+  CONVERSION_BELOW_MINIMUM: { status: 400, message: 'Conversion is below the minimum value' },
+  PRICE_UNAVAILABLE: { status: 503, message: 'Price is not available for this pair. Try again shortly' },
+  QUOTE_NOT_FOUND: { status: 404, message: 'Quote not found' },
+  QUOTE_EXPIRED: { status: 410, message: 'Quote has expired. Request a new quote' },
+  QUOTE_ALREADY_USED: { status: 409, message: 'Quote has already been used' }
+};
+
+// Known conversion errors; returns false for anything else
+const sendConversionError = (res, error) => {
+  const known = CONVERSION_ERRORS[error.message];
+  if (!known) return false;
+
+  res.status(known.status).json({
+    success: false,
+    code: error.message,
+    message: error.data?.message || known.message,
+    data: error.data
+  });
+  return true;
+};
+
+const toQuote = (conversion) => ({
+  quoteId: conversion._id,
+  fromToken: conversion.fromToken,
+  toToken: conversion.toToken,
+  fromAmount: conversion.fromAmount,
+  toAmount: conversion.toAmount,
+  rate: conversion.rate,
+  fromPrice: conversion.fromPrice,
+  toPrice: conversion.toPrice,
+  spreadPercent: conversion.spreadPercent,
+  spreadUsd: conversion.spreadUsd,
+  usdValue: conversion.usdValue,
+  expiresAt: conversion.expiresAt
+});
+
+class ConversionController {
+  /**
+   * Price a conversion and lock the rate briefly
+   * POST /api/v1/conversions/quote
+   */
+  static async createQuote(req, res) {
+    try {
+      const { fromToken, toToken, amount } = req.body;
+      const quote = await ConversionService.createQuote({
+        userId: req.user.userId,
+        fromToken,
+        toToken,
+        amount
+      });
+
+      res.status(201).json({
+        success: true,
+        data: toQuote(quote)
+      });
+    } catch (error) {
+      if (sendConversionError(res, error)) return;
+
+      logger.error('❌ Error quoting conversion', {
+        error: error.message,
+        userId: req.user?.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to quote conversion',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Execute a quote before it expires
+   * POST /api/v1/conversions
+   */
+  static async executeQuote(req, res) {
+    try {
+      const conversion = await ConversionService.executeQuote(req.user.userId, req.body?.quoteId, req.user.email);
+
+      res.json({
+        success: true,
+        message: `Converted ${conversion.fromAmount} ${conversion.fromToken} to ${conversion.toAmount} ${conversion.toToken}`,
+        data: conversion
+      });
+    } catch (error) {
+      if (sendConversionError(res, error)) return;
+
+      logger.error('❌ Error executing conversion', {
+        error: error.message,
+        userId: req.user?.userId,
+        quoteId: req.body?.quoteId
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to convert tokens',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/v1/conversions/my
+   */
+  static async getMyConversions(req, res) {
+    try {
+      const result = await ConversionService.getUserConversions(req.user.userId, req.query);
+
+      res.json({
+        success: true,
+        data: result.conversions,
+        pagination: result.pagination,
+        settings: CONVERSION_SETTINGS
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching user conversions', {
+        error: error.message,
+        userId: req.user?.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch conversions',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/v1/conversions
+   */
+  static async getAllConversions(req, res) {
+    try {
+      const result = await ConversionService.getAllConversions(req.query);
+
+      res.json({
+        success: true,
+        data: result.conversions,
+        pagination: result.pagination,
+        totals: result.totals
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching conversions', {
+        error: error.message,
+        adminId: req.admin?.id
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch conversions',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default ConversionController;
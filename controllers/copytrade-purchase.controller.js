@@ -8,6 +8,7 @@ import CopytradePurchaseService from '../services/copytrade-purchase.service.js'
 import CopytradeTradingService from '../services/copytrade-trading.service.js';
 import { notifyCopytradePurchaseSubmitted } from '../utils/emailService.js';
 import mongoose from 'mongoose';
+import TransactionExportService from '../services/transaction-export.service.js';
 import logger from '../utils/logger.js';
 
 class CopytradePurchaseController {
@@ -207,13 +208,15 @@ class CopytradePurchaseController {
     }
   }
 
+  // Optional filters: status, user, from, to
   static async getAllCopytradePurchases(req, res) {
     try {
       logger.info('📊 Fetching all copytrade purchases', {
         adminUsername: req.admin?.username
       });
 
-      const items = await CopytradePurchase.find()
+      const filter = TransactionExportService.buildFilter('copytrade-purchases', req.query);
+      const items = await CopytradePurchase.find(filter)
         .populate('user', 'username email firstName lastName')
         .sort({ createdAt: -1 });
 
@@ -261,6 +264,9 @@ class CopytradePurchaseController {
 
       res.json({ success: true, data: itemsWithUserDetails, count: itemsWithUserDetails.length });
     } catch (error) {
+      if (error.message === 'INVALID_FILTER') {
+        return res.status(400).json({ success: false, message: error.data.message, error: error.message });
+      }
       logger.error('❌ Error fetching copytrade purchases', {
         error: error.message,
         adminId: req.admin?.id
@@ -881,7 +887,9 @@ class CopytradePurchaseController {
       const userEmail = userDoc?.email || 'unknown';
 
       // Complete the trade (calculates final ROI, updates end date, adds to balance)
-      const completionResult = await CopytradeTradingService.completeSingleTrade(id);
+      const completionResult = await CopytradeTradingService.completeSingleTrade(id, null, {
+        adminUsername: req.admin?.username
+      });
 
       // Create audit log
       await createAuditLog(req, res, {
@@ -901,6 +909,7 @@ class CopytradePurchaseController {
             trade_current_value: completionResult.finalValue,
             roiPercent: completionResult.roiPercent,
             profitLoss: completionResult.profitLoss,
+            performanceFee: completionResult.performanceFee,
             newAccountBalance: completionResult.newAccountBalance
           }
         },
@@ -920,6 +929,7 @@ class CopytradePurchaseController {
           finalValue: completionResult.finalValue,
           profitLoss: completionResult.profitLoss,
           roiPercent: completionResult.roiPercent,
+          performanceFee: completionResult.performanceFee,
           adminEnded: true
         }
       });
@@ -943,6 +953,7 @@ class CopytradePurchaseController {
           finalValue: completionResult.finalValue,
           roiPercent: completionResult.roiPercent,
           profitLoss: completionResult.profitLoss,
+          performanceFee: completionResult.performanceFee,
           newAccountBalance: completionResult.newAccountBalance,
           tradeEndDate: completionResult.purchase.trade_end_date
         }
@@ -38,7 +38,8 @@ class CopytradingOptionController {
         trade_roi_max,
         isRecommended,
         trade_risk,
-        trade_duration
+        trade_duration,
+        performance_fee_percent
       } = req.body;
 
       logger.info('📝 Creating copytrading option', {
@@ -82,7 +83,8 @@ class CopytradingOptionController {
         trade_roi_max,
         isRecommended: !!isRecommended,
         trade_risk,
-        trade_duration
+        trade_duration,
+        performance_fee_percent
       });
 
       const savedCopytradingOption = await copytradingOption.save();
@@ -0,0 +1,159 @@
+import mongoose from 'mongoose';
+import DataExportService, { DOWNLOAD_TTL_HOURS } from '../services/data-export.service.js';
+import logger from '../utils/logger.js';
+
+const toExportInfo = (dataExport) => ({
+  id: dataExport._id,
+  status: dataExport.status,
+  requestedAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  fileName: dataExport.fileName,
+  fileSize: dataExport.fileSize,
+  expiresAt: dataExport.status === 'ready' ? dataExport.expiresAt : undefined,
+  downloadCount: dataExport.downloadCount
+});
+
+// Queue a copy of everything we hold about the user; the link is emailed when it is ready
+export const requestDataExport = async (req, res) => {
+  try {
+    let dataExport;
+    try {
+      dataExport = await DataExportService.requestExport(req.user.userId, req);
+    } catch (error) {
+      if (error.message === 'EXPORT_IN_PROGRESS') {
+        return res.status(409).json({
+          success: false,
+          message: 'An export is already being prepared. You will receive an email when it is ready.'
+        });
+      }
+      if (error.message === 'EXPORT_RATE_LIMITED') {
+        return res.status(429).json({
+          success: false,
+          message: 'You can request one data export per day. Use the link from your latest export.'
+        });
+      }
+      throw error;
+    }
+
+    logger.info('📦 Data export requested', {
+      userId: req.user.userId,
+      exportId: dataExport._id,
+      ip: req.ip
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Your data export has been queued. We will email you a download link valid for ${DOWNLOAD_TTL_HOURS} hours.`,
+      data: toExportInfo(dataExport)
+    });
+
+  } catch (error) {
+    logger.error('❌ Error requesting data export', {
+      error: error.message,
+      userId: req.user?.userId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while requesting data export'
+    });
+  }
+};
+
+// Recent exports and their status
+export const getMyDataExports = async (req, res) => {
+  try {
+    const exports = await DataExportService.listExports(req.user.userId);
+
+    res.json({
+      success: true,
+      data: exports.map(toExportInfo),
+      count: exports.length
+    });
+
+  } catch (error) {
+    logger.error('❌ Error fetching data exports', {
+      error: error.message,
+      userId: req.user?.userId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching data exports'
+    });
+  }
+};
+
+// Download an archive with the token from the email (no login needed; the token is the credential)
+export const downloadDataExport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { token } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Download link is invalid or has expired'
+      });
+    }
+
+    let dataExport;
+    try {
+      dataExport = await DataExportService.getDownload(id, token);
+    } catch (error) {
+      if (error.message === 'EXPORT_NOT_FOUND') {
+        logger.warn('❌ Invalid data export download attempt', {
+          exportId: id,
+          ip: req.ip
+        });
+
+        return res.status(404).json({
+          success: false,
+          message: 'Download link is invalid or has expired'
+        });
+      }
+      throw error;
+    }
+
+    logger.info('📦 Data export downloaded', {
+      exportId: dataExport._id,
+      userId: dataExport.user,
+      ip: req.ip
+    });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${dataExport.fileName}"`,
+      'Content-Length': String(dataExport.fileSize),
+      'Cache-Control': 'no-store'
+    });
+
+    const archive = DataExportService.openArchiveStream(dataExport);
+    archive.on('error', (error) => {
+      logger.error('❌ Error streaming data export', {
+        error: error.message,
+        exportId: dataExport._id
+      });
+      if (!res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Download link is invalid or has expired'
+        });
+      } else {
+        res.destroy(error);
+      }
+    });
+    archive.pipe(res);
+
+  } catch (error) {
+    logger.error('❌ Error downloading data export', {
+      error: error.message,
+      exportId: req.params.id
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while downloading data export'
+    });
+  }
+};
@@ -2,6 +2,7 @@ import Transaction from '../model/transaction.model.js';
 import User from '../model/user.model.js';
 import { validateUserExists, validateBodyUser } from '../utils/userValidation.js';
 import DepositService from '../services/deposit.service.js';
+import TransactionExportService from '../services/transaction-export.service.js';
 import { createNotification } from '../utils/notificationHelper.js';
 import { createAuditLog } from '../utils/auditHelper.js';
 import { invalidateAuditCache } from './audit-log.controller.js';
@@ -46,16 +47,15 @@ class DepositController {
     }
   }
 
-  // Get all deposits (admin only)
+  // Get all deposits (admin only). Optional filters: status, user, from, to, token
   static async getAllDeposits(req, res) {
     try {
       logger.info('💰 Fetching all deposits', {
         adminUsername: req.admin?.username
       });
 
-      const deposits = await Transaction.find({ 
-        isDeposit: true 
-      }).sort({ createdAt: -1 });
+      const filter = TransactionExportService.buildFilter('deposits', req.query);
+      const deposits = await Transaction.find(filter).sort({ createdAt: -1 });
 
       // Create audit log
       await createAuditLog(req, res, {
@@ -78,6 +78,13 @@ class DepositController {
         count: deposits.length
       });
     } catch (error) {
+      if (error.message === 'INVALID_FILTER') {
+        return res.status(400).json({
+          success: false,
+          message: error.data.message,
+          error: error.message
+        });
+      }
       logger.error('❌ Error fetching deposits', {
         error: error.message,
         adminId: req.admin?.id
@@ -126,7 +133,8 @@ class DepositController {
         amount,
         token_deposit_address,
         user,
-        status: status || 'pending'
+        status: status || 'pending',
+        fee: await DepositService.quoteFee(user, token_name, amount)
       });
 
       const savedDeposit = await deposit.save();
@@ -504,7 +512,8 @@ class DepositController {
         amount,
         token_deposit_address: token_deposit_address || '',
         user: userId,
-        status: 'pending'
+        status: 'pending',
+        fee: await DepositService.quoteFee(userId, token_name, amount)
       });
 
       const savedDeposit = await deposit.save();
@@ -0,0 +1,300 @@
+// controllers/fee.controller.js
+// Fee quotes for users; fee schedules and fee revenue for admins
+import FeeService from '../services/fee.service.js';
+import { createAuditLog } from '../utils/auditHelper.js';
+import { invalidateAuditCache } from './audit-log.controller.js';
+import logger from '../utils/logger.js';
+
+const SCHEDULE_ERRORS = {
+  FEE_SCHEDULE_NOT_FOUND: { status: 404, message: 'Fee schedule not found' },
+  DUPLICATE_FEE_SCHEDULE: {
+    status: 409,
+    message: 'A fee schedule already exists for this product, token and KYC tier'
+  }
+};
+
+// Known schedule errors and validation failures; returns false for anything else
+const sendScheduleError = (res, error) => {
+  const known = SCHEDULE_ERRORS[error.message];
+  if (known) {
+    res.status(known.status).json({
+      success: false,
+      code: error.message,
+      message: known.message,
+      data: error.data
+    });
+    return true;
+  }
+
+  if (error.name === 'ValidationError') {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid fee schedule',
+      errors: Object.values(error.errors).map((e) => ({ field: e.path, message: e.message }))
+    });
+    return true;
+  }
+
+  return false;
+};
+
+const describeSchedule = (schedule) => {
+  const scope = [schedule.token, schedule.kycTier].filter(Boolean).join(', ');
+  return `${schedule.name} (${schedule.product}${scope ? `, ${scope}` : ''})`;
+};
+
+class FeeController {
+  /**
+   * Fee a deposit, withdrawal or purchase would incur, before the user confirms it
+   * GET /api/v1/fees/quote
+   */
+  static async getQuote(req, res) {
+    try {
+      const quote = await FeeService.quoteFromQuery(req.user.userId, req.query);
+
+      res.json({
+        success: true,
+        data: quote
+      });
+    } catch (error) {
+      if (error.message === 'INVALID_FEE_QUOTE') {
+        return res.status(400).json({
+          success: false,
+          message: error.data.message,
+          error: error.message
+        });
+      }
+      if (error.message === 'PRICE_UNAVAILABLE') {
+        return res.status(503).json({
+          success: false,
+          message: `No price available for ${error.data.token}. Try again shortly`,
+          error: error.message
+        });
+      }
+
+      logger.error('❌ Error quoting fee', {
+        error: error.message,
+        userId: req.user?.userId,
+        query: req.query
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to quote fee',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/v1/fees/schedules
+   */
+  static async getSchedules(req, res) {
+    try {
+      const schedules = await FeeService.listSchedules(req.query);
+
+      res.json({
+        success: true,
+        data: schedules,
+        count: schedules.length
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching fee schedules', {
+        error: error.message,
+        adminId: req.admin?.id
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch fee schedules',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/v1/fees/schedules
+   */
+  static async createSchedule(req, res) {
+    try {
+      const schedule = await FeeService.createSchedule(req.body, req.admin?.username);
+
+      await createAuditLog(req, res, {
+        action: 'fee_schedule_created',
+        resourceType: 'fee_schedule',
+        resourceId: schedule._id.toString(),
+        resourceName: schedule.name,
+        changes: { after: schedule.toObject() },
+        description: `Admin ${req.admin?.username || 'unknown'} created fee schedule ${describeSchedule(schedule)}`
+      });
+      await invalidateAuditCache();
+
+      res.status(201).json({
+        success: true,
+        message: 'Fee schedule created',
+        data: schedule
+      });
+    } catch (error) {
+      if (sendScheduleError(res, error)) return;
+
+      logger.error('❌ Error creating fee schedule', {
+        error: error.message,
+        adminId: req.admin?.id
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create fee schedule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/v1/fees/schedules/:id
+   */
+  static async updateSchedule(req, res) {
+    try {
+      const { before, schedule } = await FeeService.updateSchedule(req.params.id, req.body, req.admin?.username);
+
+      await createAuditLog(req, res, {
+        action: 'fee_schedule_updated',
+        resourceType: 'fee_schedule',
+        resourceId: schedule._id.toString(),
+        resourceName: schedule.name,
+        changes: { before, after: schedule.toObject() },
+        description: `Admin ${req.admin?.username || 'unknown'} updated fee schedule ${describeSchedule(schedule)}`
+      });
+      await invalidateAuditCache();
+
+      res.json({
+        success: true,
+        message: 'Fee schedule updated',
+        data: schedule
+      });
+    } catch (error) {
+      if (sendScheduleError(res, error)) return;
+
+      logger.error('❌ Error updating fee schedule', {
+        error: error.message,
+        scheduleId: req.params.id,
+        adminId: req.admin?.id
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update fee schedule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/v1/fees/schedules/:id
+   */
+  static async deleteSchedule(req, res) {
+    try {
+      const schedule = await FeeService.deleteSchedule(req.params.id);
+
+      await createAuditLog(req, res, {
+        action: 'fee_schedule_deleted',
+        resourceType: 'fee_schedule',
+        resourceId: schedule._id.toString(),
+        resourceName: schedule.name,
+        changes: { before: schedule.toObject() },
+        description: `Admin ${req.admin?.username || 'unknown'} deleted fee schedule ${describeSchedule(schedule)}`
+      });
+      await invalidateAuditCache();
+
+      res.json({
+        success: true,
+        message: 'Fee schedule deleted'
+      });
+    } catch (error) {
+      if (sendScheduleError(res, error)) return;
+
+      logger.error('❌ Error deleting fee schedule', {
+        error: error.message,
+        scheduleId: req.params.id,
+        adminId: req.admin?.id
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete fee schedule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Fee revenue totals by product, token and day
+   * GET /api/v1/fees/revenue
+   */
+  static async getRevenue(req, res) {
+    try {
+      const revenue = await FeeService.getRevenue(req.query);
+
+      res.json({
+        success: true,
+        data: revenue
+      });
+    } catch (error) {
+      if (error.message === 'INVALID_FILTER') {
+        return res.status(400).json({
+          success: false,
+          message: error.data.message,
+          error: error.message
+        });
+      }
+
+      logger.error('❌ Error fetching fee revenue', {
+        error: error.message,
+        adminId: req.admin?.id
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch fee revenue',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Individual fee charges, newest first
+   * GET /api/v1/fees/charges
+   */
+  static async getCharges(req, res) {
+    try {
+      const result = await FeeService.getCharges(req.query);
+
+      res.json({
+        success: true,
+        data: result.charges,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      if (error.message === 'INVALID_FILTER') {
+        return res.status(400).json({
+          success: false,
+          message: error.data.message,
+          error: error.message
+        });
+      }
+
+      logger.error('❌ Error fetching fee charges', {
+        error: error.message,
+        adminId: req.admin?.id
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch fee charges',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default FeeController;
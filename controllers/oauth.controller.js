@@ -1,17 +1,15 @@
-import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import User from '../model/user.model.js';
 import logger from '../utils/logger.js';
 import { createNotification } from '../utils/notificationHelper.js';
 import FinancialSummaryService from '../services/financial-summary.service.js';
+import { generateUserChallengeToken } from '../middlewares/user-auth.middleware.js';
+import LoginHistoryService from '../services/login-history.service.js';
+import { completeLogin } from './user-auth.controller.js';
 
-// Generate JWT token for user with 48 hour expiration
-const generateUserToken = (userId) => {
-  return jwt.sign(
-    { userId, type: 'user' },
-    process.env.JWT_SECRET,
-    { expiresIn: '48h' } // 48 hours as requested
-  );
-};
+const LOGIN_CODE_TTL_SECONDS = 60;
+
+const hashLoginCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
 
 // Initiate Google OAuth authentication
 export const initiateGoogleAuth = (req, res, next) => {
@@ -38,40 +36,39 @@ export const handleGoogleCallback = async (req, res) => {
     }
 
     const user = req.user;
-    
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
 
-    // Generate JWT token
-    const token = generateUserToken(user._id);
+    // Google has already verified the address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
 
-    // Create login notification
-    await createNotification({
-      action: 'user_login',
-      description: `User ${user.email} logged in via Google OAuth`,
-      metadata: {
+    // Users with 2FA finish signing in on the frontend's code screen
+    if (user.twoFactor?.enabled) {
+      logger.info('🔐 Google OAuth login requires 2FA', {
         userId: user._id,
-        userEmail: user.email,
-        authProvider: 'google',
-        loginMethod: 'oauth',
-        ip: req.ip,
-        userAgent: req.get('User-Agent'),
-        additionalInfo: {
-          loginTime: new Date().toISOString()
-        }
-      }
-    });
+        email: user.email
+      });
+
+      await LoginHistoryService.record(req, { user, authProvider: 'google', outcome: 'two_factor_required' });
+
+      const challengeToken = generateUserChallengeToken(user._id, 'oauth');
+      return res.redirect(`${process.env.FRONTEND_URL}/auth/2fa?challenge=${challengeToken}`);
+    }
+    
+    // Tokens never go in the URL: the frontend exchanges this single-use code for them
+    const code = crypto.randomBytes(32).toString('hex');
+    user.oauthLoginCodeHash = hashLoginCode(code);
+    user.oauthLoginCodeExpires = new Date(Date.now() + LOGIN_CODE_TTL_SECONDS * 1000);
+    await user.save();
 
-    logger.info('✅ Google OAuth login successful', {
+    logger.info('✅ Google OAuth callback verified, login code issued', {
       userId: user._id,
-      email: user.email,
-      authProvider: 'google'
+      email: user.email
     });
 
-    // Redirect to frontend with token
-    const redirectUrl = `${process.env.FRONTEND_URL}/auth/callback?token=${token}`;
-    res.redirect(redirectUrl);
+    res.redirect(`${process.env.FRONTEND_URL}/auth/callback?code=${code}`);
 
   } catch (error) {
     logger.error('❌ Google OAuth callback error', {
@@ -84,6 +81,54 @@ export const handleGoogleCallback = async (req, res) => {
   }
 };
 
+// Exchange the code from the Google callback for an access token and refresh token
+export const exchangeLoginCode = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Login code is required'
+      });
+    }
+
+    // Clearing the code in the same update makes it single-use
+    const user = await User.findOneAndUpdate(
+      {
+        oauthLoginCodeHash: hashLoginCode(code),
+        oauthLoginCodeExpires: { $gt: new Date() }
+      },
+      { $unset: { oauthLoginCodeHash: 1, oauthLoginCodeExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user || !user.isActive) {
+      logger.warn('❌ Invalid or expired Google login code', {
+        ip: req.ip,
+        userId: user?._id
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Login code is invalid or has expired. Please sign in again.'
+      });
+    }
+
+    await completeLogin(req, res, user, 'oauth');
+
+  } catch (error) {
+    logger.error('❌ Google login code exchange error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during login'
+    });
+  }
+};
+
 // Get current user profile (for authenticated users)
 export const getCurrentUser = async (req, res) => {
   try {
@@ -2,10 +2,61 @@
 import PortfolioService from '../services/portfolio.service.js';
 import FinancialSummaryService from '../services/financial-summary.service.js';
 import BalanceService from '../services/balance.service.js';
+import LedgerService from '../services/ledger.service.js';
+import EquitySnapshotService, { HISTORY_RANGES } from '../services/equity-snapshot.service.js';
+import PerformanceService from '../services/performance.service.js';
+import StatementService, { STATEMENT_FORMATS } from '../services/statement.service.js';
+import TaxReportService, { COST_BASIS_METHODS, TAX_REPORT_FORMATS } from '../services/tax-report.service.js';
 import { createAuditLog } from '../utils/auditHelper.js';
 import { invalidateAuditCache } from './audit-log.controller.js';
 import logger from '../utils/logger.js';
 
+const sendFile = (res, file) => {
+  res.set({
+    'Content-Type': file.contentType,
+    'Content-Disposition': `attachment; filename="${file.fileName}"`,
+    'Content-Length': String(file.buffer.length),
+    'Cache-Control': 'no-store'
+  });
+  res.send(file.buffer);
+};
+
+const sendStatementError = (res, error) => {
+  const status = error.message === 'INVALID_FORMAT' ? 400 : error.message === 'STATEMENT_NOT_FOUND' ? 404 : 500;
+  const messages = {
+    INVALID_FORMAT: `format must be one of: ${Object.keys(STATEMENT_FORMATS).join(', ')}`,
+    STATEMENT_NOT_FOUND: 'Statement not found'
+  };
+
+  res.status(status).json({
+    success: false,
+    message: messages[error.message] || 'Failed to download statement',
+    error: error.message
+  });
+};
+
+// Defaults to the last full calendar year and FIFO
+const parseTaxReportQuery = (query) => ({
+  year: query.year ? Number(query.year) : new Date().getUTCFullYear() - 1,
+  method: query.method || 'fifo'
+});
+
+const sendTaxReportError = (res, error) => {
+  const messages = {
+    INVALID_YEAR: `year must be a full year between 2000 and ${new Date().getUTCFullYear()}`,
+    INVALID_METHOD: `method must be one of: ${COST_BASIS_METHODS.join(', ')}`,
+    INVALID_FORMAT: `format must be one of: ${Object.keys(TAX_REPORT_FORMATS).join(', ')}`,
+    USER_NOT_FOUND: 'User not found'
+  };
+  const status = error.message === 'USER_NOT_FOUND' ? 404 : messages[error.message] ? 400 : 500;
+
+  res.status(status).json({
+    success: false,
+    message: messages[error.message] || 'Failed to build tax report',
+    error: error.message
+  });
+};
+
 class PortfolioController {
   /**
    * Get authenticated user's portfolio (User endpoint)
@@ -216,8 +267,8 @@ class PortfolioController {
   }
 
   /**
-   * Authenticated user's equity summary
-   * GET /api/v1/portfolio/my-financial-summary
+   * Authenticated user's equity summary, with TWR/MWR for an optional period
+   * GET /api/v1/portfolio/my-financial-summary?from=&to=
    */
   static async getMyFinancialSummary(req, res) {
     try {
@@ -230,10 +281,15 @@ class PortfolioController {
       }
 
       const summary = await FinancialSummaryService.syncUserFinancialMetrics(userId);
+      const performance = await PerformanceService.computeReturns(userId, {
+        from: req.query.from,
+        to: req.query.to,
+        currentValue: summary.currentValue
+      });
 
       res.json({
         success: true,
-        data: summary
+        data: { ...summary, performance }
       });
     } catch (error) {
       logger.error('❌ Error fetching financial summary', {
@@ -241,6 +297,14 @@ class PortfolioController {
         userId: req.user?.userId
       });
 
+      if (error.message === 'INVALID_PERIOD') {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be valid dates with from before to',
+          error: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to fetch financial summary',
@@ -250,17 +314,22 @@ class PortfolioController {
   }
 
   /**
-   * Admin: user's equity summary
-   * GET /api/v1/portfolio/user/:userId/financial-summary
+   * Admin: user's equity summary, with TWR/MWR for an optional period
+   * GET /api/v1/portfolio/user/:userId/financial-summary?from=&to=
    */
   static async getUserFinancialSummary(req, res) {
     try {
       const { userId } = req.params;
       const summary = await FinancialSummaryService.syncUserFinancialMetrics(userId);
+      const performance = await PerformanceService.computeReturns(userId, {
+        from: req.query.from,
+        to: req.query.to,
+        currentValue: summary.currentValue
+      });
 
       res.json({
         success: true,
-        data: summary
+        data: { ...summary, performance }
       });
     } catch (error) {
       logger.error('❌ Error fetching user financial summary', {
@@ -269,6 +338,14 @@ class PortfolioController {
         adminId: req.admin?.id
       });
 
+      if (error.message === 'INVALID_PERIOD') {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be valid dates with from before to',
+          error: error.message
+        });
+      }
+
       const status = error.message === 'USER_NOT_FOUND' ? 404 : 500;
       res.status(status).json({
         success: false,
@@ -304,10 +381,12 @@ class PortfolioController {
         currentValue
       });
 
-      const result = await BalanceService.adminUpdateFinancialMetrics(userId, {
-        accountBalance,
-        currentValue
-      });
+      const result = await BalanceService.adminUpdateFinancialMetrics(
+        userId,
+        { accountBalance, currentValue },
+        null,
+        { actor: req.admin?.username }
+      );
 
       await createAuditLog(req, res, {
         action: 'user_financials_updated',
@@ -397,6 +476,359 @@ class PortfolioController {
       });
     }
   }
+
+  /**
+   * Get authenticated user's ledger entries (User endpoint)
+   * GET /api/v1/portfolio/my-ledger?page=&limit=&token=&type=
+   */
+  static async getMyLedger(req, res) {
+    try {
+      const userId = req.user?.userId;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: 'User authentication required'
+        });
+      }
+
+      const { page, limit, token, type } = req.query;
+      const ledger = await LedgerService.getUserLedger(userId, { page, limit, token, type });
+
+      res.json({
+        success: true,
+        data: ledger
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching user ledger', {
+        error: error.message,
+        userId: req.user?.userId
+      });
+
+      const status = error.message === 'INVALID_LEDGER_TYPE' ? 400 : 500;
+      res.status(status).json({
+        success: false,
+        message: error.message === 'INVALID_LEDGER_TYPE'
+          ? 'Invalid ledger entry type'
+          : 'Failed to fetch ledger',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Admin: user's ledger entries
+   * GET /api/v1/portfolio/user/:userId/ledger?page=&limit=&token=&type=
+   */
+  static async getUserLedger(req, res) {
+    try {
+      const { userId } = req.params;
+      const { page, limit, token, type } = req.query;
+
+      logger.info('📒 Admin fetching user ledger', { userId, adminId: req.admin?.id });
+
+      const ledger = await LedgerService.getUserLedger(userId, { page, limit, token, type });
+
+      res.json({
+        success: true,
+        data: ledger
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching user ledger', {
+        error: error.message,
+        userId: req.params.userId,
+        adminId: req.admin?.id
+      });
+
+      const status = error.message === 'INVALID_LEDGER_TYPE' ? 400 : 500;
+      res.status(status).json({
+        success: false,
+        message: error.message === 'INVALID_LEDGER_TYPE'
+          ? 'Invalid ledger entry type'
+          : 'Failed to fetch ledger',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get authenticated user's daily equity history (User endpoint)
+   * GET /api/v1/portfolio/my-history?range=30d|90d|1y|all
+   */
+  static async getMyHistory(req, res) {
+    try {
+      const userId = req.user?.userId;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: 'User authentication required'
+        });
+      }
+
+      const history = await EquitySnapshotService.getHistory(userId, req.query.range || '30d');
+
+      res.json({
+        success: true,
+        data: history
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching equity history', {
+        error: error.message,
+        userId: req.user?.userId
+      });
+
+      const status = error.message === 'INVALID_RANGE' ? 400 : 500;
+      res.status(status).json({
+        success: false,
+        message: error.message === 'INVALID_RANGE'
+          ? `range must be one of: ${Object.keys(HISTORY_RANGES).join(', ')}`
+          : 'Failed to fetch equity history',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Admin: user's daily equity history
+   * GET /api/v1/portfolio/user/:userId/history?range=30d|90d|1y|all
+   */
+  static async getUserHistory(req, res) {
+    try {
+      const { userId } = req.params;
+      const history = await EquitySnapshotService.getHistory(userId, req.query.range || '30d');
+
+      res.json({
+        success: true,
+        data: history
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching equity history', {
+        error: error.message,
+        userId: req.params.userId,
+        adminId: req.admin?.id
+      });
+
+      const status = error.message === 'INVALID_RANGE' ? 400 : 500;
+      res.status(status).json({
+        success: false,
+        message: error.message === 'INVALID_RANGE'
+          ? `range must be one of: ${Object.keys(HISTORY_RANGES).join(', ')}`
+          : 'Failed to fetch equity history',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List authenticated user's monthly statements (User endpoint)
+   * GET /api/v1/portfolio/statements
+   */
+  static async getMyStatements(req, res) {
+    try {
+      const userId = req.user?.userId;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: 'User authentication required'
+        });
+      }
+
+      const statements = await StatementService.listStatements(userId);
+
+      res.json({
+        success: true,
+        data: { statements }
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching statements', {
+        error: error.message,
+        userId: req.user?.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch statements',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Download one of the authenticated user's statements (User endpoint)
+   * GET /api/v1/portfolio/statements/:id/download?format=pdf|csv
+   */
+  static async downloadMyStatement(req, res) {
+    try {
+      const userId = req.user?.userId;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: 'User authentication required'
+        });
+      }
+
+      const file = await StatementService.getFile(userId, req.params.id, req.query.format || 'pdf');
+      sendFile(res, file);
+    } catch (error) {
+      logger.error('❌ Error downloading statement', {
+        error: error.message,
+        userId: req.user?.userId,
+        statementId: req.params.id
+      });
+
+      sendStatementError(res, error);
+    }
+  }
+
+  /**
+   * Admin: list a user's monthly statements
+   * GET /api/v1/portfolio/user/:userId/statements
+   */
+  static async getUserStatements(req, res) {
+    try {
+      const statements = await StatementService.listStatements(req.params.userId);
+
+      res.json({
+        success: true,
+        data: { statements }
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching statements', {
+        error: error.message,
+        userId: req.params.userId,
+        adminId: req.admin?.id
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch statements',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Admin: download one of a user's statements
+   * GET /api/v1/portfolio/user/:userId/statements/:id/download?format=pdf|csv
+   */
+  static async downloadUserStatement(req, res) {
+    try {
+      const file = await StatementService.getFile(req.params.userId, req.params.id, req.query.format || 'pdf');
+      sendFile(res, file);
+    } catch (error) {
+      logger.error('❌ Error downloading statement', {
+        error: error.message,
+        userId: req.params.userId,
+        statementId: req.params.id,
+        adminId: req.admin?.id
+      });
+
+      sendStatementError(res, error);
+    }
+  }
+
+  /**
+   * Authenticated user's realized gains for a tax year (User endpoint)
+   * GET /api/v1/portfolio/tax-report?year=2025&method=fifo|average
+   */
+  static async getMyTaxReport(req, res) {
+    try {
+      const userId = req.user?.userId;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: 'User authentication required'
+        });
+      }
+
+      const report = await TaxReportService.buildReport(userId, parseTaxReportQuery(req.query));
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('❌ Error building tax report', {
+        error: error.message,
+        userId: req.user?.userId
+      });
+
+      sendTaxReportError(res, error);
+    }
+  }
+
+  /**
+   * Download the authenticated user's realized gains report (User endpoint)
+   * GET /api/v1/portfolio/tax-report/download?year=2025&method=fifo|average&format=csv|pdf
+   */
+  static async downloadMyTaxReport(req, res) {
+    try {
+      const userId = req.user?.userId;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: 'User authentication required'
+        });
+      }
+
+      const file = await TaxReportService.getFile(userId, {
+        ...parseTaxReportQuery(req.query),
+        format: req.query.format || 'csv'
+      });
+      sendFile(res, file);
+    } catch (error) {
+      logger.error('❌ Error downloading tax report', {
+        error: error.message,
+        userId: req.user?.userId
+      });
+
+      sendTaxReportError(res, error);
+    }
+  }
+
+  /**
+   * Admin: user's realized gains for a tax year
+   * GET /api/v1/portfolio/user/:userId/tax-report?year=2025&method=fifo|average
+   */
+  static async getUserTaxReport(req, res) {
+    try {
+      const report = await TaxReportService.buildReport(req.params.userId, parseTaxReportQuery(req.query));
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('❌ Error building tax report', {
+        error: error.message,
+        userId: req.params.userId,
+        adminId: req.admin?.id
+      });
+
+      sendTaxReportError(res, error);
+    }
+  }
+
+  /**
+   * Admin: download a user's realized gains report
+   * GET /api/v1/portfolio/user/:userId/tax-report/download?year=2025&method=fifo|average&format=csv|pdf
+   */
+  static async downloadUserTaxReport(req, res) {
+    try {
+      const file = await TaxReportService.getFile(req.params.userId, {
+        ...parseTaxReportQuery(req.query),
+        format: req.query.format || 'csv'
+      });
+      sendFile(res, file);
+    } catch (error) {
+      logger.error('❌ Error downloading tax report', {
+        error: error.message,
+        userId: req.params.userId,
+        adminId: req.admin?.id
+      });
+
+      sendTaxReportError(res, error);
+    }
+  }
 }
 
 export default PortfolioController;
\ No newline at end of file
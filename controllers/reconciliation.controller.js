@@ -0,0 +1,199 @@
+// controllers/reconciliation.controller.js
+// Admin endpoints for reconciliation reports and discrepancy fixes
+import ReconciliationService from '../services/reconciliation.service.js';
+import { createAuditLog } from '../utils/auditHelper.js';
+import { invalidateAuditCache } from './audit-log.controller.js';
+import logger from '../utils/logger.js';
+
+const FIX_ERRORS = {
+  REPORT_NOT_FOUND: { status: 404, message: 'Reconciliation report not found' },
+  DISCREPANCY_NOT_FOUND: { status: 404, message: 'Discrepancy not found' },
+  DISCREPANCY_ALREADY_FIXED: { status: 409, message: 'Discrepancy has already been fixed' },
+  DISCREPANCY_NOT_FIXABLE: {
+    status: 422,
+    message: 'Transaction discrepancies must be investigated manually and cannot be fixed automatically'
+  }
+};
+
+class ReconciliationController {
+  /**
+   * List reconciliation runs (without their discrepancies)
+   * GET /api/v1/reconciliation/reports
+   */
+  static async getReports(req, res) {
+    try {
+      const { page, limit } = req.query;
+      const result = await ReconciliationService.listReports({ page, limit });
+
+      res.json({
+        success: true,
+        data: result.reports,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching reconciliation reports', {
+        error: error.message,
+        adminId: req.admin?.id
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch reconciliation reports',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * One reconciliation run with its discrepancies
+   * GET /api/v1/reconciliation/reports/:id
+   */
+  static async getReport(req, res) {
+    try {
+      const report = await ReconciliationService.getReport(req.params.id);
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      if (error.message === 'REPORT_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          message: 'Reconciliation report not found'
+        });
+      }
+
+      logger.error('❌ Error fetching reconciliation report', {
+        error: error.message,
+        reportId: req.params.id,
+        adminId: req.admin?.id
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch reconciliation report',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Start a reconciliation run now. The run continues in the background;
+   * poll the returned report until its status is no longer 'running'.
+   * POST /api/v1/reconciliation/run
+   */
+  static async triggerRun(req, res) {
+    try {
+      let report;
+      try {
+        report = await ReconciliationService.startRun({
+          trigger: 'manual',
+          triggeredBy: req.admin?.username
+        });
+      } catch (error) {
+        if (error.message === 'RECONCILIATION_IN_PROGRESS') {
+          return res.status(409).json({
+            success: false,
+            message: 'A reconciliation run is already in progress'
+          });
+        }
+        throw error;
+      }
+
+      ReconciliationService.executeRun(report).catch((error) => {
+        logger.error('❌ Manual reconciliation run failed', {
+          reportId: report._id,
+          error: error.message
+        });
+      });
+
+      await createAuditLog(req, res, {
+        action: 'reconciliation_run_triggered',
+        resourceType: 'system',
+        resourceId: report._id.toString(),
+        resourceName: 'reconciliation',
+        description: `Admin ${req.admin?.username || 'unknown'} started a reconciliation run`
+      });
+      await invalidateAuditCache();
+
+      res.status(202).json({
+        success: true,
+        message: 'Reconciliation run started',
+        data: report
+      });
+    } catch (error) {
+      logger.error('❌ Error starting reconciliation run', {
+        error: error.message,
+        adminId: req.admin?.id
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start reconciliation run',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Fix one discrepancy from a report
+   * POST /api/v1/reconciliation/reports/:id/discrepancies/:discrepancyId/fix
+   */
+  static async fixDiscrepancy(req, res) {
+    try {
+      const { id, discrepancyId } = req.params;
+      const { discrepancy, result } = await ReconciliationService.fixDiscrepancy(
+        id,
+        discrepancyId,
+        req.admin?.username
+      );
+
+      await createAuditLog(req, res, {
+        action: 'reconciliation_discrepancy_fixed',
+        resourceType: 'user',
+        resourceId: String(discrepancy.user),
+        resourceName: discrepancy.email,
+        changes: {
+          before: { [discrepancy.field]: discrepancy.stored },
+          after: { [discrepancy.field]: discrepancy.expected },
+          kind: discrepancy.kind,
+          reportId: id,
+          result
+        },
+        description: `Fixed ${discrepancy.kind} (${discrepancy.field}) for user: ${discrepancy.email}`
+      });
+      await invalidateAuditCache();
+
+      res.json({
+        success: true,
+        message: 'Discrepancy fixed',
+        data: { discrepancy, result }
+      });
+    } catch (error) {
+      const known = FIX_ERRORS[error.message];
+      if (known) {
+        return res.status(known.status).json({
+          success: false,
+          code: error.message,
+          message: known.message
+        });
+      }
+
+      logger.error('❌ Error fixing reconciliation discrepancy', {
+        error: error.message,
+        reportId: req.params.id,
+        discrepancyId: req.params.discrepancyId,
+        adminId: req.admin?.id
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fix discrepancy',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default ReconciliationController;
@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import StockPurchase from '../model/stock-purchase.model.js';
 import StockPurchaseService from '../services/stock-purchase.service.js';
+import TransactionExportService from '../services/transaction-export.service.js';
 import { createNotification } from '../utils/notificationHelper.js';
 import { createAuditLog } from '../utils/auditHelper.js';
 import { invalidateAuditCache } from './audit-log.controller.js';
@@ -191,11 +192,10 @@ class StockPurchaseController {
     }
   }
 
+  // Optional filters: status, user, from, to, token (stock symbol)
   static async getAllStockPurchases(req, res) {
     try {
-      const { status } = req.query;
-      const filter = {};
-      if (status) filter.stock_status = status;
+      const filter = TransactionExportService.buildFilter('stock-purchases', req.query);
 
       const purchases = await StockPurchase.find(filter)
         .populate('user', 'email fullName firstName lastName')
@@ -209,6 +209,9 @@ class StockPurchaseController {
         count: enriched.length
       });
     } catch (error) {
+      if (error.message === 'INVALID_FILTER') {
+        return res.status(400).json({ success: false, message: error.data.message });
+      }
       logger.error('❌ Get all stock purchases failed', { error: error.message });
       return res.status(500).json({ success: false, message: 'Failed to fetch stock purchases' });
     }
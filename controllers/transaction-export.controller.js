@@ -0,0 +1,112 @@
+import TransactionExportService, { EXPORT_FORMATS } from '../services/transaction-export.service.js';
+import { createAuditLog } from '../utils/auditHelper.js';
+import { invalidateAuditCache } from './audit-log.controller.js';
+import logger from '../utils/logger.js';
+
+const setDownloadHeaders = (res, prepared) => {
+  res.set({
+    'Content-Type': prepared.contentType,
+    'Content-Disposition': `attachment; filename="${prepared.fileName}"`,
+    'Cache-Control': 'no-store'
+  });
+};
+
+// Validation errors are answered as JSON; once the file has started we can only cut it off
+const handleExportError = (res, error, context) => {
+  logger.error('❌ Error exporting transactions', { error: error.message, ...context });
+
+  if (res.headersSent) {
+    res.destroy(error);
+    return;
+  }
+
+  if (error.message === 'INVALID_FORMAT') {
+    return res.status(400).json({
+      success: false,
+      message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+      error: error.message
+    });
+  }
+  if (error.message === 'INVALID_FILTER') {
+    return res.status(400).json({
+      success: false,
+      message: error.data.message,
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Failed to export transactions',
+    error: error.message
+  });
+};
+
+const adminExport = (kind, { action, resourceType, label }) => async (req, res) => {
+  try {
+    const prepared = TransactionExportService.prepareExport(kind, req.query);
+    const { format, ...filters } = req.query;
+
+    await createAuditLog(req, res, {
+      action,
+      resourceType,
+      description: `Admin ${req.admin?.username || 'unknown'} exported ${label} as ${prepared.format.toUpperCase()}`,
+      changes: { filters }
+    });
+    await invalidateAuditCache();
+
+    logger.info('📤 Exporting transactions', {
+      kind,
+      format: prepared.format,
+      filters,
+      adminUsername: req.admin?.username
+    });
+
+    setDownloadHeaders(res, prepared);
+    await TransactionExportService.streamExport(res, prepared);
+    res.end();
+  } catch (error) {
+    handleExportError(res, error, { kind, adminId: req.admin?.id });
+  }
+};
+
+// GET /api/v1/deposits/export
+export const exportDeposits = adminExport('deposits', {
+  action: 'deposits_exported',
+  resourceType: 'deposit',
+  label: 'deposits'
+});
+
+// GET /api/v1/withdraws/export
+export const exportWithdrawals = adminExport('withdrawals', {
+  action: 'withdrawals_exported',
+  resourceType: 'withdraw',
+  label: 'withdrawals'
+});
+
+// GET /api/v1/copytrade-purchases/export
+export const exportCopytradePurchases = adminExport('copytrade-purchases', {
+  action: 'copytrade_purchases_exported',
+  resourceType: 'copytrade_purchase',
+  label: 'copytrade purchases'
+});
+
+// GET /api/v1/stock-purchases/export
+export const exportStockPurchases = adminExport('stock-purchases', {
+  action: 'stock_purchases_exported',
+  resourceType: 'stock_purchase',
+  label: 'stock purchases'
+});
+
+// The user's own deposits, withdrawals, copytrades and stock purchases in one file
+export const exportMyActivity = async (req, res) => {
+  try {
+    const prepared = TransactionExportService.prepareUserActivityExport(req.user.userId, req.query);
+
+    setDownloadHeaders(res, prepared);
+    await TransactionExportService.streamUserActivity(res, prepared);
+    res.end();
+  } catch (error) {
+    handleExportError(res, error, { userId: req.user?.userId });
+  }
+};
@@ -0,0 +1,266 @@
+// controllers/transfer.controller.js
+// Internal transfers between users; listing and reversal for admins
+import TransferService, { TRANSFER_LIMITS } from '../services/transfer.service.js';
+import { createAuditLog } from '../utils/auditHelper.js';
+import { invalidateAuditCache } from './audit-log.controller.js';
+import { createNotification } from '../utils/notificationHelper.js';
+import {
+  notifyTransferSent,
+  notifyTransferReceived,
+  notifyTransferReversed
+} from '../utils/emailService.js';
+import logger from '../utils/logger.js';
+
+const TRANSFER_ERRORS = {
+  INVALID_AMOUNT: { status: 400, message: 'Token name and a positive amount are required' },
+  RECIPIENT_REQUIRED: { status: 400, message: 'Recipient email or username is required' },
+  USER_NOT_FOUND: { status: 404, message: 'User not found' },
+  ACCOUNT_INACTIVE: { status: 403, message: 'Account is inactive' },
+  KYC_REQUIRED: { status: 403, message: 'Complete identity verification before sending transfers' },
+  RECIPIENT_NOT_FOUND: { status: 404, message: 'Recipient not found' },
+  RECIPIENT_AMBIGUOUS: {
+    status: 409,
+    message: 'More than one account uses this username. Use the recipient\'s email instead'
+  },
+  CANNOT_TRANSFER_TO_SELF: { status: 400, message: 'You cannot transfer to your own account' },
+  RECIPIENT_KYC_REQUIRED: { status: 400, message: 'The recipient has not completed identity verification' },
+  TRANSFER_LIMIT_EXCEEDED: { status: 400, message: 'Transfer is outside the allowed limits' },
+  TOKEN_NOT_IN_PORTFOLIO: { status: 400, message: 'You do not hold this token' },
+  INSUFFICIENT_TOKEN_BALANCE: { status: 400, message: 'Insufficient token balance' },
+  TRANSFER_NOT_FOUND: { status: 404, message: 'Transfer not found' },
+  TRANSFER_ALREADY_REVERSED: { status: 409, message: 'Transfer has already been reversed' },
+  RECIPIENT_INSUFFICIENT_BALANCE: {
+    status: 409,
+    message: 'The recipient no longer holds enough of the token to reverse this transfer'
+  }
+};
+
+// Known transfer errors and validation failures; returns false for anything else
+const sendTransferError = (res, error) => {
+  const known = TRANSFER_ERRORS[error.message];
+  if (known) {
+    res.status(known.status).json({
+      success: false,
+      code: error.message,
+      message: known.message,
+      data: error.data
+    });
+    return true;
+  }
+
+  if (error.name === 'ValidationError') {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid transfer',
+      errors: Object.values(error.errors).map((e) => ({ field: e.path, message: e.message }))
+    });
+    return true;
+  }
+
+  return false;
+};
+
+class TransferController {
+  /**
+   * Send held tokens to another verified user
+   * POST /api/v1/transfers
+   */
+  static async createTransfer(req, res) {
+    try {
+      const { recipient, token_name, amount, note } = req.body;
+
+      const { transfer, sender, recipient: recipientUser } = await TransferService.createTransfer({
+        senderId: req.user.userId,
+        recipient,
+        tokenName: token_name,
+        amount,
+        note
+      });
+
+      await createNotification({
+        action: 'transfer',
+        userId: sender._id,
+        metadata: {
+          amount: transfer.amount,
+          currency: transfer.token_name,
+          referenceId: transfer._id.toString(),
+          additionalInfo: {
+            recipientId: recipientUser._id.toString(),
+            recipientEmail: recipientUser.email,
+            usdValue: transfer.usdValue
+          }
+        }
+      });
+
+      notifyTransferSent(sender._id, transfer, recipientUser).catch(() => {});
+      notifyTransferReceived(recipientUser._id, transfer, sender).catch(() => {});
+
+      res.status(201).json({
+        success: true,
+        message: 'Transfer completed',
+        data: {
+          _id: transfer._id,
+          recipient: { email: recipientUser.email, username: recipientUser.username },
+          token_name: transfer.token_name,
+          amount: transfer.amount,
+          tokenPrice: transfer.tokenPrice,
+          usdValue: transfer.usdValue,
+          note: transfer.note,
+          status: transfer.status,
+          createdAt: transfer.createdAt
+        }
+      });
+    } catch (error) {
+      if (sendTransferError(res, error)) return;
+
+      logger.error('❌ Error creating transfer', {
+        error: error.message,
+        userId: req.user?.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to complete transfer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * The signed-in user's transfers, sent and received
+   * GET /api/v1/transfers/my
+   */
+  static async getMyTransfers(req, res) {
+    try {
+      const result = await TransferService.getUserTransfers(req.user.userId, req.query);
+
+      res.json({
+        success: true,
+        data: result.transfers,
+        pagination: result.pagination,
+        limits: TRANSFER_LIMITS
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching user transfers', {
+        error: error.message,
+        userId: req.user?.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch transfers',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/v1/transfers
+   */
+  static async getAllTransfers(req, res) {
+    try {
+      const result = await TransferService.getAllTransfers(req.query);
+
+      res.json({
+        success: true,
+        data: result.transfers,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching transfers', {
+        error: error.message,
+        adminId: req.admin?.id
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch transfers',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/v1/transfers/:id
+   */
+  static async getTransfer(req, res) {
+    try {
+      const transfer = await TransferService.getTransfer(req.params.id);
+
+      res.json({
+        success: true,
+        data: transfer
+      });
+    } catch (error) {
+      if (sendTransferError(res, error)) return;
+
+      logger.error('❌ Error fetching transfer', {
+        error: error.message,
+        transferId: req.params.id,
+        adminId: req.admin?.id
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch transfer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Return a transfer's tokens to the sender
+   * POST /api/v1/transfers/:id/reverse
+   */
+  static async reverseTransfer(req, res) {
+    try {
+      const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          message: 'A reason is required to reverse a transfer'
+        });
+      }
+
+      const { transfer } = await TransferService.reverseTransfer(req.params.id, req.admin?.username, reason);
+
+      await createAuditLog(req, res, {
+        action: 'transfer_reversed',
+        resourceType: 'transfer',
+        resourceId: transfer._id.toString(),
+        resourceName: `${transfer.amount} ${transfer.token_name}`,
+        changes: {
+          before: { status: 'completed' },
+          after: { status: transfer.status, reversalReason: reason }
+        },
+        description: `Admin ${req.admin?.username || 'unknown'} reversed transfer of ${transfer.amount} ${transfer.token_name} ($${transfer.usdValue}): ${reason}`
+      });
+      await invalidateAuditCache();
+
+      notifyTransferReversed(transfer.sender, transfer).catch(() => {});
+      notifyTransferReversed(transfer.recipient, transfer).catch(() => {});
+
+      res.json({
+        success: true,
+        message: 'Transfer reversed',
+        data: transfer
+      });
+    } catch (error) {
+      if (sendTransferError(res, error)) return;
+
+      logger.error('❌ Error reversing transfer', {
+        error: error.message,
+        transferId: req.params.id,
+        adminId: req.admin?.id
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reverse transfer',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default TransferController;
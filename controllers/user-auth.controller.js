@@ -1,20 +1,102 @@
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import jwt from 'jsonwebtoken';
 import User from '../model/user.model.js';
 import logger from '../utils/logger.js';
 import { createNotification } from '../utils/notificationHelper.js';
+import redisClient from '../config/redis.js';
+import SessionService from '../services/session.service.js';
+import LoginGuardService from '../services/login-guard.service.js';
+import LoginHistoryService from '../services/login-history.service.js';
+import AccountClosureService, { COOLING_OFF_DAYS } from '../services/account-closure.service.js';
+import ApiKeyService from '../services/api-key.service.js';
+import { API_KEY_SCOPES } from '../config/api-scopes.js';
+import {
+  notifyEmailVerification,
+  notifyPasswordReset,
+  notifyPasswordChanged
+} from '../utils/emailService.js';
+import { brand } from '../utils/emailTemplates.js';
+import { createAuditLog } from '../utils/auditHelper.js';
+import { invalidateAuditCache } from './audit-log.controller.js';
+import {
+  generateUserChallengeToken,
+  verifyUserChallengeToken,
+  lockedResponse,
+  registerFailedLogin
+} from '../middlewares/user-auth.middleware.js';
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  generateBackupCodes,
+  hashBackupCode
+} from '../utils/totp.js';
+
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const TWO_FACTOR_SECRET_FIELDS =
+  '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS = 120;
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const PASSWORD_RESET_RESEND_COOLDOWN_SECONDS = 120;
+
+// Check and remove a backup code in one write, so a code can only be used once
+const consumeBackupCode = async (userId, backupCode) => {
+  const hash = hashBackupCode(backupCode);
+  const result = await User.updateOne(
+    { _id: userId, 'twoFactor.backupCodes': hash },
+    { $pull: { 'twoFactor.backupCodes': hash } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Wrong codes on the 2FA settings endpoints count against the login lockout
+const rejectTwoFactorCode = async (req, res, user) => {
+  const failure = await registerFailedLogin(req, res, user.email, user);
+
+  logger.warn('❌ User 2FA code rejected', {
+    userId: user._id,
+    endpoint: req.originalUrl,
+    attempts: failure.attempts
+  });
+
+  if (failure.accountLocked || failure.ipLocked) {
+    return lockedResponse(res, await LoginGuardService.checkLock('user', user.email, req.ip));
+  }
+
+  return res.status(401).json({
+    success: false,
+    message: 'Invalid verification code'
+  });
+};
 
-// Generate JWT token for user with 48 hour expiration
-const generateUserToken = (userId) => {
-  return jwt.sign(
-    { userId, type: 'user' },
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Email a signed, expiring verification link. The token is bound to the current
+// address, so it stops working if the email changes.
+const sendVerificationEmail = async (user) => {
+  const token = jwt.sign(
+    { userId: user._id, email: user.email, type: 'email_verification' },
     process.env.JWT_SECRET,
-    { expiresIn: '48h' }
+    { expiresIn: `${EMAIL_VERIFICATION_TTL_HOURS}h` }
+  );
+
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+
+  await notifyEmailVerification(
+    user._id,
+    `${brand.siteUrl}/verify-email?token=${token}`,
+    EMAIL_VERIFICATION_TTL_HOURS
   );
 };
 
-// Validate password strength
-const validatePassword = (password) => {
+// Validate password strength (shared with admin account management)
+export const validatePassword = (password) => {
   const minLength = 8;
   const hasUpperCase = /[A-Z]/.test(password);
   const hasLowerCase = /[a-z]/.test(password);
@@ -45,6 +127,69 @@ const validatePassword = (password) => {
   };
 };
 
+// Finish a successful login: record it, notify, and return a 15-minute access token and a refresh token
+export const completeLogin = async (req, res, user, loginMethod) => {
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Start a session for this device
+  const { token, refreshToken, expiresIn } = await SessionService.createSession(user._id, req);
+
+  await LoginHistoryService.record(req, {
+    user,
+    authProvider: loginMethod === 'oauth' ? 'google' : 'manual',
+    outcome: 'success'
+  });
+
+  // Create login notification
+  await createNotification({
+    action: 'user_login',
+    description: `User ${user.email} logged in via ${user.authProvider === 'google' ? 'Google OAuth' : 'manual authentication'}`,
+    metadata: {
+      userId: user._id,
+      userEmail: user.email,
+      authProvider: user.authProvider,
+      loginMethod,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      additionalInfo: {
+        loginTime: new Date().toISOString()
+      }
+    }
+  });
+
+  logger.info('✅ User login successful', {
+    userId: user._id,
+    email: user.email,
+    authProvider: user.authProvider,
+    loginMethod
+  });
+
+  // Return user data without password
+  const userResponse = {
+    id: user._id,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    username: user.username,
+    authProvider: user.authProvider,
+    isActive: user.isActive,
+    isEmailVerified: user.isEmailVerified,
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+    lastLogin: user.lastLogin
+  };
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    user: userResponse,
+    token,
+    refreshToken,
+    expiresIn
+  });
+};
+
 // User Signup
 export const signup = async (req, res) => {
   try {
@@ -135,8 +280,10 @@ export const signup = async (req, res) => {
     const user = new User(userData);
     await user.save();
 
-    // Generate JWT token
-    const token = generateUserToken(user._id);
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await SessionService.createSession(user._id, req);
+
+    await sendVerificationEmail(user);
 
     // Create notifications
     await createNotification({
@@ -186,14 +333,17 @@ export const signup = async (req, res) => {
       username: user.username,
       authProvider: user.authProvider,
       isActive: user.isActive,
+      isEmailVerified: user.isEmailVerified,
       createdAt: user.createdAt
     };
 
     res.status(201).json({
       success: true,
-      message: 'Account created successfully',
+      message: 'Account created successfully. Please check your email to verify your address.',
       user: userResponse,
-      token
+      token,
+      refreshToken,
+      expiresIn
     });
 
   } catch (error) {
@@ -234,6 +384,20 @@ export const login = async (req, res) => {
       });
     }
 
+    // Refuse attempts while the account or IP is locked out
+    const lock = await LoginGuardService.checkLock('user', email.toLowerCase(), req.ip);
+    if (lock.locked) {
+      logger.warn('🔒 Login blocked - locked out', {
+        email: email?.toLowerCase(),
+        reason: lock.reason,
+        retryAfter: lock.retryAfter,
+        ip: req.ip
+      });
+
+      await LoginHistoryService.record(req, { email: email.toLowerCase(), authProvider: 'manual', outcome: 'locked' });
+      return lockedResponse(res, lock);
+    }
+
     // Find user and include password for verification
     const user = await User.findOne({ 
       email: email.toLowerCase() 
@@ -244,6 +408,13 @@ export const login = async (req, res) => {
         email: email?.toLowerCase()
       });
 
+      await LoginHistoryService.record(req, { email: email.toLowerCase(), authProvider: 'manual', outcome: 'invalid_credentials' });
+
+      const failure = await registerFailedLogin(req, res, email.toLowerCase(), null);
+      if (failure.accountLocked || failure.ipLocked) {
+        return lockedResponse(res, await LoginGuardService.checkLock('user', email.toLowerCase(), req.ip));
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -257,6 +428,7 @@ export const login = async (req, res) => {
         userId: user._id
       });
 
+      await LoginHistoryService.record(req, { user, authProvider: 'manual', outcome: 'inactive' });
       return res.status(401).json({
         success: false,
         message: 'Account is inactive. Please contact support.'
@@ -271,6 +443,7 @@ export const login = async (req, res) => {
         authProvider: user.authProvider
       });
 
+      await LoginHistoryService.record(req, { user, authProvider: 'manual', outcome: 'invalid_credentials' });
       return res.status(401).json({
         success: false,
         message: 'Please use Google login for this account'
@@ -285,60 +458,39 @@ export const login = async (req, res) => {
         userId: user._id
       });
 
+      await LoginHistoryService.record(req, { user, authProvider: 'manual', outcome: 'invalid_credentials' });
+
+      const failure = await registerFailedLogin(req, res, email.toLowerCase(), user);
+      if (failure.accountLocked || failure.ipLocked) {
+        return lockedResponse(res, await LoginGuardService.checkLock('user', email.toLowerCase(), req.ip));
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Generate JWT token
-    const token = generateUserToken(user._id);
-
-    // Create login notification
-    await createNotification({
-      action: 'user_login',
-      description: `User ${user.email} logged in via manual authentication`,
-      metadata: {
+    // With 2FA enabled the password only earns a short-lived challenge token.
+    // The failure count is kept until the code is verified.
+    if (user.twoFactor?.enabled) {
+      logger.info('🔐 User login requires 2FA', {
         userId: user._id,
-        userEmail: user.email,
-        authProvider: 'manual',
-        loginMethod: 'login',
-        ip: req.ip,
-        userAgent: req.get('User-Agent'),
-        additionalInfo: {
-          loginTime: new Date().toISOString()
-        }
-      }
-    });
+        email: user.email
+      });
 
-    logger.info('✅ User login successful', {
-      userId: user._id,
-      email: user.email,
-      authProvider: user.authProvider
-    });
+      await LoginHistoryService.record(req, { user, authProvider: 'manual', outcome: 'two_factor_required' });
 
-    // Return user data without password
-    const userResponse = {
-      id: user._id,
-      email: user.email,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      username: user.username,
-      authProvider: user.authProvider,
-      isActive: user.isActive,
-      lastLogin: user.lastLogin
-    };
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateUserChallengeToken(user._id)
+      });
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      user: userResponse,
-      token
-    });
+    await LoginGuardService.recordSuccess('user', email.toLowerCase());
+    await completeLogin(req, res, user, 'login');
 
   } catch (error) {
     logger.error('❌ User login error', {
@@ -383,7 +535,7 @@ export const changePassword = async (req, res) => {
       });
     }
 
-    // Find user with password
+    // Find user with password (a fresh 2FA code was already checked by requireTwoFactorCode)
     const user = await User.findById(userId).select('+password');
     if (!user) {
       return res.status(404).json({
@@ -411,16 +563,25 @@ export const changePassword = async (req, res) => {
 
     // Update password
     user.password = hashedNewPassword;
+    user.passwordChangedAt = new Date();
     await user.save();
 
+    // Sign out every device, then give this one a fresh session
+    const revokedSessions = await SessionService.revokeAllSessions(userId, 'password_changed');
+    const { token, refreshToken, expiresIn } = await SessionService.createSession(user._id, req);
+
     logger.info('✅ Password changed successfully', {
       userId,
-      email: user.email
+      email: user.email,
+      revokedSessions
     });
 
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully. All other sessions have been signed out.',
+      token,
+      refreshToken,
+      expiresIn
     });
 
   } catch (error) {
@@ -436,13 +597,22 @@ export const changePassword = async (req, res) => {
   }
 };
 
-// Logout (invalidate token on client side)
+// Logout (revokes the current session)
 export const logout = async (req, res) => {
   try {
     const userId = req.user.userId;
 
+    if (req.user.sessionId) {
+      try {
+        await SessionService.revokeSession(userId, req.user.sessionId, 'logout');
+      } catch (error) {
+        if (error.message !== 'SESSION_NOT_FOUND') throw error;
+      }
+    }
+
     logger.info('👋 User logout', {
       userId,
+      sessionId: req.user.sessionId,
       ip: req.ip
     });
 
@@ -462,4 +632,1077 @@ export const logout = async (req, res) => {
       message: 'Internal server error during logout'
     });
   }
-};
\ No newline at end of file
+};
+
+// Complete a 2FA login: exchange the challenge token and a TOTP/backup code for a session token
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and a verification code or backup code are required'
+      });
+    }
+
+    const decoded = verifyUserChallengeToken(challengeToken);
+    if (!decoded || await redisClient.isTokenBlacklisted(challengeToken)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired. Please login again.'
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired. Please login again.'
+      });
+    }
+
+    // Wrong codes count against the account lockout, which falls back to memory while Redis is down
+    const lock = await LoginGuardService.checkLock('user', user.email, req.ip);
+    if (lock.locked) {
+      await redisClient.blacklistToken(challengeToken, CHALLENGE_TTL_SECONDS);
+      return lockedResponse(res, lock);
+    }
+
+    let verified = false;
+    if (code) {
+      const step = verifyTotp(user.twoFactor.secret, code, {
+        lastUsedStep: user.twoFactor.lastUsedStep
+      });
+      if (step !== null) {
+        verified = true;
+        user.twoFactor.lastUsedStep = step;
+      }
+    } else if (await consumeBackupCode(user._id, backupCode)) {
+      verified = true;
+      logger.info('🔑 User signed in with a 2FA backup code', {
+        userId: user._id,
+        remaining: user.twoFactor.backupCodes.length - 1
+      });
+    }
+
+    if (!verified) {
+      const failure = await registerFailedLogin(req, res, user.email, user);
+
+      logger.warn('❌ User 2FA verification failed', {
+        userId: user._id,
+        attempts: failure.attempts
+      });
+
+      await LoginHistoryService.record(req, {
+        user,
+        authProvider: decoded.loginMethod === 'oauth' ? 'google' : 'manual',
+        outcome: 'two_factor_failed'
+      });
+
+      if (failure.accountLocked || failure.ipLocked) {
+        await redisClient.blacklistToken(challengeToken, CHALLENGE_TTL_SECONDS);
+        return lockedResponse(res, await LoginGuardService.checkLock('user', user.email, req.ip));
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    // One challenge, one session
+    await redisClient.blacklistToken(challengeToken, CHALLENGE_TTL_SECONDS);
+    await LoginGuardService.recordSuccess('user', user.email);
+
+    await completeLogin(req, res, user, decoded.loginMethod);
+
+  } catch (error) {
+    logger.error('❌ User 2FA verification error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during two-factor verification'
+    });
+  }
+};
+
+// Start 2FA enrollment: create a secret for the authenticator app
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    logger.info('🔐 User 2FA enrollment started', { userId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: 'CTM' })
+      }
+    });
+
+  } catch (error) {
+    logger.error('❌ User 2FA setup error', {
+      error: error.message,
+      userId: req.user?.userId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during two-factor setup'
+    });
+  }
+};
+
+// Finish 2FA enrollment with a code from the new secret; returns one-time backup codes
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.backupCodes = hashes;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    logger.info('✅ User 2FA enabled', { userId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe; they will not be shown again.',
+      data: {
+        backupCodes: codes
+      }
+    });
+
+  } catch (error) {
+    logger.error('❌ User 2FA enable error', {
+      error: error.message,
+      userId: req.user?.userId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while enabling two-factor authentication'
+    });
+  }
+};
+
+// Turn 2FA off (requires a current code or a backup code)
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { code, backupCode } = req.body;
+
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const lock = await LoginGuardService.checkLock('user', user.email, req.ip);
+    if (lock.locked) {
+      return lockedResponse(res, lock);
+    }
+
+    let verified = false;
+    if (code) {
+      verified = verifyTotp(user.twoFactor.secret, code, { lastUsedStep: user.twoFactor.lastUsedStep }) !== null;
+    } else if (backupCode) {
+      verified = await consumeBackupCode(user._id, backupCode);
+    }
+
+    if (!verified) {
+      return rejectTwoFactorCode(req, res, user);
+    }
+
+    await LoginGuardService.recordSuccess('user', user.email);
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    await createAuditLog(req, res, {
+      action: 'user_2fa_disabled',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      resourceName: user.email,
+      actor: { id: user._id.toString(), username: user.email, email: user.email, role: 'user' },
+      description: `User ${user.email} disabled two-factor authentication using a ${code ? 'verification' : 'backup'} code`
+    });
+    await invalidateAuditCache();
+
+    logger.info('🔓 User 2FA disabled', { userId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    logger.error('❌ User 2FA disable error', {
+      error: error.message,
+      userId: req.user?.userId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while disabling two-factor authentication'
+    });
+  }
+};
+
+// Replace all backup codes (requires a current code)
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user?.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const lock = await LoginGuardService.checkLock('user', user.email, req.ip);
+    if (lock.locked) {
+      return lockedResponse(res, lock);
+    }
+
+    const step = verifyTotp(user.twoFactor.secret, code, {
+      lastUsedStep: user.twoFactor.lastUsedStep
+    });
+    if (step === null) {
+      return rejectTwoFactorCode(req, res, user);
+    }
+
+    await LoginGuardService.recordSuccess('user', user.email);
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor.backupCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+
+    logger.info('🔑 User 2FA backup codes regenerated', { userId: user._id });
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      data: {
+        backupCodes: codes
+      }
+    });
+
+  } catch (error) {
+    logger.error('❌ User backup code regeneration error', {
+      error: error.message,
+      userId: req.user?.userId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while regenerating backup codes'
+    });
+  }
+};
+
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+export const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: presentedToken } = req.body;
+
+    if (!presentedToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    let result;
+    try {
+      result = await SessionService.refreshSession(presentedToken, req);
+    } catch (error) {
+      if (error.message === 'INVALID_REFRESH_TOKEN' || error.message === 'SESSION_EXPIRED') {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or was revoked. Please login again.'
+        });
+      }
+      throw error;
+    }
+
+    const user = await User.findById(result.userId).select('isActive');
+    if (!user || !user.isActive) {
+      await SessionService.revokeSession(result.userId, result.session._id, 'user_revoked');
+      return res.status(403).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
+    });
+
+  } catch (error) {
+    logger.error('❌ Token refresh error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during token refresh'
+    });
+  }
+};
+
+// List the user's active sessions (one per signed-in device)
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await SessionService.listSessions(req.user.userId);
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(req.user.sessionId)
+      })),
+      count: sessions.length
+    });
+
+  } catch (error) {
+    logger.error('❌ Error fetching sessions', {
+      error: error.message,
+      userId: req.user?.userId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching sessions'
+    });
+  }
+};
+
+// Revoke a single session (sign out one device)
+export const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session id'
+      });
+    }
+
+    try {
+      await SessionService.revokeSession(req.user.userId, id, 'user_revoked');
+    } catch (error) {
+      if (error.message === 'SESSION_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+      throw error;
+    }
+
+    logger.info('🔒 User session revoked', {
+      userId: req.user.userId,
+      sessionId: id
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    logger.error('❌ Error revoking session', {
+      error: error.message,
+      userId: req.user?.userId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while revoking session'
+    });
+  }
+};
+
+// Revoke every session, including the current one
+export const revokeAllSessions = async (req, res) => {
+  try {
+    const revoked = await SessionService.revokeAllSessions(req.user.userId, 'revoke_all');
+
+    res.json({
+      success: true,
+      message: 'All sessions revoked. Please login again.',
+      data: { revoked }
+    });
+
+  } catch (error) {
+    logger.error('❌ Error revoking all sessions', {
+      error: error.message,
+      userId: req.user?.userId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while revoking sessions'
+    });
+  }
+};
+
+// Recent login attempts for the signed-in user (newest first)
+export const getLoginHistory = async (req, res) => {
+  try {
+    const { events, pagination } = await LoginHistoryService.getHistory(req.user.userId, {
+      page: req.query.page,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      data: events,
+      pagination
+    });
+
+  } catch (error) {
+    logger.error('❌ Error fetching login history', {
+      error: error.message,
+      userId: req.user?.userId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching login history'
+    });
+  }
+};
+
+// Confirm an email address from the link sent at signup
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID',
+        message: error.name === 'TokenExpiredError'
+          ? 'Verification link has expired. Please request a new one.'
+          : 'Invalid verification link'
+      });
+    }
+
+    if (decoded.type !== 'email_verification') {
+      return res.status(400).json({
+        success: false,
+        code: 'TOKEN_INVALID',
+        message: 'Invalid verification link'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        code: 'TOKEN_INVALID',
+        message: 'Invalid verification link'
+      });
+    }
+
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+
+      logger.info('✅ Email verified', {
+        userId: user._id,
+        email: user.email
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    logger.error('❌ Email verification error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during email verification'
+    });
+  }
+};
+
+// Send a new verification email (throttled)
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const elapsedSeconds = user.emailVerificationSentAt
+      ? (Date.now() - user.emailVerificationSentAt.getTime()) / 1000
+      : Infinity;
+    if (elapsedSeconds < EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+      const retryAfter = Math.ceil(EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS - elapsedSeconds);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another verification email`,
+        retryAfter
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    logger.info('📧 Verification email resent', {
+      userId: user._id,
+      email: user.email
+    });
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    logger.error('❌ Resend verification error', {
+      error: error.message,
+      userId: req.user?.userId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while sending verification email'
+    });
+  }
+};
+
+// Forgot password: email a single-use reset link.
+// Always answers the same way so the endpoint cannot be used to discover accounts.
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    };
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() })
+      .select('+passwordResetExpires');
+
+    if (!user || !user.isActive || user.authProvider !== 'manual') {
+      logger.info('🔑 Password reset requested for unknown or non-manual account', {
+        email: String(email).toLowerCase(),
+        ip: req.ip
+      });
+      return res.json(genericResponse);
+    }
+
+    // Throttle: do not send another link right after the previous one
+    if (user.passwordResetExpires) {
+      const issuedAt = user.passwordResetExpires.getTime() - PASSWORD_RESET_TTL_MINUTES * 60 * 1000;
+      if (Date.now() - issuedAt < PASSWORD_RESET_RESEND_COOLDOWN_SECONDS * 1000) {
+        logger.warn('⚠️ Password reset throttled', { userId: user._id, ip: req.ip });
+        return res.json(genericResponse);
+      }
+    }
+
+    // Only the hash is stored; a new request replaces any earlier token
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    user.passwordResetTokenHash = hashResetToken(resetToken);
+    user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    await user.save();
+
+    await notifyPasswordReset(
+      user._id,
+      `${brand.siteUrl}/reset-password?token=${resetToken}`,
+      PASSWORD_RESET_TTL_MINUTES
+    );
+
+    logger.info('🔑 Password reset email sent', {
+      userId: user._id,
+      ip: req.ip
+    });
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    logger.error('❌ Forgot password error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during password reset request'
+    });
+  }
+};
+
+// Reset password with the emailed token; signs out every session
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token and new password are required'
+      });
+    }
+
+    const passwordValidation = validatePassword(newPassword);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password does not meet requirements',
+        errors: passwordValidation.errors
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashResetToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    }).select('+password +passwordResetTokenHash +passwordResetExpires');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        code: 'TOKEN_INVALID',
+        message: 'Reset link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    // Single use: clear the token together with the password change
+    user.password = await bcrypt.hash(newPassword, 12);
+    user.passwordChangedAt = new Date();
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    // The link proves control of the inbox
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    const revokedSessions = await SessionService.revokeAllSessions(user._id, 'password_reset');
+    // A reset usually means the account may have been compromised
+    const revokedApiKeys = await ApiKeyService.revokeAllKeys(user._id, 'password_reset');
+    await notifyPasswordChanged(user._id, user.passwordChangedAt);
+
+    logger.info('✅ Password reset successful', {
+      userId: user._id,
+      revokedSessions,
+      revokedApiKeys,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please login with your new password.'
+    });
+
+  } catch (error) {
+    logger.error('❌ Reset password error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during password reset'
+    });
+  }
+};
+
+const toApiKeyInfo = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  createdAt: apiKey.createdAt
+});
+
+const API_KEY_ERRORS = {
+  NAME_REQUIRED: 'API key name is required',
+  INVALID_SCOPES: `scopes must be a non-empty array of: ${Object.keys(API_KEY_SCOPES).join(', ')}`,
+  INVALID_EXPIRY: 'expiresInDays must be a whole number between 1 and 365',
+  KEY_LIMIT_REACHED: 'Maximum number of active API keys reached. Revoke one first.'
+};
+
+// List the user's active API keys (the secret part is never returned again)
+export const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKeyService.listKeys(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: apiKeys.map(toApiKeyInfo),
+        availableScopes: API_KEY_SCOPES
+      },
+      count: apiKeys.length
+    });
+
+  } catch (error) {
+    logger.error('❌ Error fetching API keys', {
+      error: error.message,
+      userId: req.user?.userId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching API keys'
+    });
+  }
+};
+
+// Create an API key; the full key is only included in this response
+export const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    let result;
+    try {
+      result = await ApiKeyService.createKey(req.user.userId, { name, scopes, expiresInDays });
+    } catch (error) {
+      if (API_KEY_ERRORS[error.message]) {
+        return res.status(400).json({
+          success: false,
+          message: API_KEY_ERRORS[error.message]
+        });
+      }
+      throw error;
+    }
+
+    logger.info('🔑 API key created', {
+      userId: req.user.userId,
+      apiKeyId: result.apiKey._id,
+      prefix: result.apiKey.prefix,
+      scopes: result.apiKey.scopes,
+      ip: req.ip
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now; it will not be shown again.',
+      data: {
+        key: result.key,
+        apiKey: toApiKeyInfo(result.apiKey)
+      }
+    });
+
+  } catch (error) {
+    logger.error('❌ Error creating API key', {
+      error: error.message,
+      userId: req.user?.userId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating API key'
+    });
+  }
+};
+
+// Revoke an API key immediately
+export const revokeApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid API key id'
+      });
+    }
+
+    try {
+      await ApiKeyService.revokeKey(req.user.userId, id);
+    } catch (error) {
+      if (error.message === 'API_KEY_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          message: 'API key not found'
+        });
+      }
+      throw error;
+    }
+
+    logger.info('🔑 API key revoked', {
+      userId: req.user.userId,
+      apiKeyId: id
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+
+  } catch (error) {
+    logger.error('❌ Error revoking API key', {
+      error: error.message,
+      userId: req.user?.userId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while revoking API key'
+    });
+  }
+};
+
+// Closure status plus anything that currently blocks closing the account
+export const getAccountClosure = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('accountClosure');
+    const { eligible, blockers } = await AccountClosureService.checkEligibility(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        pending: Boolean(user?.accountClosure?.scheduledFor),
+        requestedAt: user?.accountClosure?.requestedAt,
+        scheduledFor: user?.accountClosure?.scheduledFor,
+        coolingOffDays: COOLING_OFF_DAYS,
+        eligible,
+        blockers
+      }
+    });
+
+  } catch (error) {
+    logger.error('❌ Error fetching account closure status', {
+      error: error.message,
+      userId: req.user?.userId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching account closure status'
+    });
+  }
+};
+
+// Ask to close the account; it is deactivated after the cooling-off period
+export const requestAccountClosure = async (req, res) => {
+  try {
+    const { password, reason } = req.body;
+
+    const user = await User.findById(req.user.userId).select('+password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Google-only accounts have no password; their session (and 2FA, if enabled) is the proof
+    if (user.password) {
+      if (!password || !(await bcrypt.compare(password, user.password))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password is incorrect'
+        });
+      }
+    }
+
+    let closure;
+    try {
+      closure = await AccountClosureService.requestClosure(user, reason);
+    } catch (error) {
+      if (error.message === 'CLOSURE_ALREADY_REQUESTED') {
+        return res.status(409).json({
+          success: false,
+          message: 'Account closure has already been requested',
+          data: { scheduledFor: user.accountClosure.scheduledFor }
+        });
+      }
+      if (error.message === 'CLOSURE_BLOCKED') {
+        return res.status(409).json({
+          success: false,
+          code: 'CLOSURE_BLOCKED',
+          message: 'Your account cannot be closed yet',
+          blockers: error.blockers
+        });
+      }
+      throw error;
+    }
+
+    logger.info('🚪 Account closure requested', {
+      userId: user._id,
+      scheduledFor: closure.scheduledFor,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: `Your account will be closed on ${closure.scheduledFor.toISOString().slice(0, 10)}. You can cancel until then.`,
+      data: {
+        requestedAt: closure.requestedAt,
+        scheduledFor: closure.scheduledFor
+      }
+    });
+
+  } catch (error) {
+    logger.error('❌ Error requesting account closure', {
+      error: error.message,
+      userId: req.user?.userId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while requesting account closure'
+    });
+  }
+};
+
+// Cancel a pending closure during the cooling-off period
+export const cancelAccountClosure = async (req, res) => {
+  try {
+    try {
+      await AccountClosureService.cancelClosure(req.user.userId);
+    } catch (error) {
+      if (error.message === 'NO_CLOSURE_PENDING') {
+        return res.status(404).json({
+          success: false,
+          message: 'No account closure is pending'
+        });
+      }
+      throw error;
+    }
+
+    logger.info('🚪 Account closure cancelled by user', {
+      userId: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      message: 'Account closure cancelled'
+    });
+
+  } catch (error) {
+    logger.error('❌ Error cancelling account closure', {
+      error: error.message,
+      userId: req.user?.userId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while cancelling account closure'
+    });
+  }
+};
@@ -5,6 +5,9 @@ import { invalidateAuditCache } from "./audit-log.controller.js";
 import FinancialSummaryService from "../services/financial-summary.service.js";
 import BalanceService from "../services/balance.service.js";
 import logger from "../utils/logger.js";
+import { roleHasPermission } from "../config/roles.js";
+import LoginGuardService from "../services/login-guard.service.js";
+import ImpersonationService, { IMPERSONATION_TTL_SECONDS } from "../services/impersonation.service.js";
 
 // Get all users
 const getUsers = async (req, res, next) => {
@@ -201,14 +204,26 @@ const updateUser = async (req, res, next) => {
       });
     }
 
+    const touchesFinancialFields = ['accountBalance', 'currentValue', 'totalInvestment', 'roi']
+      .some((field) => Object.prototype.hasOwnProperty.call(req.body, field));
+
+    // Admin edits need users:write (checked by the route); balances also need portfolio:write
+    if (isAdmin && touchesFinancialFields) {
+      const missingPermissions = ['portfolio:write'].filter(
+        (permission) => !roleHasPermission(req.admin.role, permission)
+      );
+      if (missingPermissions.length > 0) {
+        return res.status(403).json({
+          success: false,
+          code: 'PERMISSION_DENIED',
+          message: `Your role (${req.admin.role || 'none'}) does not allow this action`,
+          missingPermissions
+        });
+      }
+    }
+
     // Non-admins cannot touch financial fields even if sent
-    if (
-      !isAdmin &&
-      (Object.prototype.hasOwnProperty.call(req.body, 'accountBalance') ||
-        Object.prototype.hasOwnProperty.call(req.body, 'currentValue') ||
-        Object.prototype.hasOwnProperty.call(req.body, 'totalInvestment') ||
-        Object.prototype.hasOwnProperty.call(req.body, 'roi'))
-    ) {
+    if (!isAdmin && touchesFinancialFields) {
       return res.status(403).json({
         success: false,
         message: 'Only admins can update financial fields'
@@ -271,7 +286,9 @@ const updateUser = async (req, res, next) => {
     if (hasFinancialUpdate) {
       financialResult = await BalanceService.adminUpdateFinancialMetrics(
         id,
-        financialFields
+        financialFields,
+        null,
+        { actor: req.admin?.username }
       );
       // ROI is recalculated by sync — drop manual roi if financials changed
       delete updates.roi;
@@ -427,10 +444,202 @@ const deleteUser = async (req, res, next) => {
   }
 };
 
+// Clear a login lockout (and optionally an IP lockout) for a user
+const unlockUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { ip } = req.body || {};
+
+    const user = await User.findById(id).select('email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const accountWasLocked = await LoginGuardService.unlock('user', user.email);
+    const ipWasLocked = ip ? await LoginGuardService.unlockIp(ip) : false;
+
+    await createAuditLog(req, res, {
+      action: 'login_lockout_cleared',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      resourceName: user.email,
+      description: `Admin ${req.admin?.username} cleared the login lockout for ${user.email}${ip ? ` and IP ${ip}` : ''}`
+    });
+    await invalidateAuditCache();
+
+    logger.info('🔓 User login lockout cleared', {
+      userId: user._id,
+      accountWasLocked,
+      ip,
+      ipWasLocked,
+      adminUsername: req.admin?.username
+    });
+
+    res.json({
+      success: true,
+      message: accountWasLocked || ipWasLocked ? 'Lockout cleared' : 'Account was not locked',
+      data: { accountWasLocked, ipWasLocked }
+    });
+  } catch (error) {
+    logger.error('❌ Error clearing user lockout', {
+      error: error.message,
+      userId: req.params.id,
+      adminId: req.admin?.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+// Issue a read-only, time-limited token to view the app as a user
+const impersonateUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const reason = String(req.body?.reason || '').trim();
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to impersonate a user'
+      });
+    }
+
+    const user = await User.findById(id).select('email firstName lastName isActive');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot impersonate a deactivated user'
+      });
+    }
+
+    const { token, expiresAt, jti } = ImpersonationService.issueToken(req.admin, user, reason);
+
+    await createAuditLog(req, res, {
+      action: 'user_impersonation_started',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      resourceName: user.email,
+      description: `Admin ${req.admin?.username} started impersonating ${user.email}: ${reason}`,
+      changes: {
+        after: { sessionId: jti, expiresAt, reason }
+      }
+    });
+    await invalidateAuditCache();
+
+    logger.info('🕵️ Admin impersonation started', {
+      adminId: req.admin?.id,
+      adminUsername: req.admin?.username,
+      userId: user._id,
+      sessionId: jti,
+      expiresAt
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Impersonation token issued (read-only)',
+      data: {
+        token,
+        expiresIn: IMPERSONATION_TTL_SECONDS,
+        expiresAt,
+        user: {
+          id: user._id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('❌ Error starting impersonation', {
+      error: error.message,
+      userId: req.params.id,
+      adminId: req.admin?.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+// End an impersonation session before it expires
+const endImpersonation = async (req, res, next) => {
+  try {
+    const decoded = ImpersonationService.decode(req.body?.token);
+
+    if (!decoded) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired impersonation token'
+      });
+    }
+
+    const isOwner = decoded.impersonation.adminId === req.admin?.id;
+    if (!isOwner && !roleHasPermission(req.admin?.role, 'admins:manage')) {
+      return res.status(403).json({
+        success: false,
+        code: 'PERMISSION_DENIED',
+        message: 'You can only end your own impersonation sessions'
+      });
+    }
+
+    await ImpersonationService.end(decoded, req.admin?.id);
+
+    await createAuditLog(req, res, {
+      action: 'user_impersonation_ended',
+      resourceType: 'user',
+      resourceId: decoded.userId,
+      description: `Admin ${req.admin?.username} ended impersonation session ${decoded.jti} started by ${decoded.impersonation.adminUsername}`
+    });
+    await invalidateAuditCache();
+
+    logger.info('🕵️ Admin impersonation ended', {
+      adminUsername: req.admin?.username,
+      userId: decoded.userId,
+      sessionId: decoded.jti
+    });
+
+    res.json({
+      success: true,
+      message: 'Impersonation session ended'
+    });
+  } catch (error) {
+    logger.error('❌ Error ending impersonation', {
+      error: error.message,
+      adminId: req.admin?.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: error.message
+    });
+    next(error);
+  }
+};
+
 export {
   getUsers,
   getUserById,
   createUser,
   updateUser,
-  deleteUser
+  deleteUser,
+  unlockUser,
+  impersonateUser,
+  endImpersonation
 };
\ No newline at end of file
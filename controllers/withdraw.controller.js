@@ -3,10 +3,12 @@ import Transaction from '../model/transaction.model.js';
 import User from '../model/user.model.js';
 import { validateUserExists, validateBodyUser } from '../utils/userValidation.js';
 import WithdrawService from '../services/withdraw.service.js';
+import WithdrawalLimitService from '../services/withdrawal-limit.service.js';
 import { createNotification } from '../utils/notificationHelper.js';
 import { createAuditLog } from '../utils/auditHelper.js';
 import { invalidateAuditCache } from './audit-log.controller.js';
 import { notifyWithdrawalSubmitted } from '../utils/emailService.js';
+import TransactionExportService from '../services/transaction-export.service.js';
 import logger from '../utils/logger.js';
 
 class WithdrawController {
@@ -81,16 +83,15 @@ class WithdrawController {
     }
   }
 
-  // Get all withdraws (admin only)
+  // Get all withdraws (admin only). Optional filters: status, user, from, to, token
   static async getAllWithdraws(req, res) {
     try {
       logger.info('💸 Fetching all withdrawals', {
         adminUsername: req.admin?.username
       });
 
-      const withdraws = await Transaction.find({ 
-        isWithdraw: true 
-      }).sort({ createdAt: -1 });
+      const filter = TransactionExportService.buildFilter('withdrawals', req.query);
+      const withdraws = await Transaction.find(filter).sort({ createdAt: -1 });
 
       // Create audit log
       await createAuditLog(req, res, {
@@ -113,6 +114,13 @@ class WithdrawController {
         count: withdraws.length
       });
     } catch (error) {
+      if (error.message === 'INVALID_FILTER') {
+        return res.status(400).json({
+          success: false,
+          message: error.data.message,
+          error: error.message
+        });
+      }
       logger.error('❌ Error fetching withdrawals', {
         error: error.message,
         adminId: req.admin?.id
@@ -129,7 +137,7 @@ class WithdrawController {
   // Create new withdraw
   static async createWithdraw(req, res) {
     try {
-      const { token_name, amount, token_withdraw_address, status } = req.body;
+      const { token_name, amount, token_withdraw_address } = req.body;
       const user = req.user?.userId;
 
       if (!user) {
@@ -154,8 +162,11 @@ class WithdrawController {
       }
 
       // Check if user has sufficient balance before creating withdrawal request
+      let fee;
+      let usdValue = null;
       try {
         const balanceCheck = await WithdrawService.checkSufficientBalance(user, token_name, amount);
+        fee = balanceCheck.fee;
 
         if (!balanceCheck.hasSufficientFunds) {
           logger.warn('⚠️ Insufficient balance for withdrawal request', {
@@ -174,10 +185,13 @@ class WithdrawController {
             data: {
               requiredUsdValue: balanceCheck.requiredUsdValue,
               currentBalance: balanceCheck.currentBalance,
-              deficit: balanceCheck.deficit
+              deficit: balanceCheck.deficit,
+              fee: balanceCheck.fee
             }
           });
         }
+
+        usdValue = balanceCheck.tokenPrice * Number(amount);
       } catch (error) {
         if (error.message === 'USER_NOT_FOUND') {
           return res.status(404).json({
@@ -197,12 +211,29 @@ class WithdrawController {
         amount,
         token_withdraw_address: token_withdraw_address || '',
         user,
-        status: status || 'pending',
         isWithdraw: true,
-        isDeposit: false
+        isDeposit: false,
+        fee
       };
 
-      const withdraw = await Transaction.create(withdrawData);
+      // Over the rolling limits (or unable to check them): hold for manual review instead of rejecting
+      let withdraw;
+      let limitResult = null;
+      if (Number.isFinite(usdValue)) {
+        ({ withdraw, limitResult } = await WithdrawalLimitService.createWithdrawal(user, usdValue, withdrawData));
+      } else {
+        withdraw = await Transaction.create({ ...withdrawData, status: 'under_review' });
+      }
+
+      const underReview = withdraw.status === 'under_review';
+      if (underReview) {
+        logger.warn('⚠️ Withdrawal over limits routed to manual review', {
+          userId: user,
+          tokenName: token_name,
+          requestedAmount: amount,
+          limitCheck: limitResult?.limitCheck
+        });
+      }
 
       await createNotification({
         action: 'withdraw',
@@ -210,7 +241,10 @@ class WithdrawController {
         metadata: {
           amount,
           currency: token_name,
-          referenceId: withdraw._id.toString()
+          referenceId: withdraw._id.toString(),
+          additionalInfo: underReview
+            ? { underReview: true, exceeded: limitResult?.limitCheck.exceeded ?? [] }
+            : undefined
         }
       });
 
@@ -219,7 +253,9 @@ class WithdrawController {
 
       res.status(201).json({
         success: true,
-        message: 'Withdrawal request created successfully',
+        message: underReview
+          ? 'Withdrawal request exceeds your withdrawal limit and has been sent for manual review'
+          : 'Withdrawal request created successfully',
         data: withdraw
       });
     } catch (error) {
@@ -501,7 +537,7 @@ class WithdrawController {
       }
 
       // Validate status is valid
-      const validStatuses = ['pending', 'approved', 'rejected'];
+      const validStatuses = ['pending', 'under_review', 'approved', 'rejected'];
       if (!validStatuses.includes(status)) {
         return res.status(400).json({
           success: false,
@@ -530,6 +566,120 @@ class WithdrawController {
     }
   }
 
+  // Signed-in user's withdrawal limits and remaining allowance
+  static async getMyLimits(req, res) {
+    try {
+      const allowance = await WithdrawalLimitService.getAllowance(req.user.userId);
+
+      res.json({
+        success: true,
+        data: allowance
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching withdrawal limits', {
+        error: error.message,
+        userId: req.user?.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch withdrawal limits',
+        error: error.message
+      });
+    }
+  }
+
+  // Admin: a user's withdrawal limits, usage and override
+  static async getUserLimits(req, res) {
+    try {
+      const validation = await validateUserExists(req.params.userId);
+      if (!validation.ok) {
+        return res.status(validation.status).json({ success: false, message: validation.message });
+      }
+
+      const [allowance, user] = await Promise.all([
+        WithdrawalLimitService.getAllowance(req.params.userId),
+        User.findById(req.params.userId).select('withdrawalLimits').lean()
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          ...allowance,
+          overrideDetails: user?.withdrawalLimits || null
+        }
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching user withdrawal limits', {
+        error: error.message,
+        userId: req.params.userId,
+        adminId: req.admin?.id
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch withdrawal limits',
+        error: error.message
+      });
+    }
+  }
+
+  // Admin: override a user's daily/monthly limits (null restores the tier default)
+  static async updateUserLimits(req, res) {
+    try {
+      const { dailyUsd, monthlyUsd, reason } = req.body;
+      const { before, after, email } = await WithdrawalLimitService.setOverride(
+        req.params.userId,
+        { dailyUsd, monthlyUsd, reason },
+        req.admin?.username
+      );
+
+      await createAuditLog(req, res, {
+        action: 'withdrawal_limits_updated',
+        resourceType: 'user',
+        resourceId: req.params.userId,
+        resourceName: email,
+        changes: { before, after },
+        description: `Admin ${req.admin?.username || 'unknown'} set withdrawal limits for ${email} to daily ${after.dailyUsd ?? 'default'}, monthly ${after.monthlyUsd ?? 'default'}${reason ? `: ${reason}` : ''}`
+      });
+      await invalidateAuditCache();
+
+      const allowance = await WithdrawalLimitService.getAllowance(req.params.userId);
+
+      res.json({
+        success: true,
+        message: 'Withdrawal limits updated',
+        data: allowance
+      });
+    } catch (error) {
+      if (error.message === 'USER_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      if (error.message === 'INVALID_LIMIT') {
+        return res.status(400).json({
+          success: false,
+          message: error.data.message,
+          error: error.message
+        });
+      }
+
+      logger.error('❌ Error updating withdrawal limits', {
+        error: error.message,
+        userId: req.params.userId,
+        adminId: req.admin?.id
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update withdrawal limits',
+        error: error.message
+      });
+    }
+  }
+
   // Admin: Create withdrawal on behalf of a user
   static async createWithdrawForUser(req, res) {
     try {
@@ -581,8 +731,10 @@ class WithdrawController {
       }
 
       // Check if user has sufficient balance before creating withdrawal request
+      let fee;
       try {
         const balanceCheck = await WithdrawService.checkSufficientBalance(userId, token_name, amount);
+        fee = balanceCheck.fee;
         
         if (!balanceCheck.hasSufficientFunds) {
           logger.warn('⚠️ Insufficient balance for admin withdrawal request', {
@@ -602,7 +754,8 @@ class WithdrawController {
             data: {
               requiredUsdValue: balanceCheck.requiredUsdValue,
               currentBalance: balanceCheck.currentBalance,
-              deficit: balanceCheck.deficit
+              deficit: balanceCheck.deficit,
+              fee: balanceCheck.fee
             }
           });
         }
@@ -630,7 +783,8 @@ class WithdrawController {
         user: userId,
         status: 'pending',
         isWithdraw: true,
-        isDeposit: false
+        isDeposit: false,
+        fee
       };
 
       const withdraw = await Transaction.create(withdrawData);
@@ -0,0 +1,101 @@
+// jobs/account-closure.job.js
+// Cron job: hourly — close accounts whose cooling-off period has ended
+import cron from 'node-cron';
+import AccountClosureService from '../services/account-closure.service.js';
+import logger from '../utils/logger.js';
+
+class AccountClosureJob {
+  constructor() {
+    this.cronSchedule = '15 * * * *'; // Every hour at :15
+    this.cronJob = null;
+    this.isRunning = false;
+    this.lastRunTime = null;
+    this.stats = {
+      totalRuns: 0,
+      totalAccountsClosed: 0,
+      totalClosuresCancelled: 0,
+      lastRunStats: null
+    };
+  }
+
+  async execute() {
+    if (this.isRunning) {
+      logger.warn('⏸️ Account closure job already running, skipping...');
+      return null;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const result = await AccountClosureService.processDueClosures();
+
+      this.lastRunTime = new Date();
+      this.stats.totalRuns++;
+      this.stats.totalAccountsClosed += result.closed;
+      this.stats.totalClosuresCancelled += result.cancelled;
+      this.stats.lastRunStats = result;
+
+      if (result.processed > 0) {
+        logger.info('🚪 Account closure job completed', result);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('❌ Account closure job failed', {
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  startScheduler() {
+    if (this.cronJob) {
+      logger.warn('⚠️ Account closure job scheduler already started');
+      return;
+    }
+
+    this.cronJob = cron.schedule(this.cronSchedule, async () => {
+      try {
+        await this.execute();
+      } catch (error) {
+        logger.error('❌ Error in account closure cron job', {
+          error: error.message
+        });
+      }
+    }, {
+      scheduled: true
+    });
+
+    logger.info('✅ Account closure job scheduler started', {
+      schedule: this.cronSchedule,
+      description: 'Runs hourly to close accounts whose cooling-off period has ended'
+    });
+  }
+
+  stopScheduler() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+      logger.info('⏹️ Account closure job scheduler stopped');
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      isRunning: this.isRunning,
+      lastRunTime: this.lastRunTime,
+      schedule: this.cronSchedule
+    };
+  }
+
+  async runNow() {
+    logger.info('🔧 Manually triggering account closure job');
+    return await this.execute();
+  }
+}
+
+export default AccountClosureJob;
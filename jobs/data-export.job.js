@@ -0,0 +1,102 @@
+// jobs/data-export.job.js
+// Cron job: every minute — build queued personal data exports, email their download links
+// and delete archives whose links have expired
+import cron from 'node-cron';
+import DataExportService from '../services/data-export.service.js';
+import logger from '../utils/logger.js';
+
+class DataExportJob {
+  constructor() {
+    this.cronSchedule = '* * * * *';
+    this.cronJob = null;
+    this.isRunning = false;
+    this.lastRunTime = null;
+    this.stats = {
+      totalRuns: 0,
+      totalExportsBuilt: 0,
+      totalExportsFailed: 0,
+      lastRunStats: null
+    };
+  }
+
+  async execute() {
+    if (this.isRunning) {
+      return null;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const result = await DataExportService.processPending();
+      result.purged = await DataExportService.purgeExpiredFiles();
+
+      this.lastRunTime = new Date();
+      this.stats.totalRuns++;
+      this.stats.totalExportsBuilt += result.succeeded;
+      this.stats.totalExportsFailed += result.failed;
+      this.stats.lastRunStats = result;
+
+      if (result.processed > 0 || result.purged > 0) {
+        logger.info('📦 Data export job processed exports', result);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('❌ Data export job failed', {
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  startScheduler() {
+    if (this.cronJob) {
+      logger.warn('⚠️ Data export job scheduler already started');
+      return;
+    }
+
+    this.cronJob = cron.schedule(this.cronSchedule, async () => {
+      try {
+        await this.execute();
+      } catch (error) {
+        logger.error('❌ Error in data export cron job', {
+          error: error.message
+        });
+      }
+    }, {
+      scheduled: true
+    });
+
+    logger.info('✅ Data export job scheduler started', {
+      schedule: this.cronSchedule,
+      description: 'Runs every minute to build queued personal data exports'
+    });
+  }
+
+  stopScheduler() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+      logger.info('⏹️ Data export job scheduler stopped');
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      isRunning: this.isRunning,
+      lastRunTime: this.lastRunTime,
+      schedule: this.cronSchedule
+    };
+  }
+
+  async runNow() {
+    logger.info('🔧 Manually triggering data export job');
+    return await this.execute();
+  }
+}
+
+export default DataExportJob;
@@ -0,0 +1,106 @@
+// jobs/equity-snapshot.job.js
+// Cron job: daily at 23:50 UTC — record each active user's equity for the day
+import cron from 'node-cron';
+import EquitySnapshotService from '../services/equity-snapshot.service.js';
+import logger from '../utils/logger.js';
+
+class EquitySnapshotJob {
+  constructor() {
+    // Late enough to capture the day's movements, early enough to finish before midnight
+    this.cronSchedule = '50 23 * * *';
+    this.timezone = 'UTC';
+    this.cronJob = null;
+    this.isRunning = false;
+    this.lastRunTime = null;
+    this.stats = {
+      totalRuns: 0,
+      totalSnapshots: 0,
+      lastRunStats: null
+    };
+  }
+
+  async execute() {
+    if (this.isRunning) {
+      logger.warn('⏸️ Equity snapshot job already running, skipping...');
+      return null;
+    }
+
+    this.isRunning = true;
+    const startTime = Date.now();
+
+    try {
+      const result = await EquitySnapshotService.snapshotAll(new Date(startTime));
+
+      this.lastRunTime = new Date();
+      this.stats.totalRuns++;
+      this.stats.totalSnapshots += result.snapshotted;
+      this.stats.lastRunStats = result;
+
+      logger.info('📸 Equity snapshot job completed', {
+        duration: `${Date.now() - startTime}ms`,
+        stats: result
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('❌ Equity snapshot job failed', {
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  startScheduler() {
+    if (this.cronJob) {
+      logger.warn('⚠️ Equity snapshot job scheduler already started');
+      return;
+    }
+
+    this.cronJob = cron.schedule(this.cronSchedule, async () => {
+      try {
+        await this.execute();
+      } catch (error) {
+        logger.error('❌ Error in equity snapshot cron job', {
+          error: error.message
+        });
+      }
+    }, {
+      scheduled: true,
+      timezone: this.timezone
+    });
+
+    logger.info('✅ Equity snapshot job scheduler started', {
+      schedule: this.cronSchedule,
+      timezone: this.timezone,
+      description: 'Runs daily to snapshot each active user\'s financial summary'
+    });
+  }
+
+  stopScheduler() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+      logger.info('⏹️ Equity snapshot job scheduler stopped');
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      isRunning: this.isRunning,
+      lastRunTime: this.lastRunTime,
+      schedule: this.cronSchedule,
+      timezone: this.timezone
+    };
+  }
+
+  async runNow() {
+    logger.info('🔧 Manually triggering equity snapshot job');
+    return await this.execute();
+  }
+}
+
+export default EquitySnapshotJob;
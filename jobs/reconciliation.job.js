@@ -0,0 +1,115 @@
+// jobs/reconciliation.job.js
+// Cron job: nightly — reconcile cached user metrics and holdings against source data
+import cron from 'node-cron';
+import ReconciliationService from '../services/reconciliation.service.js';
+import logger from '../utils/logger.js';
+
+class ReconciliationJob {
+  constructor() {
+    this.cronSchedule = '30 3 * * *'; // Every day at 03:30
+    this.cronJob = null;
+    this.isRunning = false;
+    this.lastRunTime = null;
+    this.stats = {
+      totalRuns: 0,
+      totalDiscrepancies: 0,
+      lastRunStats: null
+    };
+  }
+
+  async execute() {
+    if (this.isRunning) {
+      logger.warn('⏸️ Reconciliation job already running, skipping...');
+      return null;
+    }
+
+    this.isRunning = true;
+
+    try {
+      let report;
+      try {
+        report = await ReconciliationService.startRun({ trigger: 'scheduled' });
+      } catch (error) {
+        if (error.message === 'RECONCILIATION_IN_PROGRESS') {
+          logger.warn('⏸️ A reconciliation run is already in progress, skipping...');
+          return null;
+        }
+        throw error;
+      }
+
+      await ReconciliationService.executeRun(report);
+
+      const result = {
+        reportId: report._id,
+        status: report.status,
+        usersChecked: report.usersChecked,
+        usersWithDiscrepancies: report.usersWithDiscrepancies,
+        discrepancies: report.discrepancies.length,
+        userErrors: report.userErrors
+      };
+
+      this.lastRunTime = new Date();
+      this.stats.totalRuns++;
+      this.stats.totalDiscrepancies += result.discrepancies;
+      this.stats.lastRunStats = result;
+
+      return result;
+    } catch (error) {
+      logger.error('❌ Reconciliation job failed', {
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  startScheduler() {
+    if (this.cronJob) {
+      logger.warn('⚠️ Reconciliation job scheduler already started');
+      return;
+    }
+
+    this.cronJob = cron.schedule(this.cronSchedule, async () => {
+      try {
+        await this.execute();
+      } catch (error) {
+        logger.error('❌ Error in reconciliation cron job', {
+          error: error.message
+        });
+      }
+    }, {
+      scheduled: true
+    });
+
+    logger.info('✅ Reconciliation job scheduler started', {
+      schedule: this.cronSchedule,
+      description: 'Runs nightly to compare cached user metrics and holdings with source data'
+    });
+  }
+
+  stopScheduler() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+      logger.info('⏹️ Reconciliation job scheduler stopped');
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      isRunning: this.isRunning,
+      lastRunTime: this.lastRunTime,
+      schedule: this.cronSchedule
+    };
+  }
+
+  async runNow() {
+    logger.info('🔧 Manually triggering reconciliation job');
+    return await this.execute();
+  }
+}
+
+export default ReconciliationJob;
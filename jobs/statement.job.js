@@ -0,0 +1,106 @@
+// jobs/statement.job.js
+// Cron job: 02:00 UTC on the 1st — issue and email last month's account statements
+import cron from 'node-cron';
+import StatementService, { previousMonth } from '../services/statement.service.js';
+import logger from '../utils/logger.js';
+
+class StatementJob {
+  constructor() {
+    // After the last day's equity snapshot (23:50 UTC) has been taken
+    this.cronSchedule = '0 2 1 * *';
+    this.timezone = 'UTC';
+    this.cronJob = null;
+    this.isRunning = false;
+    this.lastRunTime = null;
+    this.stats = {
+      totalRuns: 0,
+      totalStatements: 0,
+      lastRunStats: null
+    };
+  }
+
+  async execute(period = previousMonth()) {
+    if (this.isRunning) {
+      logger.warn('⏸️ Statement job already running, skipping...');
+      return null;
+    }
+
+    this.isRunning = true;
+    const startTime = Date.now();
+
+    try {
+      const result = await StatementService.generateMonth(period);
+
+      this.lastRunTime = new Date();
+      this.stats.totalRuns++;
+      this.stats.totalStatements += result.generated;
+      this.stats.lastRunStats = result;
+
+      logger.info('🧾 Statement job completed', {
+        duration: `${Date.now() - startTime}ms`,
+        stats: result
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('❌ Statement job failed', {
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  startScheduler() {
+    if (this.cronJob) {
+      logger.warn('⚠️ Statement job scheduler already started');
+      return;
+    }
+
+    this.cronJob = cron.schedule(this.cronSchedule, async () => {
+      try {
+        await this.execute();
+      } catch (error) {
+        logger.error('❌ Error in statement cron job', {
+          error: error.message
+        });
+      }
+    }, {
+      scheduled: true,
+      timezone: this.timezone
+    });
+
+    logger.info('✅ Statement job scheduler started', {
+      schedule: this.cronSchedule,
+      timezone: this.timezone,
+      description: 'Runs monthly to issue the previous month\'s statements'
+    });
+  }
+
+  stopScheduler() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+      logger.info('⏹️ Statement job scheduler stopped');
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      isRunning: this.isRunning,
+      lastRunTime: this.lastRunTime,
+      schedule: this.cronSchedule,
+      timezone: this.timezone
+    };
+  }
+
+  async runNow(period) {
+    logger.info('🔧 Manually triggering statement job', { period });
+    return await this.execute(period);
+  }
+}
+
+export default StatementJob;
@@ -23,4 +23,24 @@ const arcjectMiddleware = async (req, res, next) => {
     }
 };
 
+// Per-user limit from a client built with aj.withRule(); must run after requireUserAuth
+export const userRateLimit = (limiter) => async (req, res, next) => {
+    try {
+        const decision = await limiter.protect(req, { requested: 1, userId: String(req.user.userId) });
+
+        if (decision.isDenied()) {
+            if (decision.reason.isRateLimit()) {
+                return res.status(429).json({ message: 'Rate limit exceeded' });
+            }
+            return res.status(403).json({ message: 'Access denied' });
+        }
+
+        return next();
+    } catch (error) {
+        // Fail open on Arcjet outages so the API stays available
+        console.error('ArcJet rate limit error:', error);
+        return next();
+    }
+};
+
 export default arcjectMiddleware;
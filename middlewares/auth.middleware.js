@@ -1,7 +1,33 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import { JWT_SECRET } from '../config/env.js';
+import Admin from '../model/admin.model.js';
+import { roleHasPermission } from '../config/roles.js';
 import { isTokenBlacklisted } from '../controllers/admin-auth.controller.js';
 
+/**
+ * Load the admin record behind a decoded admin JWT.
+ * Returns null when the account no longer exists, is disabled, or the token
+ * predates the last password reset.
+ */
+export const resolveActiveAdmin = async (decoded) => {
+  if (!decoded?.id || !mongoose.Types.ObjectId.isValid(decoded.id)) {
+    return null;
+  }
+
+  const admin = await Admin.findById(decoded.id).select('username email role isActive passwordChangedAt');
+  if (!admin || !admin.isActive) {
+    return null;
+  }
+
+  if (admin.passwordChangedAt && decoded.iat < Math.floor(admin.passwordChangedAt.getTime() / 1000)) {
+    return null;
+  }
+
+  return admin;
+};
+
 /**
  * Admin authentication middleware
  * Validates JWT token from Bearer Authorization header
@@ -56,12 +82,21 @@ export const requireAdminAuth = async (req, res, next) => {
       });
     }
 
-    // Add admin info to request object
+    // Make sure the account still exists and is enabled
+    const adminDoc = await resolveActiveAdmin(decoded);
+    if (!adminDoc) {
+      return res.status(401).json({
+        success: false,
+        message: 'Admin account not found or disabled. Please login again.'
+      });
+    }
+
+    // Add admin info to request object (role is the admin's permission role)
     req.admin = {
-      id: decoded.id,
-      username: decoded.username,
-      email: decoded.email,
-      role: decoded.role,
+      id: adminDoc._id.toString(),
+      username: adminDoc.username,
+      email: adminDoc.email,
+      role: adminDoc.role,
       isAdmin: decoded.isAdmin,
       iat: decoded.iat,
       exp: decoded.exp
@@ -106,12 +141,16 @@ export const optionalAdminAuth = async (req, res, next) => {
         try {
           const decoded = jwt.verify(token, JWT_SECRET);
           
-          if (decoded.isAdmin && decoded.role === 'admin') {
+          const adminDoc = decoded.isAdmin && decoded.role === 'admin'
+            ? await resolveActiveAdmin(decoded)
+            : null;
+
+          if (adminDoc) {
             req.admin = {
-              id: decoded.id,
-              username: decoded.username,
-              email: decoded.email,
-              role: decoded.role,
+              id: adminDoc._id.toString(),
+              username: adminDoc.username,
+              email: adminDoc.email,
+              role: adminDoc.role,
               isAdmin: decoded.isAdmin,
               iat: decoded.iat,
               exp: decoded.exp
@@ -131,6 +170,35 @@ export const optionalAdminAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Admin permission middleware
+ * Must run after requireAdminAuth. Passes when the admin's role grants
+ * every listed permission (see config/roles.js).
+ * Usage: router.put('/:id', requireAdminAuth, requirePermission('withdrawals:approve'), handler)
+ */
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.admin) {
+      return res.status(401).json({
+        success: false,
+        message: 'Admin authentication required'
+      });
+    }
+
+    const missing = permissions.filter((permission) => !roleHasPermission(req.admin.role, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        code: 'PERMISSION_DENIED',
+        message: `Your role (${req.admin.role}) does not allow this action`,
+        missingPermissions: missing
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Generate JWT token for admin login
  * Call this function when admin successfully signs in
@@ -153,6 +221,40 @@ export const generateAdminToken = (adminData) => {
   return jwt.sign(payload, JWT_SECRET, options);
 };
 
+/**
+ * Generate a short-lived challenge token after a correct password.
+ * It only proves the first factor and is exchanged for a full admin token
+ * once a TOTP or backup code is verified (see /api/v1/admin/auth/2fa/*).
+ */
+export const generateAdminChallengeToken = (admin) => {
+  const payload = {
+    id: admin._id.toString(),
+    purpose: 'admin_2fa'
+  };
+
+  const options = {
+    expiresIn: '5m',
+    issuer: 'CTM-Backend',
+    audience: 'CTM-Admin-2FA',
+    jwtid: crypto.randomUUID()
+  };
+
+  return jwt.sign(payload, JWT_SECRET, options);
+};
+
+/**
+ * Verify a challenge token from generateAdminChallengeToken
+ * Returns the decoded payload, or null when it is invalid or expired
+ */
+export const verifyAdminChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET, { audience: 'CTM-Admin-2FA' });
+    return decoded.purpose === 'admin_2fa' ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
 /**
  * Verify and decode JWT token (utility function)
  */
@@ -0,0 +1,63 @@
+// middlewares/email-verification.middleware.js
+import User from '../model/user.model.js';
+import logger from '../utils/logger.js';
+
+// Enabled unless REQUIRE_EMAIL_VERIFICATION=false
+const isEmailVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION !== 'false';
+
+/**
+ * Require the authenticated user to have a verified email (User.isEmailVerified === true).
+ * Must run after requireUserAuth. Disabled with REQUIRE_EMAIL_VERIFICATION=false.
+ * Existing databases need `npm run backfill-email-verified` first, or older accounts are blocked.
+ */
+export const requireEmailVerified = async (req, res, next) => {
+  try {
+    if (!isEmailVerificationRequired()) {
+      return next();
+    }
+
+    const userId = req.user?.userId;
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'User authentication required'
+      });
+    }
+
+    const user = await User.findById(userId).select('isEmailVerified email');
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.isEmailVerified) {
+      logger.warn('🚫 Email verification required — blocked action', {
+        userId: user._id,
+        email: user.email,
+        path: req.path,
+        method: req.method
+      });
+
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address before you can perform this action.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('❌ Email verification middleware error', {
+      error: error.message,
+      userId: req.user?.userId
+    });
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to verify email status'
+    });
+  }
+};
+
+export default requireEmailVerified;
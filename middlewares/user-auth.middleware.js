@@ -1,10 +1,167 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import User from '../model/user.model.js';
 import logger from '../utils/logger.js';
+import { verifyTotp } from '../utils/totp.js';
+import SessionService from '../services/session.service.js';
+import ApiKeyService from '../services/api-key.service.js';
+import ImpersonationService from '../services/impersonation.service.js';
+import LoginGuardService from '../services/login-guard.service.js';
+import { createAuditLog } from '../utils/auditHelper.js';
+import { invalidateAuditCache } from '../controllers/audit-log.controller.js';
+import { notifyAccountLocked } from '../utils/emailService.js';
 
-// Middleware to authenticate user tokens (not admin)
+const READ_ONLY_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Impersonation branch shared by requireUserAuth and requireUserOrAdminAuth.
+// The token is read-only and every request made with it is audited under the admin's name.
+export const applyImpersonation = async (req, res, next, decoded, user) => {
+  const admin = await ImpersonationService.resolveImpersonator(decoded);
+
+  if (!admin) {
+    return res.status(401).json({
+      success: false,
+      message: 'Impersonation session has ended'
+    });
+  }
+
+  req.user = {
+    userId: user._id,
+    email: user.email,
+    type: 'user',
+    impersonatedBy: {
+      id: admin._id.toString(),
+      username: admin.username
+    }
+  };
+  res.set('X-Impersonated-By', admin.username);
+
+  // Logged once the response is sent so the status code (including blocked writes) is recorded
+  res.on('finish', async () => {
+    await createAuditLog(req, res, {
+      action: 'user_impersonation_request',
+      resourceType: 'user',
+      resourceId: user._id.toString(),
+      resourceName: user.email,
+      description: `Admin ${admin.username} requested ${req.method} ${req.originalUrl} as ${user.email}`,
+      actor: {
+        id: admin._id.toString(),
+        username: admin.username,
+        email: admin.email,
+        role: admin.role
+      }
+    });
+    await invalidateAuditCache();
+  });
+
+  if (!READ_ONLY_METHODS.has(req.method)) {
+    logger.warn('🚫 Write attempted with impersonation token', {
+      adminId: admin._id,
+      userId: user._id,
+      method: req.method,
+      path: req.originalUrl
+    });
+
+    return res.status(403).json({
+      success: false,
+      code: 'IMPERSONATION_READ_ONLY',
+      message: 'Impersonation sessions are read-only'
+    });
+  }
+
+  next();
+};
+
+// Read a personal API key from X-API-Key or an "Authorization: Bearer ctm_..." header
+const extractApiKey = (req) => {
+  const headerKey = req.get('X-API-Key');
+  if (headerKey) {
+    return headerKey.trim();
+  }
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ') && ApiKeyService.looksLikeApiKey(authHeader.substring(7))) {
+    return authHeader.substring(7).trim();
+  }
+
+  return null;
+};
+
+// API-key branch of requireUserAuth. The route must have declared a scope with allowApiKey().
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await ApiKeyService.authenticate(key, req.ip);
+
+  if (!apiKey) {
+    logger.warn('❌ Invalid or expired API key', {
+      path: req.path,
+      ip: req.ip
+    });
+
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired API key'
+    });
+  }
+
+  if (!req.apiKeyScope) {
+    return res.status(403).json({
+      success: false,
+      code: 'API_KEY_NOT_ALLOWED',
+      message: 'This endpoint cannot be used with an API key'
+    });
+  }
+
+  if (!apiKey.scopes.includes(req.apiKeyScope)) {
+    logger.warn('❌ API key missing required scope', {
+      apiKeyId: apiKey._id,
+      userId: apiKey.user,
+      requiredScope: req.apiKeyScope,
+      path: req.path
+    });
+
+    return res.status(403).json({
+      success: false,
+      code: 'API_KEY_SCOPE_MISSING',
+      message: `API key is missing the required scope: ${req.apiKeyScope}`
+    });
+  }
+
+  const user = await User.findById(apiKey.user).select('-password');
+
+  if (!user || !user.isActive) {
+    return res.status(403).json({
+      success: false,
+      message: 'Account is deactivated'
+    });
+  }
+
+  req.user = {
+    userId: user._id,
+    email: user.email,
+    type: 'user',
+    authMethod: 'api_key',
+    apiKeyId: apiKey._id,
+    apiKeyScopes: apiKey.scopes
+  };
+
+  next();
+};
+
+// Let API keys call a route when they hold the given scope. Must run before requireUserAuth;
+// routes without it accept session tokens only.
+export const allowApiKey = (scope) => (req, res, next) => {
+  req.apiKeyScope = scope;
+  next();
+};
+
+// Middleware to authenticate user tokens (not admin) or scoped API keys
 export const requireUserAuth = async (req, res, next) => {
   try {
+    const apiKey = extractApiKey(req);
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+
     const authHeader = req.headers.authorization;
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -68,10 +225,29 @@ export const requireUserAuth = async (req, res, next) => {
       });
     }
 
+    if (decoded.impersonation) {
+      return await applyImpersonation(req, res, next, decoded, user);
+    }
+
+    // Reject tokens from revoked sessions or issued before a password change
+    if (!(await SessionService.isAccessTokenValid(decoded, user))) {
+      logger.warn('❌ Revoked session token used', {
+        userId: user._id,
+        sessionId: decoded.sid,
+        path: req.path
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please login again.'
+      });
+    }
+
     // Attach user info to request
     req.user = {
       userId: user._id,
       email: user.email,
+      sessionId: decoded.sid,
       type: 'user'
     };
 
@@ -137,13 +313,15 @@ export const optionalUserAuth = async (req, res, next) => {
     const token = authHeader.substring(7);
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    if (decoded.type === 'user') {
+    // Impersonation tokens are only honoured where requests are audited
+    if (decoded.type === 'user' && !decoded.impersonation) {
       const user = await User.findById(decoded.userId).select('-password');
       
-      if (user && user.isActive) {
+      if (user && user.isActive && await SessionService.isAccessTokenValid(decoded, user)) {
         req.user = {
           userId: user._id,
           email: user.email,
+          sessionId: decoded.sid,
           type: 'user'
         };
       }
@@ -156,4 +334,137 @@ export const optionalUserAuth = async (req, res, next) => {
     req.user = null;
     next();
   }
-};
\ No newline at end of file
+};
+
+// Short-lived token proving the password (or Google) step for users with 2FA enabled.
+// It is not accepted by requireUserAuth; exchange it at /api/v1/user-auth/2fa/verify.
+export const generateUserChallengeToken = (userId, loginMethod = 'login') => {
+  return jwt.sign(
+    { userId, type: 'user_2fa_challenge', loginMethod },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m', jwtid: crypto.randomUUID() }
+  );
+};
+
+// Returns the decoded challenge, or null when invalid/expired
+export const verifyUserChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === 'user_2fa_challenge' ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+export const lockedResponse = (res, lock) => {
+  res.set('Retry-After', String(lock.retryAfter));
+  return res.status(429).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: `Too many failed login attempts. Please try again in ${Math.ceil(lock.retryAfter / 60)} minute(s).`,
+    retryAfter: lock.retryAfter
+  });
+};
+
+// Count a failed login (password or 2FA code); emails the user and writes an audit entry when it triggers a lock
+export const registerFailedLogin = async (req, res, email, user) => {
+  const result = await LoginGuardService.recordFailure('user', email, req.ip);
+
+  if (result.accountLocked) {
+    if (user) {
+      await notifyAccountLocked(user._id, result.lockedUntil);
+    }
+    await createAuditLog(req, res, {
+      action: 'login_lockout',
+      resourceType: 'user',
+      resourceId: user?._id?.toString(),
+      resourceName: email,
+      actor: { id: 'system', username: 'login-guard' },
+      description: `User login for ${email} locked until ${result.lockedUntil.toISOString()} after repeated failed attempts (level ${result.lockLevel})`
+    });
+  }
+
+  if (result.ipLocked) {
+    await createAuditLog(req, res, {
+      action: 'login_lockout',
+      resourceType: 'auth',
+      resourceName: req.ip,
+      actor: { id: 'system', username: 'login-guard' },
+      description: `Logins from IP ${req.ip} locked after repeated failed attempts`
+    });
+  }
+
+  if (result.accountLocked || result.ipLocked) {
+    await invalidateAuditCache();
+  }
+
+  return result;
+};
+
+// Require a current TOTP code for sensitive actions when the user has 2FA enabled.
+// Must run after requireUserAuth. The code is read from body.twoFactorCode or the X-2FA-Code header.
+// Wrong codes count against the same lockout as failed logins.
+export const requireTwoFactorCode = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('email +twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!user?.twoFactor?.enabled) {
+      return next();
+    }
+
+    const lock = await LoginGuardService.checkLock('user', user.email, req.ip);
+    if (lock.locked) {
+      return lockedResponse(res, lock);
+    }
+
+    const code = req.body?.twoFactorCode || req.get('X-2FA-Code');
+    if (!code) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_REQUIRED',
+        message: 'A two-factor authentication code is required for this action'
+      });
+    }
+
+    const step = verifyTotp(user.twoFactor.secret, code, {
+      lastUsedStep: user.twoFactor.lastUsedStep
+    });
+    if (step === null) {
+      const failure = await registerFailedLogin(req, res, user.email, user);
+
+      logger.warn('❌ Invalid 2FA code for sensitive action', {
+        userId: user._id,
+        path: req.path,
+        method: req.method,
+        attempts: failure.attempts
+      });
+
+      if (failure.accountLocked || failure.ipLocked) {
+        return lockedResponse(res, await LoginGuardService.checkLock('user', user.email, req.ip));
+      }
+
+      return res.status(401).json({
+        success: false,
+        code: 'TWO_FACTOR_INVALID',
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    // Burn the code so it cannot be replayed
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.lastUsedStep': step } });
+    await LoginGuardService.recordSuccess('user', user.email);
+
+    next();
+  } catch (error) {
+    logger.error('❌ Two-factor check error', {
+      error: error.message,
+      userId: req.user?.userId,
+      path: req.path
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Two-factor verification failed'
+    });
+  }
+};
@@ -3,13 +3,18 @@ import jwt from 'jsonwebtoken';
 import User from '../model/user.model.js';
 import { JWT_SECRET } from '../config/env.js';
 import { isTokenBlacklisted } from '../controllers/admin-auth.controller.js';
+import { resolveActiveAdmin, requirePermission } from './auth.middleware.js';
+import SessionService from '../services/session.service.js';
+import { applyImpersonation } from './user-auth.middleware.js';
 import logger from '../utils/logger.js';
 
 /**
  * Accept either a valid user JWT or admin JWT.
- * Sets req.user and/or req.admin accordingly.
+ * Sets req.user and/or req.admin accordingly. Admins must also hold every listed permission;
+ * users are limited to their own records by the controller.
+ * @param {...String} permissions - Permissions required for the admin branch
  */
-export const requireUserOrAdminAuth = async (req, res, next) => {
+export const requireUserOrAdminAuth = (...permissions) => async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
@@ -47,14 +52,22 @@ export const requireUserOrAdminAuth = async (req, res, next) => {
         });
       }
 
+      const adminDoc = await resolveActiveAdmin(decoded);
+      if (!adminDoc) {
+        return res.status(401).json({
+          success: false,
+          message: 'Admin account not found or disabled. Please login again.'
+        });
+      }
+
       req.admin = {
-        id: decoded.id,
-        username: decoded.username,
-        email: decoded.email,
-        role: decoded.role,
+        id: adminDoc._id.toString(),
+        username: adminDoc.username,
+        email: adminDoc.email,
+        role: adminDoc.role,
         isAdmin: true
       };
-      return next();
+      return requirePermission(...permissions)(req, res, next);
     }
 
     // User token
@@ -66,10 +79,17 @@ export const requireUserOrAdminAuth = async (req, res, next) => {
       if (!user.isActive) {
         return res.status(403).json({ success: false, message: 'Account is deactivated' });
       }
+      if (decoded.impersonation) {
+        return applyImpersonation(req, res, next, decoded, user);
+      }
+      if (!(await SessionService.isAccessTokenValid(decoded, user))) {
+        return res.status(401).json({ success: false, message: 'Session has been revoked. Please login again.' });
+      }
 
       req.user = {
         userId: user._id,
         email: user.email,
+        sessionId: decoded.sid,
         type: 'user'
       };
       return next();
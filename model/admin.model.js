@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+import { ADMIN_ROLES } from '../config/roles.js';
+
+// Back-office accounts (one per staff member) used for admin JWTs and audit attribution
+const adminSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  password: {
+    type: String,
+    required: true,
+    select: false
+  },
+  fullName: {
+    type: String,
+    trim: true
+  },
+  // Permission set (see config/roles.js)
+  role: {
+    type: String,
+    enum: ADMIN_ROLES,
+    default: 'support'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLogin: {
+    type: Date
+  },
+  // TOTP second factor (see utils/totp.js); required before a full admin token is issued
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting its first valid code during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused backup codes
+    backupCodes: {
+      type: [String],
+      select: false,
+      default: undefined
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  // Tokens issued before this moment are rejected (set on password reset)
+  passwordChangedAt: {
+    type: Date
+  },
+  createdBy: {
+    id: String,
+    username: String
+  },
+  disabledAt: {
+    type: Date
+  },
+  disabledBy: {
+    id: String,
+    username: String
+  }
+}, {
+  timestamps: true
+});
+
+adminSchema.index({ isActive: 1 });
+adminSchema.index({ role: 1 });
+
+// Never expose the password hash or 2FA secrets in API responses
+adminSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    if (ret.twoFactor) {
+      delete ret.twoFactor.secret;
+      delete ret.twoFactor.pendingSecret;
+      delete ret.twoFactor.backupCodes;
+      delete ret.twoFactor.lastUsedStep;
+    }
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('Admin', adminSchema);
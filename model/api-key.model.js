@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import { API_KEY_SCOPES } from '../config/api-scopes.js';
+
+// Personal API key. Only the SHA-256 hash of the key is stored; the prefix identifies it in listings.
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Public part of the key (e.g. ctm_1a2b3c4d), safe to display
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: Object.keys(API_KEY_SCOPES)
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['user_revoked', 'password_reset', 'account_closed']
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+apiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('ApiKey', apiKeySchema);
@@ -8,7 +8,8 @@ const auditLogSchema = new mongoose.Schema(
         required: true
       },
       username: String,
-      email: String
+      email: String,
+      role: String
     },
     action: {
       type: String,
@@ -17,11 +18,30 @@ const auditLogSchema = new mongoose.Schema(
         // Authentication
         'admin_login',
         'admin_logout',
+        'admin_2fa_enrolled',
+        'admin_2fa_verification_failed',
+        'admin_2fa_backup_code_used',
+        'admin_2fa_backup_codes_regenerated',
+        'admin_2fa_reset',
+        'login_lockout',
+        'login_lockout_cleared',
+
+        // Admin Accounts
+        'admins_view_all',
+        'admin_created',
+        'admin_disabled',
+        'admin_enabled',
+        'admin_password_reset',
+        'admin_role_updated',
         
         // User Management
         'users_view_all',
         'user_updated',
         'user_deleted',
+        'user_impersonation_started',
+        'user_impersonation_request',
+        'user_impersonation_ended',
+        'user_2fa_disabled',
 
         // KYC
         'kyc_applications_view_all',
@@ -34,12 +54,14 @@ const auditLogSchema = new mongoose.Schema(
         'deposit_approved',
         'deposit_deleted',
         'deposit_status_changed',
+        'deposits_exported',
         
         // Withdrawals
         'withdrawals_view_all',
         'withdraw_updated',
         'withdraw_deleted',
         'withdraw_status_changed',
+        'withdrawals_exported',
         
         // Copytrading Options
         'copytrading_options_view_all',
@@ -52,6 +74,21 @@ const auditLogSchema = new mongoose.Schema(
         'copytrade_purchase_viewed',
         'copytrade_purchase_updated',
         'copytrade_purchase_deleted',
+        'copytrade_purchases_exported',
+
+        // Stock Purchases
+        'stock_purchases_exported',
+
+        // Withdrawal limits
+        'withdrawal_limits_updated',
+
+        // Fees
+        'fee_schedule_created',
+        'fee_schedule_updated',
+        'fee_schedule_deleted',
+
+        // Transfers
+        'transfer_reversed',
         
         // Crypto Options
         'crypto_options_view_all',
@@ -80,6 +117,8 @@ const auditLogSchema = new mongoose.Schema(
         
         // System
         'stock_update_triggered',
+        'reconciliation_run_triggered',
+        'reconciliation_discrepancy_fixed',
         
         // Other
         'other_action'
@@ -89,8 +128,9 @@ const auditLogSchema = new mongoose.Schema(
     resource: {
       type: {
         type: String,
-        enum: ['user', 'deposit', 'withdraw', 'copytrading_option', 'copytrade_purchase', 
-               'crypto_option', 'support_ticket', 'admin_email', 'notification', 'system', 'kyc', 'auth'],
+        enum: ['user', 'deposit', 'withdraw', 'copytrading_option', 'copytrade_purchase', 'stock_purchase',
+               'crypto_option', 'support_ticket', 'admin_email', 'notification', 'system', 'kyc', 'auth',
+               'admin', 'fee_schedule', 'transfer'],
         required: true
       },
       id: String, // Resource ID if applicable
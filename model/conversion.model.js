@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+// A quote to convert one held token into another, and once executed, the conversion record.
+// Quotes are locked for a short time; unused ones are removed by MongoDB after they expire.
+const conversionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  fromToken: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  toToken: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  fromAmount: {
+    type: Number,
+    required: true,
+    min: 0.00000001
+  },
+  toAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Market prices at quote time
+  fromPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  toPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // toToken received per fromToken, after the spread
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  spreadPercent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // Market value of fromAmount, and the part of it kept as spread
+  usdValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  spreadUsd: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['quoted', 'completed'],
+    default: 'quoted',
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+conversionSchema.index({ user: 1, status: 1, completedAt: -1 });
+// Only unused quotes expire; completed conversions are history
+conversionSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: 0, partialFilterExpression: { status: 'quoted' } }
+);
+
+export default mongoose.model('Conversion', conversionSchema);
@@ -1,4 +1,14 @@
 import mongoose from 'mongoose';
+import { appliedFeeSchema } from './fee-schedule.model.js';
+
+// Performance fee taken at settlement: percent of the profit above the high-water mark
+const performanceFeeSchema = new mongoose.Schema({
+  percent: { type: Number, required: true },
+  high_water_mark: { type: Number, required: true },
+  profit_above_mark: { type: Number, required: true },
+  amount: { type: Number, required: true, min: 0 },
+  charged_at: { type: Date }
+}, { _id: false });
 
 // Represents a purchased copytrade plan (snapshot at purchase time)
 const copytradePurchaseSchema = new mongoose.Schema({
@@ -84,6 +94,23 @@ const copytradePurchaseSchema = new mongoose.Schema({
   trade_end_date: { 
       type: Date,
       index: true
+  },
+  // USD fee charged on top of initial_investment
+  fee: {
+      type: appliedFeeSchema,
+      default: undefined
+  },
+  // Snapshot of the option's performance fee at purchase time
+  performance_fee_percent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+  },
+  // Set at settlement when a performance fee applied
+  performance_fee: {
+      type: performanceFeeSchema,
+      default: undefined
   }
 }, { 
     timestamps: true 
@@ -46,6 +46,13 @@ const copytradingOptionSchema = new mongoose.Schema({
   trade_duration: {
     type: Number,
     required: true
+  },
+  // Percent of profit above the user's high-water mark taken at settlement
+  performance_fee_percent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
   }
 }, {
   timestamps: true
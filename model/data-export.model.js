@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// A user's personal data export. The ZIP archive is built by DataExportJob into the
+// 'dataExports' GridFS bucket; the document is removed by MongoDB once the download link
+// expires and the job deletes the file.
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  requestedIp: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  // GridFS file holding the ZIP archive
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  fileName: {
+    type: String
+  },
+  fileSize: {
+    type: Number
+  },
+  // Only the hash of the download token is stored
+  downloadTokenHash: {
+    type: String,
+    select: false
+  },
+  expiresAt: {
+    type: Date
+  },
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  lastDownloadedAt: {
+    type: Date
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+dataExportSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.fileId;
+    delete ret.downloadTokenHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('DataExport', dataExportSchema);
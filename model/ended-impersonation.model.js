@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// Impersonation tokens that were ended before they expired. A token is checked
+// against this list on every request, so the list only needs to outlive the token.
+const endedImpersonationSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  endedBy: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Removed by MongoDB once the token itself has expired
+endedImpersonationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('EndedImpersonation', endedImpersonationSchema);
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// End-of-day copy of a user's financial summary, written by EquitySnapshotJob.
+// `date` is the UTC midnight of the day the snapshot describes.
+const equitySnapshotSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  accountBalance: {
+    type: Number,
+    default: 0
+  },
+  lockedValue: {
+    type: Number,
+    default: 0
+  },
+  currentValue: {
+    type: Number,
+    default: 0
+  },
+  roi: {
+    type: Number,
+    default: 0
+  },
+  totalInvestment: {
+    type: Number,
+    default: 0
+  },
+  lifetimeWithdrawals: {
+    type: Number,
+    default: 0
+  },
+  netGainLoss: {
+    type: Number,
+    default: 0
+  },
+  // USD approved during the day; netFlow = deposits - withdrawals
+  depositsUsd: {
+    type: Number,
+    default: 0
+  },
+  withdrawalsUsd: {
+    type: Number,
+    default: 0
+  },
+  netFlow: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+equitySnapshotSchema.index({ user: 1, date: 1 }, { unique: true });
+
+equitySnapshotSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('EquitySnapshot', equitySnapshotSchema);
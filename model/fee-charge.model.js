@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import { FEE_PRODUCTS } from './fee-schedule.model.js';
+
+// One document per fee collected, for revenue reporting. The wallet side of the
+// charge is the matching 'fee' ledger entry.
+const feeChargeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // FEE_PRODUCTS are priced by fee schedules; performance fees by the copytrade option
+  product: {
+    type: String,
+    enum: [...FEE_PRODUCTS, 'performance_fee'],
+    required: true
+  },
+  reference: {
+    kind: {
+      type: String,
+      enum: ['Transaction', 'CopytradePurchase', 'StockPurchase'],
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    }
+  },
+  // Token the fee was quoted in ('USD' for purchases)
+  token: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  usdValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeSchedule'
+  },
+  scheduleName: {
+    type: String
+  },
+  actor: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// A source document is charged each kind of fee at most once
+feeChargeSchema.index({ 'reference.kind': 1, 'reference.id': 1, product: 1 }, { unique: true });
+feeChargeSchema.index({ createdAt: -1 });
+feeChargeSchema.index({ product: 1, createdAt: -1 });
+
+export default mongoose.model('FeeCharge', feeChargeSchema);
@@ -0,0 +1,160 @@
+import mongoose from 'mongoose';
+import { KYC_TIERS } from '../utils/kycTier.js';
+
+export const FEE_PRODUCTS = ['deposit', 'withdrawal', 'copytrade_purchase', 'stock_purchase'];
+export const FEE_TYPES = ['flat', 'percentage', 'tiered'];
+
+// Products priced in a crypto token; purchases are priced in USD
+export const TOKEN_FEE_PRODUCTS = ['deposit', 'withdrawal'];
+
+// Band of a tiered schedule; the band with the highest minAmount at or below the USD value applies
+const feeTierSchema = new mongoose.Schema({
+  minAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  flatAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  percentage: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+// Fee pricing for one product, optionally narrowed to a token and/or KYC tier.
+// token and kycTier null mean "any"; the most specific active schedule wins.
+// All amounts are in USD.
+const feeScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  product: {
+    type: String,
+    enum: FEE_PRODUCTS,
+    required: true
+  },
+  token: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+  kycTier: {
+    type: String,
+    enum: [...KYC_TIERS, null],
+    default: null
+  },
+  type: {
+    type: String,
+    enum: FEE_TYPES,
+    required: true
+  },
+  flatAmount: {
+    type: Number,
+    min: 0
+  },
+  percentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  tiers: {
+    type: [feeTierSchema],
+    default: undefined
+  },
+  minFee: {
+    type: Number,
+    min: 0
+  },
+  maxFee: {
+    type: Number,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    trim: true
+  },
+  updatedBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+feeScheduleSchema.index({ product: 1, token: 1, kycTier: 1 }, { unique: true });
+
+feeScheduleSchema.pre('validate', function(next) {
+  if (this.token && !TOKEN_FEE_PRODUCTS.includes(this.product)) {
+    this.invalidate('token', 'token can only be set for deposit and withdrawal fees');
+  }
+  if (this.type === 'flat' && this.flatAmount == null) {
+    this.invalidate('flatAmount', 'flatAmount is required for flat fees');
+  }
+  if (this.type === 'percentage' && this.percentage == null) {
+    this.invalidate('percentage', 'percentage is required for percentage fees');
+  }
+  if (this.type === 'tiered') {
+    const minimums = (this.tiers || []).map((tier) => tier.minAmount);
+    if (minimums.length === 0) {
+      this.invalidate('tiers', 'tiers are required for tiered fees');
+    } else if (new Set(minimums).size !== minimums.length) {
+      this.invalidate('tiers', 'each tier needs a different minAmount');
+    }
+  }
+  if (this.minFee != null && this.maxFee != null && this.minFee > this.maxFee) {
+    this.invalidate('minFee', 'minFee cannot exceed maxFee');
+  }
+  next();
+});
+
+// Fee quoted for and charged on a transaction or purchase. amount is in token units for
+// deposits and withdrawals and in USD (token 'USD') for purchases.
+export const appliedFeeSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  token: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  usdValue: {
+    type: Number,
+    min: 0
+  },
+  // Amount the fee was quoted on; a different amount at approval means a new quote
+  baseAmount: {
+    type: Number
+  },
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeSchedule'
+  },
+  scheduleName: {
+    type: String
+  },
+  quotedAt: {
+    type: Date
+  },
+  chargedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+export default mongoose.model('FeeSchedule', feeScheduleSchema);
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Running copytrade profit per user and option. Performance fees are only charged on
+// cumulative profit above the highest level it has reached, so losses are won back first.
+const highWaterMarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  copytradeOption: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CopytradingOption',
+    required: true
+  },
+  // Sum of profit/loss (before performance fees) of every settled trade
+  cumulativeProfit: {
+    type: Number,
+    default: 0
+  },
+  highWaterMark: {
+    type: Number,
+    default: 0
+  },
+  lastSettledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+highWaterMarkSchema.index({ user: 1, copytradeOption: 1 }, { unique: true });
+
+export default mongoose.model('HighWaterMark', highWaterMarkSchema);
@@ -0,0 +1,156 @@
+import mongoose from 'mongoose';
+
+// Ledger accounts. user_wallet is the user's liquid holdings; the others are the
+// counter-accounts money moves to and from. opening_balance carries holdings that
+// existed before the ledger (see scripts/backfill-ledger-opening-balances.js).
+export const LEDGER_ACCOUNTS = [
+  'user_wallet',
+  'opening_balance',
+  'deposits_clearing',
+  'withdrawals_clearing',
+  'trading_pool',
+  'admin_adjustments',
+  'reconciliation_suspense',
+  'fee_revenue',
+  'internal_transfers',
+  'conversions'
+];
+
+export const LEDGER_ENTRY_TYPES = [
+  'opening_balance',
+  'deposit',
+  'withdrawal',
+  'copytrade_allocation',
+  'stock_allocation',
+  'trade_settlement',
+  'admin_adjustment',
+  'reconciliation_adjustment',
+  'fee',
+  'transfer',
+  'conversion'
+];
+
+// Amounts below this are treated as rounding noise when checking balance
+const BALANCE_TOLERANCE = 0.00000001;
+
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: LEDGER_ACCOUNTS,
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+// One balanced, append-only journal entry per balance movement
+const ledgerEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: LEDGER_ENTRY_TYPES,
+    required: true
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    validate: {
+      validator: (lines) => lines.length >= 2,
+      message: 'A ledger entry needs at least two lines'
+    }
+  },
+  // What caused the movement
+  reference: {
+    kind: {
+      type: String,
+      enum: ['Transaction', 'CopytradePurchase', 'StockPurchase', 'AdminAction', 'ReconciliationReport', 'Transfer', 'Conversion'],
+      required: true
+    },
+    id: {
+      type: String
+    }
+  },
+  // USD value at the time of the movement, for display
+  usdValue: {
+    type: Number
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Admin username, 'system_auto', or the job that made the change
+  actor: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ledgerEntrySchema.index({ user: 1, createdAt: -1 });
+ledgerEntrySchema.index({ 'reference.kind': 1, 'reference.id': 1 });
+ledgerEntrySchema.index({ user: 1, 'lines.account': 1, 'lines.token': 1 });
+
+// Debits must equal credits for every token
+ledgerEntrySchema.pre('validate', function(next) {
+  const totals = new Map();
+
+  for (const line of this.lines) {
+    if ((line.debit > 0) === (line.credit > 0)) {
+      return next(new Error('LEDGER_LINE_INVALID'));
+    }
+    totals.set(line.token, (totals.get(line.token) || 0) + line.debit - line.credit);
+  }
+
+  for (const [token, net] of totals) {
+    if (Math.abs(net) > BALANCE_TOLERANCE) {
+      const error = new Error('LEDGER_UNBALANCED');
+      error.data = { token, net };
+      return next(error);
+    }
+  }
+
+  next();
+});
+
+// Entries are never edited or removed; corrections are new entries
+const rejectMutation = function(next) {
+  next(new Error('LEDGER_APPEND_ONLY'));
+};
+
+ledgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('LEDGER_APPEND_ONLY'));
+  }
+  next();
+});
+
+ledgerEntrySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('LedgerEntry', ledgerEntrySchema);
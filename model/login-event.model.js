@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+// One document per user login attempt, kept for a year
+const loginEventSchema = new mongoose.Schema({
+  // Missing when the email did not match an account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  authProvider: {
+    type: String,
+    enum: ['manual', 'google'],
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'invalid_credentials', 'locked', 'inactive', 'two_factor_required', 'two_factor_failed'],
+    required: true
+  },
+  ipAddress: {
+    type: String
+  },
+  ipRange: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  device: {
+    browser: String,
+    browserVersion: String,
+    os: String,
+    osVersion: String,
+    deviceType: String
+  },
+  // Hash of browser, OS and device type; versions are left out so updates do not look like new devices
+  deviceId: {
+    type: String
+  },
+  isNewDevice: {
+    type: Boolean,
+    default: false
+  },
+  isNewIpRange: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ user: 1, outcome: 1, deviceId: 1 });
+loginEventSchema.index({ user: 1, outcome: 1, ipRange: 1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+loginEventSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('LoginEvent', loginEventSchema);
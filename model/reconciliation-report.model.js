@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+export const DISCREPANCY_KINDS = [
+  // Stored User field differs from computeSummary
+  'cached_metric',
+  // Portfolio amount differs from the ledger's user_wallet balance
+  'portfolio_ledger_mismatch',
+  // Approved deposit/withdrawal with no ledger entry
+  'transaction_missing_from_ledger',
+  // Ledger entry amount differs from the approved transaction amount
+  'transaction_amount_mismatch'
+];
+
+const discrepancySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String
+  },
+  kind: {
+    type: String,
+    enum: DISCREPANCY_KINDS,
+    required: true
+  },
+  // Metric name for cached_metric, token symbol otherwise
+  field: {
+    type: String
+  },
+  transactionId: {
+    type: String
+  },
+  stored: {
+    type: Number
+  },
+  expected: {
+    type: Number
+  },
+  difference: {
+    type: Number
+  },
+  fixedAt: {
+    type: Date
+  },
+  fixedBy: {
+    type: String
+  }
+});
+
+// Result of one reconciliation run. Only differences above the tolerance are kept.
+const reconciliationReportSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+    index: true
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    required: true
+  },
+  triggeredBy: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  },
+  tolerance: {
+    usd: Number,
+    roi: Number,
+    token: Number
+  },
+  usersChecked: {
+    type: Number,
+    default: 0
+  },
+  usersWithDiscrepancies: {
+    type: Number,
+    default: 0
+  },
+  // Users that could not be checked (e.g. price lookup failed)
+  userErrors: {
+    type: Number,
+    default: 0
+  },
+  discrepancies: {
+    type: [discrepancySchema],
+    default: []
+  },
+  // Set when more discrepancies were found than are stored
+  truncated: {
+    type: Boolean,
+    default: false
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+reconciliationReportSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('ReconciliationReport', reconciliationReportSchema);
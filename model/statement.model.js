@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+const statementRowSchema = new mongoose.Schema({
+  date: Date,
+  description: String,
+  token: String,
+  amount: Number,
+  usdValue: Number,
+  reference: String
+}, { _id: false });
+
+// Monthly account statement. The rendered PDF and CSV are stored with it so a
+// statement never changes after it was issued.
+const statementSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  // 1-12
+  month: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  summary: {
+    // null when no equity snapshot exists for that date
+    openingEquity: Number,
+    closingEquity: Number,
+    deposits: { type: Number, default: 0 },
+    withdrawals: { type: Number, default: 0 },
+    copytradeSettlements: { type: Number, default: 0 },
+    stockPurchases: { type: Number, default: 0 },
+    stockLiquidations: { type: Number, default: 0 }
+  },
+  deposits: [statementRowSchema],
+  withdrawals: [statementRowSchema],
+  copytradeSettlements: [statementRowSchema],
+  stockPurchases: [statementRowSchema],
+  stockLiquidations: [statementRowSchema],
+  holdings: [{
+    _id: false,
+    token: String,
+    amount: Number,
+    // Priced when the statement was generated
+    usdValue: Number
+  }],
+  pdf: {
+    type: Buffer,
+    select: false
+  },
+  csv: {
+    type: Buffer,
+    select: false
+  },
+  emailedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+statementSchema.index({ user: 1, year: -1, month: -1 }, { unique: true });
+
+statementSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.pdf;
+    delete ret.csv;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('Statement', statementSchema);
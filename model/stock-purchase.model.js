@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { appliedFeeSchema } from './fee-schedule.model.js';
 
 const stockPurchaseSchema = new mongoose.Schema({
   user: {
@@ -72,6 +73,11 @@ const stockPurchaseSchema = new mongoose.Schema({
   rejection_reason: {
     type: String,
     trim: true
+  },
+  // USD fee charged on top of initial_investment
+  fee: {
+    type: appliedFeeSchema,
+    default: undefined
   }
 }, {
   timestamps: true
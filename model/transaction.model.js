@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { appliedFeeSchema } from './fee-schedule.model.js';
 
 const transactionSchema = new mongoose.Schema({
   token_name: {
@@ -34,7 +35,8 @@ const transactionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
+    // under_review: a withdrawal over the user's limits, held for manual review
+    enum: ['pending', 'under_review', 'approved', 'rejected'],
     trim: true,
     default: 'pending'
   },
@@ -49,6 +51,26 @@ const transactionSchema = new mongoose.Schema({
   },
   approvedAt: {
     type: Date
+  },
+  // Deposits: taken from the credited tokens. Withdrawals: charged on top of amount.
+  fee: {
+    type: appliedFeeSchema,
+    default: undefined
+  },
+  // Withdrawals: limit check at request time. usdValue is the estimate counted against the limits until approval.
+  limitCheck: {
+    type: new mongoose.Schema({
+      usdValue: Number,
+      kycTier: String,
+      accountAgeDays: Number,
+      dailyLimitUsd: Number,
+      monthlyLimitUsd: Number,
+      dailyUsedUsd: Number,
+      monthlyUsedUsd: Number,
+      override: Boolean,
+      exceeded: [{ type: String, enum: ['daily', 'monthly'] }]
+    }, { _id: false }),
+    default: undefined
   }
 }, {
   timestamps: true
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// Internal movement of a held token from one user's wallet to another's.
+// Settled immediately; an admin can reverse it while the recipient still holds the tokens.
+const transferSchema = new mongoose.Schema({
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  token_name: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.00000001
+  },
+  // Price snapshot at transfer time
+  tokenPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  usdValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'reversed'],
+    default: 'completed',
+    index: true
+  },
+  reversedAt: {
+    type: Date
+  },
+  reversedBy: {
+    type: String,
+    trim: true
+  },
+  reversalReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+transferSchema.index({ sender: 1, createdAt: -1 });
+transferSchema.index({ recipient: 1, createdAt: -1 });
+
+export default mongoose.model('Transfer', transferSchema);
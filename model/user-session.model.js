@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// One document per signed-in device. The refresh token itself is never stored, only its hash.
+const userSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hash of the token this one replaced; presenting it again means the token leaked
+  previousRefreshTokenHash: {
+    type: String,
+    index: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  ipAddress: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'revoke_all', 'password_changed', 'password_reset', 'token_reuse', 'account_closed']
+  }
+}, {
+  timestamps: true
+});
+
+userSessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+userSessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+userSessionSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.refreshTokenHash;
+    delete ret.previousRefreshTokenHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('UserSession', userSessionSchema);
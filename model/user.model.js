@@ -45,6 +45,13 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Last verification email sent (used to throttle resends)
+  emailVerificationSentAt: {
+    type: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -53,6 +60,58 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Access tokens issued before this moment are rejected (set on password change/reset)
+  passwordChangedAt: {
+    type: Date
+  },
+  // SHA-256 of the single-use token from the forgot-password email
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // SHA-256 of the single-use code the Google callback hands the frontend to exchange for tokens
+  oauthLoginCodeHash: {
+    type: String,
+    select: false
+  },
+  oauthLoginCodeExpires: {
+    type: Date,
+    select: false
+  },
+  // Optional TOTP second factor (see utils/totp.js)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting its first valid code during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused backup codes
+    backupCodes: {
+      type: [String],
+      select: false,
+      default: undefined
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
   roi: {
     type: Number,
     default: 0
@@ -96,6 +155,52 @@ const userSchema = new mongoose.Schema({
     default: 0,
     min: 0
     // Sum of approved withdrawal USD (cached; recomputed on sync)
+  },
+  // Self-service closure (see services/account-closure.service.js).
+  // Closed accounts are deactivated, never deleted, so financial history is kept.
+  accountClosure: {
+    requestedAt: {
+      type: Date
+    },
+    scheduledFor: {
+      type: Date
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    closedAt: {
+      type: Date
+    }
+  },
+  // Admin overrides of the tier withdrawal limits (config/withdrawal-limits.js); unset means the tier default
+  withdrawalLimits: {
+    dailyUsd: {
+      type: Number,
+      min: 0
+    },
+    monthlyUsd: {
+      type: Number,
+      min: 0
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    setBy: {
+      type: String
+    },
+    setAt: {
+      type: Date
+    }
+  },
+  // Written at the start of each withdrawal request's transaction, so concurrent requests
+  // from one user conflict and are checked against the limits one at a time
+  withdrawalLimitLockAt: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
@@ -107,6 +212,9 @@ userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ authProvider: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ oauthLoginCodeHash: 1 }, { sparse: true });
+userSchema.index({ 'accountClosure.scheduledFor': 1 }, { sparse: true });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -8,8 +8,13 @@ const router = express.Router();
 router.post('/login', AdminAuthController.adminLogin);
 router.post('/logout', AdminAuthController.adminLogout);
 
+// Two-factor login steps (authenticated by the challenge token from /login)
+router.post('/2fa/setup', AdminAuthController.setupTwoFactor);
+router.post('/2fa/verify', AdminAuthController.verifyTwoFactor);
+
 // Protected routes (require admin authentication)
 router.get('/verify', requireAdminAuth, AdminAuthController.verifyAdminSession);
+router.post('/2fa/backup-codes', requireAdminAuth, AdminAuthController.regenerateBackupCodes);
 
 // Utility routes (development/admin use)
 router.post('/generate-hash', AdminAuthController.generatePasswordHash);
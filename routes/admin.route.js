@@ -0,0 +1,36 @@
+import express from 'express';
+import AdminController from '../controllers/admin.controller.js';
+import { requireAdminAuth, requirePermission } from '../middlewares/auth.middleware.js';
+
+const adminRouter = express.Router();
+
+// All admin account management routes are restricted to super admins (admins:manage)
+
+// GET /api/v1/admin/admins - List admin accounts
+adminRouter.get('/', requireAdminAuth, requirePermission('admins:manage'), AdminController.getAllAdmins);
+
+// GET /api/v1/admin/admins/roles - List roles and their permissions
+adminRouter.get('/roles', requireAdminAuth, AdminController.getRoles);
+
+// POST /api/v1/admin/admins - Create admin account
+adminRouter.post('/', requireAdminAuth, requirePermission('admins:manage'), AdminController.createAdmin);
+
+// PUT /api/v1/admin/admins/:id/disable - Disable admin account
+adminRouter.put('/:id/disable', requireAdminAuth, requirePermission('admins:manage'), AdminController.disableAdmin);
+
+// PUT /api/v1/admin/admins/:id/enable - Re-enable admin account
+adminRouter.put('/:id/enable', requireAdminAuth, requirePermission('admins:manage'), AdminController.enableAdmin);
+
+// PUT /api/v1/admin/admins/:id/role - Assign a role
+adminRouter.put('/:id/role', requireAdminAuth, requirePermission('admins:manage'), AdminController.updateAdminRole);
+
+// PUT /api/v1/admin/admins/:id/reset-password - Reset admin password
+adminRouter.put('/:id/reset-password', requireAdminAuth, requirePermission('admins:manage'), AdminController.resetAdminPassword);
+
+// PUT /api/v1/admin/admins/:id/reset-2fa - Clear 2FA so the admin re-enrolls at next login
+adminRouter.put('/:id/reset-2fa', requireAdminAuth, requirePermission('admins:manage'), AdminController.resetAdminTwoFactor);
+
+// PUT /api/v1/admin/admins/:id/unlock - Clear a failed-login lockout
+adminRouter.put('/:id/unlock', requireAdminAuth, requirePermission('admins:manage'), AdminController.unlockAdmin);
+
+export default adminRouter;
@@ -0,0 +1,23 @@
+// routes/conversion.route.js
+import express from 'express';
+import ConversionController from '../controllers/conversion.controller.js';
+import { requireAdminAuth, requirePermission } from '../middlewares/auth.middleware.js';
+import { requireUserAuth, allowApiKey } from '../middlewares/user-auth.middleware.js';
+import { userRateLimit } from '../middlewares/arcjet.middleware.js';
+import { conversionQuoteLimiter } from '../config/arcjet.js';
+
+const conversionRouter = express.Router();
+
+// POST /api/v1/conversions/quote - Quote a conversion between two tokens
+conversionRouter.post('/quote', requireUserAuth, userRateLimit(conversionQuoteLimiter), ConversionController.createQuote);
+
+// POST /api/v1/conversions - Execute a quote
+conversionRouter.post('/', requireUserAuth, ConversionController.executeQuote);
+
+// GET /api/v1/conversions/my - The user's conversion history
+conversionRouter.get('/my', allowApiKey('read:portfolio'), requireUserAuth, ConversionController.getMyConversions);
+
+// GET /api/v1/conversions - All conversions with volume and spread totals
+conversionRouter.get('/', requireAdminAuth, requirePermission('portfolio:read'), ConversionController.getAllConversions);
+
+export default conversionRouter;
@@ -1,22 +1,25 @@
 import { Router } from 'express';
 import CopytradePurchaseController from '../controllers/copytrade-purchase.controller.js';
-import { requireAdminAuth } from '../middlewares/auth.middleware.js';
-import { requireUserAuth } from '../middlewares/user-auth.middleware.js';
+import { exportCopytradePurchases } from '../controllers/transaction-export.controller.js';
+import { requireAdminAuth, requirePermission } from '../middlewares/auth.middleware.js';
+import { requireUserAuth, allowApiKey } from '../middlewares/user-auth.middleware.js';
+import { requireEmailVerified } from '../middlewares/email-verification.middleware.js';
 import { requireKycApproved } from '../middlewares/kyc.middleware.js';
 
 const router = Router();
 
 // Admin endpoints (must come before user endpoints to avoid route conflicts)
-router.post('/admin', requireAdminAuth, CopytradePurchaseController.createCopytradePurchaseForUser);
-router.post('/:id/end', requireAdminAuth, CopytradePurchaseController.endCopytradePurchase);
-router.get('/', requireAdminAuth, CopytradePurchaseController.getAllCopytradePurchases);
+router.post('/admin', requireAdminAuth, requirePermission('copytrades:manage'), CopytradePurchaseController.createCopytradePurchaseForUser);
+router.post('/:id/end', requireAdminAuth, requirePermission('copytrades:manage'), CopytradePurchaseController.endCopytradePurchase);
+router.get('/', requireAdminAuth, requirePermission('copytrades:read'), CopytradePurchaseController.getAllCopytradePurchases);
+router.get('/export', requireAdminAuth, requirePermission('copytrades:read'), exportCopytradePurchases);
 
 // User endpoints
-router.post('/', requireUserAuth, requireKycApproved, CopytradePurchaseController.createCopytradePurchase);
-router.get('/my-purchases', requireUserAuth, CopytradePurchaseController.getMyCopytradePurchases);
-router.get('/:id', requireUserAuth, CopytradePurchaseController.getCopytradePurchaseById);
+router.post('/', allowApiKey('trade:copytrades'), requireUserAuth, requireEmailVerified, requireKycApproved, CopytradePurchaseController.createCopytradePurchase);
+router.get('/my-purchases', allowApiKey('read:copytrades'), requireUserAuth, CopytradePurchaseController.getMyCopytradePurchases);
+router.get('/:id', allowApiKey('read:copytrades'), requireUserAuth, CopytradePurchaseController.getCopytradePurchaseById);
 router.get('/user/:userId', requireUserAuth, CopytradePurchaseController.getCopytradePurchasesByUser);
-router.put('/:id', requireAdminAuth, CopytradePurchaseController.updateCopytradePurchase);
-router.delete('/:id', requireAdminAuth, CopytradePurchaseController.deleteCopytradePurchase);
+router.put('/:id', requireAdminAuth, requirePermission('copytrades:manage'), CopytradePurchaseController.updateCopytradePurchase);
+router.delete('/:id', requireAdminAuth, requirePermission('copytrades:manage'), CopytradePurchaseController.deleteCopytradePurchase);
 
 export default router;
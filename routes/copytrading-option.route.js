@@ -1,6 +1,6 @@
 import express from 'express';
 import CopytradingOptionController from '../controllers/copytrading-option.controller.js';
-import { requireAdminAuth } from '../middlewares/auth.middleware.js';
+import { requireAdminAuth, requirePermission } from '../middlewares/auth.middleware.js';
 
 const copyTradingOptionRouter = express.Router();
 
@@ -14,11 +14,11 @@ copyTradingOptionRouter.get('/recommended', CopytradingOptionController.getRecom
 copyTradingOptionRouter.get('/user/:userId', CopytradingOptionController.getCopytradingOptionsByUserId);
 
 // Create
-copyTradingOptionRouter.post('/', requireAdminAuth, CopytradingOptionController.createCopytradingOption);
+copyTradingOptionRouter.post('/', requireAdminAuth, requirePermission('copytrades:manage'), CopytradingOptionController.createCopytradingOption);
 
 // ID routes
 copyTradingOptionRouter.get('/:id', CopytradingOptionController.getCopytradingOptionById);
-copyTradingOptionRouter.put('/:id', requireAdminAuth, CopytradingOptionController.updateCopytradingOption);
-copyTradingOptionRouter.delete('/:id', requireAdminAuth, CopytradingOptionController.deleteCopytradingOption);  // Admin only
+copyTradingOptionRouter.put('/:id', requireAdminAuth, requirePermission('copytrades:manage'), CopytradingOptionController.updateCopytradingOption);
+copyTradingOptionRouter.delete('/:id', requireAdminAuth, requirePermission('copytrades:manage'), CopytradingOptionController.deleteCopytradingOption);  // Admin only
 
 export default copyTradingOptionRouter;
\ No newline at end of file
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  requestDataExport,
+  getMyDataExports,
+  downloadDataExport
+} from '../controllers/data-export.controller.js';
+import { requireUserAuth } from '../middlewares/user-auth.middleware.js';
+
+const dataExportRouter = express.Router();
+
+// POST /api/v1/data-exports - Queue a personal data export (one per day)
+dataExportRouter.post('/', requireUserAuth, requestDataExport);
+
+// GET /api/v1/data-exports - List the user's recent exports
+dataExportRouter.get('/', requireUserAuth, getMyDataExports);
+
+// GET /api/v1/data-exports/:id/download?token= - Download with the emailed token (no login)
+dataExportRouter.get('/:id/download', downloadDataExport);
+
+export default dataExportRouter;
@@ -1,27 +1,30 @@
 import express from 'express';
 import DepositController from '../controllers/deposit.controller.js';
-import { requireAdminAuth } from '../middlewares/auth.middleware.js';
+import { exportDeposits } from '../controllers/transaction-export.controller.js';
+import { requireAdminAuth, requirePermission } from '../middlewares/auth.middleware.js';
 import { requireUserAuth } from '../middlewares/user-auth.middleware.js';
+import { requireEmailVerified } from '../middlewares/email-verification.middleware.js';
 import { requireKycApproved } from '../middlewares/kyc.middleware.js';
 import { requireUserOrAdminAuth } from '../middlewares/user-or-admin-auth.middleware.js';
 
 const depositRouter = express.Router();
 
-depositRouter.get('/', requireAdminAuth, DepositController.getAllDeposits);
-depositRouter.post('/admin', requireAdminAuth, DepositController.createDepositForUser);
+depositRouter.get('/', requireAdminAuth, requirePermission('deposits:read'), DepositController.getAllDeposits);
+depositRouter.get('/export', requireAdminAuth, requirePermission('deposits:read'), exportDeposits);
+depositRouter.post('/admin', requireAdminAuth, requirePermission('deposits:create'), DepositController.createDepositForUser);
 
-depositRouter.post('/', requireUserAuth, requireKycApproved, DepositController.createDeposit);
+depositRouter.post('/', requireUserAuth, requireEmailVerified, requireKycApproved, DepositController.createDeposit);
 
 // Static path segments before :id
-depositRouter.get('/user/:userId', requireUserOrAdminAuth, DepositController.getUserDeposits);
+depositRouter.get('/user/:userId', requireUserOrAdminAuth('deposits:read'), DepositController.getUserDeposits);
 depositRouter.get(
   '/user/:userId/status/:status',
-  requireUserOrAdminAuth,
+  requireUserOrAdminAuth('deposits:read'),
   DepositController.getUserDepositsByStatus
 );
 
-depositRouter.get('/:id', requireUserOrAdminAuth, DepositController.getDepositById);
-depositRouter.put('/:id', requireAdminAuth, DepositController.updateDeposit);
-depositRouter.delete('/:id', requireAdminAuth, DepositController.deleteDeposit);
+depositRouter.get('/:id', requireUserOrAdminAuth('deposits:read'), DepositController.getDepositById);
+depositRouter.put('/:id', requireAdminAuth, requirePermission('deposits:approve'), DepositController.updateDeposit);
+depositRouter.delete('/:id', requireAdminAuth, requirePermission('deposits:delete'), DepositController.deleteDeposit);
 
 export default depositRouter;
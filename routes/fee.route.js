@@ -0,0 +1,30 @@
+// routes/fee.route.js
+import express from 'express';
+import FeeController from '../controllers/fee.controller.js';
+import { requireAdminAuth, requirePermission } from '../middlewares/auth.middleware.js';
+import { requireUserAuth, allowApiKey } from '../middlewares/user-auth.middleware.js';
+
+const feeRouter = express.Router();
+
+// GET /api/v1/fees/quote - Fee for a deposit, withdrawal or purchase before confirming it
+feeRouter.get('/quote', allowApiKey('read:portfolio'), requireUserAuth, FeeController.getQuote);
+
+// GET /api/v1/fees/schedules - List fee schedules
+feeRouter.get('/schedules', requireAdminAuth, requirePermission('fees:read'), FeeController.getSchedules);
+
+// POST /api/v1/fees/schedules - Create a fee schedule
+feeRouter.post('/schedules', requireAdminAuth, requirePermission('fees:manage'), FeeController.createSchedule);
+
+// PUT /api/v1/fees/schedules/:id - Update a fee schedule
+feeRouter.put('/schedules/:id', requireAdminAuth, requirePermission('fees:manage'), FeeController.updateSchedule);
+
+// DELETE /api/v1/fees/schedules/:id - Delete a fee schedule
+feeRouter.delete('/schedules/:id', requireAdminAuth, requirePermission('fees:manage'), FeeController.deleteSchedule);
+
+// GET /api/v1/fees/revenue - Fee revenue by product, token and day
+feeRouter.get('/revenue', requireAdminAuth, requirePermission('fees:read'), FeeController.getRevenue);
+
+// GET /api/v1/fees/charges - Individual fee charges
+feeRouter.get('/charges', requireAdminAuth, requirePermission('fees:read'), FeeController.getCharges);
+
+export default feeRouter;
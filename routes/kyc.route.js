@@ -8,7 +8,7 @@ import {
   deleteKYC 
 } from '../controllers/kyc.controller.js';
 import { requireUserAuth } from '../middlewares/user-auth.middleware.js';
-import { requireAdminAuth } from '../middlewares/auth.middleware.js';
+import { requireAdminAuth, requirePermission } from '../middlewares/auth.middleware.js';
 import arcjetMiddleware from '../middlewares/arcjet.middleware.js';
 
 const router = express.Router();
@@ -55,7 +55,7 @@ router.get('/my-kyc', requireUserAuth, getUserKYC);
  * @query {string} [sortBy=submittedAt] - Field to sort by
  * @query {string} [sortOrder=desc] - Sort order (asc/desc)
  */
-router.get('/admin/all', requireAdminAuth, getAllKYCs);
+router.get('/admin/all', requireAdminAuth, requirePermission('kyc:read'), getAllKYCs);
 
 /**
  * @route GET /api/v1/kyc/admin/:id
@@ -63,7 +63,7 @@ router.get('/admin/all', requireAdminAuth, getAllKYCs);
  * @access Private (Admin)
  * @param {string} id - KYC application ID
  */
-router.get('/admin/:id', requireAdminAuth, getKYCById);
+router.get('/admin/:id', requireAdminAuth, requirePermission('kyc:read'), getKYCById);
 
 /**
  * @route PUT /api/v1/kyc/admin/:id/status
@@ -74,7 +74,7 @@ router.get('/admin/:id', requireAdminAuth, getKYCById);
  * @body {string} [reviewNotes] - Optional review notes
  * @body {string} [rejectionReason] - Required if status is 'rejected'
  */
-router.put('/admin/:id/status', requireAdminAuth, updateKYCStatus);
+router.put('/admin/:id/status', requireAdminAuth, requirePermission('kyc:review'), updateKYCStatus);
 
 /**
  * @route DELETE /api/v1/kyc/admin/:id
@@ -82,6 +82,6 @@ router.put('/admin/:id/status', requireAdminAuth, updateKYCStatus);
  * @access Private (Admin)
  * @param {string} id - KYC application ID
  */
-router.delete('/admin/:id', requireAdminAuth, deleteKYC);
+router.delete('/admin/:id', requireAdminAuth, requirePermission('kyc:delete'), deleteKYC);
 
 export default router;
\ No newline at end of file
@@ -3,6 +3,7 @@ import passport from '../config/passport.js';
 import { 
   initiateGoogleAuth, 
   handleGoogleCallback, 
+  exchangeLoginCode,
   getCurrentUser, 
   logoutUser 
 } from '../controllers/oauth.controller.js';
@@ -30,6 +31,9 @@ router.get('/google/callback',
   handleGoogleCallback
 );
 
+// Exchange the single-use code from the callback redirect for tokens
+router.post('/exchange', exchangeLoginCode);
+
 // Protected User Routes
 
 // Get current user profile
@@ -52,6 +56,7 @@ router.get('/health', (req, res) => {
     endpoints: {
       googleAuth: '/api/v1/oauth/google',
       googleCallback: '/api/v1/oauth/google/callback',
+      exchangeCode: '/api/v1/oauth/exchange',
       userProfile: '/api/v1/oauth/profile',
       logout: '/api/v1/oauth/logout'
     }
@@ -1,42 +1,82 @@
 // routes/portfolio.route.js
 import express from 'express';
 import PortfolioController from '../controllers/portfolio.controller.js';
-import { requireUserAuth } from '../middlewares/user-auth.middleware.js';
-import { requireAdminAuth } from '../middlewares/auth.middleware.js';
+import { exportMyActivity } from '../controllers/transaction-export.controller.js';
+import { requireUserAuth, allowApiKey } from '../middlewares/user-auth.middleware.js';
+import { requireAdminAuth, requirePermission } from '../middlewares/auth.middleware.js';
 
 const portfolioRouter = express.Router();
 
-// User endpoints
+// User endpoints (API keys need the read:portfolio scope)
 // GET /api/v1/portfolio/my-portfolio - Get authenticated user's portfolio
-portfolioRouter.get('/my-portfolio', requireUserAuth, PortfolioController.getMyPortfolio);
+portfolioRouter.get('/my-portfolio', allowApiKey('read:portfolio'), requireUserAuth, PortfolioController.getMyPortfolio);
 
 // GET /api/v1/portfolio/my-financial-summary - Available + locked + current value + ROI
-portfolioRouter.get('/my-financial-summary', requireUserAuth, PortfolioController.getMyFinancialSummary);
+portfolioRouter.get('/my-financial-summary', allowApiKey('read:portfolio'), requireUserAuth, PortfolioController.getMyFinancialSummary);
 
 // GET /api/v1/portfolio/my-available-tokens - Get tokens authenticated user can withdraw
-portfolioRouter.get('/my-available-tokens', requireUserAuth, PortfolioController.getMyAvailableTokens);
+portfolioRouter.get('/my-available-tokens', allowApiKey('read:portfolio'), requireUserAuth, PortfolioController.getMyAvailableTokens);
+
+// GET /api/v1/portfolio/my-ledger - Authenticated user's double-entry ledger and wallet balances
+portfolioRouter.get('/my-ledger', allowApiKey('read:portfolio'), requireUserAuth, PortfolioController.getMyLedger);
+
+// GET /api/v1/portfolio/my-history - Daily equity snapshots (range=30d|90d|1y|all)
+portfolioRouter.get('/my-history', allowApiKey('read:portfolio'), requireUserAuth, PortfolioController.getMyHistory);
+
+// GET /api/v1/portfolio/statements - Authenticated user's monthly statements
+portfolioRouter.get('/statements', allowApiKey('read:portfolio'), requireUserAuth, PortfolioController.getMyStatements);
+
+// GET /api/v1/portfolio/statements/:id/download - Download a statement (format=pdf|csv)
+portfolioRouter.get('/statements/:id/download', allowApiKey('read:portfolio'), requireUserAuth, PortfolioController.downloadMyStatement);
+
+// GET /api/v1/portfolio/tax-report - Realized gains for a tax year (year, method=fifo|average)
+portfolioRouter.get('/tax-report', allowApiKey('read:portfolio'), requireUserAuth, PortfolioController.getMyTaxReport);
+
+// GET /api/v1/portfolio/tax-report/download - Realized gains report as CSV or PDF
+portfolioRouter.get('/tax-report/download', allowApiKey('read:portfolio'), requireUserAuth, PortfolioController.downloadMyTaxReport);
+
+// GET /api/v1/portfolio/my-activity/export - CSV/XLSX of the user's deposits, withdrawals, copytrades and stock purchases
+portfolioRouter.get('/my-activity/export', allowApiKey('read:portfolio'), requireUserAuth, exportMyActivity);
 
 // POST /api/v1/portfolio/validate-withdrawal - Validate if authenticated user can withdraw specific amount
 portfolioRouter.post('/validate-withdrawal', requireUserAuth, PortfolioController.validateWithdrawal);
 
 // Admin endpoints
 // GET /api/v1/portfolio/users - Admin: Get all users with their portfolio information
-portfolioRouter.get('/users', requireAdminAuth, PortfolioController.getAllUsersWithPortfolios);
+portfolioRouter.get('/users', requireAdminAuth, requirePermission('portfolio:read'), PortfolioController.getAllUsersWithPortfolios);
 
 // Specific /user/:userId/* routes must be registered before /user/:userId
 // GET /api/v1/portfolio/user/:userId/financial-summary - Admin: equity summary
-portfolioRouter.get('/user/:userId/financial-summary', requireAdminAuth, PortfolioController.getUserFinancialSummary);
+portfolioRouter.get('/user/:userId/financial-summary', requireAdminAuth, requirePermission('portfolio:read'), PortfolioController.getUserFinancialSummary);
+
+// GET /api/v1/portfolio/user/:userId/ledger - Admin: user's ledger entries and wallet balances
+portfolioRouter.get('/user/:userId/ledger', requireAdminAuth, requirePermission('portfolio:read'), PortfolioController.getUserLedger);
+
+// GET /api/v1/portfolio/user/:userId/history - Admin: user's daily equity snapshots
+portfolioRouter.get('/user/:userId/history', requireAdminAuth, requirePermission('portfolio:read'), PortfolioController.getUserHistory);
+
+// GET /api/v1/portfolio/user/:userId/statements - Admin: user's monthly statements
+portfolioRouter.get('/user/:userId/statements', requireAdminAuth, requirePermission('portfolio:read'), PortfolioController.getUserStatements);
+
+// GET /api/v1/portfolio/user/:userId/statements/:id/download - Admin: download a user's statement (format=pdf|csv)
+portfolioRouter.get('/user/:userId/statements/:id/download', requireAdminAuth, requirePermission('portfolio:read'), PortfolioController.downloadUserStatement);
+
+// GET /api/v1/portfolio/user/:userId/tax-report - Admin: user's realized gains for a tax year
+portfolioRouter.get('/user/:userId/tax-report', requireAdminAuth, requirePermission('portfolio:read'), PortfolioController.getUserTaxReport);
+
+// GET /api/v1/portfolio/user/:userId/tax-report/download - Admin: user's realized gains report as CSV or PDF
+portfolioRouter.get('/user/:userId/tax-report/download', requireAdminAuth, requirePermission('portfolio:read'), PortfolioController.downloadUserTaxReport);
 
 // PUT /api/v1/portfolio/user/:userId/financial - Admin: set accountBalance and/or currentValue
-portfolioRouter.put('/user/:userId/financial', requireAdminAuth, PortfolioController.updateUserFinancialMetrics);
+portfolioRouter.put('/user/:userId/financial', requireAdminAuth, requirePermission('portfolio:write'), PortfolioController.updateUserFinancialMetrics);
 
 // GET /api/v1/portfolio/user/:userId/available-tokens - Admin: Get tokens user can withdraw
-portfolioRouter.get('/user/:userId/available-tokens', requireAdminAuth, PortfolioController.getAvailableTokens);
+portfolioRouter.get('/user/:userId/available-tokens', requireAdminAuth, requirePermission('portfolio:read'), PortfolioController.getAvailableTokens);
 
 // POST /api/v1/portfolio/user/:userId/recalculate - Admin: Recalculate balance + equity metrics
-portfolioRouter.post('/user/:userId/recalculate', requireAdminAuth, PortfolioController.recalculateBalance);
+portfolioRouter.post('/user/:userId/recalculate', requireAdminAuth, requirePermission('portfolio:write'), PortfolioController.recalculateBalance);
 
 // GET /api/v1/portfolio/user/:userId - Admin: Get user's portfolio
-portfolioRouter.get('/user/:userId', requireAdminAuth, PortfolioController.getUserPortfolio);
+portfolioRouter.get('/user/:userId', requireAdminAuth, requirePermission('portfolio:read'), PortfolioController.getUserPortfolio);
 
 export default portfolioRouter;
\ No newline at end of file
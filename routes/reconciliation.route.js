@@ -0,0 +1,20 @@
+// routes/reconciliation.route.js
+import express from 'express';
+import ReconciliationController from '../controllers/reconciliation.controller.js';
+import { requireAdminAuth, requirePermission } from '../middlewares/auth.middleware.js';
+
+const reconciliationRouter = express.Router();
+
+// GET /api/v1/reconciliation/reports - List reconciliation runs
+reconciliationRouter.get('/reports', requireAdminAuth, requirePermission('portfolio:read'), ReconciliationController.getReports);
+
+// GET /api/v1/reconciliation/reports/:id - Run details with discrepancies
+reconciliationRouter.get('/reports/:id', requireAdminAuth, requirePermission('portfolio:read'), ReconciliationController.getReport);
+
+// POST /api/v1/reconciliation/run - Start a run now (continues in the background)
+reconciliationRouter.post('/run', requireAdminAuth, requirePermission('portfolio:write'), ReconciliationController.triggerRun);
+
+// POST /api/v1/reconciliation/reports/:id/discrepancies/:discrepancyId/fix - Fix one discrepancy
+reconciliationRouter.post('/reports/:id/discrepancies/:discrepancyId/fix', requireAdminAuth, requirePermission('portfolio:write'), ReconciliationController.fixDiscrepancy);
+
+export default reconciliationRouter;
@@ -1,21 +1,24 @@
 import { Router } from 'express';
 import StockPurchaseController from '../controllers/stock-purchase.controller.js';
-import { requireAdminAuth } from '../middlewares/auth.middleware.js';
-import { requireUserAuth } from '../middlewares/user-auth.middleware.js';
+import { exportStockPurchases } from '../controllers/transaction-export.controller.js';
+import { requireAdminAuth, requirePermission } from '../middlewares/auth.middleware.js';
+import { requireUserAuth, allowApiKey } from '../middlewares/user-auth.middleware.js';
+import { requireEmailVerified } from '../middlewares/email-verification.middleware.js';
 import { requireKycApproved } from '../middlewares/kyc.middleware.js';
 
 const router = Router();
 
 // Admin endpoints (before parameterized routes)
-router.get('/', requireAdminAuth, StockPurchaseController.getAllStockPurchases);
-router.put('/:id/approve', requireAdminAuth, StockPurchaseController.approveStockPurchase);
-router.put('/:id/settle-liquidation', requireAdminAuth, StockPurchaseController.settleLiquidation);
-router.put('/:id/reject', requireAdminAuth, StockPurchaseController.rejectStockPurchase);
+router.get('/', requireAdminAuth, requirePermission('stocks:read'), StockPurchaseController.getAllStockPurchases);
+router.get('/export', requireAdminAuth, requirePermission('stocks:read'), exportStockPurchases);
+router.put('/:id/approve', requireAdminAuth, requirePermission('stocks:manage'), StockPurchaseController.approveStockPurchase);
+router.put('/:id/settle-liquidation', requireAdminAuth, requirePermission('stocks:manage'), StockPurchaseController.settleLiquidation);
+router.put('/:id/reject', requireAdminAuth, requirePermission('stocks:manage'), StockPurchaseController.rejectStockPurchase);
 
 // User endpoints
-router.post('/', requireUserAuth, requireKycApproved, StockPurchaseController.createStockPurchase);
-router.get('/my-purchases', requireUserAuth, StockPurchaseController.getMyStockPurchases);
-router.get('/:id', requireUserAuth, StockPurchaseController.getStockPurchaseById);
-router.post('/:id/request-liquidation', requireUserAuth, requireKycApproved, StockPurchaseController.requestLiquidation);
+router.post('/', allowApiKey('trade:stocks'), requireUserAuth, requireEmailVerified, requireKycApproved, StockPurchaseController.createStockPurchase);
+router.get('/my-purchases', allowApiKey('read:stocks'), requireUserAuth, StockPurchaseController.getMyStockPurchases);
+router.get('/:id', allowApiKey('read:stocks'), requireUserAuth, StockPurchaseController.getStockPurchaseById);
+router.post('/:id/request-liquidation', allowApiKey('trade:stocks'), requireUserAuth, requireKycApproved, StockPurchaseController.requestLiquidation);
 
 export default router;
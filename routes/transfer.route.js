@@ -0,0 +1,25 @@
+// routes/transfer.route.js
+import express from 'express';
+import TransferController from '../controllers/transfer.controller.js';
+import { requireAdminAuth, requirePermission } from '../middlewares/auth.middleware.js';
+import { requireUserAuth, allowApiKey, requireTwoFactorCode } from '../middlewares/user-auth.middleware.js';
+import { requireKycApproved } from '../middlewares/kyc.middleware.js';
+
+const transferRouter = express.Router();
+
+// POST /api/v1/transfers - Send held tokens to another verified user
+transferRouter.post('/', requireUserAuth, requireKycApproved, requireTwoFactorCode, TransferController.createTransfer);
+
+// GET /api/v1/transfers/my - The user's sent and received transfers
+transferRouter.get('/my', allowApiKey('read:portfolio'), requireUserAuth, TransferController.getMyTransfers);
+
+// GET /api/v1/transfers - List all transfers
+transferRouter.get('/', requireAdminAuth, requirePermission('transfers:read'), TransferController.getAllTransfers);
+
+// GET /api/v1/transfers/:id - Get a transfer
+transferRouter.get('/:id', requireAdminAuth, requirePermission('transfers:read'), TransferController.getTransfer);
+
+// POST /api/v1/transfers/:id/reverse - Return a transfer's tokens to the sender
+transferRouter.post('/:id/reverse', requireAdminAuth, requirePermission('transfers:reverse'), TransferController.reverseTransfer);
+
+export default transferRouter;
@@ -1,6 +1,31 @@
 import express from 'express';
-import { signup, login, changePassword, logout } from '../controllers/user-auth.controller.js';
-import { requireUserAuth } from '../middlewares/user-auth.middleware.js';
+import {
+  signup,
+  login,
+  changePassword,
+  logout,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  getLoginHistory,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+  getAccountClosure,
+  requestAccountClosure,
+  cancelAccountClosure
+} from '../controllers/user-auth.controller.js';
+import { requireUserAuth, requireTwoFactorCode } from '../middlewares/user-auth.middleware.js';
 import arcjetMiddleware from '../middlewares/arcjet.middleware.js';
 
 const router = express.Router();
@@ -30,6 +55,49 @@ router.post('/signup', signup);
  */
 router.post('/login', login);
 
+/**
+ * @route POST /api/v1/user-auth/2fa/verify
+ * @desc Second login step for users with 2FA enabled; returns the session token
+ * @access Public (requires the challenge token from /login or the Google callback)
+ * @body {string} challengeToken - Challenge token (valid for 5 minutes)
+ * @body {string} [code] - 6-digit code from the authenticator app
+ * @body {string} [backupCode] - One-time backup code (instead of code)
+ */
+router.post('/2fa/verify', verifyTwoFactorLogin);
+
+/**
+ * @route POST /api/v1/user-auth/refresh
+ * @desc Exchange a refresh token for a new access token; the refresh token is rotated
+ * @access Public
+ * @body {string} refreshToken - Refresh token from login/signup/previous refresh
+ */
+router.post('/refresh', refreshToken);
+
+/**
+ * @route POST /api/v1/user-auth/verify-email
+ * @desc Confirm the email address using the token from the verification link
+ * @access Public
+ * @body {string} token - Token from the emailed link (valid for 24 hours)
+ */
+router.post('/verify-email', verifyEmail);
+
+/**
+ * @route POST /api/v1/user-auth/forgot-password
+ * @desc Email a single-use password reset link (same response whether or not the account exists)
+ * @access Public
+ * @body {string} email - Account email address
+ */
+router.post('/forgot-password', forgotPassword);
+
+/**
+ * @route POST /api/v1/user-auth/reset-password
+ * @desc Set a new password with the emailed token; signs out all sessions
+ * @access Public
+ * @body {string} token - Token from the reset link (valid for 60 minutes)
+ * @body {string} newPassword - New password (min 8 chars, uppercase, lowercase, number, special char)
+ */
+router.post('/reset-password', resetPassword);
+
 // Protected routes (authentication required)
 /**
  * @route POST /api/v1/user-auth/change-password
@@ -37,14 +105,134 @@ router.post('/login', login);
  * @access Private
  * @body {string} currentPassword - Current password
  * @body {string} newPassword - New password (min 8 chars, uppercase, lowercase, number, special char)
+ * @body {string} [twoFactorCode] - Current 2FA code (required when 2FA is enabled)
  */
-router.post('/change-password', requireUserAuth, changePassword);
+router.post('/change-password', requireUserAuth, requireTwoFactorCode, changePassword);
+
+/**
+ * @route POST /api/v1/user-auth/2fa/setup
+ * @desc Start 2FA enrollment; returns the secret and otpauth URI for a QR code
+ * @access Private
+ */
+router.post('/2fa/setup', requireUserAuth, setupTwoFactor);
+
+/**
+ * @route POST /api/v1/user-auth/2fa/enable
+ * @desc Confirm enrollment with a code from the new secret; returns one-time backup codes
+ * @access Private
+ * @body {string} code - 6-digit code from the authenticator app
+ */
+router.post('/2fa/enable', requireUserAuth, enableTwoFactor);
+
+/**
+ * @route POST /api/v1/user-auth/2fa/disable
+ * @desc Turn off 2FA
+ * @access Private
+ * @body {string} [code] - 6-digit code from the authenticator app
+ * @body {string} [backupCode] - One-time backup code (instead of code)
+ */
+router.post('/2fa/disable', requireUserAuth, disableTwoFactor);
+
+/**
+ * @route POST /api/v1/user-auth/2fa/backup-codes
+ * @desc Replace all backup codes
+ * @access Private
+ * @body {string} code - 6-digit code from the authenticator app
+ */
+router.post('/2fa/backup-codes', requireUserAuth, regenerateBackupCodes);
 
 /**
  * @route POST /api/v1/user-auth/logout
- * @desc Logout user (client should remove token)
+ * @desc Logout user (revokes the current session)
  * @access Private
  */
 router.post('/logout', requireUserAuth, logout);
 
+/**
+ * @route POST /api/v1/user-auth/resend-verification
+ * @desc Send a new verification email (once every 2 minutes)
+ * @access Private
+ */
+router.post('/resend-verification', requireUserAuth, resendVerificationEmail);
+
+/**
+ * @route GET /api/v1/user-auth/sessions
+ * @desc List active sessions (signed-in devices); the current one is flagged
+ * @access Private
+ */
+router.get('/sessions', requireUserAuth, getSessions);
+
+/**
+ * @route DELETE /api/v1/user-auth/sessions
+ * @desc Revoke all sessions, including the current one
+ * @access Private
+ */
+router.delete('/sessions', requireUserAuth, revokeAllSessions);
+
+/**
+ * @route DELETE /api/v1/user-auth/sessions/:id
+ * @desc Revoke one session
+ * @access Private
+ */
+router.delete('/sessions/:id', requireUserAuth, revokeSession);
+
+/**
+ * @route GET /api/v1/user-auth/login-history
+ * @desc Login attempts with IP, device and outcome, newest first
+ * @access Private
+ * @query {number} [page=1]
+ * @query {number} [limit=20] - Max 100
+ */
+router.get('/login-history', requireUserAuth, getLoginHistory);
+
+// API keys can only be managed from a signed-in session, never with another API key
+/**
+ * @route GET /api/v1/user-auth/api-keys
+ * @desc List active API keys and the scopes that can be granted
+ * @access Private
+ */
+router.get('/api-keys', requireUserAuth, getApiKeys);
+
+/**
+ * @route POST /api/v1/user-auth/api-keys
+ * @desc Create an API key; the full key is returned once
+ * @access Private
+ * @body {string} name - Label for the key
+ * @body {string[]} scopes - e.g. ["read:portfolio", "trade:stocks"]
+ * @body {number} [expiresInDays] - Lifetime in days (default 90, max 365)
+ * @body {string} [twoFactorCode] - Required when 2FA is enabled (or X-2FA-Code header)
+ */
+router.post('/api-keys', requireUserAuth, requireTwoFactorCode, createApiKey);
+
+/**
+ * @route DELETE /api/v1/user-auth/api-keys/:id
+ * @desc Revoke an API key
+ * @access Private
+ */
+router.delete('/api-keys/:id', requireUserAuth, revokeApiKey);
+
+/**
+ * @route GET /api/v1/user-auth/account-closure
+ * @desc Closure status and anything that blocks closing the account
+ * @access Private
+ */
+router.get('/account-closure', requireUserAuth, getAccountClosure);
+
+/**
+ * @route POST /api/v1/user-auth/account-closure
+ * @desc Request account closure; the account is deactivated after a 14-day cooling-off period
+ * @access Private
+ * @body {string} [password] - Current password (required for accounts that have one)
+ * @body {string} [reason] - Optional feedback
+ * @body {string} [twoFactorCode] - Required when 2FA is enabled (or X-2FA-Code header)
+ */
+router.post('/account-closure', requireUserAuth, requireTwoFactorCode, requestAccountClosure);
+
+/**
+ * @route DELETE /api/v1/user-auth/account-closure
+ * @desc Cancel a pending closure
+ * @access Private
+ */
+router.delete('/account-closure', requireUserAuth, cancelAccountClosure);
+
 export default router;
\ No newline at end of file
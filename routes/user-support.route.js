@@ -1,11 +1,11 @@
 import express from 'express';
 import UserSupportController from '../controllers/user-support.controller.js';
-import { requireAdminAuth } from '../middlewares/auth.middleware.js';
+import { requireAdminAuth, requirePermission } from '../middlewares/auth.middleware.js';
 
 const userSupportRouter = express.Router();
 
 // GET /api/user-support - Get all user support tickets (admin only)
-userSupportRouter.get('/', requireAdminAuth, UserSupportController.getAllUserSupport);
+userSupportRouter.get('/', requireAdminAuth, requirePermission('support:read'), UserSupportController.getAllUserSupport);
 
 // POST /api/user-support - Create new user support ticket
 userSupportRouter.post('/', UserSupportController.createUserSupport);
@@ -14,10 +14,10 @@ userSupportRouter.post('/', UserSupportController.createUserSupport);
 userSupportRouter.get('/:id', UserSupportController.getUserSupportById);
 
 // PUT /api/user-support/:id - Update user support ticket (admin only)
-userSupportRouter.put('/:id', requireAdminAuth, UserSupportController.updateUserSupport);
+userSupportRouter.put('/:id', requireAdminAuth, requirePermission('support:manage'), UserSupportController.updateUserSupport);
 
 // DELETE /api/user-support/:id - Delete user support ticket (admin only)
-userSupportRouter.delete('/:id', requireAdminAuth, UserSupportController.deleteUserSupport);
+userSupportRouter.delete('/:id', requireAdminAuth, requirePermission('support:manage'), UserSupportController.deleteUserSupport);
 
 // GET /api/user-support/user/:userId - Get user support tickets by user ID
 userSupportRouter.get('/user/:userId', UserSupportController.getUserSupportByUserId);
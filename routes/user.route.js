@@ -4,18 +4,24 @@ import {
   getUserById,
   createUser,
   updateUser,
-  deleteUser
+  deleteUser,
+  unlockUser,
+  impersonateUser,
+  endImpersonation
 } from '../controllers/user.controller.js';
-import { requireAdminAuth } from '../middlewares/auth.middleware.js';
+import { requireAdminAuth, requirePermission } from '../middlewares/auth.middleware.js';
 import { requireUserOrAdminAuth } from '../middlewares/user-or-admin-auth.middleware.js';
 
 const userRouter = express.Router();
 
-userRouter.get('/', requireAdminAuth, getUsers);
-userRouter.post('/', requireAdminAuth, createUser);
+userRouter.get('/', requireAdminAuth, requirePermission('users:read'), getUsers);
+userRouter.post('/', requireAdminAuth, requirePermission('users:write'), createUser);
+userRouter.post('/impersonation/end', requireAdminAuth, requirePermission('users:impersonate'), endImpersonation);
 
-userRouter.get('/:id', requireUserOrAdminAuth, getUserById);
-userRouter.put('/:id', requireUserOrAdminAuth, updateUser);
-userRouter.delete('/:id', requireAdminAuth, deleteUser);
+userRouter.get('/:id', requireUserOrAdminAuth('users:read'), getUserById);
+userRouter.put('/:id', requireUserOrAdminAuth('users:write'), updateUser);
+userRouter.delete('/:id', requireAdminAuth, requirePermission('users:write'), deleteUser);
+userRouter.put('/:id/unlock', requireAdminAuth, requirePermission('users:write'), unlockUser);
+userRouter.post('/:id/impersonate', requireAdminAuth, requirePermission('users:impersonate'), impersonateUser);
 
 export default userRouter;
@@ -1,26 +1,34 @@
 import express from 'express';
 import WithdrawController from '../controllers/withdraw.controller.js';
-import { requireAdminAuth } from '../middlewares/auth.middleware.js';
-import { requireUserAuth } from '../middlewares/user-auth.middleware.js';
+import { exportWithdrawals } from '../controllers/transaction-export.controller.js';
+import { requireAdminAuth, requirePermission } from '../middlewares/auth.middleware.js';
+import { requireUserAuth, requireTwoFactorCode, allowApiKey } from '../middlewares/user-auth.middleware.js';
 import { requireKycApproved } from '../middlewares/kyc.middleware.js';
 import { requireUserOrAdminAuth } from '../middlewares/user-or-admin-auth.middleware.js';
 
 const withdrawRouter = express.Router();
 
-withdrawRouter.get('/', requireAdminAuth, WithdrawController.getAllWithdraws);
-withdrawRouter.post('/admin', requireAdminAuth, WithdrawController.createWithdrawForUser);
+withdrawRouter.get('/', requireAdminAuth, requirePermission('withdrawals:read'), WithdrawController.getAllWithdraws);
+withdrawRouter.get('/export', requireAdminAuth, requirePermission('withdrawals:read'), exportWithdrawals);
+withdrawRouter.post('/admin', requireAdminAuth, requirePermission('withdrawals:create'), WithdrawController.createWithdrawForUser);
 
-withdrawRouter.post('/', requireUserAuth, requireKycApproved, WithdrawController.createWithdraw);
+// Users with 2FA must include a current code (body.twoFactorCode); this also covers the destination address
+withdrawRouter.post('/', requireUserAuth, requireKycApproved, requireTwoFactorCode, WithdrawController.createWithdraw);
 
-withdrawRouter.get('/user/:userId', requireUserOrAdminAuth, WithdrawController.getUserWithdraws);
+// Rolling 24h / 30d limits: the user's own allowance, and admin view/override per user
+withdrawRouter.get('/limits', allowApiKey('read:portfolio'), requireUserAuth, WithdrawController.getMyLimits);
+withdrawRouter.get('/limits/user/:userId', requireAdminAuth, requirePermission('withdrawals:read'), WithdrawController.getUserLimits);
+withdrawRouter.put('/limits/user/:userId', requireAdminAuth, requirePermission('withdrawals:approve'), WithdrawController.updateUserLimits);
+
+withdrawRouter.get('/user/:userId', requireUserOrAdminAuth('withdrawals:read'), WithdrawController.getUserWithdraws);
 withdrawRouter.get(
   '/user/:userId/status/:status',
-  requireUserOrAdminAuth,
+  requireUserOrAdminAuth('withdrawals:read'),
   WithdrawController.getUserWithdrawsByStatus
 );
 
-withdrawRouter.get('/:id', requireUserOrAdminAuth, WithdrawController.getWithdrawById);
-withdrawRouter.put('/:id', requireAdminAuth, WithdrawController.updateWithdraw);
-withdrawRouter.delete('/:id', requireAdminAuth, WithdrawController.deleteWithdraw);
+withdrawRouter.get('/:id', requireUserOrAdminAuth('withdrawals:read'), WithdrawController.getWithdrawById);
+withdrawRouter.put('/:id', requireAdminAuth, requirePermission('withdrawals:approve'), WithdrawController.updateWithdraw);
+withdrawRouter.delete('/:id', requireAdminAuth, requirePermission('withdrawals:delete'), WithdrawController.deleteWithdraw);
 
 export default withdrawRouter;
@@ -0,0 +1,64 @@
+// scripts/backfill-email-verified.js
+// One-time migration: mark users who signed up before email verification existed
+// as verified, so the REQUIRE_EMAIL_VERIFICATION gate does not lock them out.
+// Those users never had a verification email sent (emailVerificationSentAt is unset).
+// Pass --before=YYYY-MM-DD to only cover accounts created before the rollout date.
+
+// Load environment variables
+import { config } from 'dotenv';
+config({ path: `.env.${process.env.NODE_ENV || 'development'}.local` });
+
+import connectToDatabase from '../database/mongodb.js';
+import User from '../model/user.model.js';
+import logger from '../utils/logger.js';
+
+const parseBefore = () => {
+  const arg = process.argv.find((value) => value.startsWith('--before='));
+  if (!arg) return null;
+
+  const date = new Date(arg.slice('--before='.length));
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid --before date: ${arg}`);
+  }
+  return date;
+};
+
+async function backfillEmailVerified() {
+  try {
+    const before = parseBefore();
+
+    logger.info('🔌 Connecting to MongoDB...');
+    await connectToDatabase();
+    logger.info('✅ Connected to MongoDB for email verification backfill');
+
+    const filter = {
+      isEmailVerified: { $ne: true },
+      emailVerificationSentAt: { $exists: false }
+    };
+    if (before) {
+      filter.createdAt = { $lt: before };
+    }
+
+    const candidates = await User.countDocuments(filter);
+    logger.info(`📊 Found ${candidates} unverified users from before the rollout`, {
+      before: before?.toISOString() || null
+    });
+
+    const result = await User.updateMany(filter, {
+      $set: { isEmailVerified: true, emailVerifiedAt: new Date() }
+    });
+
+    logger.info('🎉 Email verification backfill complete!');
+    logger.info(`   ✅ Marked verified: ${result.modifiedCount} users`);
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Email verification backfill failed:', {
+      error: error.message,
+      stack: error.stack
+    });
+    process.exit(1);
+  }
+}
+
+backfillEmailVerified();
@@ -0,0 +1,86 @@
+// scripts/backfill-ledger-opening-balances.js
+// One-time migration: record an opening_balance ledger entry per user so the
+// ledger's wallet balances match holdings that existed before the ledger.
+
+// Load environment variables
+import { config } from 'dotenv';
+config({ path: `.env.${process.env.NODE_ENV || 'development'}.local` });
+
+import connectToDatabase from '../database/mongodb.js';
+import Portfolio from '../model/portfolio.model.js';
+import LedgerEntry from '../model/ledger-entry.model.js';
+import LedgerService from '../services/ledger.service.js';
+import logger from '../utils/logger.js';
+
+async function backfillOpeningBalances() {
+  try {
+    logger.info('🔌 Connecting to MongoDB...');
+    await connectToDatabase();
+    logger.info('✅ Connected to MongoDB for ledger backfill');
+
+    const userIds = await Portfolio.distinct('user');
+    logger.info(`📊 Found ${userIds.length} users with portfolio holdings`);
+
+    let backfilled = 0;
+    let skipped = 0;
+    let errors = 0;
+
+    for (const userId of userIds) {
+      try {
+        if (await LedgerEntry.exists({ user: userId, type: 'opening_balance' })) {
+          skipped++;
+          continue;
+        }
+
+        const [holdings, ledgerBalances] = await Promise.all([
+          Portfolio.find({ user: userId }).select('token_name amount').lean(),
+          LedgerService.getWalletBalances(userId)
+        ]);
+        const ledgerByToken = new Map(ledgerBalances.map((b) => [b.token, b.balance]));
+
+        // Movements already in the ledger (written since deploy) are subtracted out
+        const movements = holdings.map((holding) => ({
+          token: holding.token_name,
+          amount: holding.amount - (ledgerByToken.get(holding.token_name.toUpperCase()) || 0)
+        }));
+
+        const entry = await LedgerService.record({
+          userId,
+          type: 'opening_balance',
+          reference: { kind: 'AdminAction' },
+          movements,
+          description: 'Opening balance from existing portfolio holdings',
+          actor: 'migration'
+        });
+
+        if (entry) {
+          backfilled++;
+          logger.info(`✅ Opening balance recorded for user ${userId}`, { lines: entry.lines.length });
+        } else {
+          skipped++;
+        }
+      } catch (error) {
+        logger.error(`❌ Error backfilling ledger for user ${userId}:`, {
+          error: error.message,
+          userId
+        });
+        errors++;
+      }
+    }
+
+    logger.info('🎉 Ledger backfill complete!');
+    logger.info(`   ✅ Backfilled: ${backfilled} users`);
+    logger.info(`   ⏭️ Skipped: ${skipped} users`);
+    logger.info(`   ❌ Errors: ${errors} users`);
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Ledger backfill failed:', {
+      error: error.message,
+      stack: error.stack
+    });
+    process.exit(1);
+  }
+}
+
+backfillOpeningBalances();
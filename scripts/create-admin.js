@@ -0,0 +1,73 @@
+// scripts/create-admin.js
+// Bootstrap a super admin account (e.g. the first admin, before anyone can log in)
+// Usage: node scripts/create-admin.js <username> <email> <password> [fullName]
+
+// Load environment variables
+import { config } from 'dotenv';
+config({ path: `.env.${process.env.NODE_ENV || 'development'}.local` });
+
+import bcrypt from 'bcryptjs';
+import connectToDatabase from '../database/mongodb.js';
+import Admin from '../model/admin.model.js';
+import { validatePassword } from '../controllers/user-auth.controller.js';
+import logger from '../utils/logger.js';
+
+async function createAdmin() {
+  const [username, email, password, ...nameParts] = process.argv.slice(2);
+
+  if (!username || !email || !password) {
+    logger.error('❌ Usage: node scripts/create-admin.js <username> <email> <password> [fullName]');
+    process.exit(1);
+  }
+
+  const passwordValidation = validatePassword(password);
+  if (!passwordValidation.isValid) {
+    logger.error('❌ Password does not meet requirements', {
+      errors: passwordValidation.errors
+    });
+    process.exit(1);
+  }
+
+  try {
+    logger.info('🔌 Connecting to MongoDB...');
+    await connectToDatabase();
+
+    const normalizedUsername = username.toLowerCase().trim();
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const existing = await Admin.findOne({
+      $or: [{ username: normalizedUsername }, { email: normalizedEmail }]
+    });
+    if (existing) {
+      logger.error('❌ An admin with this username or email already exists', {
+        adminId: existing._id
+      });
+      process.exit(1);
+    }
+
+    const admin = await Admin.create({
+      username: normalizedUsername,
+      email: normalizedEmail,
+      password: await bcrypt.hash(password, 12),
+      fullName: nameParts.join(' ') || undefined,
+      role: 'super_admin',
+      createdBy: { id: 'system', username: 'create-admin-script' }
+    });
+
+    logger.info('🎉 Admin account created', {
+      adminId: admin._id,
+      username: admin.username,
+      email: admin.email,
+      role: admin.role
+    });
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Failed to create admin account', {
+      error: error.message,
+      stack: error.stack
+    });
+    process.exit(1);
+  }
+}
+
+createAdmin();
@@ -5,6 +5,11 @@ import StockUpdater from './jobs/stock-updater.jobs.js'; // DISABLED FOR NOW
 import redisClient from './config/redis.js';
 import OrphanedDataCleaner from './jobs/orphaned-data-cleaner.job.js';
 import CopytradeTradingJob from './jobs/copytrade-trading.job.js';
+import DataExportJob from './jobs/data-export.job.js';
+import AccountClosureJob from './jobs/account-closure.job.js';
+import ReconciliationJob from './jobs/reconciliation.job.js';
+import EquitySnapshotJob from './jobs/equity-snapshot.job.js';
+import StatementJob from './jobs/statement.job.js';
 
 const port = PORT || process.env.PORT || 5000;
 
@@ -33,6 +38,26 @@ const port = PORT || process.env.PORT || 5000;
     // Start copytrade trading job (updates active trades hourly and completes expired trades)
     const copytradeTradingJob = new CopytradeTradingJob();
     copytradeTradingJob.startScheduler();
+
+    // Start data export job (builds queued personal data exports every minute)
+    const dataExportJob = new DataExportJob();
+    dataExportJob.startScheduler();
+
+    // Start account closure job (closes accounts after the cooling-off period, hourly)
+    const accountClosureJob = new AccountClosureJob();
+    accountClosureJob.startScheduler();
+
+    // Start reconciliation job (checks cached user metrics against source data, nightly)
+    const reconciliationJob = new ReconciliationJob();
+    reconciliationJob.startScheduler();
+
+    // Start equity snapshot job (records each user's daily financial summary, 23:50 UTC)
+    const equitySnapshotJob = new EquitySnapshotJob();
+    equitySnapshotJob.startScheduler();
+
+    // Start statement job (issues and emails last month's account statements, 1st of the month)
+    const statementJob = new StatementJob();
+    statementJob.startScheduler();
     
     // Start server
     app.listen(port, () => console.log(`CTM API running on http://0.0.0.0:${port}`));
@@ -0,0 +1,187 @@
+// services/account-closure.service.js
+// User-initiated account closure: safeguard checks, a cooling-off period, then deactivation.
+// Closed accounts keep every financial record; they are only switched off through isActive.
+import User from '../model/user.model.js';
+import CopytradePurchase from '../model/copytrade-purchase.model.js';
+import StockPurchase from '../model/stock-purchase.model.js';
+import Transaction from '../model/transaction.model.js';
+import FinancialSummaryService from './financial-summary.service.js';
+import SessionService from './session.service.js';
+import ApiKeyService from './api-key.service.js';
+import {
+  notifyAccountClosureScheduled,
+  notifyAccountClosureCancelled,
+  notifyAccountClosed
+} from '../utils/emailService.js';
+import logger from '../utils/logger.js';
+
+export const COOLING_OFF_DAYS = 14;
+
+const OPEN_COPYTRADE_STATUSES = ['pending', 'active'];
+const OPEN_STOCK_STATUSES = ['pending', 'active', 'pending_liquidation'];
+
+class AccountClosureService {
+  /**
+   * List everything that prevents the account from being closed right now
+   * @returns {{eligible: Boolean, blockers: Array<{code: String, message: String, count?: Number, amount?: Number}>}}
+   */
+  static async checkEligibility(userId) {
+    const [summary, openCopytrades, openStocks, pendingTransactions] = await Promise.all([
+      FinancialSummaryService.computeSummary(userId),
+      CopytradePurchase.countDocuments({ user: userId, trade_status: { $in: OPEN_COPYTRADE_STATUSES } }),
+      StockPurchase.countDocuments({ user: userId, stock_status: { $in: OPEN_STOCK_STATUSES } }),
+      Transaction.countDocuments({ user: userId, status: { $in: ['pending', 'under_review'] } })
+    ]);
+
+    const blockers = [];
+
+    if (summary.accountBalance > 0) {
+      blockers.push({
+        code: 'BALANCE_NOT_ZERO',
+        message: 'Withdraw your remaining balance first',
+        amount: summary.accountBalance
+      });
+    }
+    if (openCopytrades > 0) {
+      blockers.push({
+        code: 'ACTIVE_COPYTRADES',
+        message: 'Wait for your copytrades to finish',
+        count: openCopytrades
+      });
+    }
+    if (openStocks > 0) {
+      blockers.push({
+        code: 'ACTIVE_STOCKS',
+        message: 'Liquidate your stock positions first',
+        count: openStocks
+      });
+    }
+    if (pendingTransactions > 0) {
+      blockers.push({
+        code: 'PENDING_TRANSACTIONS',
+        message: 'Wait for pending deposits and withdrawals to be processed',
+        count: pendingTransactions
+      });
+    }
+
+    return { eligible: blockers.length === 0, blockers };
+  }
+
+  /**
+   * Start the cooling-off period
+   * @throws CLOSURE_ALREADY_REQUESTED
+   * @throws CLOSURE_BLOCKED (error.blockers lists the reasons)
+   */
+  static async requestClosure(user, reason) {
+    if (user.accountClosure?.scheduledFor) {
+      throw new Error('CLOSURE_ALREADY_REQUESTED');
+    }
+
+    const { eligible, blockers } = await AccountClosureService.checkEligibility(user._id);
+    if (!eligible) {
+      const error = new Error('CLOSURE_BLOCKED');
+      error.blockers = blockers;
+      throw error;
+    }
+
+    const requestedAt = new Date();
+    const scheduledFor = new Date(requestedAt.getTime() + COOLING_OFF_DAYS * 24 * 60 * 60 * 1000);
+
+    user.accountClosure = {
+      requestedAt,
+      scheduledFor,
+      reason: reason ? String(reason).trim().slice(0, 500) : undefined
+    };
+    await user.save();
+
+    await notifyAccountClosureScheduled(user._id, scheduledFor);
+
+    return user.accountClosure;
+  }
+
+  /**
+   * Stop a pending closure
+   * @throws NO_CLOSURE_PENDING
+   */
+  static async cancelClosure(userId, reason = null) {
+    const user = await User.findOneAndUpdate(
+      { _id: userId, 'accountClosure.scheduledFor': { $ne: null }, 'accountClosure.closedAt': null },
+      { $unset: { 'accountClosure.requestedAt': 1, 'accountClosure.scheduledFor': 1, 'accountClosure.reason': 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new Error('NO_CLOSURE_PENDING');
+    }
+
+    await notifyAccountClosureCancelled(user._id, reason);
+    return user;
+  }
+
+  /**
+   * Close one account whose cooling-off period is over. Safeguards are checked again;
+   * if anything changed in the meantime the closure is cancelled instead.
+   * @returns {'closed'|'cancelled'}
+   */
+  static async closeAccount(user) {
+    const { eligible, blockers } = await AccountClosureService.checkEligibility(user._id);
+
+    if (!eligible) {
+      await AccountClosureService.cancelClosure(user._id, blockers.map((blocker) => blocker.message).join('; '));
+
+      logger.warn('⚠️ Account closure cancelled - safeguards failed at end of cooling-off', {
+        userId: user._id,
+        blockers: blockers.map((blocker) => blocker.code)
+      });
+      return 'cancelled';
+    }
+
+    const closedAt = new Date();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { isActive: false, 'accountClosure.closedAt': closedAt } }
+    );
+
+    await SessionService.revokeAllSessions(user._id, 'account_closed');
+    await ApiKeyService.revokeAllKeys(user._id, 'account_closed');
+    await notifyAccountClosed(user._id, closedAt);
+
+    logger.info('🚪 Account closed by user request', {
+      userId: user._id,
+      requestedAt: user.accountClosure?.requestedAt
+    });
+    return 'closed';
+  }
+
+  /**
+   * Close every account whose cooling-off period has ended
+   * @returns {{processed: Number, closed: Number, cancelled: Number, errors: Number}}
+   */
+  static async processDueClosures() {
+    const stats = { processed: 0, closed: 0, cancelled: 0, errors: 0 };
+
+    const due = await User.find({
+      'accountClosure.scheduledFor': { $lte: new Date() },
+      'accountClosure.closedAt': null,
+      isActive: true
+    }).select('email accountClosure');
+
+    for (const user of due) {
+      stats.processed++;
+      try {
+        const result = await AccountClosureService.closeAccount(user);
+        stats[result]++;
+      } catch (error) {
+        stats.errors++;
+        logger.error('❌ Failed to close account', {
+          userId: user._id,
+          error: error.message
+        });
+      }
+    }
+
+    return stats;
+  }
+}
+
+export default AccountClosureService;
@@ -0,0 +1,137 @@
+// services/api-key.service.js
+// Personal API keys for programmatic access. Keys look like ctm_<8 hex>_<secret> and are hashed at rest.
+import crypto from 'crypto';
+import ApiKey from '../model/api-key.model.js';
+import { isValidApiKeyScope } from '../config/api-scopes.js';
+import logger from '../utils/logger.js';
+
+export const API_KEY_PREFIX = 'ctm_';
+const MAX_ACTIVE_KEYS = 10;
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+// lastUsedAt is only written when older than this, so busy keys do not write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const KEY_PATTERN = /^ctm_[0-9a-f]{8}_[A-Za-z0-9_-]{43}$/;
+
+class ApiKeyService {
+  /**
+   * Whether a bearer credential should be treated as an API key rather than a JWT
+   */
+  static looksLikeApiKey(credential) {
+    return typeof credential === 'string' && credential.startsWith(API_KEY_PREFIX);
+  }
+
+  /**
+   * Create a key for a user
+   * @param {String} userId
+   * @param {Object} params
+   * @param {String} params.name - Label chosen by the user
+   * @param {String[]} params.scopes - Scopes from config/api-scopes.js
+   * @param {Number} [params.expiresInDays] - Lifetime in days (default 90, max 365)
+   * @returns {{key: String, apiKey: ApiKey}} Plain key (shown once) and the stored document
+   */
+  static async createKey(userId, { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS }) {
+    if (!name || !String(name).trim()) {
+      throw new Error('NAME_REQUIRED');
+    }
+
+    const uniqueScopes = [...new Set(Array.isArray(scopes) ? scopes : [])];
+    if (uniqueScopes.length === 0 || !uniqueScopes.every(isValidApiKeyScope)) {
+      throw new Error('INVALID_SCOPES');
+    }
+
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      throw new Error('INVALID_EXPIRY');
+    }
+
+    const activeCount = await ApiKey.countDocuments({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    if (activeCount >= MAX_ACTIVE_KEYS) {
+      throw new Error('KEY_LIMIT_REACHED');
+    }
+
+    const prefix = `${API_KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      user: userId,
+      name: String(name).trim(),
+      prefix,
+      keyHash: hashApiKey(key),
+      scopes: uniqueScopes,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    return { key, apiKey };
+  }
+
+  /**
+   * Resolve a presented key to its active document and record the use
+   * @returns {ApiKey|null} null when the key is unknown, revoked or expired
+   */
+  static async authenticate(key, ip) {
+    if (!KEY_PATTERN.test(key)) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key) });
+    if (!apiKey || !apiKey.isActive) {
+      return null;
+    }
+
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS || apiKey.lastUsedIp !== ip) {
+      await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now, lastUsedIp: ip } });
+    }
+
+    return apiKey;
+  }
+
+  static async listKeys(userId) {
+    return ApiKey.find({ user: userId, revokedAt: null }).sort({ createdAt: -1 });
+  }
+
+  static async revokeKey(userId, keyId, reason = 'user_revoked') {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: keyId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      throw new Error('API_KEY_NOT_FOUND');
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Revoke every key of a user
+   * @returns {Number} Number of keys revoked
+   */
+  static async revokeAllKeys(userId, reason) {
+    const result = await ApiKey.updateMany(
+      { user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info('🔑 All user API keys revoked', {
+        userId,
+        reason,
+        revoked: result.modifiedCount
+      });
+    }
+
+    return result.modifiedCount;
+  }
+}
+
+export default ApiKeyService;
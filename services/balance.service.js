@@ -3,14 +3,19 @@
 import User from '../model/user.model.js';
 import PortfolioService from './portfolio.service.js';
 import FinancialSummaryService from './financial-summary.service.js';
+import LedgerService from './ledger.service.js';
+import FeeService from './fee.service.js';
 import logger from '../utils/logger.js';
 
 class BalanceService {
   /**
    * Add funds to user account (for deposits)
    * Updates totalInvestment AND portfolio, then syncs metrics
+   * @param {Object} [options]
+   * @param {{kind: String, id: String}} [options.reference] - Source of the ledger entry
+   * @param {String} [options.actor] - Who approved the movement
    */
-  static async addFunds(userId, usdValue, tokenName, tokenAmount, session = null) {
+  static async addFunds(userId, usdValue, tokenName, tokenAmount, session = null, options = {}) {
     const userDoc = await User.findById(userId)
       .select('email totalInvestment accountBalance')
       .session(session);
@@ -39,6 +44,16 @@ class BalanceService {
 
     await userDoc.save({ session });
 
+    await LedgerService.record({
+      userId,
+      type: 'deposit',
+      reference: options.reference || { kind: 'AdminAction' },
+      movements: [{ token: tokenName, amount: tokenAmount }],
+      usdValue,
+      description: `Deposit of ${tokenAmount} ${tokenName.toUpperCase()}`,
+      actor: options.actor
+    }, session);
+
     const summary = await FinancialSummaryService.syncUserFinancialMetrics(userId, session);
 
     logger.info('💰 Funds added to user account and portfolio', {
@@ -71,8 +86,9 @@ class BalanceService {
   /**
    * Deduct funds from user account (for withdrawals)
    * Updates portfolio only; totalInvestment unchanged; metrics sync refreshes ROI
+   * @param {Object} [options] - Same as addFunds
    */
-  static async deductFunds(userId, usdValue, tokenName, tokenAmount, session = null) {
+  static async deductFunds(userId, usdValue, tokenName, tokenAmount, session = null, options = {}) {
     const userDoc = await User.findById(userId)
       .select('email totalInvestment accountBalance')
       .session(session);
@@ -105,6 +121,16 @@ class BalanceService {
       session
     );
 
+    await LedgerService.record({
+      userId,
+      type: 'withdrawal',
+      reference: options.reference || { kind: 'AdminAction' },
+      movements: [{ token: tokenName, amount: -tokenAmount }],
+      usdValue,
+      description: `Withdrawal of ${tokenAmount} ${tokenName.toUpperCase()}`,
+      actor: options.actor
+    }, session);
+
     const summary = await FinancialSummaryService.syncUserFinancialMetrics(userId, session);
 
     logger.info('💸 Funds deducted from user account and portfolio', {
@@ -143,6 +169,10 @@ class BalanceService {
    * @param {Object} options
    * @param {Number} [options.investedUsd] - Cost basis for USDT (defaults to usdValue).
    *   Pass the trade's initial_investment so profit/loss is reflected in portfolio MTM.
+   * @param {{kind: String, id: String}} [options.reference] - Purchase being settled
+   * @param {String} [options.actor]
+   * @param {Number} [options.performanceFee] - USD performance fee taken from the settled USDT
+   *   (capped at the settled amount; the returned performanceFeeCharge is what was charged)
    */
   static async settleTradeReturn(userId, usdValue, session = null, options = {}) {
     const userDoc = await User.findById(userId)
@@ -174,6 +204,29 @@ class BalanceService {
       session
     );
 
+    await LedgerService.record({
+      userId,
+      type: 'trade_settlement',
+      reference: options.reference || { kind: 'AdminAction' },
+      movements: [{ token: 'USDT', amount: usdtAmount }],
+      usdValue: settledValue,
+      description: `Settlement of ${usdtAmount} USDT`,
+      actor: options.actor
+    }, session);
+
+    const performanceFeeCharge = await FeeService.chargeTokenFee({
+      userId,
+      product: 'performance_fee',
+      reference: options.reference,
+      fee: {
+        amount: Math.min(Number(Number(options.performanceFee || 0).toFixed(8)), usdtAmount),
+        token: 'USDT'
+      },
+      price: 1,
+      actor: options.actor
+    }, session);
+    const performanceFee = performanceFeeCharge?.amount || 0;
+
     const summary = await FinancialSummaryService.syncUserFinancialMetrics(userId, session);
 
     logger.info('💵 Trade return settled as USDT (no totalInvestment change)', {
@@ -182,6 +235,7 @@ class BalanceService {
       usdValue: settledValue,
       investedUsd,
       usdtAmount,
+      performanceFee,
       accountBalance: { previous: previousAccountBalance, new: summary.accountBalance },
       currentValue: summary.currentValue,
       roi: summary.roi,
@@ -195,6 +249,8 @@ class BalanceService {
       totalInvestment: userDoc.totalInvestment || 0,
       currentValue: summary.currentValue,
       roi: summary.roi,
+      performanceFee,
+      performanceFeeCharge,
       tokenAdded: { name: 'USDT', amount: usdtAmount }
     };
   }
@@ -214,11 +270,14 @@ class BalanceService {
    * @param {Number} [fields.accountBalance]
    * @param {Number} [fields.currentValue]
    * @param {Object} [session]
+   * @param {Object} [options]
+   * @param {String} [options.actor] - Admin username for the ledger entry
    */
   static async adminUpdateFinancialMetrics(
     userId,
     { accountBalance, currentValue } = {},
-    session = null
+    session = null,
+    options = {}
   ) {
     const hasBalance = accountBalance !== undefined && accountBalance !== null;
     const hasCurrent = currentValue !== undefined && currentValue !== null;
@@ -313,6 +372,21 @@ class BalanceService {
       session
     );
 
+    if (adjustments.length > 0) {
+      await LedgerService.record({
+        userId,
+        type: 'admin_adjustment',
+        reference: { kind: 'AdminAction' },
+        movements: adjustments.map((adjustment) => ({
+          token: adjustment.tokenName,
+          amount: adjustment.action === 'add' ? adjustment.tokenAmount : -adjustment.tokenAmount
+        })),
+        usdValue: delta,
+        description: `Admin set available balance to ${targetAvailable}`,
+        actor: options.actor
+      }, session);
+    }
+
     const after = await FinancialSummaryService.syncUserFinancialMetrics(
       userId,
       session
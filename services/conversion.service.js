@@ -0,0 +1,246 @@
+// services/conversion.service.js
+// Convert one held token into another at market price less a spread.
+// A quote locks the rate for a short time; executing it swaps both Portfolio entries in one Mongo transaction.
+import mongoose from 'mongoose';
+import Conversion from '../model/conversion.model.js';
+import Portfolio from '../model/portfolio.model.js';
+import User from '../model/user.model.js';
+import PortfolioService from './portfolio.service.js';
+import FinancialSummaryService from './financial-summary.service.js';
+import LedgerService from './ledger.service.js';
+import { getTokenPrice } from '../utils/priceService.js';
+import logger from '../utils/logger.js';
+
+export const CONVERSION_SETTINGS = {
+  spreadPercent: Number(process.env.CONVERSION_SPREAD_PERCENT ?? 0.5),
+  quoteTtlSeconds: Number(process.env.CONVERSION_QUOTE_TTL_SECONDS) || 30,
+  minUsd: Number(process.env.CONVERSION_MIN_USD) || 1
+};
+
+const round = (value) => Number(Number(value).toFixed(8));
+
+const conversionError = (code, data) => {
+  const error = new Error(code);
+  if (data) error.data = data;
+  return error;
+};
+
+// Only active, KYC-verified users may convert
+const assertCanConvert = async (userId, session = null) => {
+  const user = await User.findById(userId).select('isActive kycStatus').session(session).lean();
+  if (!user) throw conversionError('USER_NOT_FOUND');
+  if (!user.isActive) throw conversionError('ACCOUNT_INACTIVE');
+  if (!user.kycStatus) throw conversionError('KYC_REQUIRED');
+};
+
+const paginate = async (filter, { page = 1, limit = 20 } = {}, populateUser = false) => {
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  let query = Conversion.find(filter)
+    .sort({ completedAt: -1 })
+    .skip((pageNum - 1) * limitNum)
+    .limit(limitNum)
+    .lean();
+  if (populateUser) query = query.populate('user', 'email username');
+
+  const [conversions, totalItems] = await Promise.all([query, Conversion.countDocuments(filter)]);
+  const totalPages = Math.ceil(totalItems / limitNum);
+
+  return {
+    conversions,
+    pagination: {
+      currentPage: pageNum,
+      totalPages,
+      totalItems,
+      itemsPerPage: limitNum,
+      hasNext: pageNum < totalPages,
+      hasPrev: pageNum > 1
+    }
+  };
+};
+
+class ConversionService {
+  /**
+   * Price a conversion and lock it for CONVERSION_SETTINGS.quoteTtlSeconds
+   * @param {Object} params
+   * @param {String} params.userId
+   * @param {String} params.fromToken
+   * @param {String} params.toToken
+   * @param {Number} params.amount - Amount of fromToken to convert
+   * @returns {Conversion} The quote (status 'quoted')
+   */
+  static async createQuote({ userId, fromToken, toToken, amount }) {
+    const fromAmount = Number(amount);
+    if (!fromToken || !toToken || !(fromAmount > 0)) {
+      throw conversionError('INVALID_CONVERSION', { message: 'fromToken, toToken and a positive amount are required' });
+    }
+
+    const from = String(fromToken).toUpperCase().trim();
+    const to = String(toToken).toUpperCase().trim();
+    if (from === to) {
+      throw conversionError('INVALID_CONVERSION', { message: 'Choose two different tokens' });
+    }
+
+    await assertCanConvert(userId);
+
+    const holding = await Portfolio.findOne({ user: userId, token_name: from }).select('amount').lean();
+    if (!holding) {
+      throw conversionError('TOKEN_NOT_IN_PORTFOLIO', { tokenName: from });
+    }
+    if (holding.amount < fromAmount) {
+      throw conversionError('INSUFFICIENT_TOKEN_BALANCE', {
+        tokenName: from,
+        requested: fromAmount,
+        available: holding.amount
+      });
+    }
+
+    let fromPrice;
+    let toPrice;
+    try {
+      [fromPrice, toPrice] = await Promise.all([getTokenPrice(from), getTokenPrice(to)]);
+    } catch (error) {
+      throw conversionError('PRICE_UNAVAILABLE', { message: error.message });
+    }
+    if (!(fromPrice > 0) || !(toPrice > 0)) {
+      throw conversionError('PRICE_UNAVAILABLE', { message: 'No price available for this pair' });
+    }
+
+    const { spreadPercent, quoteTtlSeconds, minUsd } = CONVERSION_SETTINGS;
+    const usdValue = round(fromAmount * fromPrice);
+    if (usdValue < minUsd) {
+      throw conversionError('CONVERSION_BELOW_MINIMUM', { usdValue, minUsd });
+    }
+
+    const spreadUsd = round(usdValue * spreadPercent / 100);
+    const toAmount = round((usdValue - spreadUsd) / toPrice);
+
+    return Conversion.create({
+      user: userId,
+      fromToken: from,
+      toToken: to,
+      fromAmount,
+      toAmount,
+      fromPrice,
+      toPrice,
+      rate: round(toAmount / fromAmount),
+      spreadPercent,
+      usdValue,
+      spreadUsd,
+      expiresAt: new Date(Date.now() + quoteTtlSeconds * 1000)
+    });
+  }
+
+  /**
+   * Execute a locked quote. The received token is added at the market value given up,
+   * so its averageAcquisitionPrice includes the spread.
+   * @param {String} userId
+   * @param {String} quoteId
+   * @param {String} actor - The user's email, recorded on the ledger entry
+   * @returns {Conversion} The completed conversion
+   */
+  static async executeQuote(userId, quoteId, actor) {
+    if (!mongoose.isValidObjectId(quoteId)) {
+      throw conversionError('QUOTE_NOT_FOUND');
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let conversion;
+
+      await session.withTransaction(async () => {
+        // Re-checked here: the account may have changed since the quote
+        await assertCanConvert(userId, session);
+
+        const now = new Date();
+        conversion = await Conversion.findOneAndUpdate(
+          { _id: quoteId, user: userId, status: 'quoted', expiresAt: { $gt: now } },
+          { $set: { status: 'completed', completedAt: now } },
+          { new: true, session }
+        );
+
+        if (!conversion) {
+          const existing = await Conversion.findOne({ _id: quoteId, user: userId })
+            .select('status')
+            .session(session)
+            .lean();
+          if (!existing) throw conversionError('QUOTE_NOT_FOUND');
+          throw conversionError(existing.status === 'completed' ? 'QUOTE_ALREADY_USED' : 'QUOTE_EXPIRED');
+        }
+
+        await PortfolioService.deductFromPortfolio(userId, conversion.fromToken, conversion.fromAmount, session);
+        await PortfolioService.addToPortfolio(userId, conversion.toToken, conversion.toAmount, conversion.usdValue, session);
+
+        await LedgerService.record({
+          userId,
+          type: 'conversion',
+          reference: { kind: 'Conversion', id: conversion._id },
+          movements: [
+            { token: conversion.fromToken, amount: -conversion.fromAmount },
+            { token: conversion.toToken, amount: conversion.toAmount }
+          ],
+          usdValue: conversion.usdValue,
+          description: `Converted ${conversion.fromAmount} ${conversion.fromToken} to ${conversion.toAmount} ${conversion.toToken}`,
+          actor
+        }, session);
+
+        await FinancialSummaryService.syncUserFinancialMetrics(userId, session);
+      });
+
+      logger.info('🔄 Token conversion completed', {
+        conversionId: conversion._id,
+        userId,
+        fromToken: conversion.fromToken,
+        fromAmount: conversion.fromAmount,
+        toToken: conversion.toToken,
+        toAmount: conversion.toAmount,
+        spreadUsd: conversion.spreadUsd
+      });
+
+      return conversion;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * A user's completed conversions, newest first
+   */
+  static async getUserConversions(userId, query = {}) {
+    return paginate({ user: userId, status: 'completed' }, query);
+  }
+
+  /**
+   * All completed conversions (admin), newest first, with spread totals for the filter
+   * @param {Object} query - page, limit, user, token (either side)
+   */
+  static async getAllConversions({ user, token, ...query } = {}) {
+    const filter = { status: 'completed' };
+    if (user && mongoose.isValidObjectId(user)) {
+      filter.user = new mongoose.Types.ObjectId(String(user));
+    }
+    if (token) {
+      const symbol = String(token).toUpperCase();
+      filter.$or = [{ fromToken: symbol }, { toToken: symbol }];
+    }
+
+    const [result, [totals]] = await Promise.all([
+      paginate(filter, query, true),
+      Conversion.aggregate([
+        { $match: filter },
+        { $group: { _id: null, volumeUsd: { $sum: '$usdValue' }, spreadUsd: { $sum: '$spreadUsd' } } }
+      ])
+    ]);
+
+    return {
+      ...result,
+      totals: {
+        volumeUsd: round(totals?.volumeUsd || 0),
+        spreadUsd: round(totals?.spreadUsd || 0)
+      }
+    };
+  }
+}
+
+export default ConversionService;
@@ -4,10 +4,10 @@ import mongoose from 'mongoose';
 import CopytradePurchase from '../model/copytrade-purchase.model.js';
 import CopytradingOption from '../model/copytrading-option.model.js';
 import User from '../model/user.model.js';
-import Portfolio from '../model/portfolio.model.js';
 import PortfolioService from './portfolio.service.js';
 import BalanceService from './balance.service.js';
-import { getTokenPrice } from '../utils/priceService.js';
+import LedgerService from './ledger.service.js';
+import FeeService from './fee.service.js';
 import logger from '../utils/logger.js';
 
 class CopytradePurchaseService {
@@ -43,7 +43,8 @@ class CopytradePurchaseService {
       trade_risk,
       trade_roi_min,
       trade_roi_max,
-      trade_duration
+      trade_duration,
+      performance_fee_percent
     } = copytradeOption;
 
     // Validate initial_investment is within range
@@ -85,13 +86,20 @@ class CopytradePurchaseService {
       throw error;
     }
 
-    // Check if user has sufficient balance for the investment
-    if (currentAccountBalance < initial_investment) {
+    // Check if user has sufficient balance for the investment plus its fee
+    const { fee, totalCost } = await FeeService.quote({
+      userId: user,
+      product: 'copytrade_purchase',
+      amount: initial_investment
+    }, session);
+
+    if (currentAccountBalance < totalCost) {
       const error = new Error('INSUFFICIENT_FUNDS');
       error.data = {
-        required: initial_investment,
+        required: totalCost,
         available: currentAccountBalance,
-        deficit: initial_investment - currentAccountBalance,
+        deficit: totalCost - currentAccountBalance,
+        fee: fee.amount,
         tradeTitle: trade_title
       };
       throw error;
@@ -121,7 +129,9 @@ class CopytradePurchaseService {
       trade_status: 'pending',
       trade_win_rate: purchaseData.trade_win_rate || null,
       trade_approval_date: purchaseData.trade_approval_date || null,
-      trade_end_date: purchaseData.trade_end_date || null
+      trade_end_date: purchaseData.trade_end_date || null,
+      fee,
+      performance_fee_percent: performance_fee_percent || 0
     });
 
     const savedPurchase = await purchase.save({ session });
@@ -155,98 +165,30 @@ class CopytradePurchaseService {
   static async approvePurchase(purchase, adminUsername, session = null) {
     const userId = purchase.user;
     const usdAmountToDeduct = purchase.initial_investment;
+    const feeAmount = purchase.fee && !purchase.fee.chargedAt ? purchase.fee.amount : 0;
 
-    // Get user's portfolio entries with live prices
-    const portfolioEntries = await Portfolio.find({ user: userId }).session(session);
-    
-    if (portfolioEntries.length === 0) {
-      const error = new Error('NO_PORTFOLIO_ENTRIES');
-      error.data = { userId };
-      throw error;
-    }
-
-    // Fetch live prices and calculate current values, then sort by value (highest first)
-    const entriesWithValues = await Promise.all(
-      portfolioEntries.map(async (entry) => {
-        try {
-          const livePrice = await getTokenPrice(entry.token_name);
-          const currentValue = Number((entry.amount * livePrice).toFixed(8));
-          return {
-            entry,
-            livePrice,
-            currentValue
-          };
-        } catch (error) {
-          logger.error(`Failed to get price for ${entry.token_name}`, error);
-          return {
-            entry,
-            livePrice: null,
-            currentValue: 0
-          };
-        }
-      })
-    );
-
-    // Sort by current value (highest first)
-    entriesWithValues.sort((a, b) => b.currentValue - a.currentValue);
-
-    // Calculate total portfolio value
-    const totalPortfolioValue = entriesWithValues.reduce(
-      (sum, item) => sum + item.currentValue,
-      0
-    );
-
-    // Validate user has sufficient portfolio value
-    if (totalPortfolioValue < usdAmountToDeduct) {
-      const error = new Error('INSUFFICIENT_PORTFOLIO_VALUE');
-      error.data = {
-        required: usdAmountToDeduct,
-        available: totalPortfolioValue,
-        deficit: usdAmountToDeduct - totalPortfolioValue
-      };
-      throw error;
-    }
-
-    // Deduct from portfolio starting with highest value token first
-    let remainingToDeduct = usdAmountToDeduct;
-    const deductions = [];
-
-    for (const { entry, livePrice, currentValue } of entriesWithValues) {
-      if (remainingToDeduct <= 0) break;
-      if (!livePrice || currentValue <= 0) continue;
+    // Deduct from portfolio starting with highest value token first; the fee must be covered too
+    const deductions = await PortfolioService.deductUsdValue(userId, usdAmountToDeduct, session, {
+      requiredUsd: usdAmountToDeduct + feeAmount
+    });
 
-      if (currentValue <= remainingToDeduct) {
-        // Deduct entire token value
-        const tokenAmountToDeduct = entry.amount;
-        await PortfolioService.deductFromPortfolio(
-          userId,
-          entry.token_name,
-          tokenAmountToDeduct,
-          session
-        );
-        deductions.push({
-          tokenName: entry.token_name,
-          tokenAmount: tokenAmountToDeduct,
-          usdValue: currentValue
-        });
-        remainingToDeduct -= currentValue;
-      } else {
-        // Deduct partial token value
-        const tokenAmountToDeduct = Number((remainingToDeduct / livePrice).toFixed(8));
-        await PortfolioService.deductFromPortfolio(
-          userId,
-          entry.token_name,
-          tokenAmountToDeduct,
-          session
-        );
-        deductions.push({
-          tokenName: entry.token_name,
-          tokenAmount: tokenAmountToDeduct,
-          usdValue: remainingToDeduct
-        });
-        remainingToDeduct = 0;
-      }
-    }
+    await LedgerService.record({
+      userId,
+      type: 'copytrade_allocation',
+      reference: { kind: 'CopytradePurchase', id: purchase._id },
+      movements: deductions.map((d) => ({ token: d.tokenName, amount: -d.tokenAmount })),
+      usdValue: usdAmountToDeduct,
+      description: `Allocated to copytrade ${purchase.trade_title}`,
+      actor: adminUsername
+    }, session);
+
+    await FeeService.chargeUsdFee({
+      userId,
+      product: 'copytrade_purchase',
+      reference: { kind: 'CopytradePurchase', id: purchase._id },
+      fee: purchase.fee,
+      actor: adminUsername
+    }, session);
 
     // Set trade start date and calculate end date (duration in days)
     const tradeStartDate = new Date();
@@ -266,6 +208,7 @@ class CopytradePurchaseService {
       purchaseId: purchase._id,
       userId,
       initialInvestment: usdAmountToDeduct,
+      fee: feeAmount,
       deductions,
       newAccountBalance,
       adminUsername
@@ -2,6 +2,7 @@
 // Service for managing active copytrade purchases - daily updates and completion
 import mongoose from 'mongoose';
 import CopytradePurchase from '../model/copytrade-purchase.model.js';
+import HighWaterMark from '../model/high-water-mark.model.js';
 import BalanceService from './balance.service.js';
 import FinancialSummaryService from './financial-summary.service.js';
 import logger from '../utils/logger.js';
@@ -146,6 +147,64 @@ class CopytradeTradingService {
     return { finalValue, profitLoss, roiPercent, isProfit: profitLoss >= 0 };
   }
 
+  /**
+   * Add a settled trade's profit/loss to the user's high-water mark for its option and work out
+   * the performance fee: the purchase's fee percent of cumulative profit above the previous mark.
+   * Sets purchase.performance_fee when a fee is due; recordPerformanceFeeCharge fills in what was charged.
+   * @returns {Number} Fee due in USD (0 when none)
+   */
+  static async applyHighWaterMark(purchase, profitLoss, session = null) {
+    if (!purchase.copytradeOption) {
+      return 0;
+    }
+
+    const mark = await HighWaterMark.findOneAndUpdate(
+      { user: purchase.user, copytradeOption: purchase.copytradeOption },
+      { $setOnInsert: { cumulativeProfit: 0, highWaterMark: 0 } },
+      { upsert: true, new: true, session }
+    );
+
+    const previousMark = mark.highWaterMark;
+    const cumulativeProfit = Number((mark.cumulativeProfit + profitLoss).toFixed(8));
+    const profitAboveMark = Math.max(0, Number((cumulativeProfit - previousMark).toFixed(8)));
+
+    mark.cumulativeProfit = cumulativeProfit;
+    mark.highWaterMark = Math.max(previousMark, cumulativeProfit);
+    mark.lastSettledAt = new Date();
+    await mark.save({ session });
+
+    const percent = purchase.performance_fee_percent || 0;
+    const amount = Number((profitAboveMark * percent / 100).toFixed(8));
+    if (amount <= 0) {
+      return 0;
+    }
+
+    purchase.performance_fee = {
+      percent,
+      high_water_mark: previousMark,
+      profit_above_mark: profitAboveMark,
+      amount
+    };
+    return amount;
+  }
+
+  /**
+   * Store the performance fee settlement actually charged, which is capped at the settled USDT.
+   * @param {Object} purchase
+   * @param {FeeCharge|null} charge - From BalanceService.settleTradeReturn (null when nothing was charged)
+   * @returns {Number} Fee charged in USD (0 when none)
+   */
+  static async recordPerformanceFeeCharge(purchase, charge, session = null) {
+    if (!purchase.performance_fee) {
+      return 0;
+    }
+
+    purchase.performance_fee.amount = charge ? charge.amount : 0;
+    purchase.performance_fee.charged_at = charge ? charge.createdAt : undefined;
+    await purchase.save({ session });
+    return purchase.performance_fee.amount;
+  }
+
   /**
    * Complete trades that have reached their end date.
    * Settles simulated trade_current_value (successful or unsuccessful).
@@ -186,6 +245,8 @@ class CopytradeTradingService {
           const { finalValue, profitLoss, roiPercent, isProfit } =
             this.resolveFinalSettlement(purchase);
 
+          const performanceFeeDue = await this.applyHighWaterMark(purchase, profitLoss, session);
+
           // Mark completed before settlement so locked capital excludes this trade
           purchase.trade_current_value = finalValue;
           purchase.trade_status = 'completed';
@@ -193,20 +254,26 @@ class CopytradeTradingService {
           purchase.isProfit = isProfit;
           await purchase.save({ session });
 
-          await BalanceService.settleTradeReturn(userId, finalValue, session, {
-            investedUsd: initial_investment
+          const settleResult = await BalanceService.settleTradeReturn(userId, finalValue, session, {
+            investedUsd: initial_investment,
+            reference: { kind: 'CopytradePurchase', id: purchase._id },
+            actor: 'system_auto',
+            performanceFee: performanceFeeDue
           });
+          const performanceFee =
+            await this.recordPerformanceFeeCharge(purchase, settleResult.performanceFeeCharge, session);
 
           await session.commitTransaction();
 
           completedCount++;
-          totalReturned += finalValue;
+          totalReturned += finalValue - performanceFee;
 
           logger.info('✅ Completed copytrade purchase', {
             purchaseId: purchase._id,
             userId,
             initialInvestment: initial_investment,
             finalValue,
+            performanceFee,
             roiPercent,
             profitLoss,
             isProfit,
@@ -215,7 +282,8 @@ class CopytradeTradingService {
 
           notifyCopytradeCompleted(userId, purchase, {
             finalValue,
-            roiPercent
+            roiPercent,
+            performanceFee
           }).catch(() => {});
         } catch (error) {
           await session.abortTransaction();
@@ -254,6 +322,7 @@ class CopytradeTradingService {
   /**
    * Manually complete a single copytrade purchase (admin action).
    * Settles current simulated value unless options.finalValue is provided.
+   * options.adminUsername is recorded as the actor on the ledger entry.
    */
   static async completeSingleTrade(purchaseId, session = null, options = {}) {
     const shouldCreateSession = !session;
@@ -301,6 +370,8 @@ class CopytradeTradingService {
           this.resolveFinalSettlement(purchase));
       }
 
+      const performanceFeeDue = await this.applyHighWaterMark(purchase, profitLoss, session);
+
       const now = new Date();
       purchase.trade_current_value = finalValue;
       purchase.trade_status = 'completed';
@@ -313,8 +384,15 @@ class CopytradeTradingService {
         userId,
         finalValue,
         session,
-        { investedUsd: initial_investment }
+        {
+          investedUsd: initial_investment,
+          reference: { kind: 'CopytradePurchase', id: purchase._id },
+          actor: options.adminUsername,
+          performanceFee: performanceFeeDue
+        }
       );
+      const performanceFee =
+        await this.recordPerformanceFeeCharge(purchase, settleResult.performanceFeeCharge, session);
 
       if (shouldCreateSession) {
         await session.commitTransaction();
@@ -325,6 +403,7 @@ class CopytradeTradingService {
         userId,
         initialInvestment: initial_investment,
         finalValue,
+        performanceFee,
         roiPercent,
         profitLoss,
         isProfit,
@@ -336,12 +415,14 @@ class CopytradeTradingService {
 
       notifyCopytradeCompleted(userId, purchase, {
         finalValue,
-        roiPercent
+        roiPercent,
+        performanceFee
       }).catch(() => {});
 
       return {
         purchase,
         finalValue,
+        performanceFee,
         roiPercent,
         profitLoss,
         newAccountBalance: settleResult.newAccountBalance,
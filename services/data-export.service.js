@@ -0,0 +1,301 @@
+// services/data-export.service.js
+// Self-service personal data exports: requests are queued here, built by DataExportJob,
+// and downloaded through a single-purpose token that expires with the archive.
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { ZipArchive } from 'archiver';
+import DataExport from '../model/data-export.model.js';
+import User from '../model/user.model.js';
+import KYC from '../model/kyc.model.js';
+import Transaction from '../model/transaction.model.js';
+import Portfolio from '../model/portfolio.model.js';
+import CopytradePurchase from '../model/copytrade-purchase.model.js';
+import StockPurchase from '../model/stock-purchase.model.js';
+import UserSupport from '../model/user-support.model.js';
+import LoginEvent from '../model/login-event.model.js';
+import UserSession from '../model/user-session.model.js';
+import ApiKey from '../model/api-key.model.js';
+import { brand } from '../utils/emailTemplates.js';
+import { notifyDataExportReady } from '../utils/emailService.js';
+import logger from '../utils/logger.js';
+
+export const DOWNLOAD_TTL_HOURS = 48;
+// One new export per day is plenty and keeps the job queue small
+const REQUEST_COOLDOWN_HOURS = 24;
+// Archives live in GridFS, outside the DataExport documents
+const BUCKET_NAME = 'dataExports';
+const BATCH_SIZE = 5;
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
+const hashDownloadToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const getBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+
+// Secrets and internal bookkeeping that never leave the system
+const USER_EXCLUDED_FIELDS = [
+  '-password',
+  '-twoFactor.secret',
+  '-twoFactor.pendingSecret',
+  '-twoFactor.backupCodes',
+  '-twoFactor.lastUsedStep',
+  '-passwordResetTokenHash',
+  '-passwordResetExpires',
+  '-__v'
+].join(' ');
+
+// KYC documents are described, not linked: storage URLs are internal
+const describeKycDocument = (document) => document && {
+  fileName: document.fileName,
+  fileSize: document.fileSize,
+  resourceType: document.resourceType,
+  uploadedAt: document.uploadedAt
+};
+
+class DataExportService {
+  /**
+   * Queue an export for a user
+   * @throws EXPORT_IN_PROGRESS when one is still pending/processing
+   * @throws EXPORT_RATE_LIMITED when one was requested within the cooldown
+   */
+  static async requestExport(userId, req) {
+    const inProgress = await DataExport.exists({ user: userId, status: { $in: ['pending', 'processing'] } });
+    if (inProgress) {
+      throw new Error('EXPORT_IN_PROGRESS');
+    }
+
+    const since = new Date(Date.now() - REQUEST_COOLDOWN_HOURS * 60 * 60 * 1000);
+    const recent = await DataExport.exists({ user: userId, status: 'ready', createdAt: { $gt: since } });
+    if (recent) {
+      throw new Error('EXPORT_RATE_LIMITED');
+    }
+
+    return DataExport.create({ user: userId, requestedIp: req.ip });
+  }
+
+  static async listExports(userId) {
+    return DataExport.find({ user: userId }).sort({ createdAt: -1 }).limit(10);
+  }
+
+  /**
+   * Collect everything held about a user into one plain object
+   */
+  static async buildArchive(userId) {
+    const [
+      user,
+      kyc,
+      transactions,
+      portfolio,
+      copytradePurchases,
+      stockPurchases,
+      supportTickets,
+      loginHistory,
+      sessions,
+      apiKeys
+    ] = await Promise.all([
+      User.findById(userId).select(USER_EXCLUDED_FIELDS).lean(),
+      KYC.findOne({ userId }).select('-__v').lean(),
+      Transaction.find({ user: userId }).select('-__v').sort({ createdAt: 1 }).lean(),
+      Portfolio.find({ user: userId }).select('-__v').lean(),
+      CopytradePurchase.find({ user: userId }).select('-__v').sort({ createdAt: 1 }).lean(),
+      StockPurchase.find({ user: userId }).select('-__v').sort({ createdAt: 1 }).lean(),
+      UserSupport.find({ user: userId }).select('-__v').sort({ createdAt: 1 }).lean(),
+      LoginEvent.find({ user: userId }).select('-__v -deviceId').sort({ createdAt: 1 }).lean(),
+      UserSession.find({ user: userId }).select('-__v -refreshTokenHash -previousRefreshTokenHash').lean(),
+      ApiKey.find({ user: userId }).select('-__v -keyHash').lean()
+    ]);
+
+    if (!user) {
+      throw new Error('USER_NOT_FOUND');
+    }
+
+    if (kyc) {
+      kyc.documents = {
+        validId: describeKycDocument(kyc.documents?.validId),
+        passport: describeKycDocument(kyc.documents?.passport)
+      };
+      delete kyc.reviewedBy;
+    }
+
+    return {
+      exportedAt: new Date().toISOString(),
+      service: brand.name,
+      profile: user,
+      kyc,
+      transactions,
+      portfolio,
+      copytradePurchases,
+      stockPurchases,
+      supportTickets,
+      loginHistory,
+      sessions,
+      apiKeys
+    };
+  }
+
+  /**
+   * Write the archive as a ZIP with one JSON file per section into GridFS
+   * @returns {{fileId: ObjectId, fileSize: Number}}
+   */
+  static async storeArchive(archive, fileName, expiresAt) {
+    const upload = getBucket().openUploadStream(fileName, {
+      contentType: 'application/zip',
+      // Expired files are removed by purgeExpiredFiles; the DataExport TTL index cannot reach GridFS
+      metadata: { expiresAt }
+    });
+
+    try {
+      const zip = new ZipArchive();
+      const stored = new Promise((resolve, reject) => {
+        upload.once('finish', resolve);
+        upload.once('error', reject);
+        zip.once('error', reject);
+      });
+      zip.pipe(upload);
+
+      for (const [section, content] of Object.entries(archive)) {
+        zip.append(JSON.stringify(content ?? null, null, 2), { name: `${section}.json` });
+      }
+      await zip.finalize();
+      await stored;
+    } catch (error) {
+      await upload.abort().catch(() => {});
+      throw error;
+    }
+
+    return { fileId: upload.id, fileSize: upload.length };
+  }
+
+  /**
+   * Build one export and email the download link
+   */
+  static async processExport(dataExport) {
+    try {
+      const archive = await DataExportService.buildArchive(dataExport.user);
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      const completedAt = new Date();
+      const expiresAt = new Date(completedAt.getTime() + DOWNLOAD_TTL_HOURS * 60 * 60 * 1000);
+      const fileName = `${brand.name.replace(/\s+/g, '-').toLowerCase()}-data-${completedAt.toISOString().slice(0, 10)}.zip`;
+
+      const { fileId, fileSize } = await DataExportService.storeArchive(archive, fileName, expiresAt);
+
+      dataExport.fileId = fileId;
+      dataExport.fileName = fileName;
+      dataExport.fileSize = fileSize;
+      dataExport.downloadTokenHash = hashDownloadToken(token);
+      dataExport.status = 'ready';
+      dataExport.completedAt = completedAt;
+      dataExport.expiresAt = expiresAt;
+      await dataExport.save();
+
+      const downloadUrl = `${brand.siteUrl}/data-export?id=${dataExport._id}&token=${token}`;
+      await notifyDataExportReady(dataExport.user, downloadUrl, DOWNLOAD_TTL_HOURS);
+
+      logger.info('📦 Data export ready', {
+        exportId: dataExport._id,
+        userId: dataExport.user,
+        fileSize
+      });
+
+      return true;
+    } catch (error) {
+      dataExport.status = 'failed';
+      dataExport.error = error.message;
+      dataExport.completedAt = new Date();
+      // Failed exports are cleaned up like expired ones
+      dataExport.expiresAt = new Date(Date.now() + DOWNLOAD_TTL_HOURS * 60 * 60 * 1000);
+      await dataExport.save();
+
+      logger.error('❌ Data export failed', {
+        exportId: dataExport._id,
+        userId: dataExport.user,
+        error: error.message
+      });
+
+      return false;
+    }
+  }
+
+  /**
+   * Claim and build pending exports, oldest first
+   * @returns {{processed: Number, succeeded: Number, failed: Number}}
+   */
+  static async processPending(limit = BATCH_SIZE) {
+    const stats = { processed: 0, succeeded: 0, failed: 0 };
+
+    // Exports left in processing by a crashed or restarted instance go back in the queue
+    await DataExport.updateMany(
+      { status: 'processing', startedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+      { $set: { status: 'pending' } }
+    );
+
+    for (let i = 0; i < limit; i++) {
+      // Claiming atomically keeps two instances from building the same export
+      const dataExport = await DataExport.findOneAndUpdate(
+        { status: 'pending' },
+        { $set: { status: 'processing', startedAt: new Date() } },
+        { sort: { createdAt: 1 }, new: true }
+      );
+      if (!dataExport) break;
+
+      stats.processed++;
+      if (await DataExportService.processExport(dataExport)) {
+        stats.succeeded++;
+      } else {
+        stats.failed++;
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Delete archive files whose download window has passed
+   * @returns {Number} Files deleted
+   */
+  static async purgeExpiredFiles() {
+    const bucket = getBucket();
+    const expired = await bucket.find({ 'metadata.expiresAt': { $lte: new Date() } }).project({ _id: 1 }).toArray();
+
+    for (const file of expired) {
+      await bucket.delete(file._id);
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Stream an export's archive from GridFS
+   */
+  static openArchiveStream(dataExport) {
+    return getBucket().openDownloadStream(dataExport.fileId);
+  }
+
+  /**
+   * Resolve a download link to its archive
+   * @throws EXPORT_NOT_FOUND for unknown, unfinished or expired exports and wrong tokens
+   */
+  static async getDownload(exportId, token) {
+    const dataExport = await DataExport.findById(exportId).select('+downloadTokenHash');
+
+    if (
+      !dataExport ||
+      dataExport.status !== 'ready' ||
+      !dataExport.fileId ||
+      !token ||
+      dataExport.expiresAt <= new Date() ||
+      !crypto.timingSafeEqual(Buffer.from(dataExport.downloadTokenHash), Buffer.from(hashDownloadToken(token)))
+    ) {
+      throw new Error('EXPORT_NOT_FOUND');
+    }
+
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: new Date() } }
+    );
+
+    return dataExport;
+  }
+}
+
+export default DataExportService;
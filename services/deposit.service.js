@@ -5,6 +5,8 @@ import { getTokenPrice } from '../utils/priceService.js';
 import logger from '../utils/logger.js';
 import BalanceService from './balance.service.js';
 import TransactionService from './transaction.service.js';
+import PortfolioService from './portfolio.service.js';
+import FeeService from './fee.service.js';
 
 class DepositService {
   /**
@@ -28,6 +30,7 @@ class DepositService {
         // Fetch live token price
         const price = await getTokenPrice(deposit.token_name);
         const usdValue = Number((price * deposit.amount).toFixed(8));
+        const fee = await FeeService.resolveTransactionFee(deposit, price, session);
 
        // Add funds to user account (updates both totalInvestment, accountBalance, and portfolio)
         const balanceUpdate = await BalanceService.addFunds(
@@ -35,9 +38,23 @@ class DepositService {
             usdValue,
             deposit.token_name,  // ADD THIS
             deposit.amount,      // ADD THIS
-            session
+            session,
+            { reference: { kind: 'Transaction', id: deposit._id }, actor: adminUsername }
         );
 
+        // The fee comes out of the credited tokens
+        const feeCharge = await FeeService.chargeTokenFee({
+          userId: deposit.user,
+          product: 'deposit',
+          reference: { kind: 'Transaction', id: deposit._id },
+          fee,
+          price,
+          actor: adminUsername
+        }, session);
+        if (feeCharge) {
+          balanceUpdate.newAccountBalance = await PortfolioService.recalculateAccountBalance(deposit.user, session);
+        }
+
         // Update deposit with snapshot data (immutable after approval)
         deposit.tokenPriceAtApproval = Number(price);
         deposit.usdValue = usdValue;
@@ -49,6 +66,7 @@ class DepositService {
         TransactionService.logTransactionAction(deposit, 'approved', adminUsername, {
           usdValueAdded: usdValue,
           tokenPrice: price,
+          fee: fee.amount,
           userEmail: balanceUpdate.userEmail,
           totalInvestment: {
             previous: balanceUpdate.previousTotalInvestment,
@@ -64,6 +82,7 @@ class DepositService {
           success: true,
           usdValue,
           tokenPrice: price,
+          fee,
           ...balanceUpdate
         };
       });
@@ -84,6 +103,26 @@ class DepositService {
     }
   }
 
+  /**
+   * Quote the fee for a new deposit so it is stored with it and shown to the user.
+   * Without a live price the deposit is saved unquoted and priced at approval instead.
+   * @returns {Object|undefined} - Fee quote
+   */
+  static async quoteFee(userId, tokenName, amount) {
+    try {
+      const { fee } = await FeeService.quote({ userId, product: 'deposit', token: tokenName, amount });
+      return fee;
+    } catch (error) {
+      logger.warn('⚠️ Could not quote deposit fee', {
+        userId,
+        tokenName,
+        amount,
+        error: error.message
+      });
+      return undefined;
+    }
+  }
+
   /**
    * Reject a deposit
    * @param {Object} deposit - The deposit transaction document
@@ -0,0 +1,137 @@
+// services/equity-snapshot.service.js
+// Daily equity snapshots: one EquitySnapshot per user per UTC day, used for value history charts
+import mongoose from 'mongoose';
+import User from '../model/user.model.js';
+import Transaction from '../model/transaction.model.js';
+import EquitySnapshot from '../model/equity-snapshot.model.js';
+import FinancialSummaryService from './financial-summary.service.js';
+import TransferService from './transfer.service.js';
+import logger from '../utils/logger.js';
+
+export const HISTORY_RANGES = {
+  '30d': 30,
+  '90d': 90,
+  '1y': 365,
+  all: null
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Number(Number(value).toFixed(8));
+
+// UTC midnight of the given instant
+const startOfUtcDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+class EquitySnapshotService {
+  /**
+   * USD deposited and withdrawn (approved) during [from, to).
+   * Internal transfers received count as deposits, transfers sent as withdrawals.
+   */
+  static async getFlows(userId, from, to) {
+    const rows = await Transaction.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(String(userId)),
+          status: 'approved',
+          approvedAt: { $gte: from, $lt: to }
+        }
+      },
+      {
+        $group: {
+          _id: '$isWithdraw',
+          total: { $sum: { $ifNull: ['$usdValue', 0] } }
+        }
+      }
+    ]);
+
+    const transfers = await TransferService.getFlowTotals(userId, from, to);
+
+    const depositsUsd = round((rows.find((r) => r._id !== true)?.total || 0) + transfers.inUsd);
+    const withdrawalsUsd = round((rows.find((r) => r._id === true)?.total || 0) + transfers.outUsd);
+
+    return { depositsUsd, withdrawalsUsd, netFlow: round(depositsUsd - withdrawalsUsd) };
+  }
+
+  /**
+   * Write (or overwrite) one user's snapshot for the UTC day containing `at`
+   */
+  static async snapshotUser(userId, at = new Date()) {
+    const date = startOfUtcDay(at);
+    const [summary, flows] = await Promise.all([
+      FinancialSummaryService.computeSummary(userId),
+      EquitySnapshotService.getFlows(userId, date, new Date(date.getTime() + DAY_MS))
+    ]);
+
+    return EquitySnapshot.findOneAndUpdate(
+      { user: userId, date },
+      {
+        $set: {
+          accountBalance: summary.accountBalance,
+          lockedValue: summary.lockedValue,
+          currentValue: summary.currentValue,
+          roi: summary.roi,
+          totalInvestment: summary.totalInvestment,
+          lifetimeWithdrawals: summary.lifetimeWithdrawals,
+          netGainLoss: summary.netGainLoss,
+          ...flows
+        }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Snapshot every active user for the UTC day containing `at`
+   */
+  static async snapshotAll(at = new Date()) {
+    const stats = { processed: 0, snapshotted: 0, errors: 0 };
+
+    const cursor = User.find({ isActive: true }).select('_id').lean().cursor();
+
+    for await (const user of cursor) {
+      stats.processed++;
+      try {
+        await EquitySnapshotService.snapshotUser(user._id, at);
+        stats.snapshotted++;
+      } catch (error) {
+        stats.errors++;
+        logger.error('❌ Failed to snapshot user equity', {
+          userId: user._id,
+          error: error.message
+        });
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Daily points for a chart, oldest first
+   * @param {String} userId
+   * @param {String} range - One of HISTORY_RANGES
+   */
+  static async getHistory(userId, range = '30d') {
+    if (!Object.prototype.hasOwnProperty.call(HISTORY_RANGES, range)) {
+      throw new Error('INVALID_RANGE');
+    }
+
+    const filter = { user: userId };
+    const days = HISTORY_RANGES[range];
+    if (days) {
+      filter.date = { $gte: new Date(startOfUtcDay(new Date()).getTime() - (days - 1) * DAY_MS) };
+    }
+
+    const points = await EquitySnapshot.find(filter)
+      .sort({ date: 1 })
+      .select('-_id date accountBalance lockedValue currentValue roi netGainLoss depositsUsd withdrawalsUsd netFlow')
+      .lean();
+
+    return { range, points };
+  }
+}
+
+export default EquitySnapshotService;
@@ -0,0 +1,456 @@
+// services/fee.service.js
+// Fee schedules per product, token and KYC tier; quotes shown before confirmation, the
+// charge itself (inside the caller's session) and fee revenue reporting.
+import mongoose from 'mongoose';
+import FeeSchedule, { FEE_PRODUCTS, TOKEN_FEE_PRODUCTS } from '../model/fee-schedule.model.js';
+import FeeCharge from '../model/fee-charge.model.js';
+import User from '../model/user.model.js';
+import Stock from '../model/stock.model.js';
+import PortfolioService from './portfolio.service.js';
+import LedgerService from './ledger.service.js';
+import { parseDateRange } from './transaction-export.service.js';
+import { getTokenPrice } from '../utils/priceService.js';
+import { kycTierOf } from '../utils/kycTier.js';
+import logger from '../utils/logger.js';
+
+const PRODUCT_LABELS = {
+  deposit: 'Deposit',
+  withdrawal: 'Withdrawal',
+  copytrade_purchase: 'Copytrade purchase',
+  stock_purchase: 'Stock purchase',
+  performance_fee: 'Copytrade performance'
+};
+
+// Fields an admin may set on a schedule
+const SCHEDULE_FIELDS = ['name', 'product', 'token', 'kycTier', 'type', 'flatAmount', 'percentage', 'tiers', 'minFee', 'maxFee', 'isActive'];
+
+const DEFAULT_REVENUE_DAYS = 30;
+
+const round = (value) => Number(Number(value).toFixed(8));
+
+const invalidQuote = (field, message) => {
+  const error = new Error('INVALID_FEE_QUOTE');
+  error.data = { field, message };
+  return error;
+};
+
+class FeeService {
+  /**
+   * Most specific active schedule for a product: a token match outranks a KYC tier match,
+   * and either outranks the product-wide schedule
+   * @returns {FeeSchedule|null}
+   */
+  static async resolveSchedule(product, token, kycTier, session = null) {
+    const schedules = await FeeSchedule.find({
+      product,
+      isActive: true,
+      token: { $in: [token ? token.toUpperCase() : null, null] },
+      kycTier: { $in: [kycTier, null] }
+    }).session(session);
+
+    const score = (schedule) => (schedule.token ? 2 : 0) + (schedule.kycTier ? 1 : 0);
+    return schedules.sort((a, b) => score(b) - score(a))[0] || null;
+  }
+
+  /**
+   * USD fee a schedule charges on a USD amount, clamped to minFee/maxFee
+   */
+  static computeFee(schedule, usdAmount) {
+    if (!schedule || !(usdAmount > 0)) {
+      return 0;
+    }
+
+    let fee = 0;
+    if (schedule.type === 'flat') {
+      fee = schedule.flatAmount;
+    } else if (schedule.type === 'percentage') {
+      fee = usdAmount * schedule.percentage / 100;
+    } else if (schedule.type === 'tiered') {
+      const tier = [...schedule.tiers]
+        .sort((a, b) => b.minAmount - a.minAmount)
+        .find((t) => usdAmount >= t.minAmount);
+      if (tier) {
+        fee = (tier.flatAmount || 0) + usdAmount * (tier.percentage || 0) / 100;
+      }
+    }
+
+    if (schedule.minFee != null) fee = Math.max(fee, schedule.minFee);
+    if (schedule.maxFee != null) fee = Math.min(fee, schedule.maxFee);
+
+    return round(fee);
+  }
+
+  /**
+   * Price the fee for a deposit, withdrawal or purchase.
+   * Deposits and withdrawals are quoted in the token; purchases in USD.
+   * @param {Object} params
+   * @param {String} params.userId
+   * @param {String} params.product - One of FEE_PRODUCTS
+   * @param {String} [params.token] - Required for deposits and withdrawals
+   * @param {Number} params.amount - Token amount, or USD for purchases
+   * @param {Number} [params.price] - Token price to use instead of fetching it
+   * @param {Object} [session]
+   */
+  static async quote({ userId, product, token, amount: rawAmount, price }, session = null) {
+    const amount = Number(rawAmount);
+    const user = await User.findById(userId).select('kycStatus').session(session);
+    if (!user) {
+      throw new Error('USER_NOT_FOUND');
+    }
+
+    const kycTier = kycTierOf(user);
+    const isTokenProduct = TOKEN_FEE_PRODUCTS.includes(product);
+    const feeToken = isTokenProduct ? token.toUpperCase() : 'USD';
+    const unitPrice = isTokenProduct ? Number(price ?? await getTokenPrice(token)) : 1;
+    // A zero price would make a flat fee take the whole amount
+    if (!Number.isFinite(unitPrice) || unitPrice <= 0) {
+      const error = new Error('PRICE_UNAVAILABLE');
+      error.data = { token: feeToken, price: price ?? null };
+      throw error;
+    }
+    const usdValue = round(amount * unitPrice);
+
+    const schedule = await FeeService.resolveSchedule(product, isTokenProduct ? feeToken : null, kycTier, session);
+    let feeUsd = FeeService.computeFee(schedule, usdValue);
+    // A deposit fee can take at most the whole deposit
+    if (product === 'deposit') {
+      feeUsd = Math.min(feeUsd, usdValue);
+    }
+
+    const feeAmount = isTokenProduct ? (feeUsd >= usdValue ? amount : round(feeUsd / unitPrice)) : feeUsd;
+
+    const quote = {
+      product,
+      token: feeToken,
+      amount,
+      kycTier,
+      price: unitPrice,
+      usdValue,
+      fee: {
+        amount: feeAmount,
+        token: feeToken,
+        usdValue: feeUsd,
+        baseAmount: amount,
+        schedule: schedule?._id || null,
+        scheduleName: schedule?.name || null,
+        quotedAt: new Date()
+      }
+    };
+
+    if (product === 'deposit') {
+      quote.netAmount = round(amount - feeAmount);
+    } else if (product === 'withdrawal') {
+      quote.totalDebit = round(amount + feeAmount);
+    } else {
+      quote.totalCost = round(amount + feeAmount);
+    }
+
+    return quote;
+  }
+
+  /**
+   * Quote from user-supplied query parameters (GET /api/v1/fees/quote).
+   * Stock purchases may pass symbol and quantity instead of a USD amount.
+   */
+  static async quoteFromQuery(userId, query) {
+    const { product, token, symbol } = query;
+
+    if (!FEE_PRODUCTS.includes(product)) {
+      throw invalidQuote('product', `product must be one of: ${FEE_PRODUCTS.join(', ')}`);
+    }
+    if (TOKEN_FEE_PRODUCTS.includes(product) && !token) {
+      throw invalidQuote('token', `token is required for ${product} quotes`);
+    }
+
+    let amount = Number(query.amount);
+    if (product === 'stock_purchase' && symbol && query.amount === undefined) {
+      const quantity = Number(query.quantity);
+      if (!(quantity > 0)) {
+        throw invalidQuote('quantity', 'quantity must be a positive number');
+      }
+      const stock = await Stock.findOne({ symbol: String(symbol).toUpperCase() }).select('price');
+      if (!stock) {
+        throw invalidQuote('symbol', `Unknown stock symbol: ${symbol}`);
+      }
+      amount = round(stock.price * quantity);
+    }
+
+    if (!(amount > 0)) {
+      throw invalidQuote('amount', 'amount must be a positive number');
+    }
+
+    return FeeService.quote({ userId, product, token, amount });
+  }
+
+  /**
+   * Make sure a deposit or withdrawal carries a fee quote for its current amount and token.
+   * The quote shown at creation is kept; a missing or outdated one is replaced at this price.
+   * @returns {Object} The transaction's fee
+   */
+  static async resolveTransactionFee(transaction, price, session = null) {
+    const fee = transaction.fee;
+    const token = transaction.token_name.toUpperCase();
+
+    if (fee && fee.baseAmount === transaction.amount && fee.token === token) {
+      return fee;
+    }
+
+    const quote = await FeeService.quote({
+      userId: transaction.user,
+      product: transaction.isDeposit ? 'deposit' : 'withdrawal',
+      token,
+      amount: transaction.amount,
+      price
+    }, session);
+
+    transaction.fee = quote.fee;
+    return transaction.fee;
+  }
+
+  /**
+   * Charge a token-denominated fee (deposits, withdrawals) from the user's wallet.
+   * Sets fee.chargedAt; the caller saves the source document in the same session.
+   * @returns {FeeCharge|null} null when there was nothing to charge
+   */
+  static async chargeTokenFee({ userId, product, reference, fee, price, actor }, session = null) {
+    if (!fee || !(fee.amount > 0) || fee.chargedAt) {
+      return null;
+    }
+
+    await PortfolioService.deductFromPortfolio(userId, fee.token, fee.amount, session);
+
+    return FeeService.recordCharge({
+      userId,
+      product,
+      reference,
+      fee,
+      usdValue: round(fee.amount * price),
+      movements: [{ token: fee.token, amount: -fee.amount }],
+      actor
+    }, session);
+  }
+
+  /**
+   * Charge a USD fee (purchases) from the user's wallet, highest-value token first.
+   * Sets fee.chargedAt; the caller saves the source document in the same session.
+   * @returns {FeeCharge|null} null when there was nothing to charge
+   */
+  static async chargeUsdFee({ userId, product, reference, fee, actor }, session = null) {
+    if (!fee || !(fee.amount > 0) || fee.chargedAt) {
+      return null;
+    }
+
+    const deductions = await PortfolioService.deductUsdValue(userId, fee.amount, session);
+
+    return FeeService.recordCharge({
+      userId,
+      product,
+      reference,
+      fee,
+      usdValue: fee.amount,
+      movements: deductions.map((d) => ({ token: d.tokenName, amount: -d.tokenAmount })),
+      actor
+    }, session);
+  }
+
+  static async recordCharge({ userId, product, reference, fee, usdValue, movements, actor }, session = null) {
+    await LedgerService.record({
+      userId,
+      type: 'fee',
+      reference,
+      movements,
+      usdValue,
+      description: `${PRODUCT_LABELS[product]} fee`,
+      actor
+    }, session);
+
+    const [charge] = await FeeCharge.create([{
+      user: userId,
+      product,
+      reference,
+      token: fee.token,
+      amount: fee.amount,
+      usdValue,
+      schedule: fee.schedule,
+      scheduleName: fee.scheduleName,
+      actor
+    }], { session });
+
+    fee.chargedAt = charge.createdAt;
+
+    logger.info('🧾 Fee charged', {
+      userId,
+      product,
+      referenceId: reference.id,
+      token: fee.token,
+      amount: fee.amount,
+      usdValue
+    });
+
+    return charge;
+  }
+
+  static async listSchedules({ product, isActive } = {}) {
+    const filter = {};
+    if (product) filter.product = product;
+    if (isActive !== undefined) filter.isActive = isActive === true || isActive === 'true';
+
+    return FeeSchedule.find(filter).sort({ product: 1, token: 1, kycTier: 1 });
+  }
+
+  static async getSchedule(id) {
+    const schedule = mongoose.isValidObjectId(id) ? await FeeSchedule.findById(id) : null;
+    if (!schedule) {
+      throw new Error('FEE_SCHEDULE_NOT_FOUND');
+    }
+    return schedule;
+  }
+
+  static async createSchedule(data, adminUsername) {
+    const schedule = new FeeSchedule({ createdBy: adminUsername, updatedBy: adminUsername });
+    FeeService.applyScheduleFields(schedule, data);
+    return FeeService.saveSchedule(schedule);
+  }
+
+  /**
+   * @returns {{before: Object, schedule: FeeSchedule}}
+   */
+  static async updateSchedule(id, data, adminUsername) {
+    const schedule = await FeeService.getSchedule(id);
+    const before = schedule.toObject();
+
+    FeeService.applyScheduleFields(schedule, data);
+    schedule.updatedBy = adminUsername;
+
+    return { before, schedule: await FeeService.saveSchedule(schedule) };
+  }
+
+  static async deleteSchedule(id) {
+    const schedule = await FeeService.getSchedule(id);
+    await schedule.deleteOne();
+    return schedule;
+  }
+
+  static applyScheduleFields(schedule, data) {
+    for (const field of SCHEDULE_FIELDS) {
+      if (data[field] !== undefined) {
+        schedule[field] = data[field] === '' ? null : data[field];
+      }
+    }
+  }
+
+  static async saveSchedule(schedule) {
+    try {
+      return await schedule.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        const duplicate = new Error('DUPLICATE_FEE_SCHEDULE');
+        duplicate.data = { product: schedule.product, token: schedule.token, kycTier: schedule.kycTier };
+        throw duplicate;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fee revenue over a period (default: the last 30 days), in USD at the time of each charge
+   * @param {Object} query - from, to (as in the transaction filters)
+   */
+  static async getRevenue(query = {}) {
+    const createdAt = parseDateRange(query) || {
+      $gte: new Date(Date.now() - DEFAULT_REVENUE_DAYS * 24 * 60 * 60 * 1000)
+    };
+    const match = { createdAt };
+
+    const [result] = await FeeCharge.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          total: [
+            { $group: { _id: null, count: { $sum: 1 }, usdValue: { $sum: '$usdValue' } } }
+          ],
+          byProduct: [
+            { $group: { _id: '$product', count: { $sum: 1 }, usdValue: { $sum: '$usdValue' } } },
+            { $sort: { usdValue: -1 } }
+          ],
+          byToken: [
+            {
+              $group: {
+                _id: '$token',
+                count: { $sum: 1 },
+                amount: { $sum: '$amount' },
+                usdValue: { $sum: '$usdValue' }
+              }
+            },
+            { $sort: { usdValue: -1 } }
+          ],
+          daily: [
+            {
+              $group: {
+                _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+                count: { $sum: 1 },
+                usdValue: { $sum: '$usdValue' }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    return {
+      from: createdAt.$gte || null,
+      to: createdAt.$lt || createdAt.$lte || null,
+      count: result.total[0]?.count || 0,
+      totalUsd: round(result.total[0]?.usdValue || 0),
+      byProduct: result.byProduct.map((row) => ({ product: row._id, count: row.count, usdValue: round(row.usdValue) })),
+      byToken: result.byToken.map((row) => ({
+        token: row._id,
+        count: row.count,
+        amount: round(row.amount),
+        usdValue: round(row.usdValue)
+      })),
+      daily: result.daily.map((row) => ({ date: row._id, count: row.count, usdValue: round(row.usdValue) }))
+    };
+  }
+
+  /**
+   * Individual fee charges, newest first
+   */
+  static async getCharges(query = {}) {
+    const pageNum = Math.max(parseInt(query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+
+    const filter = {};
+    if (query.product) filter.product = query.product;
+    if (query.user && mongoose.isValidObjectId(query.user)) filter.user = query.user;
+    const createdAt = parseDateRange(query);
+    if (createdAt) filter.createdAt = createdAt;
+
+    const [charges, totalItems] = await Promise.all([
+      FeeCharge.find(filter)
+        .populate('user', 'email')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      FeeCharge.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalItems / limitNum);
+
+    return {
+      charges,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalItems,
+        itemsPerPage: limitNum,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1
+      }
+    };
+  }
+}
+
+export default FeeService;
@@ -6,6 +6,7 @@ import CopytradePurchase from '../model/copytrade-purchase.model.js';
 import StockPurchase from '../model/stock-purchase.model.js';
 import Stock from '../model/stock.model.js';
 import Transaction from '../model/transaction.model.js';
+import Transfer from '../model/transfer.model.js';
 import PortfolioService from './portfolio.service.js';
 import logger from '../utils/logger.js';
 
@@ -75,7 +76,8 @@ class FinancialSummaryService {
   }
 
   /**
-   * Lifetime approved withdrawal USD (source of truth from transactions)
+   * Lifetime approved withdrawal USD (source of truth from transactions),
+   * plus completed internal transfers sent to other users
    */
   static async getLifetimeWithdrawals(userId, session = null) {
     const matchUser =
@@ -101,7 +103,14 @@ class FinancialSummaryService {
     if (session) aggregate.session(session);
     const result = await aggregate;
 
-    return Number((result[0]?.total || 0).toFixed(8));
+    const transferAggregate = Transfer.aggregate([
+      { $match: { sender: matchUser, status: 'completed' } },
+      { $group: { _id: null, total: { $sum: '$usdValue' } } }
+    ]);
+    if (session) transferAggregate.session(session);
+    const transfers = await transferAggregate;
+
+    return Number(((result[0]?.total || 0) + (transfers[0]?.total || 0)).toFixed(8));
   }
 
   /**
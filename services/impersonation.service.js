@@ -0,0 +1,95 @@
+// services/impersonation.service.js
+// Short-lived, read-only user tokens that let an admin "view as user".
+// The token carries the admin's identity so every request can be attributed and audited.
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Admin from '../model/admin.model.js';
+import EndedImpersonation from '../model/ended-impersonation.model.js';
+import { roleHasPermission } from '../config/roles.js';
+
+export const IMPERSONATION_TTL_SECONDS = 15 * 60;
+
+class ImpersonationService {
+  /**
+   * Sign an impersonation token for a user
+   * @param {Object} admin - req.admin of the admin starting the session
+   * @param {Object} user - Target user document
+   * @param {String} reason - Justification recorded in the audit log
+   * @returns {{token: String, expiresAt: Date, jti: String}}
+   */
+  static issueToken(admin, user, reason) {
+    const jti = crypto.randomUUID();
+    const token = jwt.sign(
+      {
+        userId: user._id.toString(),
+        type: 'user',
+        impersonation: {
+          adminId: admin.id,
+          adminUsername: admin.username,
+          reason
+        }
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: IMPERSONATION_TTL_SECONDS, jwtid: jti }
+    );
+
+    return {
+      token,
+      jti,
+      expiresAt: new Date(Date.now() + IMPERSONATION_TTL_SECONDS * 1000)
+    };
+  }
+
+  /**
+   * Check a decoded impersonation token: not ended, and the admin is still active
+   * and still allowed to impersonate.
+   * @returns {Admin|null} The impersonating admin, or null when the token must be rejected
+   */
+  static async resolveImpersonator(decoded) {
+    if (!decoded.jti || await EndedImpersonation.exists({ jti: decoded.jti })) {
+      return null;
+    }
+
+    const admin = await Admin.findById(decoded.impersonation?.adminId).select('username email role isActive');
+    if (!admin || !admin.isActive || !roleHasPermission(admin.role, 'users:impersonate')) {
+      return null;
+    }
+
+    return admin;
+  }
+
+  /**
+   * Verify a raw impersonation token (used when ending a session)
+   * @returns {Object|null} Decoded token, or null when invalid/expired or not an impersonation token
+   */
+  static decode(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return decoded.impersonation ? decoded : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * End an impersonation session before it expires. Stored in MongoDB so the
+   * token stays revoked even while Redis is unavailable.
+   * @param {Object} decoded - Decoded impersonation token
+   * @param {String} endedBy - Id of the admin ending the session
+   */
+  static async end(decoded, endedBy) {
+    await EndedImpersonation.updateOne(
+      { jti: decoded.jti },
+      {
+        $setOnInsert: {
+          user: decoded.userId,
+          endedBy,
+          expiresAt: new Date(decoded.exp * 1000)
+        }
+      },
+      { upsert: true }
+    );
+  }
+}
+
+export default ImpersonationService;
@@ -0,0 +1,154 @@
+// services/ledger.service.js
+// Double-entry journal of every balance movement. The user_wallet account mirrors
+// the liquid Portfolio holdings; each entry is balanced against a counter-account.
+import mongoose from 'mongoose';
+import LedgerEntry, { LEDGER_ENTRY_TYPES } from '../model/ledger-entry.model.js';
+
+// Counter-account for each kind of movement
+const COUNTER_ACCOUNTS = {
+  opening_balance: 'opening_balance',
+  deposit: 'deposits_clearing',
+  withdrawal: 'withdrawals_clearing',
+  copytrade_allocation: 'trading_pool',
+  stock_allocation: 'trading_pool',
+  trade_settlement: 'trading_pool',
+  admin_adjustment: 'admin_adjustments',
+  reconciliation_adjustment: 'reconciliation_suspense',
+  fee: 'fee_revenue',
+  transfer: 'internal_transfers',
+  conversion: 'conversions'
+};
+
+const round = (value) => Number(Number(value).toFixed(8));
+
+class LedgerService {
+  /**
+   * Write one balanced entry. Pass the session of the balance change so both commit together.
+   * @param {Object} entry
+   * @param {String} entry.userId
+   * @param {String} entry.type - One of LEDGER_ENTRY_TYPES
+   * @param {{kind: String, id?: String}} entry.reference - Source document or admin action
+   * @param {Array<{token: String, amount: Number}>} entry.movements - Positive amounts enter the
+   *   user's wallet, negative amounts leave it
+   * @param {Number} [entry.usdValue]
+   * @param {String} [entry.description]
+   * @param {String} [entry.actor]
+   * @param {Object} [session]
+   * @returns {LedgerEntry|null} null when there was nothing to record
+   */
+  static async record({ userId, type, reference, movements, usdValue, description, actor }, session = null) {
+    const counterAccount = COUNTER_ACCOUNTS[type];
+    if (!counterAccount) {
+      throw new Error('INVALID_LEDGER_TYPE');
+    }
+
+    const lines = [];
+    for (const { token, amount } of movements) {
+      const value = round(amount);
+      if (!value) continue;
+
+      const inbound = value > 0;
+      lines.push(
+        { account: 'user_wallet', token, debit: inbound ? value : 0, credit: inbound ? 0 : -value },
+        { account: counterAccount, token, debit: inbound ? 0 : -value, credit: inbound ? value : 0 }
+      );
+    }
+
+    if (lines.length === 0) {
+      return null;
+    }
+
+    const [entry] = await LedgerEntry.create([{
+      user: userId,
+      type,
+      lines,
+      reference: {
+        kind: reference.kind,
+        id: reference.id != null ? String(reference.id) : undefined
+      },
+      usdValue: usdValue != null ? round(usdValue) : undefined,
+      description,
+      actor
+    }], { session });
+
+    return entry;
+  }
+
+  /**
+   * Net user_wallet balance per token according to the ledger
+   * @param {String} userId
+   * @param {Object} [session]
+   * @param {Date} [asOf] - Only count entries created before this instant
+   * @returns {Array<{token: String, balance: Number}>}
+   */
+  static async getWalletBalances(userId, session = null, asOf = null) {
+    const match = { user: new mongoose.Types.ObjectId(String(userId)) };
+    if (asOf) match.createdAt = { $lt: asOf };
+
+    const aggregate = LedgerEntry.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': 'user_wallet' } },
+      {
+        $group: {
+          _id: '$lines.token',
+          balance: { $sum: { $subtract: ['$lines.debit', '$lines.credit'] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+    if (session) aggregate.session(session);
+    const rows = await aggregate;
+
+    return rows.map((row) => ({ token: row._id, balance: round(row.balance) }));
+  }
+
+  /**
+   * Paginated ledger for one user, newest first
+   * @param {String} userId
+   * @param {Object} options
+   * @param {Number} [options.page=1]
+   * @param {Number} [options.limit=20] - Capped at 100
+   * @param {String} [options.token] - Only entries touching this token
+   * @param {String} [options.type] - Only entries of this type
+   */
+  static async getUserLedger(userId, { page = 1, limit = 20, token, type } = {}) {
+    if (type && !LEDGER_ENTRY_TYPES.includes(type)) {
+      throw new Error('INVALID_LEDGER_TYPE');
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const filter = { user: userId };
+    if (type) filter.type = type;
+    if (token) filter['lines.token'] = String(token).toUpperCase();
+
+    const [entries, totalItems, balances] = await Promise.all([
+      LedgerEntry.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      LedgerEntry.countDocuments(filter),
+      LedgerService.getWalletBalances(userId)
+    ]);
+
+    const totalPages = Math.ceil(totalItems / limitNum);
+
+    return {
+      entries,
+      balances,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalItems,
+        itemsPerPage: limitNum,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1
+      }
+    };
+  }
+}
+
+export default LedgerService;
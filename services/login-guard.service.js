@@ -0,0 +1,199 @@
+// services/login-guard.service.js
+// Failed-login tracking per account and per IP, with exponential-backoff lockouts.
+// State lives in Redis; an in-memory map takes over while Redis is unavailable.
+import redisClient from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+const POLICY = {
+  account: { maxAttempts: 5 },
+  ip: { maxAttempts: 20 },
+  windowMs: 15 * 60 * 1000,
+  baseLockMs: 5 * 60 * 1000,
+  maxLockMs: 24 * 60 * 60 * 1000,
+  // Lock level decays once nothing has happened for this long
+  stateTtlSeconds: 24 * 60 * 60
+};
+
+const memoryStore = new Map();
+
+const accountKey = (scope, identifier) => `login_guard:${scope}:${String(identifier).toLowerCase().trim()}`;
+const ipKey = (ip) => `login_guard:ip:${ip}`;
+
+const emptyState = () => ({ count: 0, firstFailureAt: null, lockedUntil: null, lockLevel: 0 });
+
+const readState = async (key) => {
+  if (redisClient.getConnectionStatus().isConnected) {
+    const raw = await redisClient.get(key);
+    if (raw !== null) {
+      try {
+        return JSON.parse(raw);
+      } catch {
+        return emptyState();
+      }
+    }
+    // A failed Redis read returns null too; fall through to the in-memory copy
+  }
+
+  const entry = memoryStore.get(key);
+  if (!entry || entry.expiresAt < Date.now()) {
+    memoryStore.delete(key);
+    return emptyState();
+  }
+  return entry.value;
+};
+
+const MAX_MEMORY_ENTRIES = 10000;
+
+const pruneMemoryStore = () => {
+  const now = Date.now();
+  for (const [key, entry] of memoryStore) {
+    if (entry.expiresAt < now) memoryStore.delete(key);
+  }
+};
+
+const writeState = async (key, value, ttlSeconds) => {
+  if (memoryStore.size >= MAX_MEMORY_ENTRIES) {
+    pruneMemoryStore();
+  }
+
+  // Always keep the in-memory copy so a Redis outage does not reset counters
+  memoryStore.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+  if (redisClient.getConnectionStatus().isConnected) {
+    await redisClient.set(key, JSON.stringify(value), ttlSeconds);
+  }
+};
+
+const deleteState = async (key) => {
+  memoryStore.delete(key);
+  if (redisClient.getConnectionStatus().isConnected) {
+    await redisClient.del(key);
+  }
+};
+
+const lockRemainingSeconds = (state) => {
+  if (!state.lockedUntil) return 0;
+  return Math.max(0, Math.ceil((state.lockedUntil - Date.now()) / 1000));
+};
+
+// Count one failure against a key; returns the updated state and whether it just locked
+const registerFailure = async (key, maxAttempts) => {
+  const now = Date.now();
+  const state = await readState(key);
+
+  if (!state.firstFailureAt || now - state.firstFailureAt > POLICY.windowMs) {
+    state.count = 0;
+    state.firstFailureAt = now;
+  }
+  state.count += 1;
+
+  let justLocked = false;
+  if (state.count >= maxAttempts) {
+    state.lockLevel += 1;
+    const lockMs = Math.min(POLICY.baseLockMs * 2 ** (state.lockLevel - 1), POLICY.maxLockMs);
+    state.lockedUntil = now + lockMs;
+    state.count = 0;
+    state.firstFailureAt = null;
+    justLocked = true;
+  }
+
+  const ttlSeconds = Math.max(
+    POLICY.stateTtlSeconds,
+    Math.ceil(((state.lockedUntil || now) - now) / 1000)
+  );
+  await writeState(key, state, ttlSeconds);
+
+  return { state, justLocked };
+};
+
+class LoginGuardService {
+  /**
+   * Check whether a login attempt is currently blocked
+   * @param {String} scope - 'user' or 'admin'
+   * @param {String} identifier - Email (users) or username (admins)
+   * @param {String} ip - Client IP
+   * @returns {{locked: Boolean, reason?: 'account'|'ip', retryAfter?: Number}}
+   */
+  static async checkLock(scope, identifier, ip) {
+    const accountState = await readState(accountKey(scope, identifier));
+    const accountWait = lockRemainingSeconds(accountState);
+    if (accountWait > 0) {
+      return { locked: true, reason: 'account', retryAfter: accountWait };
+    }
+
+    if (ip) {
+      const ipWait = lockRemainingSeconds(await readState(ipKey(ip)));
+      if (ipWait > 0) {
+        return { locked: true, reason: 'ip', retryAfter: ipWait };
+      }
+    }
+
+    return { locked: false };
+  }
+
+  /**
+   * Record a failed login for both the account and the IP
+   * @returns {{accountLocked: Boolean, ipLocked: Boolean, lockedUntil: Date|null, lockLevel: Number, attempts: Number}}
+   */
+  static async recordFailure(scope, identifier, ip) {
+    const account = await registerFailure(accountKey(scope, identifier), POLICY.account.maxAttempts);
+    const ipResult = ip
+      ? await registerFailure(ipKey(ip), POLICY.ip.maxAttempts)
+      : { justLocked: false };
+
+    if (account.justLocked) {
+      logger.warn('🔒 Account locked after repeated failed logins', {
+        scope,
+        identifier,
+        ip,
+        lockLevel: account.state.lockLevel,
+        lockedUntil: new Date(account.state.lockedUntil).toISOString()
+      });
+    }
+    if (ipResult.justLocked) {
+      logger.warn('🔒 IP locked after repeated failed logins', {
+        ip,
+        lockLevel: ipResult.state.lockLevel,
+        lockedUntil: new Date(ipResult.state.lockedUntil).toISOString()
+      });
+    }
+
+    return {
+      accountLocked: account.justLocked,
+      ipLocked: ipResult.justLocked,
+      lockedUntil: account.state.lockedUntil ? new Date(account.state.lockedUntil) : null,
+      lockLevel: account.state.lockLevel,
+      attempts: account.state.count
+    };
+  }
+
+  /**
+   * Clear the failure count after a correct password (the IP counter is kept)
+   */
+  static async recordSuccess(scope, identifier) {
+    await deleteState(accountKey(scope, identifier));
+  }
+
+  /**
+   * Remove an account lock (admin action)
+   * @returns {Boolean} Whether the account was locked
+   */
+  static async unlock(scope, identifier) {
+    const key = accountKey(scope, identifier);
+    const wasLocked = lockRemainingSeconds(await readState(key)) > 0;
+    await deleteState(key);
+    return wasLocked;
+  }
+
+  /**
+   * Remove an IP lock (admin action)
+   */
+  static async unlockIp(ip) {
+    const key = ipKey(ip);
+    const wasLocked = lockRemainingSeconds(await readState(key)) > 0;
+    await deleteState(key);
+    return wasLocked;
+  }
+}
+
+export default LoginGuardService;
@@ -0,0 +1,122 @@
+// services/login-history.service.js
+// Records every user login attempt and alerts the user when a successful login
+// comes from a device or network range the account has not used before.
+import crypto from 'crypto';
+import LoginEvent from '../model/login-event.model.js';
+import { parseUserAgent, getIpRange } from '../utils/userAgent.js';
+import { notifyNewDeviceLogin } from '../utils/emailService.js';
+import logger from '../utils/logger.js';
+
+const deviceIdFor = (device) =>
+  crypto.createHash('sha256').update(`${device.browser}|${device.os}|${device.deviceType}`).digest('hex').slice(0, 32);
+
+class LoginHistoryService {
+  /**
+   * Record a login attempt. Never throws: history must not break sign-in.
+   * @param {Object} req - Express request (IP and User-Agent are read from it)
+   * @param {Object} params
+   * @param {Object} [params.user] - User document, when known
+   * @param {String} [params.email] - Email entered (used when there is no user)
+   * @param {String} params.authProvider - 'manual' or 'google'
+   * @param {String} params.outcome - See LoginEvent outcome enum
+   * @returns {Promise<LoginEvent|null>}
+   */
+  static async record(req, { user, email, authProvider, outcome }) {
+    try {
+      const userAgent = req.get('User-Agent') || '';
+      const device = parseUserAgent(userAgent);
+      const deviceId = deviceIdFor(device);
+      const ipRange = getIpRange(req.ip);
+
+      let isNewDevice = false;
+      let isNewIpRange = false;
+
+      if (user && outcome === 'success') {
+        const previous = await LoginEvent.find({ user: user._id, outcome: 'success' })
+          .select('deviceId ipRange')
+          .lean();
+
+        // The first login has nothing to compare against
+        if (previous.length > 0) {
+          isNewDevice = !previous.some((event) => event.deviceId === deviceId);
+          isNewIpRange = !previous.some((event) => event.ipRange === ipRange);
+        }
+      }
+
+      const event = await LoginEvent.create({
+        user: user?._id,
+        email: user?.email || email,
+        authProvider,
+        outcome,
+        ipAddress: req.ip,
+        ipRange,
+        userAgent,
+        device,
+        deviceId,
+        isNewDevice,
+        isNewIpRange
+      });
+
+      if (isNewDevice || isNewIpRange) {
+        logger.info('🆕 Login from new device or network', {
+          userId: user._id,
+          isNewDevice,
+          isNewIpRange,
+          ip: req.ip,
+          browser: device.browser,
+          os: device.os
+        });
+
+        await notifyNewDeviceLogin(user._id, {
+          browser: device.browser,
+          os: device.os,
+          deviceType: device.deviceType,
+          ipAddress: req.ip,
+          loginAt: event.createdAt
+        });
+      }
+
+      return event;
+    } catch (error) {
+      logger.error('❌ Failed to record login event', {
+        error: error.message,
+        userId: user?._id,
+        outcome
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Paginated login history for a user, newest first
+   */
+  static async getHistory(userId, { page = 1, limit = 20 } = {}) {
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+
+    const [events, total] = await Promise.all([
+      LoginEvent.find({ user: userId })
+        .sort({ createdAt: -1 })
+        .skip((safePage - 1) * safeLimit)
+        .limit(safeLimit)
+        .select('-user -deviceId'),
+      LoginEvent.countDocuments({ user: userId })
+    ]);
+
+    const totalPages = Math.ceil(total / safeLimit);
+
+    return {
+      events,
+      pagination: {
+        currentPage: safePage,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: safeLimit,
+        hasNext: safePage < totalPages,
+        hasPrev: safePage > 1
+      }
+    };
+  }
+}
+
+export default LoginHistoryService;
@@ -0,0 +1,235 @@
+// services/performance.service.js
+// Time-weighted (TWR) and money-weighted (MWR/IRR) returns. Unlike the lifetime ROI these
+// are not distorted by when the user deposited or withdrew.
+// Valuations come from daily EquitySnapshots; cash flows are approved deposits/withdrawals.
+import mongoose from 'mongoose';
+import Transaction from '../model/transaction.model.js';
+import EquitySnapshot from '../model/equity-snapshot.model.js';
+import TransferService from './transfer.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+// Returns are reported as percentages with the same precision as ROI
+const toPercent = (ratio) => (ratio == null || !Number.isFinite(ratio)
+  ? null
+  : Number((ratio * 100).toFixed(4)));
+
+const annualize = (ratio, elapsedMs) => {
+  // Annualizing less than a year would exaggerate short-term moves
+  if (ratio == null || elapsedMs < YEAR_MS || ratio <= -1) return null;
+  return Math.pow(1 + ratio, YEAR_MS / elapsedMs) - 1;
+};
+
+// A snapshot describes the end of its UTC day
+const endOfSnapshotDay = (snapshot) => new Date(snapshot.date.getTime() + DAY_MS);
+
+const parseDate = (value) => {
+  if (value == null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error('INVALID_PERIOD');
+  }
+  return date;
+};
+
+class PerformanceService {
+  /**
+   * Approved deposits (positive) and withdrawals (negative) in USD during [from, to),
+   * merged with internal transfers received (positive) and sent (negative)
+   * @returns {Array<{at: Date, amount: Number}>} Oldest first
+   */
+  static async getCashFlows(userId, from, to) {
+    const transactions = await Transaction.find({
+      user: new mongoose.Types.ObjectId(String(userId)),
+      status: 'approved',
+      approvedAt: { $gte: from, $lt: to }
+    })
+      .select('isWithdraw usdValue approvedAt')
+      .sort({ approvedAt: 1 })
+      .lean();
+
+    const transferFlows = await TransferService.getCashFlows(userId, from, to);
+
+    return transactions
+      .filter((t) => t.usdValue)
+      .map((t) => ({ at: t.approvedAt, amount: t.isWithdraw ? -t.usdValue : t.usdValue }))
+      .concat(transferFlows)
+      .sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Chain sub-period returns between consecutive valuations.
+   * Flows in a sub-period are treated as arriving at its start:
+   * r = V_end / (V_start + flows) - 1
+   */
+  static calculateTwr(valuations, flows) {
+    let growth = 1;
+    let periods = 0;
+    let flowIndex = 0;
+
+    for (let i = 1; i < valuations.length; i++) {
+      const start = valuations[i - 1];
+      const end = valuations[i];
+
+      let periodFlow = 0;
+      while (flowIndex < flows.length && flows[flowIndex].at < end.at) {
+        if (flows[flowIndex].at >= start.at) {
+          periodFlow += flows[flowIndex].amount;
+        }
+        flowIndex++;
+      }
+
+      const invested = start.value + periodFlow;
+      // Nothing was invested (e.g. empty account): the period carries no return
+      if (invested <= 0) continue;
+
+      growth *= end.value / invested;
+      periods++;
+    }
+
+    return periods > 0 ? growth - 1 : null;
+  }
+
+  /**
+   * Annual internal rate of return of the user's cash flows:
+   * the starting value and deposits go in, withdrawals and the ending value come out.
+   */
+  static calculateIrr(cashFlows) {
+    const flows = cashFlows.filter((f) => f.amount !== 0);
+    if (flows.length < 2 || !flows.some((f) => f.amount > 0) || !flows.some((f) => f.amount < 0)) {
+      return null;
+    }
+
+    const t0 = flows[0].at.getTime();
+    const npv = (rate) => flows.reduce(
+      (sum, f) => sum + f.amount / Math.pow(1 + rate, (f.at.getTime() - t0) / YEAR_MS),
+      0
+    );
+
+    // Bisection: robust where Newton's method diverges on irregular flows
+    let low = -0.9999;
+    let high = 1;
+    let npvLow = npv(low);
+    let npvHigh = npv(high);
+
+    while (Math.sign(npvLow) === Math.sign(npvHigh) && high < 1e6) {
+      high *= 10;
+      npvHigh = npv(high);
+    }
+    if (!Number.isFinite(npvLow) || Math.sign(npvLow) === Math.sign(npvHigh)) {
+      return null;
+    }
+
+    for (let i = 0; i < 200 && high - low > 1e-10; i++) {
+      const mid = (low + high) / 2;
+      const npvMid = npv(mid);
+      if (Math.sign(npvMid) === Math.sign(npvLow)) {
+        low = mid;
+        npvLow = npvMid;
+      } else {
+        high = mid;
+      }
+    }
+
+    return (low + high) / 2;
+  }
+
+  /**
+   * TWR and MWR for a period.
+   * The period starts at the last snapshot on or before `from` (or the first snapshot) and
+   * ends at the last snapshot on or before `to`. Without `to` it ends now at `currentValue`.
+   * @param {String} userId
+   * @param {Object} options
+   * @param {Date|String} [options.from]
+   * @param {Date|String} [options.to]
+   * @param {Number} [options.currentValue] - Live value used as the end point when `to` is not set
+   */
+  static async computeReturns(userId, { from, to, currentValue } = {}) {
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate && toDate && fromDate > toDate) {
+      throw new Error('INVALID_PERIOD');
+    }
+
+    const empty = {
+      from: null,
+      to: null,
+      days: 0,
+      twr: { cumulative: null, annualized: null },
+      mwr: { cumulative: null, annualized: null }
+    };
+
+    let startSnapshot = null;
+    if (fromDate) {
+      startSnapshot = await EquitySnapshot.findOne({ user: userId, date: { $lte: fromDate } })
+        .sort({ date: -1 })
+        .lean();
+    }
+    if (!startSnapshot) {
+      startSnapshot = await EquitySnapshot.findOne({
+        user: userId,
+        ...(fromDate ? { date: { $gte: fromDate } } : {})
+      })
+        .sort({ date: 1 })
+        .lean();
+    }
+    if (!startSnapshot) {
+      return empty;
+    }
+
+    const snapshotFilter = { user: userId, date: { $gte: startSnapshot.date } };
+    if (toDate) snapshotFilter.date.$lte = toDate;
+
+    const snapshots = await EquitySnapshot.find(snapshotFilter)
+      .sort({ date: 1 })
+      .select('date currentValue')
+      .lean();
+
+    const valuations = snapshots.map((s) => ({ at: endOfSnapshotDay(s), value: s.currentValue }));
+    if (!toDate && currentValue != null) {
+      const now = new Date();
+      if (now > valuations[valuations.length - 1].at) {
+        valuations.push({ at: now, value: currentValue });
+      } else {
+        // Snapshot for today was taken already; the live value is more current
+        valuations[valuations.length - 1].value = currentValue;
+      }
+    }
+
+    const start = valuations[0];
+    const end = valuations[valuations.length - 1];
+    const elapsedMs = end.at - start.at;
+    if (elapsedMs <= 0) {
+      return { ...empty, from: start.at, to: end.at };
+    }
+
+    const flows = await PerformanceService.getCashFlows(userId, start.at, end.at);
+
+    const twr = PerformanceService.calculateTwr(valuations, flows);
+
+    // Investor's view: money put in is negative, money taken out (and the end value) positive
+    const irr = PerformanceService.calculateIrr([
+      { at: start.at, amount: -start.value },
+      ...flows.map((f) => ({ at: f.at, amount: -f.amount })),
+      { at: end.at, amount: end.value }
+    ]);
+    const mwrCumulative = irr == null ? null : Math.pow(1 + irr, elapsedMs / YEAR_MS) - 1;
+
+    return {
+      from: start.at,
+      to: end.at,
+      days: Number((elapsedMs / DAY_MS).toFixed(2)),
+      twr: {
+        cumulative: toPercent(twr),
+        annualized: toPercent(annualize(twr, elapsedMs))
+      },
+      mwr: {
+        cumulative: toPercent(mwrCumulative),
+        annualized: elapsedMs >= YEAR_MS ? toPercent(irr) : null
+      }
+    };
+  }
+}
+
+export default PerformanceService;
@@ -318,6 +318,75 @@ class PortfolioService {
     }
   }
 
+  /**
+   * Deduct a USD amount from the user's portfolio, highest-value token first.
+   * Used for purchase allocations and USD fees.
+   * @param {String} userId - User ID
+   * @param {Number} usdAmount - USD value to deduct
+   * @param {Object} session - MongoDB session for transaction
+   * @param {Object} [options]
+   * @param {Number} [options.requiredUsd] - Value the portfolio must cover (default usdAmount),
+   *   e.g. an allocation plus the fee charged right after it
+   * @param {String} [options.insufficientCode] - Error code when it does not (default INSUFFICIENT_PORTFOLIO_VALUE)
+   * @returns {Array<{tokenName: String, tokenAmount: Number, usdValue: Number}>} - Deductions made
+   */
+  static async deductUsdValue(userId, usdAmount, session = null, {
+    requiredUsd = usdAmount,
+    insufficientCode = 'INSUFFICIENT_PORTFOLIO_VALUE'
+  } = {}) {
+    const portfolioEntries = await Portfolio.find({ user: userId }).session(session);
+
+    if (portfolioEntries.length === 0) {
+      const error = new Error('NO_PORTFOLIO_ENTRIES');
+      error.data = { userId };
+      throw error;
+    }
+
+    const entriesWithValues = await Promise.all(
+      portfolioEntries.map(async (entry) => {
+        try {
+          const livePrice = await getTokenPrice(entry.token_name);
+          return { entry, livePrice, currentValue: Number((entry.amount * livePrice).toFixed(8)) };
+        } catch (error) {
+          logger.error(`Failed to get price for ${entry.token_name}`, { error: error.message });
+          return { entry, livePrice: null, currentValue: 0 };
+        }
+      })
+    );
+
+    entriesWithValues.sort((a, b) => b.currentValue - a.currentValue);
+    const totalAvailable = entriesWithValues.reduce((sum, e) => sum + e.currentValue, 0);
+
+    if (totalAvailable < requiredUsd) {
+      const error = new Error(insufficientCode);
+      error.data = {
+        required: requiredUsd,
+        available: totalAvailable,
+        deficit: Number((requiredUsd - totalAvailable).toFixed(8))
+      };
+      throw error;
+    }
+
+    let remainingToDeduct = usdAmount;
+    const deductions = [];
+
+    for (const { entry, livePrice, currentValue } of entriesWithValues) {
+      if (remainingToDeduct <= 0) break;
+      if (!livePrice || currentValue <= 0) continue;
+
+      const usdValue = Math.min(currentValue, remainingToDeduct);
+      const tokenAmount = currentValue <= remainingToDeduct
+        ? entry.amount
+        : Number((remainingToDeduct / livePrice).toFixed(8));
+
+      await this.deductFromPortfolio(userId, entry.token_name, tokenAmount, session);
+      deductions.push({ tokenName: entry.token_name, tokenAmount, usdValue });
+      remainingToDeduct = Number((remainingToDeduct - usdValue).toFixed(8));
+    }
+
+    return deductions;
+  }
+
   /**
    * Get list of tokens user can withdraw from
    * @param {String} userId - User ID
@@ -0,0 +1,400 @@
+// services/reconciliation.service.js
+// Nightly check of the cached User metrics and Portfolio holdings against their sources:
+// computeSummary for the metrics, the ledger for holdings, approved Transactions for the ledger.
+import mongoose from 'mongoose';
+import User from '../model/user.model.js';
+import Portfolio from '../model/portfolio.model.js';
+import Transaction from '../model/transaction.model.js';
+import LedgerEntry from '../model/ledger-entry.model.js';
+import ReconciliationReport from '../model/reconciliation-report.model.js';
+import FinancialSummaryService from './financial-summary.service.js';
+import LedgerService from './ledger.service.js';
+import { createNotification } from '../utils/notificationHelper.js';
+import logger from '../utils/logger.js';
+
+// Differences at or below these are ignored
+export const TOLERANCE = {
+  usd: Number(process.env.RECONCILIATION_TOLERANCE_USD) || 1,
+  roi: 0.1,
+  token: 0.000001
+};
+
+const CACHED_METRICS = ['accountBalance', 'currentValue', 'lifetimeWithdrawals', 'roi'];
+const FIXABLE_KINDS = ['cached_metric', 'portfolio_ledger_mismatch'];
+const MAX_STORED_DISCREPANCIES = 5000;
+// A run still marked running after this long is assumed to have died with its process
+const STALE_RUN_MS = 2 * 60 * 60 * 1000;
+
+const round = (value) => Number(Number(value).toFixed(8));
+
+// Net amount an entry moved into (positive) or out of the user's wallet for a token
+const walletMovement = (entry, token) => entry.lines
+  .filter((line) => line.account === 'user_wallet' && line.token === token)
+  .reduce((sum, line) => sum + line.debit - line.credit, 0);
+
+class ReconciliationService {
+  /**
+   * Compare cached metrics with computeSummary
+   */
+  static async checkCachedMetrics(user) {
+    const summary = await FinancialSummaryService.computeSummary(user._id);
+
+    return CACHED_METRICS
+      .map((field) => {
+        const stored = round(user[field] || 0);
+        const expected = round(summary[field] || 0);
+        return { field, stored, expected, difference: round(stored - expected) };
+      })
+      .filter(({ field, difference }) => (
+        Math.abs(difference) > (field === 'roi' ? TOLERANCE.roi : TOLERANCE.usd)
+      ))
+      .map((item) => ({ kind: 'cached_metric', ...item }));
+  }
+
+  /**
+   * Compare Portfolio amounts with the ledger's user_wallet balances
+   */
+  static async checkPortfolioAgainstLedger(userId) {
+    const [holdings, balances] = await Promise.all([
+      Portfolio.find({ user: userId }).select('token_name amount').lean(),
+      LedgerService.getWalletBalances(userId)
+    ]);
+
+    const portfolioByToken = new Map(holdings.map((h) => [h.token_name.toUpperCase(), h.amount]));
+    const ledgerByToken = new Map(balances.map((b) => [b.token, b.balance]));
+    const tokens = new Set([...portfolioByToken.keys(), ...ledgerByToken.keys()]);
+
+    const discrepancies = [];
+    for (const token of tokens) {
+      const stored = round(portfolioByToken.get(token) || 0);
+      const expected = round(ledgerByToken.get(token) || 0);
+      const difference = round(stored - expected);
+
+      if (Math.abs(difference) > TOLERANCE.token) {
+        discrepancies.push({ kind: 'portfolio_ledger_mismatch', field: token, stored, expected, difference });
+      }
+    }
+
+    return discrepancies;
+  }
+
+  /**
+   * Check that every approved deposit/withdrawal since the user's first ledger entry
+   * has a ledger entry for the same amount. Earlier transactions are covered by the
+   * opening balance.
+   */
+  static async checkTransactionsAgainstLedger(userId) {
+    const firstEntry = await LedgerEntry.findOne({ user: userId })
+      .sort({ createdAt: 1 })
+      .select('createdAt')
+      .lean();
+
+    if (!firstEntry) {
+      return [];
+    }
+
+    const transactions = await Transaction.find({
+      user: userId,
+      status: 'approved',
+      approvedAt: { $gte: firstEntry.createdAt }
+    })
+      .select('token_name amount isDeposit isWithdraw')
+      .lean();
+
+    if (transactions.length === 0) {
+      return [];
+    }
+
+    const entries = await LedgerEntry.find({
+      user: userId,
+      type: { $in: ['deposit', 'withdrawal'] },
+      'reference.kind': 'Transaction',
+      'reference.id': { $in: transactions.map((t) => String(t._id)) }
+    }).lean();
+    const entryByTransaction = new Map(entries.map((e) => [e.reference.id, e]));
+
+    const discrepancies = [];
+    for (const transaction of transactions) {
+      const token = transaction.token_name.toUpperCase();
+      const expected = round(transaction.isWithdraw ? -transaction.amount : transaction.amount);
+      const entry = entryByTransaction.get(String(transaction._id));
+
+      if (!entry) {
+        discrepancies.push({
+          kind: 'transaction_missing_from_ledger',
+          field: token,
+          transactionId: String(transaction._id),
+          stored: 0,
+          expected,
+          difference: round(-expected)
+        });
+        continue;
+      }
+
+      const stored = round(walletMovement(entry, token));
+      const difference = round(stored - expected);
+      if (Math.abs(difference) > TOLERANCE.token) {
+        discrepancies.push({
+          kind: 'transaction_amount_mismatch',
+          field: token,
+          transactionId: String(transaction._id),
+          stored,
+          expected,
+          difference
+        });
+      }
+    }
+
+    return discrepancies;
+  }
+
+  /**
+   * Run every check for one user
+   */
+  static async checkUser(user) {
+    const [metrics, holdings, transactions] = await Promise.all([
+      ReconciliationService.checkCachedMetrics(user),
+      ReconciliationService.checkPortfolioAgainstLedger(user._id),
+      ReconciliationService.checkTransactionsAgainstLedger(user._id)
+    ]);
+
+    return [...metrics, ...holdings, ...transactions].map((discrepancy) => ({
+      user: user._id,
+      email: user.email,
+      ...discrepancy
+    }));
+  }
+
+  /**
+   * Reconcile every user and store the report
+   * @param {Object} options
+   * @param {'scheduled'|'manual'} options.trigger
+   * @param {String} [options.triggeredBy] - Admin username for manual runs
+   */
+  static async startRun({ trigger, triggeredBy }) {
+    await ReconciliationReport.updateMany(
+      { status: 'running', startedAt: { $lt: new Date(Date.now() - STALE_RUN_MS) } },
+      { $set: { status: 'failed', error: 'Run did not finish', completedAt: new Date() } }
+    );
+
+    if (await ReconciliationReport.exists({ status: 'running' })) {
+      throw new Error('RECONCILIATION_IN_PROGRESS');
+    }
+
+    return ReconciliationReport.create({
+      trigger,
+      triggeredBy,
+      tolerance: TOLERANCE
+    });
+  }
+
+  /**
+   * Check all users for a report created by startRun
+   * @returns {ReconciliationReport}
+   */
+  static async executeRun(report) {
+    const discrepancies = [];
+    let usersChecked = 0;
+    let usersWithDiscrepancies = 0;
+    let userErrors = 0;
+    let totalFound = 0;
+
+    try {
+      const cursor = User.find()
+        .select('email accountBalance currentValue lifetimeWithdrawals roi')
+        .lean()
+        .cursor();
+
+      for await (const user of cursor) {
+        try {
+          const found = await ReconciliationService.checkUser(user);
+          usersChecked++;
+
+          if (found.length > 0) {
+            usersWithDiscrepancies++;
+            totalFound += found.length;
+            discrepancies.push(...found.slice(0, MAX_STORED_DISCREPANCIES - discrepancies.length));
+          }
+        } catch (error) {
+          userErrors++;
+          logger.error('❌ Reconciliation check failed for user', {
+            userId: user._id,
+            error: error.message
+          });
+        }
+      }
+
+      report.status = 'completed';
+    } catch (error) {
+      report.status = 'failed';
+      report.error = error.message;
+      logger.error('❌ Reconciliation run failed', {
+        reportId: report._id,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+
+    report.completedAt = new Date();
+    report.usersChecked = usersChecked;
+    report.usersWithDiscrepancies = usersWithDiscrepancies;
+    report.userErrors = userErrors;
+    report.discrepancies = discrepancies;
+    report.truncated = totalFound > discrepancies.length;
+    await report.save();
+
+    if (discrepancies.length > 0) {
+      const byKind = discrepancies.reduce((counts, d) => {
+        counts[d.kind] = (counts[d.kind] || 0) + 1;
+        return counts;
+      }, {});
+
+      await createNotification({
+        action: 'reconciliation_discrepancy',
+        description: `Reconciliation found ${totalFound} discrepancies across ${usersWithDiscrepancies} users`,
+        metadata: {
+          referenceId: report._id.toString(),
+          additionalInfo: { byKind, truncated: report.truncated }
+        }
+      });
+    }
+
+    logger.info('🧮 Reconciliation run finished', {
+      reportId: report._id,
+      status: report.status,
+      usersChecked,
+      usersWithDiscrepancies,
+      discrepancies: totalFound,
+      userErrors
+    });
+
+    return report;
+  }
+
+  static async listReports({ page = 1, limit = 20 } = {}) {
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [reports, totalItems] = await Promise.all([
+      ReconciliationReport.find()
+        .select('-discrepancies')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      ReconciliationReport.countDocuments()
+    ]);
+
+    const totalPages = Math.ceil(totalItems / limitNum);
+
+    return {
+      reports,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalItems,
+        itemsPerPage: limitNum,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1
+      }
+    };
+  }
+
+  static async getReport(reportId) {
+    if (!mongoose.Types.ObjectId.isValid(reportId)) {
+      throw new Error('REPORT_NOT_FOUND');
+    }
+
+    const report = await ReconciliationReport.findById(reportId);
+    if (!report) {
+      throw new Error('REPORT_NOT_FOUND');
+    }
+
+    return report;
+  }
+
+  /**
+   * Fix one discrepancy.
+   * cached_metric: re-sync the user's stored metrics.
+   * portfolio_ledger_mismatch: post a reconciliation_adjustment so the ledger matches the
+   * current Portfolio amount (the Portfolio is what the user trades against).
+   * Transaction discrepancies need a manual investigation and cannot be fixed here.
+   * @returns {{report: ReconciliationReport, discrepancy: Object, result: Object}}
+   */
+  static async fixDiscrepancy(reportId, discrepancyId, adminUsername) {
+    const report = await ReconciliationService.getReport(reportId);
+    const discrepancy = report.discrepancies.id(discrepancyId);
+
+    if (!discrepancy) {
+      throw new Error('DISCREPANCY_NOT_FOUND');
+    }
+    if (discrepancy.fixedAt) {
+      throw new Error('DISCREPANCY_ALREADY_FIXED');
+    }
+    if (!FIXABLE_KINDS.includes(discrepancy.kind)) {
+      throw new Error('DISCREPANCY_NOT_FIXABLE');
+    }
+
+    let result;
+
+    if (discrepancy.kind === 'cached_metric') {
+      const summary = await FinancialSummaryService.syncUserFinancialMetrics(discrepancy.user);
+      result = { synced: true, value: summary[discrepancy.field] };
+
+      // One sync fixes every cached metric of the user in this report
+      const now = new Date();
+      for (const other of report.discrepancies) {
+        if (other.kind === 'cached_metric' && String(other.user) === String(discrepancy.user) && !other.fixedAt) {
+          other.fixedAt = now;
+          other.fixedBy = adminUsername;
+        }
+      }
+    } else {
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          const token = discrepancy.field;
+          const holding = await Portfolio.findOne({ user: discrepancy.user, token_name: token })
+            .select('amount')
+            .session(session)
+            .lean();
+          const balances = await LedgerService.getWalletBalances(discrepancy.user, session);
+          const ledgerBalance = balances.find((b) => b.token === token)?.balance || 0;
+          const correction = round((holding?.amount || 0) - ledgerBalance);
+
+          const entry = await LedgerService.record({
+            userId: discrepancy.user,
+            type: 'reconciliation_adjustment',
+            reference: { kind: 'ReconciliationReport', id: report._id },
+            movements: [{ token, amount: correction }],
+            description: `Ledger aligned with portfolio ${token} balance`,
+            actor: adminUsername
+          }, session);
+
+          result = { correction, ledgerEntryId: entry?._id || null };
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      discrepancy.fixedAt = new Date();
+      discrepancy.fixedBy = adminUsername;
+    }
+
+    await report.save();
+
+    logger.info('🧮 Reconciliation discrepancy fixed', {
+      reportId: report._id,
+      discrepancyId,
+      kind: discrepancy.kind,
+      userId: discrepancy.user,
+      field: discrepancy.field,
+      adminUsername,
+      result
+    });
+
+    return { report, discrepancy, result };
+  }
+}
+
+export default ReconciliationService;
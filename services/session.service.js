@@ -0,0 +1,155 @@
+// services/session.service.js
+// User sessions: short-lived access JWTs plus rotating, per-device refresh tokens
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import UserSession from '../model/user-session.model.js';
+import logger from '../utils/logger.js';
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+class SessionService {
+  /**
+   * Sign an access token bound to a session
+   */
+  static generateAccessToken(userId, sessionId) {
+    return jwt.sign(
+      { userId, type: 'user', sid: sessionId.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  /**
+   * Start a new session for a device (login, signup, OAuth)
+   * @returns {{token: String, refreshToken: String, expiresIn: String, session: UserSession}}
+   */
+  static async createSession(userId, req) {
+    const refreshToken = newRefreshToken();
+
+    const session = await UserSession.create({
+      user: userId,
+      refreshTokenHash: hashRefreshToken(refreshToken),
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    return {
+      token: SessionService.generateAccessToken(userId, session._id),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      session
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and a new refresh token.
+   * Replaying an already-rotated token revokes the whole session.
+   */
+  static async refreshSession(refreshToken, req) {
+    const tokenHash = hashRefreshToken(refreshToken);
+    const session = await UserSession.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+      const reused = await UserSession.findOne({ previousRefreshTokenHash: tokenHash, revokedAt: null });
+      if (reused) {
+        reused.revokedAt = new Date();
+        reused.revokedReason = 'token_reuse';
+        await reused.save();
+
+        logger.warn('🚨 Refresh token reuse detected - session revoked', {
+          userId: reused.user,
+          sessionId: reused._id,
+          ip: req.ip
+        });
+      }
+      throw new Error('INVALID_REFRESH_TOKEN');
+    }
+
+    if (!session.isActive) {
+      throw new Error('SESSION_EXPIRED');
+    }
+
+    const rotated = newRefreshToken();
+    session.previousRefreshTokenHash = tokenHash;
+    session.refreshTokenHash = hashRefreshToken(rotated);
+    session.lastUsedAt = new Date();
+    session.ipAddress = req.ip;
+    session.userAgent = req.get('User-Agent') || session.userAgent;
+    await session.save();
+
+    return {
+      userId: session.user,
+      token: SessionService.generateAccessToken(session.user, session._id),
+      refreshToken: rotated,
+      expiresIn: ACCESS_TOKEN_TTL,
+      session
+    };
+  }
+
+  /**
+   * Check a decoded user access token against the user and its session.
+   * Rejects tokens issued before the last password change, tokens whose session was revoked
+   * and tokens without a session (the old 48h tokens), which could not otherwise be revoked.
+   */
+  static async isAccessTokenValid(decoded, user) {
+    if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+      return false;
+    }
+
+    if (!decoded.sid) {
+      return false;
+    }
+
+    const session = await UserSession.findById(decoded.sid).select('user revokedAt expiresAt');
+    return Boolean(session && String(session.user) === String(user._id) && session.isActive);
+  }
+
+  static async listSessions(userId) {
+    return UserSession.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+  }
+
+  static async revokeSession(userId, sessionId, reason) {
+    const session = await UserSession.findOneAndUpdate(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+
+    if (!session) {
+      throw new Error('SESSION_NOT_FOUND');
+    }
+
+    return session;
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @returns {Number} Number of sessions revoked
+   */
+  static async revokeAllSessions(userId, reason) {
+    const result = await UserSession.updateMany(
+      { user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    logger.info('🔒 All user sessions revoked', {
+      userId,
+      reason,
+      revoked: result.modifiedCount
+    });
+
+    return result.modifiedCount;
+  }
+}
+
+export default SessionService;
@@ -0,0 +1,344 @@
+// services/statement.service.js
+// Monthly account statements: activity, equity and month-end holdings, rendered as PDF and CSV
+import mongoose from 'mongoose';
+import User from '../model/user.model.js';
+import Transaction from '../model/transaction.model.js';
+import CopytradePurchase from '../model/copytrade-purchase.model.js';
+import StockPurchase from '../model/stock-purchase.model.js';
+import EquitySnapshot from '../model/equity-snapshot.model.js';
+import Statement from '../model/statement.model.js';
+import LedgerService from './ledger.service.js';
+import PdfDocument from '../utils/pdf.js';
+import { toCsv } from '../utils/csv.js';
+import { getTokenPrice } from '../utils/priceService.js';
+import { brand, formatMoney } from '../utils/emailTemplates.js';
+import { notifyStatementReady } from '../utils/emailService.js';
+import logger from '../utils/logger.js';
+
+export const STATEMENT_FORMATS = {
+  pdf: 'application/pdf',
+  csv: 'text/csv; charset=utf-8'
+};
+
+const SECTIONS = [
+  ['deposits', 'Deposits'],
+  ['withdrawals', 'Withdrawals'],
+  ['copytradeSettlements', 'Copytrade settlements'],
+  ['stockPurchases', 'Stock purchases'],
+  ['stockLiquidations', 'Stock liquidations']
+];
+
+const round = (value) => Number(Number(value).toFixed(8));
+const sumUsd = (rows) => round(rows.reduce((sum, row) => sum + (row.usdValue || 0), 0));
+
+const periodLabel = (year, month) => new Date(Date.UTC(year, month - 1, 1))
+  .toLocaleString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+const formatDay = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const formatEquity = (value) => (value == null ? 'Not available' : formatMoney(value));
+
+/**
+ * The calendar month (UTC) before the given instant
+ */
+export const previousMonth = (now = new Date()) => {
+  const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1 };
+};
+
+class StatementService {
+  /**
+   * Collect everything a statement shows for one user and month
+   */
+  static async buildData(user, year, month) {
+    const periodStart = new Date(Date.UTC(year, month - 1, 1));
+    const periodEnd = new Date(Date.UTC(year, month, 1));
+    const inPeriod = { $gte: periodStart, $lt: periodEnd };
+    const userId = user._id;
+
+    const [transactions, settlements, stockPurchases, liquidations, openingSnapshot, closingSnapshot, balances] =
+      await Promise.all([
+        Transaction.find({ user: userId, status: 'approved', approvedAt: inPeriod })
+          .sort({ approvedAt: 1 })
+          .lean(),
+        CopytradePurchase.find({ user: userId, trade_status: 'completed', trade_end_date: inPeriod })
+          .sort({ trade_end_date: 1 })
+          .lean(),
+        StockPurchase.find({ user: userId, approved_at: inPeriod })
+          .sort({ approved_at: 1 })
+          .lean(),
+        StockPurchase.find({ user: userId, stock_status: 'completed', liquidated_at: inPeriod })
+          .sort({ liquidated_at: 1 })
+          .lean(),
+        EquitySnapshot.findOne({ user: userId, date: { $lt: periodStart } }).sort({ date: -1 }).lean(),
+        EquitySnapshot.findOne({ user: userId, date: inPeriod }).sort({ date: -1 }).lean(),
+        LedgerService.getWalletBalances(userId, null, periodEnd)
+      ]);
+
+    const transactionRow = (t) => ({
+      date: t.approvedAt,
+      description: t.isWithdraw ? 'Withdrawal' : 'Deposit',
+      token: t.token_name.toUpperCase(),
+      amount: t.amount,
+      usdValue: t.usdValue || 0,
+      reference: String(t._id)
+    });
+
+    const data = {
+      user: userId,
+      year,
+      month,
+      periodStart,
+      periodEnd,
+      deposits: transactions.filter((t) => !t.isWithdraw).map(transactionRow),
+      withdrawals: transactions.filter((t) => t.isWithdraw).map(transactionRow),
+      copytradeSettlements: settlements.map((p) => ({
+        date: p.trade_end_date,
+        description: p.trade_title,
+        token: 'USDT',
+        amount: p.trade_current_value,
+        usdValue: p.trade_current_value,
+        reference: String(p._id)
+      })),
+      stockPurchases: stockPurchases.map((p) => ({
+        date: p.approved_at,
+        description: `${p.symbol} x ${p.quantity}`,
+        token: p.symbol,
+        amount: p.quantity,
+        usdValue: p.initial_investment,
+        reference: String(p._id)
+      })),
+      stockLiquidations: liquidations.map((p) => ({
+        date: p.liquidated_at,
+        description: `${p.symbol} x ${p.quantity}`,
+        token: 'USDT',
+        amount: p.admin_final_value,
+        usdValue: p.admin_final_value,
+        reference: String(p._id)
+      })),
+      holdings: []
+    };
+
+    for (const { token, balance } of balances) {
+      if (Math.abs(balance) < 0.00000001) continue;
+      let usdValue = null;
+      try {
+        usdValue = round(balance * await getTokenPrice(token));
+      } catch {
+        // Unpriced tokens are listed without a value
+      }
+      data.holdings.push({ token, amount: balance, usdValue });
+    }
+
+    let openingEquity = openingSnapshot ? openingSnapshot.currentValue : null;
+    if (openingEquity == null && user.createdAt >= periodStart) {
+      openingEquity = 0;
+    }
+
+    data.summary = {
+      openingEquity,
+      closingEquity: closingSnapshot ? closingSnapshot.currentValue : null,
+      deposits: sumUsd(data.deposits),
+      withdrawals: sumUsd(data.withdrawals),
+      copytradeSettlements: sumUsd(data.copytradeSettlements),
+      stockPurchases: sumUsd(data.stockPurchases),
+      stockLiquidations: sumUsd(data.stockLiquidations)
+    };
+
+    return data;
+  }
+
+  // Nothing happened and nothing was held: no statement is issued
+  static isEmpty(data) {
+    return SECTIONS.every(([key]) => data[key].length === 0) &&
+      data.holdings.length === 0 &&
+      !data.summary.openingEquity &&
+      !data.summary.closingEquity;
+  }
+
+  static renderCsv(data) {
+    const rows = [['Section', 'Date', 'Description', 'Token', 'Amount', 'USD Value', 'Reference']];
+    const { summary } = data;
+
+    rows.push(
+      ['Summary', formatDay(data.periodStart), 'Opening equity', '', '', summary.openingEquity, ''],
+      ['Summary', formatDay(new Date(data.periodEnd.getTime() - 1)), 'Closing equity', '', '', summary.closingEquity, '']
+    );
+    for (const [key, label] of SECTIONS) {
+      rows.push(['Summary', '', `Total ${label.toLowerCase()}`, '', '', summary[key], '']);
+    }
+
+    for (const [key, label] of SECTIONS) {
+      for (const row of data[key]) {
+        rows.push([label, formatDay(row.date), row.description, row.token, row.amount, row.usdValue, row.reference]);
+      }
+    }
+
+    for (const holding of data.holdings) {
+      rows.push(['Holdings', formatDay(new Date(data.periodEnd.getTime() - 1)), 'Month-end balance', holding.token, holding.amount, holding.usdValue, '']);
+    }
+
+    return Buffer.from(toCsv(rows), 'utf8');
+  }
+
+  static async renderPdf(data, user) {
+    const label = periodLabel(data.year, data.month);
+    const doc = new PdfDocument({ title: `${brand.name} statement - ${label}`, author: brand.name });
+    const name = [user.firstName, user.lastName].filter(Boolean).join(' ');
+
+    doc.text(brand.name, { size: 18, bold: true })
+      .text(`Account statement - ${label}`, { size: 12 })
+      .moveDown(0.5)
+      .text(`Account holder: ${name || user.email}`)
+      .text(`Email: ${user.email}`)
+      .text(`Period: ${formatDay(data.periodStart)} to ${formatDay(new Date(data.periodEnd.getTime() - 1))} (UTC)`)
+      .rule();
+
+    const { summary } = data;
+    doc.heading('Summary', 12).keyValues([
+      ['Opening equity', formatEquity(summary.openingEquity)],
+      ['Deposits', formatMoney(summary.deposits)],
+      ['Withdrawals', formatMoney(summary.withdrawals)],
+      ['Copytrade settlements', formatMoney(summary.copytradeSettlements)],
+      ['Stock purchases', formatMoney(summary.stockPurchases)],
+      ['Stock liquidations', formatMoney(summary.stockLiquidations)],
+      ['Closing equity', formatEquity(summary.closingEquity)]
+    ]);
+
+    const columns = [
+      { header: 'Date', width: 0.15 },
+      { header: 'Description', width: 0.33 },
+      { header: 'Token', width: 0.12 },
+      { header: 'Amount', width: 0.2, align: 'right' },
+      { header: 'USD value', width: 0.2, align: 'right' }
+    ];
+
+    for (const [key, sectionLabel] of SECTIONS) {
+      doc.heading(sectionLabel, 12).table(columns, data[key].map((row) => [
+        formatDay(row.date),
+        row.description,
+        row.token,
+        String(row.amount),
+        formatMoney(row.usdValue)
+      ]));
+    }
+
+    doc.heading('Holdings at month end', 12).table(
+      [
+        { header: 'Token', width: 0.3 },
+        { header: 'Amount', width: 0.35, align: 'right' },
+        { header: 'USD value (at issue)', width: 0.35, align: 'right' }
+      ],
+      data.holdings.map((h) => [h.token, String(h.amount), h.usdValue == null ? '-' : formatMoney(h.usdValue)])
+    );
+
+    doc.moveDown()
+      .text('Equity includes capital locked in active copytrades and stocks. Holdings exclude locked capital.', { size: 8 })
+      .text(`Questions about this statement: ${brand.supportEmail}`, { size: 8 });
+
+    return doc.toBuffer();
+  }
+
+  /**
+   * Issue one user's statement for a month (no-op if it already exists)
+   * @returns {{statement: Statement|null, created: Boolean}}
+   */
+  static async generateForUser(user, year, month) {
+    const existing = await Statement.findOne({ user: user._id, year, month });
+    if (existing) {
+      return { statement: existing, created: false };
+    }
+
+    const data = await StatementService.buildData(user, year, month);
+    if (StatementService.isEmpty(data)) {
+      return { statement: null, created: false };
+    }
+
+    try {
+      const statement = await Statement.create({
+        ...data,
+        csv: StatementService.renderCsv(data),
+        pdf: await StatementService.renderPdf(data, user)
+      });
+      return { statement, created: true };
+    } catch (error) {
+      // Another instance issued it first
+      if (error.code === 11000) {
+        return { statement: await Statement.findOne({ user: user._id, year, month }), created: false };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Issue statements for every active user and email each new one
+   */
+  static async generateMonth({ year, month } = previousMonth()) {
+    const stats = { year, month, processed: 0, generated: 0, skipped: 0, errors: 0 };
+    const periodEnd = new Date(Date.UTC(year, month, 1));
+
+    const cursor = User.find({ isActive: true, createdAt: { $lt: periodEnd } })
+      .select('email firstName lastName createdAt')
+      .lean()
+      .cursor();
+
+    for await (const user of cursor) {
+      stats.processed++;
+      try {
+        const { statement, created } = await StatementService.generateForUser(user, year, month);
+        if (!created) {
+          stats.skipped++;
+          continue;
+        }
+
+        stats.generated++;
+        await notifyStatementReady(user._id, statement);
+        await Statement.updateOne({ _id: statement._id }, { $set: { emailedAt: new Date() } });
+      } catch (error) {
+        stats.errors++;
+        logger.error('❌ Failed to generate statement', {
+          userId: user._id,
+          year,
+          month,
+          error: error.message
+        });
+      }
+    }
+
+    return stats;
+  }
+
+  static async listStatements(userId) {
+    return Statement.find({ user: userId })
+      .select('year month periodStart periodEnd summary createdAt')
+      .sort({ year: -1, month: -1 })
+      .lean();
+  }
+
+  /**
+   * Stored PDF or CSV of one of the user's statements
+   * @returns {{buffer: Buffer, fileName: String, contentType: String}}
+   */
+  static async getFile(userId, statementId, format = 'pdf') {
+    if (!STATEMENT_FORMATS[format]) {
+      throw new Error('INVALID_FORMAT');
+    }
+    if (!mongoose.Types.ObjectId.isValid(statementId)) {
+      throw new Error('STATEMENT_NOT_FOUND');
+    }
+
+    const statement = await Statement.findOne({ _id: statementId, user: userId })
+      .select(`+${format} year month`);
+    if (!statement || !statement[format]) {
+      throw new Error('STATEMENT_NOT_FOUND');
+    }
+
+    return {
+      buffer: statement[format],
+      fileName: `statement-${statement.year}-${String(statement.month).padStart(2, '0')}.${format}`,
+      contentType: STATEMENT_FORMATS[format]
+    };
+  }
+}
+
+export default StatementService;
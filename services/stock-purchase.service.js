@@ -2,10 +2,10 @@
 import StockPurchase from '../model/stock-purchase.model.js';
 import Stock from '../model/stock.model.js';
 import User from '../model/user.model.js';
-import Portfolio from '../model/portfolio.model.js';
 import PortfolioService from './portfolio.service.js';
 import BalanceService from './balance.service.js';
-import { getTokenPrice } from '../utils/priceService.js';
+import LedgerService from './ledger.service.js';
+import FeeService from './fee.service.js';
 import logger from '../utils/logger.js';
 
 class StockPurchaseService {
@@ -76,13 +76,19 @@ class StockPurchaseService {
     const purchasePrice = Number(stock.price);
     const initialInvestment = Number((purchasePrice * quantity).toFixed(8));
     const available = userDoc.accountBalance || 0;
+    const { fee, totalCost } = await FeeService.quote({
+      userId: user,
+      product: 'stock_purchase',
+      amount: initialInvestment
+    }, session);
 
-    if (available < initialInvestment) {
+    if (available < totalCost) {
       const error = new Error('INSUFFICIENT_FUNDS');
       error.data = {
-        required: initialInvestment,
+        required: totalCost,
         available,
-        deficit: Number((initialInvestment - available).toFixed(8))
+        deficit: Number((totalCost - available).toFixed(8)),
+        fee: fee.amount
       };
       throw error;
     }
@@ -95,7 +101,8 @@ class StockPurchaseService {
       quantity,
       purchase_price: purchasePrice,
       initial_investment: initialInvestment,
-      stock_status: 'pending'
+      stock_status: 'pending',
+      fee
     });
 
     const saved = await purchase.save({ session });
@@ -130,63 +137,30 @@ class StockPurchaseService {
     }
 
     const userId = purchase.user;
-    let remainingToDeduct = purchase.initial_investment;
+    const feeAmount = purchase.fee && !purchase.fee.chargedAt ? purchase.fee.amount : 0;
 
-    const portfolioEntries = await Portfolio.find({ user: userId }).session(session);
-    if (portfolioEntries.length === 0) {
-      const error = new Error('NO_PORTFOLIO_ENTRIES');
-      error.data = { userId };
-      throw error;
-    }
-
-    const entriesWithValues = await Promise.all(
-      portfolioEntries.map(async (entry) => {
-        try {
-          const livePrice = await getTokenPrice(entry.token_name);
-          const currentValue = Number((entry.amount * livePrice).toFixed(8));
-          return { entry, livePrice, currentValue };
-        } catch {
-          return { entry, livePrice: null, currentValue: 0 };
-        }
-      })
-    );
-
-    entriesWithValues.sort((a, b) => b.currentValue - a.currentValue);
-    const totalAvailable = entriesWithValues.reduce((sum, e) => sum + e.currentValue, 0);
-
-    if (totalAvailable < remainingToDeduct) {
-      const error = new Error('INSUFFICIENT_PORTFOLIO');
-      error.data = {
-        required: remainingToDeduct,
-        available: totalAvailable,
-        deficit: Number((remainingToDeduct - totalAvailable).toFixed(8))
-      };
-      throw error;
-    }
+    const deductions = await PortfolioService.deductUsdValue(userId, purchase.initial_investment, session, {
+      requiredUsd: purchase.initial_investment + feeAmount,
+      insufficientCode: 'INSUFFICIENT_PORTFOLIO'
+    });
 
-    const deductions = [];
-    for (const { entry, livePrice, currentValue } of entriesWithValues) {
-      if (remainingToDeduct <= 0 || !livePrice || currentValue <= 0) continue;
-
-      if (currentValue <= remainingToDeduct) {
-        await PortfolioService.deductFromPortfolio(userId, entry.token_name, entry.amount, session);
-        deductions.push({
-          tokenName: entry.token_name,
-          tokenAmount: entry.amount,
-          usdValue: currentValue
-        });
-        remainingToDeduct = Number((remainingToDeduct - currentValue).toFixed(8));
-      } else {
-        const tokenAmountToDeduct = Number((remainingToDeduct / livePrice).toFixed(8));
-        await PortfolioService.deductFromPortfolio(userId, entry.token_name, tokenAmountToDeduct, session);
-        deductions.push({
-          tokenName: entry.token_name,
-          tokenAmount: tokenAmountToDeduct,
-          usdValue: remainingToDeduct
-        });
-        remainingToDeduct = 0;
-      }
-    }
+    await LedgerService.record({
+      userId,
+      type: 'stock_allocation',
+      reference: { kind: 'StockPurchase', id: purchase._id },
+      movements: deductions.map((d) => ({ token: d.tokenName, amount: -d.tokenAmount })),
+      usdValue: purchase.initial_investment,
+      description: `Allocated to stock ${purchase.symbol}`,
+      actor: adminUsername
+    }, session);
+
+    await FeeService.chargeUsdFee({
+      userId,
+      product: 'stock_purchase',
+      reference: { kind: 'StockPurchase', id: purchase._id },
+      fee: purchase.fee,
+      actor: adminUsername
+    }, session);
 
     purchase.stock_status = 'active';
     purchase.approved_by = adminUsername;
@@ -199,6 +173,7 @@ class StockPurchaseService {
     logger.info('✅ Stock purchase approved', {
       purchaseId: purchase._id,
       userId,
+      fee: feeAmount,
       deductions,
       newAccountBalance,
       adminUsername
@@ -256,7 +231,11 @@ class StockPurchaseService {
       purchase.user,
       settledValue,
       session,
-      { investedUsd: purchase.initial_investment }
+      {
+        investedUsd: purchase.initial_investment,
+        reference: { kind: 'StockPurchase', id: purchase._id },
+        actor: adminUsername
+      }
     );
 
     logger.info('🏁 Stock liquidation settled', {
@@ -0,0 +1,377 @@
+// services/tax-report.service.js
+// Realized gains for a tax year (calendar year, UTC): closed copytrades, liquidated stocks,
+// crypto withdrawals and token conversions.
+// Crypto cost basis is matched against deposit lots with FIFO or average cost.
+import Transaction from '../model/transaction.model.js';
+import CopytradePurchase from '../model/copytrade-purchase.model.js';
+import StockPurchase from '../model/stock-purchase.model.js';
+import Portfolio from '../model/portfolio.model.js';
+import Conversion from '../model/conversion.model.js';
+import LedgerEntry from '../model/ledger-entry.model.js';
+import User from '../model/user.model.js';
+import PdfDocument from '../utils/pdf.js';
+import { toCsv } from '../utils/csv.js';
+import { brand, formatMoney } from '../utils/emailTemplates.js';
+
+export const COST_BASIS_METHODS = ['fifo', 'average'];
+
+export const TAX_REPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  pdf: 'application/pdf'
+};
+
+// Portfolio amounts are kept to 8 decimals; anything below is rounding noise
+const DUST = 0.00000001;
+
+const round = (value) => Number(Number(value).toFixed(8));
+
+const formatDay = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const DISPOSAL_LABELS = {
+  crypto_withdrawal: 'Crypto withdrawal',
+  crypto_conversion: 'Crypto conversion',
+  copytrade: 'Copytrade',
+  stock: 'Stock'
+};
+
+/**
+ * Cost basis pool for one token. FIFO keeps dated lots; average cost keeps a single pool.
+ */
+class LotPool {
+  constructor(method) {
+    this.method = method;
+    this.lots = [];
+  }
+
+  acquire(quantity, cost, date) {
+    if (quantity <= DUST) return;
+    if (this.method === 'average' && this.lots.length) {
+      const pool = this.lots[0];
+      pool.quantity += quantity;
+      pool.cost += cost;
+      return;
+    }
+    this.lots.push({ quantity, cost, date });
+  }
+
+  /**
+   * Remove a quantity and return the cost basis it carried
+   * @returns {{cost: Number, uncovered: Number, acquiredAt: Date|null}}
+   */
+  dispose(quantity) {
+    let remaining = quantity;
+    let cost = 0;
+    const acquiredAt = this.method === 'fifo' && this.lots.length ? this.lots[0].date : null;
+
+    while (remaining > DUST && this.lots.length) {
+      const lot = this.lots[0];
+      const taken = Math.min(remaining, lot.quantity);
+      const takenCost = lot.quantity > 0 ? lot.cost * (taken / lot.quantity) : 0;
+
+      cost += takenCost;
+      lot.quantity -= taken;
+      lot.cost -= takenCost;
+      remaining -= taken;
+
+      if (lot.quantity <= DUST) {
+        this.lots.shift();
+      }
+    }
+
+    return { cost, uncovered: remaining > DUST ? remaining : 0, acquiredAt };
+  }
+}
+
+class TaxReportService {
+  /**
+   * @throws INVALID_YEAR, INVALID_METHOD
+   */
+  static validate(year, method) {
+    const currentYear = new Date().getUTCFullYear();
+    if (!Number.isInteger(year) || year < 2000 || year > currentYear) {
+      throw new Error('INVALID_YEAR');
+    }
+    if (!COST_BASIS_METHODS.includes(method)) {
+      throw new Error('INVALID_METHOD');
+    }
+  }
+
+  /**
+   * Crypto withdrawals and conversions in the year with their matched cost basis.
+   * Every token movement up to the end of the year is replayed in order:
+   * - approved deposits and USDT from settled copytrades/stocks add lots (at their USD value)
+   * - copytrade/stock allocations (from the ledger) use up lots without being reported; that capital
+   *   is reported when the position closes
+   * - approved withdrawals use up lots and are reported when they fall in the year
+   * - conversions dispose of the token given up (reported) and acquire the token received,
+   *   both at the market value given up
+   */
+  static async cryptoDisposals(userId, yearStart, yearEnd, method) {
+    const before = { $lt: yearEnd };
+
+    const [transactions, settledCopytrades, settledStocks, allocations, conversions, holdings] = await Promise.all([
+      Transaction.find({ user: userId, status: 'approved', approvedAt: before }).lean(),
+      CopytradePurchase.find({ user: userId, trade_status: 'completed', trade_end_date: before })
+        .select('trade_end_date trade_current_value')
+        .lean(),
+      StockPurchase.find({ user: userId, stock_status: 'completed', liquidated_at: before })
+        .select('liquidated_at admin_final_value')
+        .lean(),
+      LedgerEntry.find({
+        user: userId,
+        type: { $in: ['copytrade_allocation', 'stock_allocation'] },
+        createdAt: before
+      }).lean(),
+      Conversion.find({ user: userId, status: 'completed', completedAt: before }).lean(),
+      Portfolio.find({ user: userId }).select('token_name averageAcquisitionPrice').lean()
+    ]);
+
+    const events = [];
+    for (const t of transactions) {
+      const token = t.token_name.toUpperCase();
+      if (t.isDeposit) {
+        events.push({ date: t.approvedAt, kind: 'acquire', token, quantity: t.amount, cost: t.usdValue || 0 });
+      } else if (t.isWithdraw) {
+        events.push({ date: t.approvedAt, kind: 'dispose', token, quantity: t.amount, proceeds: t.usdValue || 0, transaction: t });
+      }
+    }
+    for (const c of conversions) {
+      events.push({ date: c.completedAt, kind: 'dispose', token: c.fromToken, quantity: c.fromAmount, proceeds: c.usdValue, conversion: c });
+      events.push({ date: c.completedAt, kind: 'acquire', token: c.toToken, quantity: c.toAmount, cost: c.usdValue });
+    }
+    // Settlement proceeds are credited as USDT; the gain is reported on the position itself
+    for (const p of settledCopytrades) {
+      events.push({ date: p.trade_end_date, kind: 'acquire', token: 'USDT', quantity: p.trade_current_value, cost: p.trade_current_value });
+    }
+    for (const p of settledStocks) {
+      events.push({ date: p.liquidated_at, kind: 'acquire', token: 'USDT', quantity: p.admin_final_value, cost: p.admin_final_value });
+    }
+    for (const entry of allocations) {
+      for (const line of entry.lines) {
+        if (line.account === 'user_wallet' && line.credit > 0) {
+          events.push({ date: entry.createdAt, kind: 'consume', token: line.token, quantity: line.credit });
+        }
+      }
+    }
+
+    // Acquisitions first on the same instant so a same-second deposit can cover a withdrawal
+    const order = { acquire: 0, consume: 1, dispose: 2 };
+    events.sort((a, b) => a.date - b.date || order[a.kind] - order[b.kind]);
+
+    const averagePrices = new Map(holdings.map((h) => [h.token_name, h.averageAcquisitionPrice || 0]));
+    const pools = new Map();
+    const disposals = [];
+
+    for (const event of events) {
+      if (!pools.has(event.token)) {
+        pools.set(event.token, new LotPool(method));
+      }
+      const pool = pools.get(event.token);
+
+      if (event.kind === 'acquire') {
+        pool.acquire(event.quantity, event.cost, event.date);
+        continue;
+      }
+
+      const matched = pool.dispose(event.quantity);
+      if (event.kind !== 'dispose' || event.date < yearStart) continue;
+
+      // Holdings that predate the records (or came from adjustments) fall back to the portfolio's average price
+      const estimatedCost = matched.uncovered * (averagePrices.get(event.token) || 0);
+      const costBasis = round(matched.cost + estimatedCost);
+
+      disposals.push({
+        date: event.date,
+        type: event.conversion ? 'crypto_conversion' : 'crypto_withdrawal',
+        description: event.conversion
+          ? `${event.token} converted to ${event.conversion.toToken}`
+          : `${event.token} withdrawal`,
+        asset: event.token,
+        quantity: event.quantity,
+        acquiredAt: matched.acquiredAt,
+        proceeds: round(event.proceeds),
+        costBasis,
+        gainLoss: round(event.proceeds - costBasis),
+        basisEstimated: matched.uncovered > 0,
+        reference: String((event.conversion || event.transaction)._id)
+      });
+    }
+
+    return disposals;
+  }
+
+  /**
+   * Build a user's realized gains report
+   * @param {String} userId
+   * @param {{year: Number, method: 'fifo'|'average'}} options
+   */
+  static async buildReport(userId, { year, method = 'fifo' }) {
+    TaxReportService.validate(year, method);
+
+    const yearStart = new Date(Date.UTC(year, 0, 1));
+    const yearEnd = new Date(Date.UTC(year + 1, 0, 1));
+    const inYear = { $gte: yearStart, $lt: yearEnd };
+
+    const [copytrades, stocks, crypto] = await Promise.all([
+      CopytradePurchase.find({ user: userId, trade_status: 'completed', trade_end_date: inYear }).lean(),
+      StockPurchase.find({ user: userId, stock_status: 'completed', liquidated_at: inYear }).lean(),
+      TaxReportService.cryptoDisposals(userId, yearStart, yearEnd, method)
+    ]);
+
+    const disposals = [
+      ...copytrades.map((p) => ({
+        date: p.trade_end_date,
+        type: 'copytrade',
+        description: p.trade_title,
+        asset: 'USD',
+        quantity: null,
+        acquiredAt: p.trade_start_date || p.trade_approval_date || p.createdAt,
+        proceeds: round(p.trade_current_value),
+        costBasis: round(p.initial_investment),
+        gainLoss: round(p.trade_profit_loss ?? p.trade_current_value - p.initial_investment),
+        basisEstimated: false,
+        reference: String(p._id)
+      })),
+      ...stocks.map((p) => ({
+        date: p.liquidated_at,
+        type: 'stock',
+        description: `${p.name} (${p.symbol})`,
+        asset: p.symbol,
+        quantity: p.quantity,
+        acquiredAt: p.approved_at || p.createdAt,
+        proceeds: round(p.admin_final_value),
+        costBasis: round(p.initial_investment),
+        gainLoss: round(p.admin_final_value - p.initial_investment),
+        basisEstimated: false,
+        reference: String(p._id)
+      })),
+      ...crypto
+    ].sort((a, b) => a.date - b.date);
+
+    const total = (rows) => ({
+      count: rows.length,
+      proceeds: round(rows.reduce((sum, r) => sum + r.proceeds, 0)),
+      costBasis: round(rows.reduce((sum, r) => sum + r.costBasis, 0)),
+      gainLoss: round(rows.reduce((sum, r) => sum + r.gainLoss, 0))
+    });
+
+    return {
+      year,
+      method,
+      currency: 'USD',
+      summary: {
+        ...total(disposals),
+        byType: Object.fromEntries(
+          Object.keys(DISPOSAL_LABELS).map((type) => [type, total(disposals.filter((d) => d.type === type))])
+        )
+      },
+      disposals
+    };
+  }
+
+  static renderCsv(report) {
+    const rows = [[
+      'Date Disposed', 'Type', 'Description', 'Asset', 'Quantity', 'Date Acquired',
+      'Proceeds (USD)', 'Cost Basis (USD)', 'Gain/Loss (USD)', 'Basis Estimated', 'Reference'
+    ]];
+
+    for (const d of report.disposals) {
+      rows.push([
+        formatDay(d.date), DISPOSAL_LABELS[d.type], d.description, d.asset, d.quantity,
+        formatDay(d.acquiredAt), d.proceeds, d.costBasis, d.gainLoss, d.basisEstimated ? 'yes' : 'no', d.reference
+      ]);
+    }
+
+    const { summary } = report;
+    rows.push(['Total', '', `${report.year}, ${report.method === 'fifo' ? 'FIFO' : 'average cost'}`, '', '', '',
+      summary.proceeds, summary.costBasis, summary.gainLoss, '', '']);
+
+    return Buffer.from(toCsv(rows), 'utf8');
+  }
+
+  static async renderPdf(report, user) {
+    const methodLabel = report.method === 'fifo' ? 'FIFO (first in, first out)' : 'Average cost';
+    const doc = new PdfDocument({ title: `${brand.name} realized gains ${report.year}`, author: brand.name });
+    const name = [user.firstName, user.lastName].filter(Boolean).join(' ');
+
+    doc.text(brand.name, { size: 18, bold: true })
+      .text(`Realized gains report - tax year ${report.year}`, { size: 12 })
+      .moveDown(0.5)
+      .text(`Account holder: ${name || user.email}`)
+      .text(`Email: ${user.email}`)
+      .text(`Period: ${report.year}-01-01 to ${report.year}-12-31 (UTC)`)
+      .text(`Crypto cost basis method: ${methodLabel}`)
+      .rule();
+
+    const { summary } = report;
+    doc.heading('Summary', 12).keyValues([
+      ['Disposals', String(summary.count)],
+      ['Proceeds', formatMoney(summary.proceeds)],
+      ['Cost basis', formatMoney(summary.costBasis)],
+      ['Net gain / loss', formatMoney(summary.gainLoss)],
+      ...Object.entries(summary.byType).map(([type, t]) => [
+        `${DISPOSAL_LABELS[type]} gain / loss`, `${formatMoney(t.gainLoss)} (${t.count})`
+      ])
+    ]);
+
+    doc.heading('Disposals', 12).table(
+      [
+        { header: 'Disposed', width: 0.11 },
+        { header: 'Description', width: 0.25 },
+        { header: 'Quantity', width: 0.12, align: 'right' },
+        { header: 'Acquired', width: 0.11 },
+        { header: 'Proceeds', width: 0.14, align: 'right' },
+        { header: 'Cost basis', width: 0.14, align: 'right' },
+        { header: 'Gain / loss', width: 0.13, align: 'right' }
+      ],
+      report.disposals.map((d) => [
+        formatDay(d.date),
+        d.basisEstimated ? `${d.description} *` : d.description,
+        d.quantity == null ? '-' : String(d.quantity),
+        formatDay(d.acquiredAt),
+        formatMoney(d.proceeds),
+        formatMoney(d.costBasis),
+        formatMoney(d.gainLoss)
+      ])
+    );
+
+    doc.moveDown()
+      .text('* Part of the cost basis is estimated from the average acquisition price of current holdings.', { size: 8 })
+      .text('This report summarizes account records and is not tax advice.', { size: 8 })
+      .text(`Questions about this report: ${brand.supportEmail}`, { size: 8 });
+
+    return doc.toBuffer();
+  }
+
+  /**
+   * Report rendered as a downloadable file
+   * @returns {{buffer: Buffer, fileName: String, contentType: String}}
+   * @throws INVALID_FORMAT, INVALID_YEAR, INVALID_METHOD, USER_NOT_FOUND
+   */
+  static async getFile(userId, { year, method = 'fifo', format = 'csv' }) {
+    if (!TAX_REPORT_FORMATS[format]) {
+      throw new Error('INVALID_FORMAT');
+    }
+
+    const report = await TaxReportService.buildReport(userId, { year, method });
+
+    let buffer;
+    if (format === 'pdf') {
+      const user = await User.findById(userId).select('email firstName lastName').lean();
+      if (!user) {
+        throw new Error('USER_NOT_FOUND');
+      }
+      buffer = await TaxReportService.renderPdf(report, user);
+    } else {
+      buffer = TaxReportService.renderCsv(report);
+    }
+
+    return {
+      buffer,
+      fileName: `realized-gains-${year}-${method}.${format}`,
+      contentType: TAX_REPORT_FORMATS[format]
+    };
+  }
+}
+
+export default TaxReportService;
@@ -0,0 +1,325 @@
+// services/transaction-export.service.js
+// Filters shared by the admin transaction lists, and CSV/XLSX exports streamed from a cursor
+import mongoose from 'mongoose';
+import Transaction from '../model/transaction.model.js';
+import CopytradePurchase from '../model/copytrade-purchase.model.js';
+import StockPurchase from '../model/stock-purchase.model.js';
+import { toCsvLine } from '../utils/csv.js';
+import { writeXlsx } from '../utils/xlsx.js';
+
+export const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Keeps one export from tying up the database; narrow the filters for more
+export const MAX_EXPORT_ROWS = 100000;
+const CURSOR_BATCH_SIZE = 500;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const userId = (doc) => (doc.user && doc.user._id ? String(doc.user._id) : doc.user ? String(doc.user) : null);
+const userEmail = (doc) => doc.user?.email || null;
+
+const transactionColumns = (addressField, addressHeader) => [
+  ['ID', (t) => String(t._id)],
+  ['Created At', (t) => t.createdAt],
+  ['User ID', userId],
+  ['User Email', userEmail],
+  ['Token', (t) => t.token_name],
+  ['Amount', (t) => t.amount],
+  ['Status', (t) => t.status],
+  ['Token Price', (t) => t.tokenPriceAtApproval ?? null],
+  ['USD Value', (t) => t.usdValue ?? null],
+  ['Fee', (t) => t.fee?.amount ?? null],
+  ['Approved At', (t) => t.approvedAt || null],
+  [addressHeader, (t) => t[addressField] || null]
+];
+
+/**
+ * Admin lists that can be filtered and exported.
+ * statusField/tokenField name the model fields the status and token filters apply to.
+ */
+const DATASETS = {
+  deposits: {
+    model: Transaction,
+    base: { isDeposit: true },
+    statusField: 'status',
+    tokenField: 'token_name',
+    sheetName: 'Deposits',
+    columns: transactionColumns('token_deposit_address', 'Deposit Address')
+  },
+  withdrawals: {
+    model: Transaction,
+    base: { isWithdraw: true },
+    statusField: 'status',
+    tokenField: 'token_name',
+    sheetName: 'Withdrawals',
+    columns: transactionColumns('token_withdraw_address', 'Withdrawal Address')
+  },
+  'copytrade-purchases': {
+    model: CopytradePurchase,
+    base: {},
+    statusField: 'trade_status',
+    // Copytrades are denominated in USD
+    tokenField: null,
+    sheetName: 'Copytrade Purchases',
+    columns: [
+      ['ID', (p) => String(p._id)],
+      ['Created At', (p) => p.createdAt],
+      ['User ID', userId],
+      ['User Email', userEmail],
+      ['Strategy', (p) => p.trade_title],
+      ['Risk', (p) => p.trade_risk],
+      ['Duration (days)', (p) => p.trade_duration],
+      ['Initial Investment', (p) => p.initial_investment],
+      ['Fee (USD)', (p) => p.fee?.amount ?? null],
+      ['Current Value', (p) => p.trade_current_value],
+      ['Profit/Loss', (p) => p.trade_profit_loss],
+      ['Status', (p) => p.trade_status],
+      ['Start Date', (p) => p.trade_start_date || null],
+      ['End Date', (p) => p.trade_end_date || null]
+    ]
+  },
+  'stock-purchases': {
+    model: StockPurchase,
+    base: {},
+    statusField: 'stock_status',
+    tokenField: 'symbol',
+    sheetName: 'Stock Purchases',
+    columns: [
+      ['ID', (p) => String(p._id)],
+      ['Created At', (p) => p.createdAt],
+      ['User ID', userId],
+      ['User Email', userEmail],
+      ['Symbol', (p) => p.symbol],
+      ['Name', (p) => p.name],
+      ['Exchange', (p) => p.exchange],
+      ['Quantity', (p) => p.quantity],
+      ['Purchase Price', (p) => p.purchase_price],
+      ['Initial Investment', (p) => p.initial_investment],
+      ['Fee (USD)', (p) => p.fee?.amount ?? null],
+      ['Status', (p) => p.stock_status],
+      ['Approved At', (p) => p.approved_at || null],
+      ['Final Value', (p) => p.admin_final_value ?? null],
+      ['Liquidated At', (p) => p.liquidated_at || null]
+    ]
+  }
+};
+
+const ACTIVITY_TYPES = ['deposit', 'withdrawal', 'copytrade', 'stock'];
+
+const ACTIVITY_HEADER = ['Date', 'Type', 'Description', 'Token', 'Amount', 'USD Value', 'Status', 'Reference'];
+
+const invalidFilter = (field, message) => {
+  const error = new Error('INVALID_FILTER');
+  error.data = { field, message };
+  return error;
+};
+
+// from/to on createdAt; a date without a time in `to` covers that whole day
+export const parseDateRange = (query) => {
+  const range = {};
+
+  if (query.from) {
+    const from = new Date(query.from);
+    if (Number.isNaN(from.getTime())) {
+      throw invalidFilter('from', 'from must be a valid date');
+    }
+    range.$gte = from;
+  }
+
+  if (query.to) {
+    const to = new Date(query.to);
+    if (Number.isNaN(to.getTime())) {
+      throw invalidFilter('to', 'to must be a valid date');
+    }
+    if (DATE_ONLY.test(query.to)) {
+      range.$lt = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+    } else {
+      range.$lte = to;
+    }
+  }
+
+  if (range.$gte && (range.$lt || range.$lte) && range.$gte >= (range.$lt || range.$lte)) {
+    throw invalidFilter('from', 'from must be earlier than to');
+  }
+
+  return Object.keys(range).length ? range : null;
+};
+
+const tokenMatch = (token) => new RegExp(`^${escapeRegex(String(token).trim())}$`, 'i');
+
+const writeRows = async (output, format, { sheetName, header, rows }) => {
+  if (format === 'xlsx') {
+    await writeXlsx(output, { name: sheetName, header, rows });
+    return;
+  }
+
+  // Excel needs the BOM to read UTF-8
+  output.write('\uFEFF' + toCsvLine(header));
+  for await (const row of rows) {
+    if (!output.write(toCsvLine(row))) {
+      await new Promise((resolve) => output.once('drain', resolve));
+    }
+  }
+};
+
+async function* mapRows(cursor, columns) {
+  for await (const doc of cursor) {
+    yield columns.map(([, value]) => value(doc));
+  }
+}
+
+const fileStamp = () => new Date().toISOString().slice(0, 10);
+
+class TransactionExportService {
+  /**
+   * Build the MongoDB filter for an admin list from query parameters
+   * @param {String} kind - deposits | withdrawals | copytrade-purchases | stock-purchases
+   * @param {Object} query - status, user, from, to, token
+   * @throws INVALID_FILTER with error.data = { field, message }
+   */
+  static buildFilter(kind, query = {}) {
+    const dataset = DATASETS[kind];
+    const filter = { ...dataset.base };
+
+    if (query.status) {
+      const allowed = dataset.model.schema.path(dataset.statusField).enumValues;
+      if (!allowed.includes(query.status)) {
+        throw invalidFilter('status', `status must be one of: ${allowed.join(', ')}`);
+      }
+      filter[dataset.statusField] = query.status;
+    }
+
+    if (query.user) {
+      if (!mongoose.Types.ObjectId.isValid(query.user)) {
+        throw invalidFilter('user', 'user must be a valid user ID');
+      }
+      filter.user = new mongoose.Types.ObjectId(String(query.user));
+    }
+
+    const createdAt = parseDateRange(query);
+    if (createdAt) {
+      filter.createdAt = createdAt;
+    }
+
+    if (query.token) {
+      if (!dataset.tokenField) {
+        throw invalidFilter('token', `token cannot be used to filter ${kind}`);
+      }
+      filter[dataset.tokenField] = tokenMatch(query.token);
+    }
+
+    return filter;
+  }
+
+  static validateFormat(format) {
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error('INVALID_FORMAT');
+    }
+  }
+
+  /**
+   * Validate an admin export before any response headers are sent
+   * @returns {{kind, filter, format, contentType, fileName}}
+   */
+  static prepareExport(kind, query = {}) {
+    const format = query.format || 'csv';
+    TransactionExportService.validateFormat(format);
+    const filter = TransactionExportService.buildFilter(kind, query);
+
+    return {
+      kind,
+      filter,
+      format,
+      contentType: EXPORT_FORMATS[format],
+      fileName: `${kind}-${fileStamp()}.${format}`
+    };
+  }
+
+  /**
+   * Stream a prepared admin export, newest first
+   */
+  static async streamExport(output, { kind, filter, format }) {
+    const dataset = DATASETS[kind];
+    const cursor = dataset.model.find(filter)
+      .populate('user', 'email')
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean()
+      .cursor({ batchSize: CURSOR_BATCH_SIZE });
+
+    try {
+      await writeRows(output, format, {
+        sheetName: dataset.sheetName,
+        header: dataset.columns.map(([header]) => header),
+        rows: mapRows(cursor, dataset.columns)
+      });
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  /**
+   * Validate a user's own activity export (deposits, withdrawals, copytrades and stocks combined)
+   * @param {Object} query - format, type, from, to, token
+   */
+  static prepareUserActivityExport(userId, query = {}) {
+    const format = query.format || 'csv';
+    TransactionExportService.validateFormat(format);
+
+    const types = query.type ? String(query.type).split(',').map((t) => t.trim()) : ACTIVITY_TYPES;
+    const unknown = types.filter((t) => !ACTIVITY_TYPES.includes(t));
+    if (unknown.length) {
+      throw invalidFilter('type', `type must be one or more of: ${ACTIVITY_TYPES.join(', ')}`);
+    }
+
+    return {
+      userId,
+      types,
+      createdAt: parseDateRange(query),
+      token: query.token ? tokenMatch(query.token) : null,
+      format,
+      contentType: EXPORT_FORMATS[format],
+      fileName: `activity-${fileStamp()}.${format}`
+    };
+  }
+
+  /**
+   * Stream a prepared activity export, newest first. A user's own history is small enough to merge in memory.
+   */
+  static async streamUserActivity(output, { userId, types, createdAt, token, format }) {
+    const base = { user: userId, ...(createdAt && { createdAt }) };
+    const find = (model, filter) => model.find({ ...base, ...filter })
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    const wants = (type) => types.includes(type);
+    const tokenFilter = (field) => (token ? { [field]: token } : {});
+
+    const [deposits, withdrawals, copytrades, stocks] = await Promise.all([
+      wants('deposit') ? find(Transaction, { isDeposit: true, ...tokenFilter('token_name') }) : [],
+      wants('withdrawal') ? find(Transaction, { isWithdraw: true, ...tokenFilter('token_name') }) : [],
+      // Copytrades have no token, so a token filter leaves them out
+      wants('copytrade') && !token ? find(CopytradePurchase, {}) : [],
+      wants('stock') ? find(StockPurchase, tokenFilter('symbol')) : []
+    ]);
+
+    const rows = [
+      ...deposits.map((t) => [t.createdAt, 'Deposit', 'Deposit', t.token_name, t.amount, t.usdValue ?? null, t.status, String(t._id)]),
+      ...withdrawals.map((t) => [t.createdAt, 'Withdrawal', 'Withdrawal', t.token_name, t.amount, t.usdValue ?? null, t.status, String(t._id)]),
+      ...copytrades.map((p) => [p.createdAt, 'Copytrade', p.trade_title, 'USD', p.initial_investment, p.initial_investment, p.trade_status, String(p._id)]),
+      ...stocks.map((p) => [p.createdAt, 'Stock', `${p.name} (${p.symbol})`, p.symbol, p.quantity, p.initial_investment, p.stock_status, String(p._id)])
+    ]
+      .sort((a, b) => b[0] - a[0])
+      .slice(0, MAX_EXPORT_ROWS);
+
+    await writeRows(output, format, { sheetName: 'Activity', header: ACTIVITY_HEADER, rows });
+  }
+}
+
+export default TransactionExportService;
@@ -32,8 +32,8 @@ class TransactionService {
       };
     }
 
-    // Rule 3: Only pending transactions can be modified
-    if (currentStatus === 'pending') {
+    // Rule 3: Only pending (or under review) transactions can be modified
+    if (currentStatus === 'pending' || currentStatus === 'under_review') {
       return {
         allowed: true,
         reason: null,
@@ -69,6 +69,11 @@ class TransactionService {
       return { allowed: true, reason: null };
     }
 
+    // From under_review (withdrawal over its limits) -> approved/rejected, or back to pending: ALLOWED
+    if (currentStatus === 'under_review' && ['approved', 'rejected', 'pending'].includes(newStatus)) {
+      return { allowed: true, reason: null };
+    }
+
     // From approved -> anything else: FORBIDDEN
     if (currentStatus === 'approved') {
       return {
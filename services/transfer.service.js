@@ -0,0 +1,413 @@
+// services/transfer.service.js
+// Internal transfers of held tokens between verified users, and their reversal by admins.
+// Both wallets change in one Mongo transaction; for ROI the transfer counts as a withdrawal
+// for the sender and a deposit for the recipient.
+import mongoose from 'mongoose';
+import Transfer from '../model/transfer.model.js';
+import User from '../model/user.model.js';
+import PortfolioService from './portfolio.service.js';
+import FinancialSummaryService from './financial-summary.service.js';
+import LedgerService from './ledger.service.js';
+import { getTokenPrice } from '../utils/priceService.js';
+import logger from '../utils/logger.js';
+
+// USD limits per sender
+export const TRANSFER_LIMITS = {
+  minUsd: Number(process.env.TRANSFER_MIN_USD) || 1,
+  maxUsd: Number(process.env.TRANSFER_MAX_USD) || 10000,
+  dailyUsd: Number(process.env.TRANSFER_DAILY_USD) || 25000
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Number(Number(value).toFixed(8));
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const transferError = (code, data) => {
+  const error = new Error(code);
+  if (data) error.data = data;
+  return error;
+};
+
+// Move tokens between two wallets with a balanced ledger entry on each side
+const moveTokens = async ({ from, to, token, amount, usdValue, transferId, description, actor }, session) => {
+  await PortfolioService.deductFromPortfolio(from, token, amount, session);
+  await PortfolioService.addToPortfolio(to, token, amount, usdValue, session);
+
+  const reference = { kind: 'Transfer', id: transferId };
+  await LedgerService.record({
+    userId: from,
+    type: 'transfer',
+    reference,
+    movements: [{ token, amount: -amount }],
+    usdValue,
+    description,
+    actor
+  }, session);
+  await LedgerService.record({
+    userId: to,
+    type: 'transfer',
+    reference,
+    movements: [{ token, amount }],
+    usdValue,
+    description,
+    actor
+  }, session);
+};
+
+class TransferService {
+  /**
+   * Find the recipient by email, or by username when unambiguous
+   */
+  static async findRecipient(identifier, session = null) {
+    const value = String(identifier || '').trim();
+    if (!value) {
+      throw transferError('RECIPIENT_REQUIRED');
+    }
+
+    const select = 'email username firstName kycStatus isActive role';
+    if (value.includes('@')) {
+      const user = await User.findOne({ email: value.toLowerCase() }).select(select).session(session);
+      if (!user) throw transferError('RECIPIENT_NOT_FOUND');
+      return user;
+    }
+
+    const matches = await User.find({ username: new RegExp(`^${escapeRegex(value)}$`, 'i') })
+      .select(select)
+      .limit(2)
+      .session(session);
+    if (matches.length === 0) throw transferError('RECIPIENT_NOT_FOUND');
+    if (matches.length > 1) throw transferError('RECIPIENT_AMBIGUOUS');
+    return matches[0];
+  }
+
+  /**
+   * USD the sender has transferred (and not had reversed) in the last 24 hours
+   */
+  static async getSentInLastDay(senderId, session = null) {
+    const aggregate = Transfer.aggregate([
+      {
+        $match: {
+          sender: new mongoose.Types.ObjectId(String(senderId)),
+          status: 'completed',
+          createdAt: { $gte: new Date(Date.now() - DAY_MS) }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$usdValue' } } }
+    ]);
+    if (session) aggregate.session(session);
+    const [result] = await aggregate;
+    return round(result?.total || 0);
+  }
+
+  /**
+   * Send tokens to another verified user
+   * @param {Object} params
+   * @param {String} params.senderId
+   * @param {String} params.recipient - Email or username
+   * @param {String} params.tokenName
+   * @param {Number} params.amount
+   * @param {String} [params.note]
+   * @returns {{transfer: Transfer, sender: User, recipient: User}}
+   */
+  static async createTransfer({ senderId, recipient: recipientIdentifier, tokenName, amount, note }) {
+    const tokenAmount = Number(amount);
+    if (!tokenName || !(tokenAmount > 0)) {
+      throw transferError('INVALID_AMOUNT');
+    }
+    const token = String(tokenName).toUpperCase().trim();
+
+    const price = await getTokenPrice(token);
+    const usdValue = round(price * tokenAmount);
+
+    const session = await mongoose.startSession();
+    try {
+      let result;
+
+      await session.withTransaction(async () => {
+        const sender = await User.findById(senderId).select('email username firstName kycStatus isActive').session(session);
+        if (!sender) throw transferError('USER_NOT_FOUND');
+        if (!sender.isActive) throw transferError('ACCOUNT_INACTIVE');
+        if (!sender.kycStatus) throw transferError('KYC_REQUIRED');
+
+        const recipient = await TransferService.findRecipient(recipientIdentifier, session);
+        if (String(recipient._id) === String(sender._id)) throw transferError('CANNOT_TRANSFER_TO_SELF');
+        if (!recipient.isActive || recipient.role !== 'user') throw transferError('RECIPIENT_NOT_FOUND');
+        if (!recipient.kycStatus) throw transferError('RECIPIENT_KYC_REQUIRED');
+
+        if (usdValue < TRANSFER_LIMITS.minUsd || usdValue > TRANSFER_LIMITS.maxUsd) {
+          throw transferError('TRANSFER_LIMIT_EXCEEDED', {
+            limit: usdValue < TRANSFER_LIMITS.minUsd ? 'min' : 'max',
+            usdValue,
+            minUsd: TRANSFER_LIMITS.minUsd,
+            maxUsd: TRANSFER_LIMITS.maxUsd
+          });
+        }
+
+        const sentToday = await TransferService.getSentInLastDay(sender._id, session);
+        if (sentToday + usdValue > TRANSFER_LIMITS.dailyUsd) {
+          throw transferError('TRANSFER_LIMIT_EXCEEDED', {
+            limit: 'daily',
+            usdValue,
+            dailyUsd: TRANSFER_LIMITS.dailyUsd,
+            remainingUsd: Math.max(0, round(TRANSFER_LIMITS.dailyUsd - sentToday))
+          });
+        }
+
+        const [transfer] = await Transfer.create([{
+          sender: sender._id,
+          recipient: recipient._id,
+          token_name: token,
+          amount: tokenAmount,
+          tokenPrice: price,
+          usdValue,
+          note
+        }], { session });
+
+        await moveTokens({
+          from: sender._id,
+          to: recipient._id,
+          token,
+          amount: tokenAmount,
+          usdValue,
+          transferId: transfer._id,
+          description: `Transfer of ${tokenAmount} ${token} from ${sender.email} to ${recipient.email}`,
+          actor: sender.email
+        }, session);
+
+        // Incoming value counts as invested capital, like a deposit
+        await User.updateOne({ _id: recipient._id }, { $inc: { totalInvestment: usdValue } }, { session });
+
+        await FinancialSummaryService.syncUserFinancialMetrics(sender._id, session);
+        await FinancialSummaryService.syncUserFinancialMetrics(recipient._id, session);
+
+        result = { transfer, sender, recipient };
+      });
+
+      logger.info('🔁 Internal transfer completed', {
+        transferId: result.transfer._id,
+        senderId: result.sender._id,
+        recipientId: result.recipient._id,
+        token,
+        amount: tokenAmount,
+        usdValue: result.transfer.usdValue
+      });
+
+      return result;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Return the tokens to the sender. Fails if the recipient no longer holds them.
+   * @returns {{transfer: Transfer}}
+   */
+  static async reverseTransfer(transferId, adminUsername, reason) {
+    if (!mongoose.isValidObjectId(transferId)) {
+      throw transferError('TRANSFER_NOT_FOUND');
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let transfer;
+
+      await session.withTransaction(async () => {
+        transfer = await Transfer.findById(transferId).session(session);
+        if (!transfer) throw transferError('TRANSFER_NOT_FOUND');
+        if (transfer.status === 'reversed') throw transferError('TRANSFER_ALREADY_REVERSED');
+
+        try {
+          await moveTokens({
+            from: transfer.recipient,
+            to: transfer.sender,
+            token: transfer.token_name,
+            amount: transfer.amount,
+            usdValue: transfer.usdValue,
+            transferId: transfer._id,
+            description: `Reversal of transfer ${transfer._id}`,
+            actor: adminUsername
+          }, session);
+        } catch (error) {
+          if (['INSUFFICIENT_TOKEN_BALANCE', 'TOKEN_NOT_IN_PORTFOLIO'].includes(error.message)) {
+            throw transferError('RECIPIENT_INSUFFICIENT_BALANCE', error.data);
+          }
+          throw error;
+        }
+
+        // Clamped at zero: an admin may have edited the recipient's totalInvestment since
+        await User.updateOne(
+          { _id: transfer.recipient },
+          [{ $set: { totalInvestment: { $max: [0, { $subtract: [{ $ifNull: ['$totalInvestment', 0] }, transfer.usdValue] }] } } }],
+          { session }
+        );
+
+        transfer.status = 'reversed';
+        transfer.reversedAt = new Date();
+        transfer.reversedBy = adminUsername;
+        transfer.reversalReason = reason;
+        await transfer.save({ session });
+
+        await FinancialSummaryService.syncUserFinancialMetrics(transfer.sender, session);
+        await FinancialSummaryService.syncUserFinancialMetrics(transfer.recipient, session);
+      });
+
+      logger.info('↩️ Internal transfer reversed', {
+        transferId: transfer._id,
+        adminUsername,
+        reason
+      });
+
+      return { transfer };
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Completed transfers as cash flows during [from, to): incoming positive, outgoing negative
+   * @returns {Array<{at: Date, amount: Number}>} Oldest first
+   */
+  static async getCashFlows(userId, from, to) {
+    const user = new mongoose.Types.ObjectId(String(userId));
+    const transfers = await Transfer.find({
+      $or: [{ sender: user }, { recipient: user }],
+      status: 'completed',
+      createdAt: { $gte: from, $lt: to }
+    })
+      .select('sender usdValue createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    return transfers.map((t) => ({
+      at: t.createdAt,
+      amount: String(t.sender) === String(user) ? -t.usdValue : t.usdValue
+    }));
+  }
+
+  /**
+   * Completed transfer totals during [from, to)
+   * @returns {{inUsd: Number, outUsd: Number}}
+   */
+  static async getFlowTotals(userId, from, to) {
+    const user = new mongoose.Types.ObjectId(String(userId));
+    const rows = await Transfer.aggregate([
+      {
+        $match: {
+          $or: [{ sender: user }, { recipient: user }],
+          status: 'completed',
+          createdAt: { $gte: from, $lt: to }
+        }
+      },
+      {
+        $group: {
+          _id: { $eq: ['$sender', user] },
+          total: { $sum: '$usdValue' }
+        }
+      }
+    ]);
+
+    return {
+      inUsd: round(rows.find((r) => r._id === false)?.total || 0),
+      outUsd: round(rows.find((r) => r._id === true)?.total || 0)
+    };
+  }
+
+  /**
+   * A user's transfers in both directions, newest first
+   */
+  static async getUserTransfers(userId, { page = 1, limit = 20, direction } = {}) {
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const filter = direction === 'sent'
+      ? { sender: userId }
+      : direction === 'received'
+        ? { recipient: userId }
+        : { $or: [{ sender: userId }, { recipient: userId }] };
+
+    const [transfers, totalItems] = await Promise.all([
+      Transfer.find(filter)
+        .populate('sender', 'email username')
+        .populate('recipient', 'email username')
+        .select('-reversedBy')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Transfer.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalItems / limitNum);
+
+    return {
+      transfers: transfers.map((t) => ({
+        ...t,
+        direction: String(t.sender?._id) === String(userId) ? 'sent' : 'received'
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalItems,
+        itemsPerPage: limitNum,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1
+      }
+    };
+  }
+
+  /**
+   * All transfers (admin), newest first
+   * @param {Object} query - page, limit, status, user (sender or recipient)
+   */
+  static async getAllTransfers({ page = 1, limit = 20, status, user } = {}) {
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (user && mongoose.isValidObjectId(user)) {
+      filter.$or = [{ sender: user }, { recipient: user }];
+    }
+
+    const [transfers, totalItems] = await Promise.all([
+      Transfer.find(filter)
+        .populate('sender', 'email username')
+        .populate('recipient', 'email username')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Transfer.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalItems / limitNum);
+
+    return {
+      transfers,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalItems,
+        itemsPerPage: limitNum,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1
+      }
+    };
+  }
+
+  static async getTransfer(transferId) {
+    const transfer = mongoose.isValidObjectId(transferId)
+      ? await Transfer.findById(transferId)
+        .populate('sender', 'email username')
+        .populate('recipient', 'email username')
+      : null;
+    if (!transfer) {
+      throw transferError('TRANSFER_NOT_FOUND');
+    }
+    return transfer;
+  }
+}
+
+export default TransferService;
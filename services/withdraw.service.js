@@ -6,6 +6,7 @@ import logger from '../utils/logger.js';
 import BalanceService from './balance.service.js';
 import TransactionService from './transaction.service.js';
 import PortfolioService from './portfolio.service.js';
+import FeeService from './fee.service.js';
 
 class WithdrawService {
   /**
@@ -29,12 +30,13 @@ class WithdrawService {
         // Fetch live token price
         const price = await getTokenPrice(withdrawal.token_name);
         const usdValue = Number((price * withdrawal.amount).toFixed(8));
+        const fee = await FeeService.resolveTransactionFee(withdrawal, price, session);
 
-        // Validate user has the specific token in their portfolio
+        // Validate user has the specific token in their portfolio (the fee is charged on top)
         const validation = await PortfolioService.validateWithdrawalAmount(
             withdrawal.user,
             withdrawal.token_name,
-            withdrawal.amount
+            Number((withdrawal.amount + fee.amount).toFixed(8))
         );
         
         if (!validation.valid) {
@@ -50,9 +52,22 @@ class WithdrawService {
             usdValue,
             withdrawal.token_name,
             withdrawal.amount,
-            session
+            session,
+            { reference: { kind: 'Transaction', id: withdrawal._id }, actor: adminUsername }
         );
 
+        const feeCharge = await FeeService.chargeTokenFee({
+          userId: withdrawal.user,
+          product: 'withdrawal',
+          reference: { kind: 'Transaction', id: withdrawal._id },
+          fee,
+          price,
+          actor: adminUsername
+        }, session);
+        if (feeCharge) {
+          balanceUpdate.newAccountBalance = await PortfolioService.recalculateAccountBalance(withdrawal.user, session);
+        }
+
         // Update withdrawal with snapshot data (immutable after approval)
         withdrawal.tokenPriceAtApproval = Number(price);
         withdrawal.usdValue = usdValue;
@@ -64,6 +79,7 @@ class WithdrawService {
         TransactionService.logTransactionAction(withdrawal, 'approved', adminUsername, {
           usdValueDeducted: usdValue,
           tokenPrice: price,
+          fee: fee.amount,
           userEmail: balanceUpdate.userEmail,
           accountBalance: {
             previous: balanceUpdate.previousAccountBalance,
@@ -76,6 +92,7 @@ class WithdrawService {
           success: true,
           usdValue,
           tokenPrice: price,
+          fee,
           ...balanceUpdate
         };
       });
@@ -167,24 +184,26 @@ class WithdrawService {
   }
 
   /**
-   * Check if user has sufficient balance for withdrawal
+   * Check if user has sufficient balance for withdrawal plus its fee
    * Uses accountBalance instead of totalInvestment
    * @param {String} userId - User ID
    * @param {String} tokenName - Token name or symbol
    * @param {Number} amount - Amount to withdraw
-   * @returns {Object} - Balance check result
+   * @returns {Object} - Balance check result, including the fee quote to store on the withdrawal
    */
   static async checkSufficientBalance(userId, tokenName, amount) {
     try {
       const price = await getTokenPrice(tokenName);
-      const requiredUsdValue = Number((price * amount).toFixed(8));
+      const { fee } = await FeeService.quote({ userId, product: 'withdrawal', token: tokenName, amount, price });
+      const requiredUsdValue = Number((price * (Number(amount) + fee.amount)).toFixed(8));
 
       const balanceCheck = await BalanceService.hasSufficientBalance(userId, requiredUsdValue);
 
       return {
         ...balanceCheck,
         requiredUsdValue,
-        tokenPrice: price
+        tokenPrice: price,
+        fee
       };
     } catch (error) {
       logger.error('❌ Error checking balance for withdrawal', {
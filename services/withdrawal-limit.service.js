@@ -0,0 +1,257 @@
+// services/withdrawal-limit.service.js
+// Rolling 24h / 30d USD withdrawal limits. Requests over a limit are not rejected;
+// they are created as 'under_review' for an admin to approve or reject.
+// Outgoing internal transfers use up the same allowance.
+import mongoose from 'mongoose';
+import Transaction from '../model/transaction.model.js';
+import Transfer from '../model/transfer.model.js';
+import User from '../model/user.model.js';
+import { WITHDRAWAL_LIMIT_TIERS, WITHDRAWAL_LIMIT_WINDOWS } from '../config/withdrawal-limits.js';
+import { kycTierOf } from '../utils/kycTier.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Withdrawals that count against the limits
+const COUNTED_STATUSES = ['pending', 'under_review', 'approved'];
+
+const round = (value) => Number(Number(value).toFixed(8));
+
+// Sum `value` over the monthly window, and over the daily window for entries since dailyStart
+const windowTotals = (dailyStart) => ({
+  $group: {
+    _id: null,
+    monthly: { $sum: '$value' },
+    daily: { $sum: { $cond: [{ $gte: ['$createdAt', dailyStart] }, '$value', 0] } }
+  }
+});
+
+const limitError = (code, data) => {
+  const error = new Error(code);
+  if (data) error.data = data;
+  return error;
+};
+
+class WithdrawalLimitService {
+  /**
+   * Limits for a user from their KYC tier, account age and any admin override
+   * @param {Object} user - Needs kycStatus, createdAt and withdrawalLimits
+   * @returns {{kycTier, accountAgeDays, dailyUsd, monthlyUsd, override: Boolean}}
+   */
+  static resolveLimits(user, now = new Date()) {
+    const kycTier = kycTierOf(user);
+    const accountAgeDays = user.createdAt
+      ? Math.max(0, Math.floor((now - new Date(user.createdAt)) / DAY_MS))
+      : 0;
+
+    const tier = WITHDRAWAL_LIMIT_TIERS
+      .filter((t) => t.kycTier === kycTier && t.minAccountAgeDays <= accountAgeDays)
+      .sort((a, b) => b.minAccountAgeDays - a.minAccountAgeDays)[0];
+
+    const override = user.withdrawalLimits || {};
+    const dailyOverride = override.dailyUsd != null;
+    const monthlyOverride = override.monthlyUsd != null;
+
+    return {
+      kycTier,
+      accountAgeDays,
+      dailyUsd: dailyOverride ? override.dailyUsd : (tier?.dailyUsd ?? 0),
+      monthlyUsd: monthlyOverride ? override.monthlyUsd : (tier?.monthlyUsd ?? 0),
+      override: dailyOverride || monthlyOverride
+    };
+  }
+
+  /**
+   * USD withdrawn, requested or transferred out in the rolling windows, by request time.
+   * Approved withdrawals count at their approval value, open ones at the estimate taken at request.
+   * Completed outgoing transfers count at their value when sent; reversed ones do not count.
+   */
+  static async getUsage(userId, now = new Date(), session = null) {
+    const dailyStart = new Date(now.getTime() - WITHDRAWAL_LIMIT_WINDOWS.daily);
+    const monthlyStart = new Date(now.getTime() - WITHDRAWAL_LIMIT_WINDOWS.monthly);
+    const user = new mongoose.Types.ObjectId(String(userId));
+
+    const [[withdrawals], [transfers]] = await Promise.all([
+      Transaction.aggregate([
+        {
+          $match: {
+            user,
+            isWithdraw: true,
+            status: { $in: COUNTED_STATUSES },
+            createdAt: { $gte: monthlyStart, $lte: now }
+          }
+        },
+        {
+          $project: {
+            createdAt: 1,
+            value: { $ifNull: ['$usdValue', { $ifNull: ['$limitCheck.usdValue', 0] }] }
+          }
+        },
+        windowTotals(dailyStart)
+      ]).session(session),
+      Transfer.aggregate([
+        {
+          $match: {
+            sender: user,
+            status: 'completed',
+            createdAt: { $gte: monthlyStart, $lte: now }
+          }
+        },
+        { $project: { createdAt: 1, value: '$usdValue' } },
+        windowTotals(dailyStart)
+      ]).session(session)
+    ]);
+
+    return {
+      dailyUsedUsd: round((withdrawals?.daily || 0) + (transfers?.daily || 0)),
+      monthlyUsedUsd: round((withdrawals?.monthly || 0) + (transfers?.monthly || 0))
+    };
+  }
+
+  /**
+   * Limits, usage and what is left for a user
+   */
+  static async getAllowance(userId, session = null) {
+    const user = await User.findById(userId).select('kycStatus createdAt withdrawalLimits').session(session).lean();
+    if (!user) {
+      throw limitError('USER_NOT_FOUND');
+    }
+
+    const now = new Date();
+    const limits = WithdrawalLimitService.resolveLimits(user, now);
+    const usage = await WithdrawalLimitService.getUsage(userId, now, session);
+
+    return {
+      kycTier: limits.kycTier,
+      accountAgeDays: limits.accountAgeDays,
+      override: limits.override,
+      limits: { dailyUsd: limits.dailyUsd, monthlyUsd: limits.monthlyUsd },
+      used: usage,
+      remaining: {
+        dailyUsd: Math.max(0, round(limits.dailyUsd - usage.dailyUsedUsd)),
+        monthlyUsd: Math.max(0, round(limits.monthlyUsd - usage.monthlyUsedUsd))
+      }
+    };
+  }
+
+  /**
+   * Check a new withdrawal of usdValue against the user's limits
+   * @returns {{withinLimits: Boolean, limitCheck: Object}} limitCheck is stored on the withdrawal
+   */
+  static async check(userId, usdValue, session = null) {
+    const allowance = await WithdrawalLimitService.getAllowance(userId, session);
+    const value = round(usdValue);
+
+    const exceeded = [];
+    if (allowance.used.dailyUsedUsd + value > allowance.limits.dailyUsd) exceeded.push('daily');
+    if (allowance.used.monthlyUsedUsd + value > allowance.limits.monthlyUsd) exceeded.push('monthly');
+
+    return {
+      withinLimits: exceeded.length === 0,
+      allowance,
+      limitCheck: {
+        usdValue: value,
+        kycTier: allowance.kycTier,
+        accountAgeDays: allowance.accountAgeDays,
+        dailyLimitUsd: allowance.limits.dailyUsd,
+        monthlyLimitUsd: allowance.limits.monthlyUsd,
+        dailyUsedUsd: allowance.used.dailyUsedUsd,
+        monthlyUsedUsd: allowance.used.monthlyUsedUsd,
+        override: allowance.override,
+        exceeded
+      }
+    };
+  }
+
+  /**
+   * Check the limits and create the withdrawal in one transaction. Every request first writes
+   * the user's withdrawalLimitLockAt, so concurrent requests conflict and retry one after the
+   * other instead of both fitting under the same remaining allowance.
+   * @param {String} userId
+   * @param {Number} usdValue - Estimated USD value of the withdrawal
+   * @param {Object} withdrawData - Transaction fields; status and limitCheck are set here
+   * @returns {{withdraw: Transaction, limitResult: Object}}
+   */
+  static async createWithdrawal(userId, usdValue, withdrawData) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+
+      await session.withTransaction(async () => {
+        await User.updateOne({ _id: userId }, { $set: { withdrawalLimitLockAt: new Date() } }, { session });
+
+        const limitResult = await WithdrawalLimitService.check(userId, usdValue, session);
+        const [withdraw] = await Transaction.create([{
+          ...withdrawData,
+          status: limitResult.withinLimits ? 'pending' : 'under_review',
+          limitCheck: limitResult.limitCheck
+        }], { session });
+
+        result = { withdraw, limitResult };
+      });
+
+      return result;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Set or clear a user's limit overrides. null clears a limit back to the tier default.
+   * @param {String} userId
+   * @param {{dailyUsd?: Number|null, monthlyUsd?: Number|null, reason?: String}} changes
+   * @param {String} adminUsername
+   * @returns {{before: Object, after: Object, email: String}}
+   */
+  static async setOverride(userId, { dailyUsd, monthlyUsd, reason }, adminUsername) {
+    if (!mongoose.isValidObjectId(userId)) {
+      throw limitError('USER_NOT_FOUND');
+    }
+
+    const parse = (value, field) => {
+      if (value === undefined) return undefined;
+      if (value === null || value === '') return null;
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) {
+        throw limitError('INVALID_LIMIT', { field, message: `${field} must be a non-negative number or null` });
+      }
+      return number;
+    };
+
+    const daily = parse(dailyUsd, 'dailyUsd');
+    const monthly = parse(monthlyUsd, 'monthlyUsd');
+    if (daily === undefined && monthly === undefined) {
+      throw limitError('INVALID_LIMIT', { message: 'Provide dailyUsd and/or monthlyUsd' });
+    }
+
+    const user = await User.findById(userId).select('email withdrawalLimits');
+    if (!user) {
+      throw limitError('USER_NOT_FOUND');
+    }
+
+    const before = {
+      dailyUsd: user.withdrawalLimits?.dailyUsd ?? null,
+      monthlyUsd: user.withdrawalLimits?.monthlyUsd ?? null
+    };
+    const after = {
+      dailyUsd: daily === undefined ? before.dailyUsd : daily,
+      monthlyUsd: monthly === undefined ? before.monthlyUsd : monthly
+    };
+
+    if (after.dailyUsd == null && after.monthlyUsd == null) {
+      user.withdrawalLimits = undefined;
+    } else {
+      user.withdrawalLimits = {
+        dailyUsd: after.dailyUsd ?? undefined,
+        monthlyUsd: after.monthlyUsd ?? undefined,
+        reason,
+        setBy: adminUsername,
+        setAt: new Date()
+      };
+    }
+    await user.save();
+
+    return { before, after, email: user.email };
+  }
+}
+
+export default WithdrawalLimitService;
@@ -12,6 +12,7 @@ import logger from './logger.js';
  * @param {string} options.resourceName - Resource name (optional)
  * @param {string} options.description - Human-readable description
  * @param {Object} options.changes - Before/after values (optional)
+ * @param {Object} options.actor - Actor to record instead of req.admin, e.g. { id: 'system', username: 'system' } (optional)
  * @returns {Promise<AuditLog>} Created audit log
  */
 export const createAuditLog = async (req, res, options) => {
@@ -31,7 +32,8 @@ export const createAuditLog = async (req, res, options) => {
       resourceId,
       resourceName,
       description,
-      changes = {}
+      changes = {},
+      actor
     } = options;
 
     // Validate required fields
@@ -45,8 +47,8 @@ export const createAuditLog = async (req, res, options) => {
       return null;
     }
 
-    // Get admin info from request
-    const admin = getAdminFromRequest(req);
+    // Get admin info from request (system events pass their own actor)
+    const admin = actor || getAdminFromRequest(req);
     if (!admin) {
       // For logout scenarios, try to create a basic admin entry from IP and metadata
       if (action === 'admin_logout_anonymous') {
@@ -145,7 +147,7 @@ export const createAuditLog = async (req, res, options) => {
 /**
  * Extract admin info from request
  * @param {Object} req - Express request object
- * @returns {Object} Admin info {id, username, email}
+ * @returns {Object} Admin info {id, username, email, role}
  */
 export const getAdminFromRequest = (req) => {
   // logger.debug('🔍 Extracting admin from request', {
@@ -159,7 +161,8 @@ export const getAdminFromRequest = (req) => {
     const adminInfo = {
       id: req.admin.id,
       username: req.admin.username,
-      email: req.admin.email
+      email: req.admin.email,
+      role: req.admin.role
     };
     
     // logger.debug('✅ Admin extracted successfully', {
@@ -0,0 +1,33 @@
+// utils/csv.js
+// RFC 4180 CSV output for statements and exports
+
+// Text starting with these is run as a formula by spreadsheet apps
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+  let text = String(value);
+  if (FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV record including its line break, for streaming output
+ * @param {Array<*>} row
+ * @returns {String}
+ */
+export const toCsvLine = (row) => row.map(escapeCell).join(',') + '\r\n';
+
+/**
+ * Build a CSV document
+ * @param {Array<Array<*>>} rows - First row is usually the header
+ * @returns {String}
+ */
+export const toCsv = (rows) => rows.map(toCsvLine).join('');
+
+export default { toCsv, toCsvLine };
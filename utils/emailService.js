@@ -9,6 +9,20 @@ import {
   kycApprovedEmail,
   kycRejectedEmail,
   kycResubmissionEmail,
+  emailVerificationEmail,
+  passwordResetEmail,
+  passwordChangedEmail,
+  accountLockedEmail,
+  newDeviceLoginEmail,
+  dataExportReadyEmail,
+  accountClosureScheduledEmail,
+  accountClosureCancelledEmail,
+  accountClosedEmail,
+  statementReadyEmail,
+  transferSentEmail,
+  transferReceivedEmail,
+  transferReversedEmail,
+  brand,
 } from './emailTemplates.js';
 
 const RESEND_API_URL = 'https://api.resend.com/emails';
@@ -119,6 +133,7 @@ export async function notifyWithdrawalSubmitted(userId, withdraw) {
       tokenName: withdraw.token_name,
       referenceId: withdraw._id.toString(),
       createdAt: withdraw.createdAt || new Date(),
+      underReview: withdraw.status === 'under_review',
     });
 
     return sendEmail({ to: contact.email, ...content });
@@ -170,7 +185,7 @@ export async function notifyCopytradePurchaseSubmitted(userId, purchase) {
   }
 }
 
-export async function notifyCopytradeCompleted(userId, purchase, { finalValue, roiPercent }) {
+export async function notifyCopytradeCompleted(userId, purchase, { finalValue, roiPercent, performanceFee = 0 }) {
   try {
     const contact = await getUserContact(userId);
     if (!contact) return;
@@ -183,6 +198,8 @@ export async function notifyCopytradeCompleted(userId, purchase, { finalValue, r
       profitLoss: purchase.trade_profit_loss,
       isProfit: purchase.isProfit,
       roiPercent,
+      performanceFee,
+      performanceFeePercent: purchase.performance_fee?.percent,
       referenceId: purchase._id.toString(),
       completedAt: purchase.trade_end_date || new Date(),
     });
@@ -231,3 +248,229 @@ export async function notifyKycResubmissionRequired(userId, _kyc, notes) {
     logger.error('📧 notifyKycResubmissionRequired failed', { error: error.message, userId });
   }
 }
+
+export async function notifyEmailVerification(userId, verifyUrl, expiresInHours) {
+  try {
+    const contact = await getUserContact(userId);
+    if (!contact) return;
+    const content = emailVerificationEmail({
+      firstName: contact.firstName,
+      verifyUrl,
+      expiresInHours,
+    });
+    return sendEmail({ to: contact.email, ...content });
+  } catch (error) {
+    logger.error('📧 notifyEmailVerification failed', { error: error.message, userId });
+  }
+}
+
+export async function notifyPasswordReset(userId, resetUrl, expiresInMinutes) {
+  try {
+    const contact = await getUserContact(userId);
+    if (!contact) return;
+    const content = passwordResetEmail({
+      firstName: contact.firstName,
+      resetUrl,
+      expiresInMinutes,
+    });
+    return sendEmail({ to: contact.email, ...content });
+  } catch (error) {
+    logger.error('📧 notifyPasswordReset failed', { error: error.message, userId });
+  }
+}
+
+export async function notifyPasswordChanged(userId, changedAt = new Date()) {
+  try {
+    const contact = await getUserContact(userId);
+    if (!contact) return;
+    const content = passwordChangedEmail({ firstName: contact.firstName, changedAt });
+    return sendEmail({ to: contact.email, ...content });
+  } catch (error) {
+    logger.error('📧 notifyPasswordChanged failed', { error: error.message, userId });
+  }
+}
+
+export async function notifyAccountLocked(userId, lockedUntil) {
+  try {
+    const contact = await getUserContact(userId);
+    if (!contact) return;
+    const content = accountLockedEmail({
+      firstName: contact.firstName,
+      lockedUntil,
+      resetUrl: `${brand.siteUrl}/forgot-password`,
+    });
+    return sendEmail({ to: contact.email, ...content });
+  } catch (error) {
+    logger.error('📧 notifyAccountLocked failed', { error: error.message, userId });
+  }
+}
+
+export async function notifyAdminAccountLocked(admin, lockedUntil) {
+  try {
+    if (!admin?.email) return;
+    const content = accountLockedEmail({
+      firstName: admin.fullName?.split(' ')[0] || admin.username,
+      lockedUntil,
+    });
+    return sendEmail({ to: admin.email, ...content });
+  } catch (error) {
+    logger.error('📧 notifyAdminAccountLocked failed', { error: error.message, adminId: admin?._id });
+  }
+}
+
+export async function notifyNewDeviceLogin(userId, { browser, os, deviceType, ipAddress, loginAt }) {
+  try {
+    const contact = await getUserContact(userId);
+    if (!contact) return;
+    const content = newDeviceLoginEmail({
+      firstName: contact.firstName,
+      browser,
+      os,
+      deviceType,
+      ipAddress,
+      loginAt,
+      reviewUrl: brand.dashboardUrl,
+    });
+    return sendEmail({ to: contact.email, ...content });
+  } catch (error) {
+    logger.error('📧 notifyNewDeviceLogin failed', { error: error.message, userId });
+  }
+}
+
+export async function notifyDataExportReady(userId, downloadUrl, expiresInHours) {
+  try {
+    const contact = await getUserContact(userId);
+    if (!contact) return;
+    const content = dataExportReadyEmail({
+      firstName: contact.firstName,
+      downloadUrl,
+      expiresInHours,
+    });
+    return sendEmail({ to: contact.email, ...content });
+  } catch (error) {
+    logger.error('📧 notifyDataExportReady failed', { error: error.message, userId });
+  }
+}
+
+export async function notifyAccountClosureScheduled(userId, scheduledFor) {
+  try {
+    const contact = await getUserContact(userId);
+    if (!contact) return;
+    const content = accountClosureScheduledEmail({
+      firstName: contact.firstName,
+      scheduledFor,
+      accountUrl: brand.dashboardUrl,
+    });
+    return sendEmail({ to: contact.email, ...content });
+  } catch (error) {
+    logger.error('📧 notifyAccountClosureScheduled failed', { error: error.message, userId });
+  }
+}
+
+export async function notifyAccountClosureCancelled(userId, reason) {
+  try {
+    const contact = await getUserContact(userId);
+    if (!contact) return;
+    const content = accountClosureCancelledEmail({
+      firstName: contact.firstName,
+      reason,
+    });
+    return sendEmail({ to: contact.email, ...content });
+  } catch (error) {
+    logger.error('📧 notifyAccountClosureCancelled failed', { error: error.message, userId });
+  }
+}
+
+export async function notifyAccountClosed(userId, closedAt) {
+  try {
+    const contact = await getUserContact(userId);
+    if (!contact) return;
+    const content = accountClosedEmail({
+      firstName: contact.firstName,
+      closedAt,
+    });
+    return sendEmail({ to: contact.email, ...content });
+  } catch (error) {
+    logger.error('📧 notifyAccountClosed failed', { error: error.message, userId });
+  }
+}
+
+export async function notifyStatementReady(userId, statement) {
+  try {
+    const contact = await getUserContact(userId);
+    if (!contact) return;
+    const period = new Date(Date.UTC(statement.year, statement.month - 1, 1))
+      .toLocaleString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    const content = statementReadyEmail({
+      firstName: contact.firstName,
+      period,
+      openingEquity: statement.summary.openingEquity,
+      closingEquity: statement.summary.closingEquity,
+      deposits: statement.summary.deposits,
+      withdrawals: statement.summary.withdrawals,
+      dashboardUrl: brand.dashboardUrl,
+    });
+    return sendEmail({ to: contact.email, ...content });
+  } catch (error) {
+    logger.error('📧 notifyStatementReady failed', { error: error.message, userId });
+  }
+}
+
+export async function notifyTransferSent(userId, transfer, recipient) {
+  try {
+    const contact = await getUserContact(userId);
+    if (!contact) return;
+    const content = transferSentEmail({
+      firstName: contact.firstName,
+      amount: transfer.amount,
+      tokenName: transfer.token_name,
+      usdValue: transfer.usdValue,
+      recipient: recipient.email,
+      note: transfer.note,
+      referenceId: transfer._id.toString(),
+      createdAt: transfer.createdAt || new Date(),
+    });
+    return sendEmail({ to: contact.email, ...content });
+  } catch (error) {
+    logger.error('📧 notifyTransferSent failed', { error: error.message, userId });
+  }
+}
+
+export async function notifyTransferReceived(userId, transfer, sender) {
+  try {
+    const contact = await getUserContact(userId);
+    if (!contact) return;
+    const content = transferReceivedEmail({
+      firstName: contact.firstName,
+      amount: transfer.amount,
+      tokenName: transfer.token_name,
+      usdValue: transfer.usdValue,
+      sender: sender.email,
+      note: transfer.note,
+      referenceId: transfer._id.toString(),
+      createdAt: transfer.createdAt || new Date(),
+    });
+    return sendEmail({ to: contact.email, ...content });
+  } catch (error) {
+    logger.error('📧 notifyTransferReceived failed', { error: error.message, userId });
+  }
+}
+
+export async function notifyTransferReversed(userId, transfer) {
+  try {
+    const contact = await getUserContact(userId);
+    if (!contact) return;
+    const content = transferReversedEmail({
+      firstName: contact.firstName,
+      amount: transfer.amount,
+      tokenName: transfer.token_name,
+      wasSender: String(transfer.sender) === String(userId),
+      reason: transfer.reversalReason,
+      referenceId: transfer._id.toString(),
+      reversedAt: transfer.reversedAt || new Date(),
+    });
+    return sendEmail({ to: contact.email, ...content });
+  } catch (error) {
+    logger.error('📧 notifyTransferReversed failed', { error: error.message, userId });
+  }
+}
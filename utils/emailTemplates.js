@@ -147,7 +147,7 @@ The ${brand.name} Team`;
   return { subject, html, text };
 }
 
-export function withdrawalSubmittedEmail({ firstName, amount, tokenName, referenceId, createdAt }) {
+export function withdrawalSubmittedEmail({ firstName, amount, tokenName, referenceId, createdAt, underReview = false }) {
   const subject = `Withdrawal request received — ${tokenName}`;
   const html = layout({
     title: 'Withdrawal Request Received',
@@ -157,13 +157,16 @@ export function withdrawalSubmittedEmail({ firstName, amount, tokenName, referen
     ctaUrl: `${brand.dashboardUrl}/history`,
     bodyHtml: `
       <p style="margin:0 0 12px;font-size:15px;line-height:1.6;color:#cfcfcf;">
-        We have received your withdrawal request and it is now <strong style="color:#d4af37;">pending approval</strong>.
-        Funds will only be released after review by our operations team.
+        ${underReview
+          ? `This request is over your withdrawal limit, so it is <strong style="color:#d4af37;">under manual review</strong>.
+        Our operations team will approve or decline it.`
+          : `We have received your withdrawal request and it is now <strong style="color:#d4af37;">pending approval</strong>.
+        Funds will only be released after review by our operations team.`}
       </p>
       ${detailsTable([
         ['Asset', tokenName],
         ['Amount', `${amount} ${tokenName}`],
-        ['Status', 'Pending'],
+        ['Status', underReview ? 'Under review' : 'Pending'],
         ['Reference', referenceId],
         ['Submitted', formatDate(createdAt)],
       ])}
@@ -171,11 +174,13 @@ export function withdrawalSubmittedEmail({ firstName, amount, tokenName, referen
   });
   const text = `Dear ${firstName || 'Valued Client'},
 
-We have received your withdrawal request and it is now pending approval.
+${underReview
+    ? 'This request is over your withdrawal limit, so it is under manual review. Our operations team will approve or decline it.'
+    : 'We have received your withdrawal request and it is now pending approval.'}
 
 Asset: ${tokenName}
 Amount: ${amount} ${tokenName}
-Status: Pending
+Status: ${underReview ? 'Under review' : 'Pending'}
 Reference: ${referenceId}
 Submitted: ${formatDate(createdAt)}
 
@@ -299,11 +304,22 @@ export function copytradeCompletedEmail({
   profitLoss,
   isProfit,
   roiPercent,
+  performanceFee = 0,
+  performanceFeePercent,
   referenceId,
   completedAt,
 }) {
   const outcome = isProfit ? 'profit' : 'loss';
   const subject = `Copy trade completed — ${tradeTitle}`;
+  const feeRows = performanceFee > 0
+    ? [
+        [`Performance fee (${performanceFeePercent}% above high-water mark)`, formatMoney(performanceFee)],
+        ['Credited', formatMoney(finalValue - performanceFee)],
+      ]
+    : [];
+  const credited = performanceFee > 0
+    ? 'The final value, less the performance fee, has been credited'
+    : 'The final value has been credited';
   const html = layout({
     title: 'Copy Trade Completed',
     preheader: `Your ${tradeTitle} copy trade has ended. Proceeds credited as USDT.`,
@@ -314,7 +330,7 @@ export function copytradeCompletedEmail({
       <p style="margin:0 0 12px;font-size:15px;line-height:1.6;color:#cfcfcf;">
         Your copy trade has reached the end of its scheduled duration and has been
         <strong style="color:#d4af37;">automatically completed</strong>.
-        The final value has been credited to your account as <strong>USDT</strong>.
+        ${credited} to your account as <strong>USDT</strong>.
       </p>
       ${detailsTable([
         ['Strategy', tradeTitle],
@@ -322,6 +338,7 @@ export function copytradeCompletedEmail({
         ['Final value', formatMoney(finalValue)],
         ['Profit / Loss', `${formatMoney(profitLoss)} (${outcome})`],
         ['ROI', `${roiPercent}%`],
+        ...feeRows,
         ['Status', 'Completed'],
         ['Reference', referenceId],
         ['Completed', formatDate(completedAt)],
@@ -333,14 +350,14 @@ export function copytradeCompletedEmail({
   });
   const text = `Dear ${firstName || 'Valued Client'},
 
-Your copy trade has reached the end of its scheduled duration and has been automatically completed. The final value has been credited to your account as USDT.
+Your copy trade has reached the end of its scheduled duration and has been automatically completed. ${credited} to your account as USDT.
 
 Strategy: ${tradeTitle}
 Initial investment: ${formatMoney(initialInvestment)}
 Final value: ${formatMoney(finalValue)}
 Profit / Loss: ${formatMoney(profitLoss)} (${outcome})
 ROI: ${roiPercent}%
-Status: Completed
+${feeRows.map(([label, value]) => `${label}: ${value}\n`).join('')}Status: Completed
 Reference: ${referenceId}
 Completed: ${formatDate(completedAt)}
 
@@ -442,3 +459,423 @@ Kind regards,
 The ${brand.name} Team`;
   return { subject, html, text };
 }
+
+export function emailVerificationEmail({ firstName, verifyUrl, expiresInHours }) {
+  const subject = 'Verify Your Email Address';
+  const html = layout({
+    title: 'Verify Your Email',
+    preheader: 'Confirm your email address to activate deposits and investments.',
+    greetingName: firstName,
+    bodyHtml: `
+      <p style="margin:0 0 16px;font-size:15px;line-height:1.6;color:#d0d0d0;">
+        Thank you for creating an account. Please confirm your email address to enable deposits and investments.
+      </p>
+      <p style="margin:0;font-size:15px;line-height:1.6;color:#d0d0d0;">
+        This link expires in ${escapeHtml(expiresInHours)} hours.
+      </p>
+    `,
+    ctaLabel: 'Verify Email',
+    ctaUrl: verifyUrl,
+  });
+  const text = `Dear ${firstName || 'Valued Client'},
+
+Thank you for creating an account. Please confirm your email address to enable deposits and investments.
+
+Verify your email: ${verifyUrl}
+
+This link expires in ${expiresInHours} hours.
+
+Kind regards,
+The ${brand.name} Team`;
+  return { subject, html, text };
+}
+
+export function passwordResetEmail({ firstName, resetUrl, expiresInMinutes }) {
+  const subject = 'Reset Your Password';
+  const html = layout({
+    title: 'Password Reset',
+    preheader: 'Use this link to choose a new password.',
+    greetingName: firstName,
+    bodyHtml: `
+      <p style="margin:0 0 16px;font-size:15px;line-height:1.6;color:#d0d0d0;">
+        We received a request to reset the password for your account. Click the button below to choose a new password.
+      </p>
+      <p style="margin:0;font-size:15px;line-height:1.6;color:#d0d0d0;">
+        This link can be used once and expires in ${escapeHtml(expiresInMinutes)} minutes. Resetting your password signs you out of all devices.
+      </p>
+    `,
+    ctaLabel: 'Reset Password',
+    ctaUrl: resetUrl,
+  });
+  const text = `Dear ${firstName || 'Valued Client'},
+
+We received a request to reset the password for your account.
+
+Reset your password: ${resetUrl}
+
+This link can be used once and expires in ${expiresInMinutes} minutes. Resetting your password signs you out of all devices.
+
+If you did not request this, you can ignore this email.
+
+Kind regards,
+The ${brand.name} Team`;
+  return { subject, html, text };
+}
+
+export function passwordChangedEmail({ firstName, changedAt }) {
+  const subject = 'Your Password Was Changed';
+  const html = layout({
+    title: 'Password Changed',
+    preheader: 'The password for your account was just changed.',
+    greetingName: firstName,
+    bodyHtml: `
+      <p style="margin:0 0 16px;font-size:15px;line-height:1.6;color:#d0d0d0;">
+        The password for your account was reset on ${escapeHtml(formatDate(changedAt))}. All devices have been signed out.
+      </p>
+    `,
+    ctaLabel: 'Sign In',
+    ctaUrl: `${brand.siteUrl}/login`,
+  });
+  const text = `Dear ${firstName || 'Valued Client'},
+
+The password for your account was reset on ${formatDate(changedAt)}. All devices have been signed out.
+
+If you did not make this change, contact ${brand.supportEmail} immediately.
+
+Kind regards,
+The ${brand.name} Team`;
+  return { subject, html, text };
+}
+
+export function accountLockedEmail({ firstName, lockedUntil, resetUrl }) {
+  const subject = 'Account Temporarily Locked';
+  const html = layout({
+    title: 'Account Locked',
+    preheader: 'Sign-in was locked after several failed attempts.',
+    greetingName: firstName,
+    bodyHtml: `
+      <p style="margin:0 0 16px;font-size:15px;line-height:1.6;color:#d0d0d0;">
+        We temporarily locked sign-in to your account after several failed login attempts.
+        You can try again after ${escapeHtml(formatDate(lockedUntil))}.
+      </p>
+      <p style="margin:0;font-size:15px;line-height:1.6;color:#d0d0d0;">
+        If these attempts were not you, we recommend resetting your password.
+      </p>
+    `,
+    ctaLabel: resetUrl ? 'Reset Password' : undefined,
+    ctaUrl: resetUrl,
+  });
+  const text = `Dear ${firstName || 'Valued Client'},
+
+We temporarily locked sign-in to your account after several failed login attempts.
+You can try again after ${formatDate(lockedUntil)}.
+
+If these attempts were not you, we recommend resetting your password${resetUrl ? `: ${resetUrl}` : '.'}
+
+Kind regards,
+The ${brand.name} Team`;
+  return { subject, html, text };
+}
+
+export function newDeviceLoginEmail({ firstName, browser, os, deviceType, ipAddress, loginAt, reviewUrl }) {
+  const subject = 'New Sign-In to Your Account';
+  const html = layout({
+    title: 'New Sign-In Detected',
+    preheader: 'Your account was accessed from a new device or location.',
+    greetingName: firstName,
+    bodyHtml: `
+      <p style="margin:0 0 12px;font-size:15px;line-height:1.6;color:#d0d0d0;">
+        Your account was just accessed from a device or network we have not seen before.
+      </p>
+      ${detailsTable([
+        ['Device', `${browser} on ${os} (${deviceType})`],
+        ['IP address', ipAddress],
+        ['Time', formatDate(loginAt)],
+      ])}
+      <p style="margin:16px 0 0;font-size:15px;line-height:1.6;color:#d0d0d0;">
+        If this was you, no action is needed. If not, sign out that session and change your password.
+      </p>
+    `,
+    ctaLabel: 'Go to Dashboard',
+    ctaUrl: reviewUrl,
+  });
+  const text = `Dear ${firstName || 'Valued Client'},
+
+Your account was just accessed from a device or network we have not seen before.
+
+Device: ${browser} on ${os} (${deviceType})
+IP address: ${ipAddress}
+Time: ${formatDate(loginAt)}
+
+If this was you, no action is needed. If not, sign out that session and change your password: ${reviewUrl}
+
+Kind regards,
+The ${brand.name} Team`;
+  return { subject, html, text };
+}
+
+export function dataExportReadyEmail({ firstName, downloadUrl, expiresInHours }) {
+  const subject = 'Your Data Export Is Ready';
+  const html = layout({
+    title: 'Data Export Ready',
+    preheader: 'A copy of your account data is ready to download.',
+    greetingName: firstName,
+    bodyHtml: `
+      <p style="margin:0 0 16px;font-size:15px;line-height:1.6;color:#d0d0d0;">
+        The copy of your account data you requested is ready. It includes your profile, KYC record, transactions, holdings, purchases, support tickets and login history.
+      </p>
+      <p style="margin:0;font-size:15px;line-height:1.6;color:#d0d0d0;">
+        The download link expires in ${escapeHtml(expiresInHours)} hours. The file contains personal information, so store it somewhere safe.
+      </p>
+    `,
+    ctaLabel: 'Download My Data',
+    ctaUrl: downloadUrl,
+  });
+  const text = `Dear ${firstName || 'Valued Client'},
+
+The copy of your account data you requested is ready.
+
+Download it here: ${downloadUrl}
+
+The link expires in ${expiresInHours} hours. The file contains personal information, so store it somewhere safe.
+
+If you did not request this export, contact ${brand.supportEmail} immediately.
+
+Kind regards,
+The ${brand.name} Team`;
+  return { subject, html, text };
+}
+
+export function accountClosureScheduledEmail({ firstName, scheduledFor, accountUrl }) {
+  const subject = 'Your Account Is Scheduled for Closure';
+  const html = layout({
+    title: 'Account Closure Requested',
+    preheader: 'Your account will be closed at the end of the cooling-off period.',
+    greetingName: firstName,
+    bodyHtml: `
+      <p style="margin:0 0 16px;font-size:15px;line-height:1.6;color:#d0d0d0;">
+        We received your request to close your account. It will be closed on ${escapeHtml(formatDate(scheduledFor))}.
+      </p>
+      <p style="margin:0;font-size:15px;line-height:1.6;color:#d0d0d0;">
+        You can cancel at any time before then from your account settings. Your transaction history is kept after closure, as required by law.
+      </p>
+    `,
+    ctaLabel: 'Manage Account',
+    ctaUrl: accountUrl,
+  });
+  const text = `Dear ${firstName || 'Valued Client'},
+
+We received your request to close your account. It will be closed on ${formatDate(scheduledFor)}.
+
+You can cancel at any time before then from your account settings: ${accountUrl}
+Your transaction history is kept after closure, as required by law.
+
+If you did not make this request, contact ${brand.supportEmail} immediately.
+
+Kind regards,
+The ${brand.name} Team`;
+  return { subject, html, text };
+}
+
+export function accountClosureCancelledEmail({ firstName, reason }) {
+  const subject = 'Account Closure Cancelled';
+  const html = layout({
+    title: 'Account Closure Cancelled',
+    preheader: 'Your account will stay open.',
+    greetingName: firstName,
+    bodyHtml: `
+      <p style="margin:0 0 16px;font-size:15px;line-height:1.6;color:#d0d0d0;">
+        Your account closure request has been cancelled and your account will stay open.
+      </p>
+      ${reason ? `<p style="margin:0;font-size:15px;line-height:1.6;color:#d0d0d0;">Reason: ${escapeHtml(reason)}</p>` : ''}
+    `,
+  });
+  const text = `Dear ${firstName || 'Valued Client'},
+
+Your account closure request has been cancelled and your account will stay open.
+${reason ? `\nReason: ${reason}\n` : ''}
+Kind regards,
+The ${brand.name} Team`;
+  return { subject, html, text };
+}
+
+export function accountClosedEmail({ firstName, closedAt }) {
+  const subject = 'Your Account Has Been Closed';
+  const html = layout({
+    title: 'Account Closed',
+    preheader: 'Your account has been closed as requested.',
+    greetingName: firstName,
+    bodyHtml: `
+      <p style="margin:0 0 16px;font-size:15px;line-height:1.6;color:#d0d0d0;">
+        Your account was closed on ${escapeHtml(formatDate(closedAt))}. You have been signed out everywhere and can no longer log in.
+      </p>
+      <p style="margin:0;font-size:15px;line-height:1.6;color:#d0d0d0;">
+        Records of your transactions are kept for compliance. To reopen your account, contact ${escapeHtml(brand.supportEmail)}.
+      </p>
+    `,
+  });
+  const text = `Dear ${firstName || 'Valued Client'},
+
+Your account was closed on ${formatDate(closedAt)}. You have been signed out everywhere and can no longer log in.
+
+Records of your transactions are kept for compliance. To reopen your account, contact ${brand.supportEmail}.
+
+Kind regards,
+The ${brand.name} Team`;
+  return { subject, html, text };
+}
+
+export function statementReadyEmail({ firstName, period, openingEquity, closingEquity, deposits, withdrawals, dashboardUrl }) {
+  const subject = `Your ${period} Account Statement`;
+  const equity = (value) => (value == null ? 'Not available' : formatMoney(value));
+  const html = layout({
+    title: 'Account Statement Ready',
+    preheader: `Your statement for ${period} is available.`,
+    greetingName: firstName,
+    bodyHtml: `
+      <p style="margin:0 0 16px;font-size:15px;line-height:1.6;color:#d0d0d0;">
+        Your account statement for ${escapeHtml(period)} is ready. You can download it as PDF or CSV from the Statements section of your portfolio.
+      </p>
+      ${detailsTable([
+        ['Opening equity', equity(openingEquity)],
+        ['Deposits', formatMoney(deposits)],
+        ['Withdrawals', formatMoney(withdrawals)],
+        ['Closing equity', equity(closingEquity)],
+      ])}
+    `,
+    ctaLabel: 'Go to Dashboard',
+    ctaUrl: dashboardUrl,
+  });
+  const text = `Dear ${firstName || 'Valued Client'},
+
+Your account statement for ${period} is ready. You can download it as PDF or CSV from the Statements section of your portfolio.
+
+Opening equity: ${equity(openingEquity)}
+Deposits: ${formatMoney(deposits)}
+Withdrawals: ${formatMoney(withdrawals)}
+Closing equity: ${equity(closingEquity)}
+
+Go to Dashboard: ${dashboardUrl}
+
+Kind regards,
+The ${brand.name} Team`;
+  return { subject, html, text };
+}
+
+export function transferSentEmail({ firstName, amount, tokenName, usdValue, recipient, note, referenceId, createdAt }) {
+  const subject = `You sent ${amount} ${tokenName}`;
+  const html = layout({
+    title: 'Transfer Sent',
+    preheader: `You sent ${amount} ${tokenName} to ${recipient}.`,
+    greetingName: firstName,
+    ctaLabel: 'View transfers',
+    ctaUrl: `${brand.dashboardUrl}/history`,
+    bodyHtml: `
+      <p style="margin:0 0 12px;font-size:15px;line-height:1.6;color:#cfcfcf;">
+        Your transfer to <strong style="color:#d4af37;">${escapeHtml(recipient)}</strong> is complete.
+        If you did not make this transfer, contact support immediately.
+      </p>
+      ${detailsTable([
+        ['Amount', `${amount} ${tokenName}`],
+        ['Value', formatMoney(usdValue)],
+        ['Recipient', recipient],
+        ...(note ? [['Note', note]] : []),
+        ['Reference', referenceId],
+        ['Date', formatDate(createdAt)],
+      ])}
+    `,
+  });
+  const text = `Dear ${firstName || 'Valued Client'},
+
+Your transfer to ${recipient} is complete. If you did not make this transfer, contact support immediately.
+
+Amount: ${amount} ${tokenName}
+Value: ${formatMoney(usdValue)}
+Recipient: ${recipient}
+${note ? `Note: ${note}\n` : ''}Reference: ${referenceId}
+Date: ${formatDate(createdAt)}
+
+View your history: ${brand.dashboardUrl}/history
+
+Kind regards,
+The ${brand.name} Team`;
+  return { subject, html, text };
+}
+
+export function transferReceivedEmail({ firstName, amount, tokenName, usdValue, sender, note, referenceId, createdAt }) {
+  const subject = `You received ${amount} ${tokenName}`;
+  const html = layout({
+    title: 'Transfer Received',
+    preheader: `${sender} sent you ${amount} ${tokenName}.`,
+    greetingName: firstName,
+    ctaLabel: 'View portfolio',
+    ctaUrl: brand.dashboardUrl,
+    bodyHtml: `
+      <p style="margin:0 0 12px;font-size:15px;line-height:1.6;color:#cfcfcf;">
+        <strong style="color:#d4af37;">${escapeHtml(sender)}</strong> sent you a transfer.
+        The tokens are already in your portfolio.
+      </p>
+      ${detailsTable([
+        ['Amount', `${amount} ${tokenName}`],
+        ['Value', formatMoney(usdValue)],
+        ['From', sender],
+        ...(note ? [['Note', note]] : []),
+        ['Reference', referenceId],
+        ['Date', formatDate(createdAt)],
+      ])}
+    `,
+  });
+  const text = `Dear ${firstName || 'Valued Client'},
+
+${sender} sent you a transfer. The tokens are already in your portfolio.
+
+Amount: ${amount} ${tokenName}
+Value: ${formatMoney(usdValue)}
+From: ${sender}
+${note ? `Note: ${note}\n` : ''}Reference: ${referenceId}
+Date: ${formatDate(createdAt)}
+
+View your portfolio: ${brand.dashboardUrl}
+
+Kind regards,
+The ${brand.name} Team`;
+  return { subject, html, text };
+}
+
+export function transferReversedEmail({ firstName, amount, tokenName, wasSender, reason, referenceId, reversedAt }) {
+  const subject = `Transfer reversed — ${amount} ${tokenName}`;
+  const outcome = wasSender
+    ? 'The tokens have been returned to your portfolio.'
+    : 'The tokens have been removed from your portfolio and returned to the sender.';
+  const html = layout({
+    title: 'Transfer Reversed',
+    preheader: `A transfer of ${amount} ${tokenName} was reversed.`,
+    greetingName: firstName,
+    ctaLabel: 'View transfers',
+    ctaUrl: `${brand.dashboardUrl}/history`,
+    bodyHtml: `
+      <p style="margin:0 0 12px;font-size:15px;line-height:1.6;color:#cfcfcf;">
+        Our operations team reversed a transfer on your account. ${outcome}
+      </p>
+      ${detailsTable([
+        ['Amount', `${amount} ${tokenName}`],
+        ...(reason ? [['Reason', reason]] : []),
+        ['Reference', referenceId],
+        ['Reversed', formatDate(reversedAt)],
+      ])}
+    `,
+  });
+  const text = `Dear ${firstName || 'Valued Client'},
+
+Our operations team reversed a transfer on your account. ${outcome}
+
+Amount: ${amount} ${tokenName}
+${reason ? `Reason: ${reason}\n` : ''}Reference: ${referenceId}
+Reversed: ${formatDate(reversedAt)}
+
+If you have questions, contact ${brand.supportEmail}.
+
+Kind regards,
+The ${brand.name} Team`;
+  return { subject, html, text };
+}
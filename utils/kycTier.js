@@ -0,0 +1,5 @@
+// KYC tiers used to price and limit money movement. The User model only records
+// whether KYC was approved, so there are two tiers for now.
+export const KYC_TIERS = ['unverified', 'verified'];
+
+export const kycTierOf = (user) => (user?.kycStatus ? 'verified' : 'unverified');
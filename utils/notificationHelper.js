@@ -88,6 +88,9 @@ const generateDescription = (action, user, metadata = {}) => {
       return `${userIdentifier} just placed a deposit order`;
 
     case 'withdraw':
+      if (metadata.additionalInfo?.underReview) {
+        return `${userIdentifier} requested withdrawal of ${currency}${amount} over their limit (manual review)`;
+      }
       if (amount) {
         return `${userIdentifier} just requested withdrawal of ${currency}${amount}`;
       }
@@ -111,6 +114,12 @@ const generateDescription = (action, user, metadata = {}) => {
       }
       return `${userIdentifier} just created a support ticket`;
 
+    case 'transfer':
+      if (amount && metadata.additionalInfo?.recipientEmail) {
+        return `${userIdentifier} just transferred ${currency}${amount} to ${metadata.additionalInfo.recipientEmail}`;
+      }
+      return `${userIdentifier} just made an internal transfer`;
+
     default:
       return `${userIdentifier} performed an action: ${action}`;
   }
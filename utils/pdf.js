@@ -0,0 +1,186 @@
+// utils/pdf.js
+// Text document layout (statements, tax reports) on top of pdfkit.
+// Uses the standard Helvetica fonts, so nothing is embedded; text is limited to Latin-1.
+import PDFKitDocument from 'pdfkit';
+
+const MARGIN = 50;
+const LINE_SPACING = 1.4;
+const FOOTER_OFFSET = 40;
+
+const FONT = 'Helvetica';
+const BOLD_FONT = 'Helvetica-Bold';
+
+class PdfDocument {
+  constructor({ title = 'Document', author } = {}) {
+    this.title = title;
+    // Pages stay buffered so the footer can include the page count
+    this.doc = new PDFKitDocument({
+      size: 'A4',
+      margin: MARGIN,
+      bufferPages: true,
+      info: { Title: title, ...(author ? { Author: author } : {}) }
+    });
+    this.chunks = [];
+    this.doc.on('data', (chunk) => this.chunks.push(chunk));
+    this.y = MARGIN;
+  }
+
+  get pageWidth() {
+    return this.doc.page.width;
+  }
+
+  get bottom() {
+    return this.doc.page.height - MARGIN;
+  }
+
+  addPage() {
+    this.doc.addPage();
+    this.y = MARGIN;
+    return this;
+  }
+
+  ensureSpace(height) {
+    if (this.y + height > this.bottom) {
+      this.addPage();
+    }
+  }
+
+  font(size, bold) {
+    return this.doc.font(bold ? BOLD_FONT : FONT).fontSize(size);
+  }
+
+  textWidth(text, size, bold = false) {
+    return this.font(size, bold).widthOfString(String(text ?? ''));
+  }
+
+  // Shorten text with "..." until it fits the width
+  fitText(text, width, size, bold) {
+    let value = String(text ?? '');
+    if (this.textWidth(value, size, bold) <= width) return value;
+    while (value.length > 0 && this.textWidth(`${value}...`, size, bold) > width) {
+      value = value.slice(0, -1);
+    }
+    return `${value}...`;
+  }
+
+  write(text, x, y, { size = 10, bold = false } = {}) {
+    this.font(size, bold).text(String(text ?? ''), x, y, { lineBreak: false });
+  }
+
+  /**
+   * Write one line of text and move down
+   */
+  text(text, { size = 10, bold = false, indent = 0 } = {}) {
+    const lineHeight = size * LINE_SPACING;
+    this.ensureSpace(lineHeight);
+    this.write(this.fitText(text, this.pageWidth - 2 * MARGIN - indent, size, bold), MARGIN + indent, this.y, { size, bold });
+    this.y += lineHeight;
+    return this;
+  }
+
+  heading(text, size = 14) {
+    this.moveDown(0.5);
+    return this.text(text, { size, bold: true });
+  }
+
+  moveDown(lines = 1) {
+    this.y += lines * 10 * LINE_SPACING;
+    return this;
+  }
+
+  rule() {
+    this.ensureSpace(8);
+    this.y += 4;
+    this.doc.moveTo(MARGIN, this.y).lineTo(this.pageWidth - MARGIN, this.y).lineWidth(0.6).stroke();
+    this.y += 4;
+    return this;
+  }
+
+  /**
+   * Label/value pairs, values right-aligned
+   * @param {Array<[String, String]>} rows
+   */
+  keyValues(rows, { size = 10 } = {}) {
+    const right = this.pageWidth - MARGIN;
+    const lineHeight = size * LINE_SPACING;
+    for (const [label, value] of rows) {
+      this.ensureSpace(lineHeight);
+      this.write(label, MARGIN, this.y, { size });
+      const text = String(value ?? '');
+      this.write(text, right - this.textWidth(text, size), this.y, { size });
+      this.y += lineHeight;
+    }
+    return this;
+  }
+
+  /**
+   * Table with a bold header row, repeated on every page it spans
+   * @param {Array<{header: String, width: Number, align?: 'left'|'right'}>} columns - Widths are
+   *   fractions of the usable page width
+   * @param {Array<Array<*>>} rows
+   */
+  table(columns, rows, { size = 9 } = {}) {
+    const usable = this.pageWidth - 2 * MARGIN;
+    const lineHeight = size * LINE_SPACING;
+    const padding = 4;
+
+    const drawRow = (cells, bold) => {
+      let x = MARGIN;
+      columns.forEach((column, i) => {
+        const width = column.width * usable;
+        const text = this.fitText(cells[i], width - padding, size, bold);
+        const offset = column.align === 'right' ? width - padding - this.textWidth(text, size, bold) : 0;
+        this.write(text, x + offset, this.y, { size, bold });
+        x += width;
+      });
+      this.y += lineHeight;
+    };
+
+    const drawHeader = () => {
+      drawRow(columns.map((c) => c.header), true);
+      this.y += 2;
+    };
+
+    this.ensureSpace(lineHeight * 2);
+    drawHeader();
+
+    if (rows.length === 0) {
+      this.text('None', { size, indent: 0 });
+      return this;
+    }
+
+    for (const row of rows) {
+      if (this.y + lineHeight > this.bottom) {
+        this.addPage();
+        drawHeader();
+      }
+      drawRow(row, false);
+    }
+    return this;
+  }
+
+  /**
+   * Add page footers and serialize to a PDF file
+   * @returns {Promise<Buffer>}
+   */
+  async toBuffer() {
+    const { start, count } = this.doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+      this.doc.switchToPage(i);
+      // The footer sits in the bottom margin; without this pdfkit would start a new page
+      this.doc.page.margins.bottom = 0;
+      this.write(`${this.title} - page ${i - start + 1} of ${count}`, MARGIN, this.doc.page.height - FOOTER_OFFSET, { size: 8 });
+    }
+
+    const ended = new Promise((resolve, reject) => {
+      this.doc.once('end', resolve);
+      this.doc.once('error', reject);
+    });
+    this.doc.end();
+    await ended;
+
+    return Buffer.concat(this.chunks);
+  }
+}
+
+export default PdfDocument;
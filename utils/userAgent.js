@@ -0,0 +1,82 @@
+// utils/userAgent.js
+// Lightweight User-Agent parsing for login history. Good enough to tell devices apart;
+// not meant to identify exact versions.
+
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari/],
+  ['Internet Explorer', /(?:MSIE |Trident\/.*rv:)([\d.]+)/]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /(?:iPhone|iPad|iPod).*OS ([\d_]+)/],
+  ['Android', /Android ([\d.]+)/],
+  ['Windows', /Windows NT ([\d.]+)/],
+  ['macOS', /Mac OS X ([\d_.]+)/],
+  ['ChromeOS', /CrOS [\w]+ ([\d.]+)/],
+  ['Linux', /Linux()/]
+];
+
+const matchFirst = (ua, patterns) => {
+  for (const [name, pattern] of patterns) {
+    const match = ua.match(pattern);
+    if (match) {
+      const major = (match[1] || '').split(/[._]/)[0];
+      return { name, major: major || null };
+    }
+  }
+  return { name: 'Unknown', major: null };
+};
+
+const detectDeviceType = (ua) => {
+  if (/bot|crawler|spider|curl|wget|python-requests|axios|node-fetch|postman/i.test(ua)) return 'bot';
+  if (/iPad|Tablet|Android(?!.*Mobile)/i.test(ua)) return 'tablet';
+  if (/Mobi|iPhone|iPod|Android.*Mobile/i.test(ua)) return 'mobile';
+  return 'desktop';
+};
+
+/**
+ * Parse a User-Agent header
+ * @param {String} userAgent
+ * @returns {{browser: String, browserVersion: String|null, os: String, osVersion: String|null, deviceType: String}}
+ */
+export const parseUserAgent = (userAgent = '') => {
+  const ua = String(userAgent || '');
+  const browser = matchFirst(ua, BROWSERS);
+  const os = matchFirst(ua, OPERATING_SYSTEMS);
+
+  return {
+    browser: browser.name,
+    browserVersion: browser.major,
+    os: os.name,
+    osVersion: os.major,
+    deviceType: ua ? detectDeviceType(ua) : 'unknown'
+  };
+};
+
+/**
+ * Coarse network range for "new location" checks: /24 for IPv4, /48 for IPv6
+ * @param {String} ip
+ * @returns {String|null}
+ */
+export const getIpRange = (ip) => {
+  if (!ip) return null;
+  const address = String(ip).replace(/^::ffff:/, '');
+
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(address)) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+
+  if (address.includes(':')) {
+    const [head] = address.split('::');
+    const groups = head.split(':').filter(Boolean);
+    while (groups.length < 3) groups.push('0');
+    return `${groups.slice(0, 3).join(':')}::/48`;
+  }
+
+  return address;
+};
@@ -0,0 +1,58 @@
+// utils/xlsx.js
+// Single-sheet XLSX output, streamed row by row through exceljs's streaming writer
+import { once } from 'events';
+import { PassThrough } from 'stream';
+import ExcelJS from 'exceljs';
+
+const DATE_FORMAT = 'yyyy-mm-dd hh:mm:ss';
+
+// Empty, invalid and non-finite values become blank cells
+const cellValue = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'boolean') return value;
+  return String(value);
+};
+
+/**
+ * Stream a one-sheet workbook to a writable stream (the stream is not ended)
+ * @param {stream.Writable} output
+ * @param {Object} sheet
+ * @param {String} sheet.name - Sheet name (max 31 characters)
+ * @param {Array<String>} sheet.header
+ * @param {AsyncIterable<Array<*>>|Iterable<Array<*>>} sheet.rows - Strings, numbers, booleans, Dates or null
+ */
+export async function writeXlsx(output, { name, header, rows }) {
+  const sheetName = String(name || 'Sheet1').replace(/[\\/?*[\]:]/g, ' ').slice(0, 31);
+
+  // exceljs ends the stream it writes to, so it gets its own and the caller's output stays open
+  const stream = new PassThrough();
+  stream.pipe(output, { end: false });
+  const drained = once(stream, 'end');
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+  const worksheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  const headerRow = worksheet.addRow(header);
+  headerRow.font = { bold: true };
+  headerRow.commit();
+
+  for await (const values of rows) {
+    const row = worksheet.addRow(values.map(cellValue));
+    row.eachCell((cell) => {
+      if (cell.value instanceof Date) cell.numFmt = DATE_FORMAT;
+    });
+    row.commit();
+
+    if (stream.writableNeedDrain) {
+      await once(stream, 'drain');
+    }
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+  await drained;
+}
+
+export default { writeXlsx };